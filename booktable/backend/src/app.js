@@ -0,0 +1,74 @@
+const express = require('express');
+const cors = require('cors');
+
+const app = express();
+
+// req.ip (which login throttling and sessions record) is the client's address only if the proxies in front of the
+// app are trusted to report it. TRUST_PROXY takes Express's 'trust proxy' values: a hop count, true, or addresses
+// and subnets. By default only a proxy on this machine is trusted, such as the frontend's development proxy;
+// without that, everyone would appear to sign in from the proxy's address and share one IP throttle.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 'loopback';
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Middleware
+// Place CORS middleware before body parsers
+app.use(cors({
+  origin: 'http://localhost:3000',
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  optionsSuccessStatus: 200 // Handles OPTIONS preflight and is good for legacy browsers
+}));
+
+// Body parsing middleware
+app.use(express.json()); // For parsing application/json
+app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
+
+// Body fields that carry passwords, tokens or one-time codes, left out of the request log
+const SECRET_FIELD = /password|token|^code$|backupCode/i;
+
+const redactSecrets = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, SECRET_FIELD.test(key) ? '[redacted]' : value])
+  );
+};
+
+// Debug middleware to log request bodies. Headers are not logged: they carry the access token and refresh cookie.
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`);
+  console.log('Request body:', redactSecrets(req.body));
+  next();
+});
+
+// Routes
+const authRoutes = require('./routes/auth');
+const reviewRoutes = require('./routes/reviews');
+const restaurantRoutes = require('./routes/restaurants');
+// const dashboardRoutes = require('./routes/dashboardRoutes'); 
+const notificationRoutes = require('./routes/notificationRoutes'); 
+const bookingRoutes = require('./routes/bookings');
+const waitlistRoutes = require('./routes/waitlist');
+const adminRoutes = require('./routes/admin');
+
+app.use('/api/auth', authRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/restaurants', restaurantRoutes); 
+// app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/notifications', notificationRoutes); 
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ error: 'Something went wrong!' });
+});
+
+module.exports = app;
@@ -1,13 +1,45 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const Restaurant = require('../models/Restaurant');
+const { startSession, refreshSession, endSession, revokeAllSessions, clearRefreshCookie } = require('../utils/sessions');
+const { hashToken } = require('../utils/tokens');
+const { sendVerification, sendEmailChangeVerification, confirmVerification } = require('../utils/emailVerification');
+const { submitApplication } = require('../utils/managerApplications');
+const {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginFailure,
+  clearAccountThrottle,
+  unlockWithToken
+} = require('../utils/loginThrottle');
+const { sendPasswordReset } = require('../utils/passwordReset');
+const { anonymizeAccount } = require('../utils/accountDeletion');
+const { getStaffMemberships } = require('../utils/restaurantStaff');
+const { queueEmail } = require('../utils/jobQueue');
+const { createLoginChallenge, readLoginChallenge, verifySecondFactor } = require('../utils/twoFactor');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// The same answer whether the account or the address is being throttled, so it gives nothing away
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Too many sign-in attempts. Please wait a while and try again.';
+
+// Roles public registration accepts. 'manager' creates a customer with a manager application for an admin to review.
+const REGISTRATION_ROLES = ['customer', 'manager'];
 
 exports.register = async (req, res) => {
   console.log('[REGISTER] Attempting to register user...'); 
   try {
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, phone, password, role = 'customer', restaurantName, applicationMessage } = req.body;
     console.log('[REGISTER] Request body:', { firstName, lastName, email, role }); 
 
+    if (!REGISTRATION_ROLES.includes(role)) {
+      console.log(`[REGISTER] Refused role ${role} for: ${email}`);
+      return res.status(400).json({ message: 'You can sign up as a customer or apply to become a manager' });
+    }
+    const appliesForManager = role === 'manager';
+    if (appliesForManager && (typeof restaurantName !== 'string' || !restaurantName.trim())) {
+      return res.status(400).json({ message: 'Please tell us the name of your restaurant' });
+    }
+
     // Check if user already exists
     console.log(`[REGISTER] Checking if user exists: ${email}`); 
     let user = await User.findOne({ email });
@@ -22,24 +54,40 @@ exports.register = async (req, res) => {
       firstName,
       lastName,
       email,
-      role: role || 'customer'
+      phone: phone || undefined,
+      role: 'customer',
+      emailVerified: false
     });
     console.log('[REGISTER] New User instance created:', user.email); 
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
+    // Hashed by the User model when saved
     user.password = password;
 
     await user.save();
     console.log('[REGISTER] User saved successfully:', user.email, 'ID:', user._id); 
 
-    // Create and send JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-    console.log('[REGISTER] JWT token created for:', user.email); 
+    // The account can be used straight away, but booking and reviewing wait until the address is confirmed
+    try {
+      await sendVerification(user);
+      console.log('[REGISTER] Verification email queued for:', user.email);
+    } catch (verificationError) {
+      console.error('[REGISTER] Failed to queue verification email:', verificationError);
+    }
+
+    // The account works as a customer account until an admin approves the application
+    let managerApplication = null;
+    if (appliesForManager) {
+      try {
+        managerApplication = await submitApplication(user, { restaurantName, message: applicationMessage });
+        console.log('[REGISTER] Manager application submitted for:', user.email);
+      } catch (applicationError) {
+        console.error('[REGISTER] Failed to submit manager application:', applicationError);
+      }
+    }
+
+    // Sign in on this device: short-lived access token in the body, refresh token in an httpOnly cookie
+    const token = await startSession(user, req, res);
+    console.log('[REGISTER] Session started for:', user.email); 
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -48,7 +96,8 @@ exports.register = async (req, res) => {
     console.log('[REGISTER] Sending success response for:', user.email); 
     res.status(201).json({
       token,
-      user: userResponse
+      user: userResponse,
+      managerApplication
     });
   } catch (error) {
     console.error('[REGISTER] Error during registration:', error.message, error.stack);
@@ -61,62 +110,273 @@ exports.login = async (req, res) => {
     const { email, password } = req.body;
     console.log('Login attempt for:', email);
 
+    // Throttled before the password is checked, so a locked account can't be guessed even with the right password.
+    // The attempt counts as a failure until it turns out right, so parallel guesses can't outrun the count.
+    const retryAfter = await reserveLoginAttempt(email, req.ip);
+    if (retryAfter > 0) {
+      console.log(`Login throttled for ${email} from ${req.ip}; retry in ${retryAfter}s`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: TOO_MANY_ATTEMPTS_MESSAGE, retryAfter });
+    }
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
       console.log('User not found:', email);
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check password
-    console.log('Stored password hash:', user.password);
     const isMatch = await user.comparePassword(password);
     console.log('Password match result:', isMatch);
     
     if (!isMatch) {
       console.log('Password mismatch for user:', email);
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Create and send JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-    
-    console.log('Generated token for user:', email);
+    // The password was right, so this attempt wasn't a failure
+    await releaseLoginAttempt(email, req.ip);
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    // Only reveal a deactivated account to someone who knows its password
+    if (!user.active) {
+      console.log('Login refused for deactivated user:', email);
+      return res.status(403).json({ message: 'This account has been deactivated. Please contact support.' });
+    }
 
-    res.json({
-      token,
-      user: userResponse
-    });
+    // With two-factor on, the password only earns a challenge for POST /login/2fa. Failed attempts are kept until
+    // the code is right too, so signing in again with the password doesn't reset the count of wrong codes.
+    if (user.twoFactor?.enabled) {
+      console.log('Two-factor code required for user:', email);
+      return res.json({ twoFactorRequired: true, challengeToken: createLoginChallenge(user) });
+    }
+
+    await clearAccountThrottle(email);
+    await signIn(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Error logging in' });
   }
 };
 
-// Temporary password reset (remove after use)
-exports.resetPassword = async (req, res) => {
+// Sign in on this device: short-lived access token in the body, refresh token in an httpOnly cookie
+const signIn = async (user, req, res) => {
+  const token = await startSession(user, req, res);
+  console.log('Session started for user:', user.email);
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  userResponse.staffMemberships = await getStaffMemberships(user);
+
+  res.json({
+    token,
+    user: userResponse
+  });
+};
+
+// POST /api/auth/login/2fa - Second sign-in step: { challengeToken, code } where code is from the authenticator
+// app or a backup code. Wrong codes count towards the same lockout as wrong passwords.
+exports.loginTwoFactor = async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
+    const { challengeToken, code } = req.body;
+    const userId = typeof challengeToken === 'string' ? readLoginChallenge(challengeToken) : null;
+    if (!userId) {
+      return res.status(401).json({ message: 'Your sign-in has expired. Please enter your password again.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.active || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Your sign-in has expired. Please enter your password again.' });
+    }
+
+    const retryAfter = await reserveLoginAttempt(user.email, req.ip);
+    if (retryAfter > 0) {
+      console.log(`Two-factor login throttled for ${user.email} from ${req.ip}; retry in ${retryAfter}s`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: TOO_MANY_ATTEMPTS_MESSAGE, retryAfter });
+    }
+
+    const result = await verifySecondFactor(user._id, code);
+    if (!result) {
+      console.log('Two-factor code rejected for user:', user.email);
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({ message: 'That code is not right. Please try again.' });
+    }
+    if (result.method === 'backup_code') {
+      console.log(`Backup code used by ${user.email}; ${result.backupCodesRemaining} left`);
+    }
+
+    await releaseLoginAttempt(user.email, req.ip);
+    await clearAccountThrottle(user.email);
+    await signIn(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Error logging in' });
+  }
+};
+
+// POST /api/auth/forgot-password - Email a single-use reset link. The response is the same whether or not
+// the address has an account, so it can't be used to find out who is registered.
+exports.forgotPassword = async (req, res) => {
+  const response = { message: 'If an account exists for that email, a password reset link is on its way.' };
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
     const user = await User.findOne({ email });
-    
+    if (!user || !user.active) {
+      console.log('[FORGOT_PASSWORD] No active account for:', email);
+      return res.json(response);
+    }
+
+    await sendPasswordReset(user);
+    console.log('[FORGOT_PASSWORD] Reset link queued for:', email);
+
+    res.json(response);
+  } catch (error) {
+    console.error('[FORGOT_PASSWORD] Error:', error);
+    res.status(500).json({ message: 'Error requesting password reset' });
+  }
+};
+
+// POST /api/auth/reset-password - Set a new password with the token from the reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Reset token is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // Clearing the token in the same update that finds it makes the link single-use, even with concurrent requests
+    const user = await User.findOneAndUpdate(
+      { resetPasswordToken: hashToken(token), resetPasswordExpires: { $gt: new Date() } },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+      { new: true }
+    );
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(400).json({ message: 'This reset link is invalid or has expired. Please request a new one.' });
     }
-    
-    user.password = newPassword;
+
+    user.password = password;
     await user.save();
-    
-    res.json({ message: 'Password updated successfully' });
+    // Whoever knew the old password may still be signed in somewhere
+    const revoked = await revokeAllSessions(user._id);
+    // Proving access to the inbox also lifts any sign-in lockout
+    await clearAccountThrottle(user.email);
+    console.log(`[RESET_PASSWORD] Password reset for ${user.email}; ${revoked} sessions signed out`);
+
+    res.json({ message: 'Your password has been reset. You can now sign in.' });
+  } catch (error) {
+    console.error('[RESET_PASSWORD] Error:', error);
+    res.status(500).json({ message: 'Error resetting password' });
+  }
+};
+
+// POST /api/auth/verify-email - Confirm an email address with the token from the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await confirmVerification(token);
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired. Please request a new one.' });
+    }
+    console.log('[VERIFY_EMAIL] Email verified for:', user.email);
+
+    res.json({ message: 'Your email address is confirmed.', user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'That email address is now used by another account.' });
+    }
+    console.error('[VERIFY_EMAIL] Error:', error);
+    res.status(500).json({ message: 'Error verifying email' });
+  }
+};
+
+// POST /api/auth/resend-verification - Email the signed-in user a new verification link
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Your email address is already confirmed' });
+    }
+    const expiresAt = await sendVerification(req.user);
+    console.log('[VERIFY_EMAIL] Verification email resent to:', req.user.email);
+    res.json({ message: `We sent a new link to ${req.user.email}.`, expiresAt });
+  } catch (error) {
+    console.error('[VERIFY_EMAIL] Resend error:', error);
+    res.status(500).json({ message: 'Error sending verification email' });
+  }
+};
+
+// POST /api/auth/unlock-account - Lift a sign-in lockout early with the token from the "account locked" email
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Unlock token is required' });
+    }
+
+    const lock = await unlockWithToken(token);
+    if (!lock) {
+      return res.status(400).json({ message: 'This unlock link is invalid or the lockout has already ended.' });
+    }
+    console.log('[UNLOCK_ACCOUNT] Lockout lifted for:', lock.key);
+
+    res.json({ message: 'Your account is unlocked. You can sign in again.' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('[UNLOCK_ACCOUNT] Error:', error);
+    res.status(500).json({ message: 'Error unlocking account' });
+  }
+};
+
+// POST /api/auth/refresh - Trade the refresh token cookie for a new access token (the cookie is rotated)
+exports.refresh = async (req, res) => {
+  try {
+    const refreshed = await refreshSession(req, res);
+    if (!refreshed) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+    res.json({ token: refreshed.accessToken });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Error refreshing session' });
+  }
+};
+
+// POST /api/auth/logout - Sign out this device. Works without a valid access token so an expired session can still log out.
+exports.logout = async (req, res) => {
+  try {
+    await endSession(req);
+    clearRefreshCookie(res);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+};
+
+// POST /api/auth/logout-all - Sign out every device, including this one
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+    clearRefreshCookie(res);
+    console.log(`${req.user.email} signed out of all devices (${revoked} sessions)`);
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Error logging out of all devices' });
   }
 };
 
@@ -126,9 +386,124 @@ exports.getProfile = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.json(user);
+    // The restaurants they work at, which opens the manager dashboard to invited staff
+    res.json({ ...user.toObject(), staffMemberships: await getStaffMemberships(user) });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ message: 'Error getting profile' });
   }
 };
+
+// Fields users may change on their own profile; email and password have their own endpoints
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phone'];
+
+// PATCH /api/auth/profile - Update the signed-in user's name and phone number
+exports.updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
+    });
+    await user.save();
+    console.log('[PROFILE] Profile updated for:', user.email);
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    res.json(userResponse);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('[PROFILE] Update error:', error);
+    res.status(500).json({ message: 'Error updating profile' });
+  }
+};
+
+// POST /api/auth/change-password - Change the password, given the current one. Other devices are signed out.
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (typeof currentPassword !== 'string' || !(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Your current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    const revoked = await revokeAllSessions(user._id, req.sessionId);
+    console.log(`[CHANGE_PASSWORD] Password changed for ${user.email}; ${revoked} other sessions signed out`);
+
+    res.json({ message: 'Your password has been changed. Other devices have been signed out.' });
+  } catch (error) {
+    console.error('[CHANGE_PASSWORD] Error:', error);
+    res.status(500).json({ message: 'Error changing password' });
+  }
+};
+
+// POST /api/auth/change-email - Start switching to a new address ({ newEmail, password }). The current address
+// stays in use until the link sent to the new one is followed, and gets a heads-up in case it wasn't the owner.
+exports.changeEmail = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const newEmail = typeof req.body.newEmail === 'string' ? req.body.newEmail.trim().toLowerCase() : '';
+    // The pending address is only stored with updates, so check it against the schema's email rules here
+    if (!newEmail || new User({ email: newEmail }).validateSync(['email'])) {
+      return res.status(400).json({ message: 'Please enter a valid email' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (typeof password !== 'string' || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Your password is incorrect' });
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'That is already your email address' });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: 'That email address is used by another account' });
+    }
+
+    const expiresAt = await sendEmailChangeVerification(user, newEmail);
+    try {
+      await queueEmail('sendEmailChangeRequestedEmail', { firstName: user.firstName, email: user.email }, newEmail);
+    } catch (queueError) {
+      console.error('[CHANGE_EMAIL] Failed to queue notice to the current address:', queueError);
+    }
+    console.log(`[CHANGE_EMAIL] ${user.email} asked to switch to ${newEmail}`);
+
+    res.json({ message: `We sent a confirmation link to ${newEmail}.`, pendingEmail: newEmail, expiresAt });
+  } catch (error) {
+    console.error('[CHANGE_EMAIL] Error:', error);
+    res.status(500).json({ message: 'Error changing email address' });
+  }
+};
+
+// DELETE /api/auth/account - Delete the signed-in user's account ({ password }). See utils/accountDeletion.js.
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const user = await User.findById(req.user._id);
+    if (typeof password !== 'string' || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Your password is incorrect' });
+    }
+    // Whatever the account's role now: an admin may have changed it since the restaurant was created
+    if (await Restaurant.exists({ managerId: user._id })) {
+      return res.status(400).json({ message: 'Please remove or hand over your restaurants before deleting your account' });
+    }
+    if (user.role === 'admin' && await User.countDocuments({ role: 'admin', active: true }) <= 1) {
+      return res.status(400).json({ message: 'You are the only admin. Make someone else an admin first.' });
+    }
+
+    await anonymizeAccount(user);
+    clearRefreshCookie(res);
+    res.json({ message: 'Your account has been deleted.' });
+  } catch (error) {
+    console.error('[DELETE_ACCOUNT] Error:', error);
+    res.status(500).json({ message: 'Error deleting account' });
+  }
+};
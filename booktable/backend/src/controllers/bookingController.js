@@ -1,9 +1,57 @@
 const Booking = require('../models/Booking');
 const Restaurant = require('../models/Restaurant');
+const mongoose = require('mongoose');
 const moment = require('moment');
 const User = require('../models/User'); 
-const { sendBookingConfirmationEmail, sendBookingCancellationEmail } = require('../utils/emailService'); 
-const Notification = require('../models/Notification'); 
+const { queueEmail, queueNotification } = require('../utils/jobQueue');
+const {
+  PENDING_BOOKING_STATUS,
+  fromStoredDate,
+  getScheduleForDate,
+  isSlotOpen,
+  getTableCapacity,
+  getBookingDuration,
+  countBookedTables,
+  findAvailableTable,
+  getActiveBookings,
+  reserveTable,
+  moveBooking
+} = require('../utils/availability');
+const { offerFreedTables } = require('../utils/waitlist');
+const { MANAGER_STATUSES, canTransition, statusChange, applyStatusChange } = require('../utils/bookingLifecycle');
+const {
+  requiresApproval,
+  getRequestExpiry,
+  closeRequest,
+  notifyBookingRequested,
+  notifyRequestClosed
+} = require('../utils/bookingRequests');
+const { restaurantChannel, openStream, publishBookingChange } = require('../utils/realtime');
+const { can } = require('../utils/permissions');
+const { staffFilter } = require('../utils/restaurantStaff');
+
+// Loads the booking in req.params.id and checks that the user may perform the action at its restaurant.
+// Sends the error response and resolves to null otherwise.
+const findManagedBooking = async (req, res, action) => {
+  // A malformed id can't match a booking, so it is a 404 rather than a CastError
+  const booking = mongoose.Types.ObjectId.isValid(req.params.id) && await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ error: 'Booking not found' });
+    return null;
+  }
+
+  const restaurant = await Restaurant.findById(booking.restaurantId).select('name managerId staff');
+  if (!restaurant || !can(req.user, action, restaurant)) {
+    res.status(403).json({ error: 'Not authorized to update bookings for this restaurant' });
+    return null;
+  }
+  return { booking, restaurant };
+};
+
+// The booking as the manager's bookings list shows it
+const findBookingForManager = (bookingId) => Booking.findById(bookingId)
+  .populate('userId', 'firstName lastName')
+  .populate('statusHistory.changedBy', 'firstName lastName');
 
 exports.createBooking = async (req, res) => {
   try {
@@ -33,51 +81,34 @@ exports.createBooking = async (req, res) => {
     // This ensures we're searching for tables on the exact date the user selected
     const searchDateStr = date; // The date is already in YYYY-MM-DD format from the client
     console.log(`Searching for tables on date: ${searchDateStr}`); 
-    
-    const availabilityForDate = restaurant.availableTables.find(entry => {
-      const entryDateStr = moment(entry.date).format('YYYY-MM-DD');
-      console.log(`Comparing with available date: ${entryDateStr}`);
-      return entryDateStr === searchDateStr;
-    });
 
-    if (!availabilityForDate) {
+    if (!getScheduleForDate(restaurant, searchDateStr)) {
       return res.status(400).json({ error: 'No tables available for this date' });
     }
 
-    const suitableTable = availabilityForDate.tables.find(
-      table => table.tableSize >= numericPartySize && table.availableTimes.includes(time)
-    );
-
-    if (!suitableTable) {
+    // A slot that would not fit even in an empty restaurant is a bad request, not a conflict
+    if (!findAvailableTable(restaurant, searchDateStr, time, numericPartySize, [])) {
       return res.status(400).json({ error: 'No suitable table available for the requested time and party size' });
     }
 
-    // Prefix the date string to ensure it's stored as a literal string
-    const storableDate = `RAW_DATE_STR:${date}`;
-    console.log(`Storing date as: ${storableDate}`);
-    
-    const booking = new Booking({
+    // Restaurants that approve bookings manually get a pending request, which holds the table until answered
+    const needsApproval = requiresApproval(restaurant);
+    const status = needsApproval ? PENDING_BOOKING_STATUS : 'confirmed';
+
+    // Availability is capacity (Restaurant.tables[].count) minus the tables held by active bookings.
+    // reserveTable re-checks it atomically, so two guests racing for the last table can't both get it.
+    const booking = await reserveTable(restaurant, searchDateStr, time, numericPartySize, {
       userId,
-      restaurantId,
-      date: storableDate, // Store the prefixed string
-      time,
-      partySize: numericPartySize,
-      tableSize: suitableTable.tableSize,
-      bookedTableDefinitionId: suitableTable._id,
-      status: 'confirmed'
+      status,
+      ...(needsApproval && { holdExpiresAt: getRequestExpiry(restaurant, searchDateStr, time) }),
+      statusHistory: [statusChange(null, status, req.user)]
     });
 
-    console.log('Saving new booking:', booking);
-    await booking.save();
-    console.log('Booking saved successfully');
-
-    suitableTable.availableTimes = suitableTable.availableTimes.filter(t => t !== time);
-    restaurant.markModified('availableTables'); 
-    await restaurant.save();
-
-    await Restaurant.findByIdAndUpdate(restaurantId, {
-      $inc: { timesBookedToday: 1 }
-    });
+    if (!booking) {
+      return res.status(409).json({ error: 'Sorry, that time was just booked. Please choose another time.' });
+    }
+    console.log('Booking saved successfully:', booking._id);
+    publishBookingChange(booking, 'created');
 
     console.log('Fetching populated booking details for email');
     const populatedBooking = await Booking.findById(booking._id)
@@ -91,22 +122,19 @@ exports.createBooking = async (req, res) => {
       restaurantName: populatedBooking?.restaurantId?.name
     });
 
-    // Send booking confirmation email
+    // The confirmation email and notification wait until the manager accepts the request
+    if (needsApproval) {
+      await notifyBookingRequested(populatedBooking, restaurant);
+      return res.status(201).json(populatedBooking);
+    }
+
+    // Queue the booking confirmation email; the job worker sends it (and retries) after we respond
     if (populatedBooking && populatedBooking.userId && populatedBooking.restaurantId) {
-      console.log('Attempting to send confirmation email to:', populatedBooking.userId.email);
+      console.log('Queueing confirmation email to:', populatedBooking.userId.email);
       try {
-        const emailResult = await sendBookingConfirmationEmail(
-          populatedBooking.userId,
-          populatedBooking,
-          populatedBooking.restaurantId
-        );
-        console.log('Email sent successfully:', emailResult);
-      } catch (emailError) {
-        console.error('Failed to send booking confirmation email. Error details:', {
-          message: emailError.message,
-          code: emailError.code,
-          stack: emailError.stack
-        });
+        await queueEmail('sendBookingConfirmationEmail', populatedBooking.userId, populatedBooking, populatedBooking.restaurantId);
+      } catch (queueError) {
+        console.error('Failed to queue booking confirmation email:', queueError);
       }
     } else {
       console.error('Cannot send email - missing required data:', {
@@ -120,14 +148,14 @@ exports.createBooking = async (req, res) => {
     try {
       // Create notification using the exact date string that was sent by the client
       // This ensures the notification shows the same date the user selected
-      await Notification.create({
+      await queueNotification({
         userId: populatedBooking.userId._id,
         message: `Your booking at ${populatedBooking.restaurantId.name} for ${moment(date, 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${populatedBooking.time} is confirmed.`,
         type: 'booking_confirmed',
         bookingId: populatedBooking._id
       });
     } catch (notificationError) {
-      console.error('Failed to create booking confirmation notification:', notificationError);
+      console.error('Failed to queue booking confirmation notification:', notificationError);
       // Log this error for monitoring, do not fail the booking creation
     }
 
@@ -141,7 +169,8 @@ exports.createBooking = async (req, res) => {
 
 exports.getUserBookings = async (req, res) => {
   try {
-    const bookings = await Booking.find({ userId: req.user._id })
+    // Tables held for a waitlist offer are shown with the waitlist until the guest claims them
+    const bookings = await Booking.find({ userId: req.user._id, status: { $ne: 'held' } })
       .populate('restaurantId', 'name address')
       .sort({ date: -1 });
     res.json(bookings);
@@ -150,10 +179,23 @@ exports.getUserBookings = async (req, res) => {
   }
 };
 
+// GET /api/bookings/restaurant/:restaurantId - Every booking at a restaurant the user works at
 exports.getRestaurantBookings = async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.restaurantId)) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    const restaurant = await Restaurant.findById(req.params.restaurantId).select('managerId staff');
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    if (!can(req.user, 'booking:read', restaurant)) {
+      return res.status(403).json({ error: 'Not authorized to view bookings for this restaurant' });
+    }
+
     const bookings = await Booking.find({ restaurantId: req.params.restaurantId })
       .populate('userId', 'firstName lastName')
+      .populate('statusHistory.changedBy', 'firstName lastName')
       .sort({ date: -1 });
     res.json(bookings);
   } catch (error) {
@@ -161,10 +203,108 @@ exports.getRestaurantBookings = async (req, res) => {
   }
 };
 
+// PATCH /api/bookings/:id - Move a booking to a new date, time and/or party size
+exports.modifyBooking = async (req, res) => {
+  try {
+    console.log('Attempting to modify booking:', req.params.id, req.body);
+    const booking = mongoose.Types.ObjectId.isValid(req.params.id) && await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!can(req.user, 'booking:modify', booking)) {
+      return res.status(403).json({ error: 'Not authorized to modify this booking' });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({ error: `A ${booking.status} booking cannot be modified` });
+    }
+
+    const previous = { date: booking.date, time: booking.time, partySize: booking.partySize };
+    const currentDateStr = fromStoredDate(booking.date);
+    if (moment(`${currentDateStr} ${booking.time}`, 'YYYY-MM-DD HH:mm').isBefore(moment())) {
+      return res.status(400).json({ error: 'Past bookings cannot be modified' });
+    }
+
+    const dateStr = req.body.date || currentDateStr;
+    const time = req.body.time || booking.time;
+    const partySize = req.body.partySize !== undefined ? parseInt(req.body.partySize, 10) : booking.partySize;
+
+    if (!moment(dateStr, 'YYYY-MM-DD', true).isValid() || !moment(time, 'HH:mm', true).isValid()) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD and time HH:mm' });
+    }
+    if (isNaN(partySize) || partySize <= 0) {
+      return res.status(400).json({ error: 'Invalid party size' });
+    }
+    if (dateStr === currentDateStr && time === booking.time && partySize === booking.partySize) {
+      return res.status(400).json({ error: 'No changes requested' });
+    }
+    if (moment(`${dateStr} ${time}`, 'YYYY-MM-DD HH:mm').isBefore(moment())) {
+      return res.status(400).json({ error: 'Cannot move a booking into the past' });
+    }
+
+    const restaurant = await Restaurant.findById(booking.restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    if (!getScheduleForDate(restaurant, dateStr)) {
+      return res.status(400).json({ error: 'No tables available for this date' });
+    }
+    if (!findAvailableTable(restaurant, dateStr, time, partySize, [])) {
+      return res.status(400).json({ error: 'No suitable table available for the requested time and party size' });
+    }
+
+    // The current table is only released once the new one is secured, so a failed move keeps the booking as it was
+    const moved = await moveBooking(restaurant, booking, dateStr, time, partySize);
+    if (!moved) {
+      return res.status(409).json({ error: 'Sorry, that time is no longer available. Your original booking has been kept.' });
+    }
+    publishBookingChange(booking, 'updated');
+    console.log(`Booking ${booking._id} moved from ${fromStoredDate(previous.date)} ${previous.time} (${previous.partySize}) to ${dateStr} ${time} (${partySize})`);
+
+    // The old seating is free now; someone on the waitlist may want it
+    try {
+      await offerFreedTables(restaurant._id, fromStoredDate(previous.date));
+    } catch (waitlistError) {
+      console.error('Failed to offer freed table to the waitlist:', waitlistError);
+    }
+
+    const populatedBooking = await Booking.findById(booking._id)
+                                      .populate('userId', 'firstName lastName email')
+                                      .populate('restaurantId', 'name address');
+
+    if (populatedBooking && populatedBooking.userId && populatedBooking.restaurantId) {
+      try {
+        await queueEmail('sendBookingModificationEmail', populatedBooking.userId, populatedBooking, populatedBooking.restaurantId, previous);
+      } catch (queueError) {
+        console.error('Failed to queue booking modification email:', queueError);
+      }
+
+      try {
+        await queueNotification({
+          userId: populatedBooking.userId._id,
+          message: `Your booking at ${populatedBooking.restaurantId.name} has been changed to ${moment(dateStr, 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${time} for ${partySize}.`,
+          type: 'booking_modified',
+          bookingId: populatedBooking._id
+        });
+      } catch (notificationError) {
+        console.error('Failed to queue booking modification notification:', notificationError);
+      }
+    }
+
+    res.json(populatedBooking || moved);
+  } catch (error) {
+    console.error('Error modifying booking:', error);
+    res.status(500).json({ error: 'Error modifying booking' });
+  }
+};
+
 exports.cancelBooking = async (req, res) => {
   try {
     console.log('Attempting to cancel booking:', req.params.id);
-    const booking = await Booking.findById(req.params.id);
+    const booking = mongoose.Types.ObjectId.isValid(req.params.id) && await Booking.findById(req.params.id);
     
     if (!booking) {
       console.log('Booking not found:', req.params.id);
@@ -180,7 +320,7 @@ exports.cancelBooking = async (req, res) => {
     });
 
     // Check if the user is authorized to cancel this booking
-    if (booking.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!can(req.user, 'booking:cancel', booking)) {
       console.log('Unauthorized cancellation attempt:', {
         bookingUserId: booking.userId.toString(),
         requestUserId: req.user._id.toString(),
@@ -195,39 +335,51 @@ exports.cancelBooking = async (req, res) => {
       return res.status(400).json({ error: 'Booking is already cancelled' });
     }
 
+    if (!canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json({ error: `A ${booking.status} booking cannot be cancelled` });
+    }
+
     // Update booking status
     console.log('Updating booking status to cancelled');
-    booking.status = 'cancelled';
+    applyStatusChange(booking, 'cancelled', req.user);
     await booking.save();
     console.log('Booking status updated successfully');
 
-    // Update restaurant's available tables
-    console.log('Updating restaurant tables for booking:', booking.restaurantId);
+    // The table is free again as soon as the booking stops being active, because availability
+    // is computed from the remaining active bookings. Bookings made before the inventory model
+    // removed their time from the slot schedule, so put it back if it is missing.
     const restaurant = await Restaurant.findById(booking.restaurantId);
     if (restaurant) {
-      const dateStr = moment(booking.date).format('YYYY-MM-DD');
-      const availabilityForDate = restaurant.availableTables.find(entry => 
-        moment(entry.date).format('YYYY-MM-DD') === dateStr
-      );
-
-      if (availabilityForDate) {
-        const table = availabilityForDate.tables.find(t => t._id.toString() === booking.bookedTableDefinitionId.toString());
-        if (table) {
-          console.log('Adding back time slot to table:', booking.time);
-          table.availableTimes.push(booking.time);
+      const dateStr = fromStoredDate(booking.date);
+      const daySchedule = getScheduleForDate(restaurant, dateStr);
+      if (daySchedule && !isSlotOpen(daySchedule, booking.tableSize, booking.time)) {
+        const scheduleTable = daySchedule.tables.find(t => t.tableSize === booking.tableSize);
+        if (scheduleTable) {
+          console.log('Restoring time slot removed by legacy booking:', booking.time);
+          scheduleTable.availableTimes.push(booking.time);
+          scheduleTable.availableTimes.sort();
           restaurant.markModified('availableTables');
           await restaurant.save();
-          console.log('Restaurant tables updated successfully');
-        } else {
-          console.log('Table not found in availability:', booking.bookedTableDefinitionId);
         }
-      } else {
-        console.log('No availability found for date:', dateStr);
+      }
+
+      const activeBookings = await getActiveBookings(restaurant._id, dateStr);
+      const capacity = getTableCapacity(restaurant).get(booking.tableSize) || 0;
+      const duration = getBookingDuration(restaurant, booking);
+      const inUse = countBookedTables(restaurant, activeBookings, booking.time, duration).get(booking.tableSize) || 0;
+      console.log(`Released ${booking.tableSize}-top on ${dateStr} at ${booking.time}; ${capacity - inUse} of ${capacity} now free`);
+
+      try {
+        await offerFreedTables(restaurant._id, dateStr);
+      } catch (waitlistError) {
+        console.error('Failed to offer freed table to the waitlist:', waitlistError);
       }
     } else {
       console.log('Restaurant not found:', booking.restaurantId);
     }
 
+    publishBookingChange(booking, 'cancelled');
+
     // Get populated booking details for email and notification
     console.log('Fetching populated booking details for cancellation email');
     const populatedBooking = await Booking.findById(booking._id)
@@ -243,20 +395,11 @@ exports.cancelBooking = async (req, res) => {
 
     // Send cancellation email
     if (populatedBooking && populatedBooking.userId && populatedBooking.restaurantId) {
-      console.log('Attempting to send cancellation email to:', populatedBooking.userId.email);
+      console.log('Queueing cancellation email to:', populatedBooking.userId.email);
       try {
-        const emailResult = await sendBookingCancellationEmail(
-          populatedBooking.userId,
-          populatedBooking,
-          populatedBooking.restaurantId
-        );
-        console.log('Cancellation email sent successfully:', emailResult);
-      } catch (emailError) {
-        console.error('Failed to send booking cancellation email. Error details:', {
-          message: emailError.message,
-          code: emailError.code,
-          stack: emailError.stack
-        });
+        await queueEmail('sendBookingCancellationEmail', populatedBooking.userId, populatedBooking, populatedBooking.restaurantId);
+      } catch (queueError) {
+        console.error('Failed to queue booking cancellation email:', queueError);
       }
     } else {
       console.error('Cannot send cancellation email - missing required data:', {
@@ -269,22 +412,22 @@ exports.cancelBooking = async (req, res) => {
     // Create a notification for successful cancellation
     try {
       if (populatedBooking && populatedBooking.userId && populatedBooking.restaurantId) {
-        console.log('Creating cancellation notification');
+        console.log('Queueing cancellation notification');
         // Extract YYYY-MM-DD from RAW_DATE_STR:YYYY-MM-DD for notification
         const notificationDateString = populatedBooking.date && populatedBooking.date.startsWith('RAW_DATE_STR:')
                                      ? populatedBooking.date.substring(13)
                                      : populatedBooking.date; // Fallback
 
-        await Notification.create({
+        await queueNotification({
           userId: populatedBooking.userId._id,
           message: `Your booking at ${populatedBooking.restaurantId.name} for ${moment(notificationDateString).format('MMMM Do YYYY')} at ${populatedBooking.time} has been cancelled.`,
           type: 'booking_cancelled',
           bookingId: populatedBooking._id
         });
-        console.log('Cancellation notification created successfully');
+        console.log('Cancellation notification queued');
       }
     } catch (notificationError) {
-      console.error('Failed to create booking cancellation notification:', notificationError);
+      console.error('Failed to queue booking cancellation notification:', notificationError);
     }
 
     console.log('Cancellation process completed successfully');
@@ -295,6 +438,145 @@ exports.cancelBooking = async (req, res) => {
   }
 };
 
+// PATCH /api/bookings/:id/status - Restaurant staff mark a booking seated, completed or no-show
+exports.updateBookingStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!MANAGER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${MANAGER_STATUSES.join(', ')}` });
+    }
+
+    const managed = await findManagedBooking(req, res, 'booking:checkIn');
+    if (!managed) return;
+    const { booking, restaurant } = managed;
+
+    if (!canTransition(booking.status, status)) {
+      return res.status(400).json({ error: `Cannot change a ${booking.status} booking to ${status}` });
+    }
+
+    const startsAt = moment(`${fromStoredDate(booking.date)} ${booking.time}`, 'YYYY-MM-DD HH:mm');
+    if (status === 'seated' && !startsAt.isSame(moment(), 'day')) {
+      return res.status(400).json({ error: 'Guests can only be seated on the day of their booking' });
+    }
+    if (status === 'no-show' && startsAt.isAfter(moment())) {
+      return res.status(400).json({ error: 'A booking can only be marked as a no-show after its start time' });
+    }
+
+    const previousStatus = booking.status;
+    applyStatusChange(booking, status, req.user, note);
+    await booking.save();
+    console.log(`Booking ${booking._id} at ${restaurant.name} moved from ${previousStatus} to ${status} by ${req.user.email}`);
+    publishBookingChange(booking, 'updated');
+
+    // A party leaving early or not turning up frees the table for the rest of its turn
+    if (status === 'completed' || status === 'no-show') {
+      try {
+        await offerFreedTables(restaurant._id, fromStoredDate(booking.date));
+      } catch (waitlistError) {
+        console.error('Failed to offer freed table to the waitlist:', waitlistError);
+      }
+    }
+
+    res.json(await findBookingForManager(booking._id));
+  } catch (error) {
+    console.error('Error updating booking status:', error);
+    res.status(500).json({ error: 'Error updating booking status' });
+  }
+};
+
+// PATCH /api/bookings/:id/accept - The manager confirms a pending booking request
+exports.acceptBooking = async (req, res) => {
+  try {
+    const managed = await findManagedBooking(req, res, 'booking:respond');
+    if (!managed) return;
+    const { booking, restaurant } = managed;
+
+    if (booking.status !== PENDING_BOOKING_STATUS) {
+      return res.status(400).json({ error: `A ${booking.status} booking is not awaiting approval` });
+    }
+
+    // Only a request that still holds its table can be accepted; once it lapses the table may have gone to someone else
+    const accepted = await closeRequest(booking._id, 'confirmed', req.user, req.body?.note, {
+      holdExpiresAt: { $gt: new Date() }
+    });
+    if (!accepted) {
+      return res.status(410).json({ error: 'This request has expired or was already answered' });
+    }
+    await Restaurant.findByIdAndUpdate(restaurant._id, { $inc: { timesBookedToday: 1 } });
+    console.log(`Booking request ${booking._id} at ${restaurant.name} accepted by ${req.user.email}`);
+    publishBookingChange(accepted, 'updated');
+
+    try {
+      await queueEmail('sendBookingConfirmationEmail', accepted.userId, accepted, accepted.restaurantId);
+    } catch (queueError) {
+      console.error('Failed to queue booking confirmation email for accepted request:', queueError);
+    }
+
+    try {
+      await queueNotification({
+        userId: accepted.userId._id,
+        message: `Your booking at ${restaurant.name} for ${moment(fromStoredDate(accepted.date), 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${accepted.time} is confirmed.`,
+        type: 'booking_confirmed',
+        bookingId: accepted._id
+      });
+    } catch (notificationError) {
+      console.error('Failed to queue booking confirmation notification for accepted request:', notificationError);
+    }
+
+    res.json(await findBookingForManager(booking._id));
+  } catch (error) {
+    console.error('Error accepting booking request:', error);
+    res.status(500).json({ error: 'Error accepting booking request' });
+  }
+};
+
+// PATCH /api/bookings/:id/decline - The manager turns down a pending booking request, releasing its table
+exports.declineBooking = async (req, res) => {
+  try {
+    const managed = await findManagedBooking(req, res, 'booking:respond');
+    if (!managed) return;
+    const { booking, restaurant } = managed;
+
+    if (booking.status !== PENDING_BOOKING_STATUS) {
+      return res.status(400).json({ error: `A ${booking.status} booking is not awaiting approval` });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    const declined = await closeRequest(booking._id, 'declined', req.user, reason || undefined);
+    if (!declined) {
+      return res.status(410).json({ error: 'This request has expired or was already answered' });
+    }
+    console.log(`Booking request ${booking._id} at ${restaurant.name} declined by ${req.user.email}`);
+
+    await notifyRequestClosed(declined, reason);
+
+    res.json(await findBookingForManager(booking._id));
+  } catch (error) {
+    console.error('Error declining booking request:', error);
+    res.status(500).json({ error: 'Error declining booking request' });
+  }
+};
+
+// GET /api/bookings/manager/stream - Server-Sent Events: a 'booking' event ({ action, booking }) whenever a booking
+// at one of the restaurants the user works at is created, changed or cancelled
+exports.streamManagerBookings = async (req, res) => {
+  try {
+    const restaurants = await Restaurant.find(staffFilter(req.user._id)).select('_id');
+    const restaurantIds = restaurants.map(restaurant => restaurant._id);
+    // Closed once the user leaves the staff of any of them; reconnecting subscribes to where they work now
+    const stillOnStaff = async (user) => can(user, 'booking:stream') &&
+      await Restaurant.countDocuments({ _id: { $in: restaurantIds }, ...staffFilter(user._id) }) === restaurantIds.length;
+    const send = openStream(req, res, restaurantIds.map(restaurantChannel), stillOnStaff);
+    send('ready', { restaurantIds });
+    console.log(`Booking feed opened for ${req.user.email} (${restaurants.length} restaurants)`);
+  } catch (error) {
+    console.error('Error opening booking feed:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error opening booking feed' });
+    }
+  }
+};
+
 exports.getBookingAnalytics = async (req, res) => {
   try {
     const lastMonth = new Date();
@@ -304,7 +586,8 @@ exports.getBookingAnalytics = async (req, res) => {
       {
         $match: {
           createdAt: { $gte: lastMonth },
-          status: 'confirmed'
+          // Every booking that went ahead as confirmed, wherever it is in its lifecycle now
+          status: { $in: ['confirmed', 'seated', 'completed', 'no-show'] }
         }
       },
       {
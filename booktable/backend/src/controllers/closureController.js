@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const moment = require('moment');
+const {
+  TIME_PATTERN,
+  toStoredDate,
+  getScheduleForDate,
+  isBlockedByClosure,
+  getBookingDuration,
+  refreshAvailableTables,
+  getActiveBookings
+} = require('../utils/availability');
+const { can } = require('../utils/permissions');
+
+// Loads the restaurant in req.params.id if the user may perform the closure action on it: its owner and managers
+// may change closures, its hosts and admins may view them
+const findRestaurantForUser = async (req, res, action) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Restaurant not found' });
+    return null;
+  }
+  const restaurant = await Restaurant.findById(req.params.id);
+  if (!restaurant) {
+    res.status(404).json({ error: 'Restaurant not found' });
+    return null;
+  }
+  if (!can(req.user, action, restaurant)) {
+    res.status(403).json({ error: 'Not authorized to manage closures for this restaurant' });
+    return null;
+  }
+  return restaurant;
+};
+
+// Rebuild the slot schedule so the change is reflected in search and booking right away
+const saveWithRefreshedAvailability = async (restaurant) => {
+  const { availableTables } = refreshAvailableTables(restaurant, { rebuild: true });
+  restaurant.availableTables = availableTables;
+  await restaurant.save();
+};
+
+// Active bookings on the date that no longer fit: the day is closed, the slot is gone
+// from the custom hours, or the seating overlaps a blocked range
+const countAffectedBookings = async (restaurant, date) => {
+  const bookings = await getActiveBookings(restaurant._id, date);
+  const daySchedule = getScheduleForDate(restaurant, date);
+  return bookings.filter(booking => {
+    const slotExists = daySchedule && daySchedule.tables.some(table => table.availableTimes.includes(booking.time));
+    return !slotExists || isBlockedByClosure(restaurant, date, booking.time, getBookingDuration(restaurant, booking));
+  }).length;
+};
+
+// GET /api/restaurants/:id/closures - Upcoming closures and special hours
+exports.getClosures = async (req, res) => {
+  try {
+    const restaurant = await findRestaurantForUser(req, res, 'closure:read');
+    if (!restaurant) return;
+
+    const today = moment().format('YYYY-MM-DD');
+    const closures = restaurant.closures
+      .filter(closure => closure.date >= today)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    res.json(closures);
+  } catch (error) {
+    console.error('Error fetching closures:', error);
+    res.status(500).json({ error: 'Error fetching closures' });
+  }
+};
+
+// POST /api/restaurants/:id/closures - Add or replace the closure for a date
+exports.saveClosure = async (req, res) => {
+  try {
+    const { date, closed, periods = [], blockedRanges = [], reason } = req.body;
+
+    if (!date || !moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ error: 'A valid date (YYYY-MM-DD) is required' });
+    }
+    if (moment(date, 'YYYY-MM-DD').isBefore(moment(), 'day')) {
+      return res.status(400).json({ error: 'Cannot add a closure for a past date' });
+    }
+    if (!Array.isArray(periods) || !periods.every(p => TIME_PATTERN.test(p?.opening) && TIME_PATTERN.test(p?.closing) && p.opening < p.closing)) {
+      return res.status(400).json({ error: 'Custom hours must use HH:mm opening and closing times, with opening before closing' });
+    }
+    if (!Array.isArray(blockedRanges) || !blockedRanges.every(r => TIME_PATTERN.test(r?.start) && TIME_PATTERN.test(r?.end) && r.start < r.end)) {
+      return res.status(400).json({ error: 'Blocked ranges must use HH:mm start and end times, with start before end' });
+    }
+    if (!closed && periods.length === 0 && blockedRanges.length === 0) {
+      return res.status(400).json({ error: 'Close the day, set custom hours or block a time range' });
+    }
+
+    const restaurant = await findRestaurantForUser(req, res, 'closure:manage');
+    if (!restaurant) return;
+
+    const closure = {
+      date,
+      closed: !!closed,
+      periods: closed ? [] : periods.map(({ opening, closing }) => ({ opening, closing })),
+      blockedRanges: closed ? [] : blockedRanges.map(({ start, end }) => ({ start, end })),
+      reason
+    };
+
+    restaurant.closures = restaurant.closures.filter(existing => existing.date !== date);
+    restaurant.closures.push(closure);
+    await saveWithRefreshedAvailability(restaurant);
+
+    const affectedBookings = await countAffectedBookings(restaurant, date);
+    console.log(`Saved closure for ${restaurant.name} on ${toStoredDate(date)}; ${affectedBookings} existing bookings affected`);
+
+    res.status(201).json({ closures: restaurant.closures, affectedBookings });
+  } catch (error) {
+    console.error('Error saving closure:', error);
+    res.status(500).json({ error: 'Error saving closure' });
+  }
+};
+
+// DELETE /api/restaurants/:id/closures/:closureId - Reopen a date with its regular hours
+exports.deleteClosure = async (req, res) => {
+  try {
+    const restaurant = await findRestaurantForUser(req, res, 'closure:manage');
+    if (!restaurant) return;
+
+    const closure = restaurant.closures.id(req.params.closureId);
+    if (!closure) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    closure.deleteOne();
+    await saveWithRefreshedAvailability(restaurant);
+
+    res.json({ closures: restaurant.closures });
+  } catch (error) {
+    console.error('Error deleting closure:', error);
+    res.status(500).json({ error: 'Error deleting closure' });
+  }
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { retryDeadJob } = require('../utils/jobQueue');
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'dead'];
+
+// What the admin view shows of a job. The full payload stays in the database: email arguments can hold bookings,
+// addresses and the links in the messages.
+const summarizeJob = (job) => {
+  const { payload = {} } = job;
+  let summary;
+  if (job.type === 'email') {
+    summary = { name: payload.name, to: payload.args?.[0]?.email };
+  } else if (job.type === 'linkEmail') {
+    summary = { name: payload.name, to: payload.to };
+  } else {
+    summary = { type: payload.type, userId: payload.userId };
+  }
+  return { ...job.toObject(), payload: summary };
+};
+
+// GET /api/admin/jobs - Outbound jobs, newest first, with a count per status. Optional ?status= and ?limit=
+exports.getJobs = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const [jobs, grouped] = await Promise.all([
+      Job.find(status ? { status } : {}).sort({ createdAt: -1 }).limit(limit),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = Object.fromEntries(JOB_STATUSES.map(name => [name, 0]));
+    grouped.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({ jobs: jobs.map(summarizeJob), counts });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Error fetching jobs' });
+  }
+};
+
+// POST /api/admin/jobs/:id/retry - Requeue a dead job with a fresh set of attempts
+exports.retryJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const job = await retryDeadJob(req.params.id);
+    if (!job) {
+      const exists = await Job.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ error: 'Only dead jobs can be retried' })
+        : res.status(404).json({ error: 'Job not found' });
+    }
+    console.log(`Job ${job._id} requeued by ${req.user.email}`);
+    res.json(summarizeJob(job));
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Error retrying job' });
+  }
+};
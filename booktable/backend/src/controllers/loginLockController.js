@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+
+// GET /api/admin/login-locks - Accounts and IP addresses currently locked out of signing in, newest first.
+// Account locks include the matching user, or null when someone was guessing at an email with no account.
+exports.getLoginLocks = async (req, res) => {
+  try {
+    const locks = await LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+      .sort({ updatedAt: -1 })
+      .select('-unlockTokenHash')
+      .lean();
+
+    const emails = locks.filter(lock => lock.kind === 'account').map(lock => lock.key);
+    const users = await User.find({ email: { $in: emails } }).select('firstName lastName email role').lean();
+    const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+    res.json(locks.map(lock => ({
+      ...lock,
+      user: lock.kind === 'account' ? usersByEmail.get(lock.key) || null : null
+    })));
+  } catch (error) {
+    console.error('Error fetching login locks:', error);
+    res.status(500).json({ error: 'Error fetching login locks' });
+  }
+};
+
+// DELETE /api/admin/login-locks/:id - Lift a lockout and forget its failed attempts
+exports.clearLoginLock = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Lock not found' });
+    }
+    const lock = await LoginThrottle.findByIdAndDelete(req.params.id);
+    if (!lock) {
+      return res.status(404).json({ error: 'Lock not found' });
+    }
+    console.log(`Login lock on ${lock.kind} ${lock.key} lifted by ${req.user.email}`);
+    res.json({ message: 'Lock lifted', _id: lock._id });
+  } catch (error) {
+    console.error('Error clearing login lock:', error);
+    res.status(500).json({ error: 'Error clearing login lock' });
+  }
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const ManagerApplication = require('../models/ManagerApplication');
+const User = require('../models/User');
+const { submitApplication, notifyDecision } = require('../utils/managerApplications');
+const { can } = require('../utils/permissions');
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Mongoose validation and duplicate-key errors become 400s, anything else a 500
+const sendApplicationError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: Object.values(error.errors).map(e => e.message).join(', ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ error: 'You already have an application waiting for review' });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// GET /api/auth/manager-application - The signed-in user's most recent application, or null
+exports.getMyApplication = async (req, res) => {
+  try {
+    const application = await ManagerApplication.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.json(application);
+  } catch (error) {
+    console.error('Error fetching manager application:', error);
+    res.status(500).json({ error: 'Error fetching manager application' });
+  }
+};
+
+// POST /api/auth/manager-application - A signed-in customer applies to become a manager
+exports.applyForManager = async (req, res) => {
+  try {
+    if (!can(req.user, 'managerApplication:create')) {
+      return res.status(400).json({ error: 'Only customer accounts can apply to become a manager' });
+    }
+    const { restaurantName, message } = req.body;
+    const application = await submitApplication(req.user, { restaurantName, message });
+    console.log(`Manager application ${application._id} submitted by ${req.user.email}`);
+    res.status(201).json(application);
+  } catch (error) {
+    sendApplicationError(res, error, 'Error submitting manager application');
+  }
+};
+
+// GET /api/admin/manager-applications - Applications, newest first, with the applicant. Optional ?status=
+exports.getApplications = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+    }
+    const applications = await ManagerApplication.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('userId', 'firstName lastName email emailVerified role createdAt')
+      .populate('reviewedBy', 'firstName lastName');
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching manager applications:', error);
+    res.status(500).json({ error: 'Error fetching manager applications' });
+  }
+};
+
+// Moves a pending application to approved/rejected. Only one admin can decide; a second gets a 400.
+const decide = async (req, res, status) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ error: 'Application not found' });
+  }
+  const existing = await ManagerApplication.findById(req.params.id).populate('userId');
+  if (!existing) {
+    return res.status(404).json({ error: 'Application not found' });
+  }
+  if (existing.status !== 'pending') {
+    return res.status(400).json({ error: `This application has already been ${existing.status}` });
+  }
+  const applicant = existing.userId;
+  if (!applicant) {
+    return res.status(400).json({ error: 'The applicant account no longer exists' });
+  }
+  if (status === 'approved' && !applicant.emailVerified) {
+    return res.status(400).json({ error: 'The applicant has not confirmed their email address yet' });
+  }
+
+  // Promoted first, and only if still an active customer: the account may have been deactivated, deleted or given
+  // another role since it was read
+  const promotable = { _id: applicant._id, role: 'customer', active: true, deletedAt: null };
+  if (status === 'approved' && !(await User.updateOne(promotable, { role: 'manager' })).matchedCount) {
+    return res.status(400).json({ error: 'The applicant is no longer an active customer account' });
+  }
+
+  const application = await ManagerApplication.findOneAndUpdate(
+    { _id: existing._id, status: 'pending' },
+    {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      decisionReason: status === 'rejected' ? req.body?.reason : undefined
+    },
+    { new: true, runValidators: true }
+  );
+  if (!application) {
+    // Another admin rejected it first, so the promotion that went with this approval is undone
+    if (status === 'approved') {
+      await User.updateOne({ _id: applicant._id, role: 'manager' }, { role: 'customer' });
+    }
+    return res.status(400).json({ error: 'This application has already been decided' });
+  }
+
+  console.log(`Manager application ${application._id} ${status} by ${req.user.email}`);
+  await notifyDecision(applicant, application);
+
+  await application.populate([
+    { path: 'userId', select: 'firstName lastName email emailVerified role createdAt' },
+    { path: 'reviewedBy', select: 'firstName lastName' }
+  ]);
+  res.json(application);
+};
+
+// POST /api/admin/manager-applications/:id/approve - Make the applicant a manager
+exports.approveApplication = async (req, res) => {
+  try {
+    await decide(req, res, 'approved');
+  } catch (error) {
+    sendApplicationError(res, error, 'Error approving manager application');
+  }
+};
+
+// POST /api/admin/manager-applications/:id/reject - Turn the application down, with an optional { reason }
+exports.rejectApplication = async (req, res) => {
+  try {
+    await decide(req, res, 'rejected');
+  } catch (error) {
+    sendApplicationError(res, error, 'Error rejecting manager application');
+  }
+};
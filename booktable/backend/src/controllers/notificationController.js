@@ -1,4 +1,6 @@
 const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { userChannel, openStream, publishUnreadCount } = require('../utils/realtime');
 
 // GET /api/notifications - Fetch notifications for the logged-in user
 exports.getUserNotifications = async (req, res) => {
@@ -29,6 +31,8 @@ exports.markNotificationAsRead = async (req, res) => {
       return res.status(404).json({ error: 'Notification not found or not owned by user' });
     }
     res.json(notification);
+    // Keep the badge in step in the user's other tabs
+    publishUnreadCount(req.user._id).catch(error => console.error('Failed to push unread count:', error));
   } catch (error) {
     console.error('Error marking notification as read:', error);
     res.status(500).json({ error: 'Error updating notification' });
@@ -43,8 +47,56 @@ exports.markAllNotificationsAsRead = async (req, res) => {
       { isRead: true }
     );
     res.status(200).json({ message: 'All notifications marked as read' });
+    publishUnreadCount(req.user._id).catch(error => console.error('Failed to push unread count:', error));
   } catch (error) {
     console.error('Error marking all notifications as read:', error);
     res.status(500).json({ error: 'Error updating notifications' });
   }
 };
+
+// GET /api/notifications/stream - Server-Sent Events: 'notification' for each new notification and 'unread' when the count changes
+exports.streamNotifications = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, isRead: false });
+    const send = openStream(req, res, [userChannel(req.user._id)]);
+    // Start with the current count so a reconnecting client catches up on anything it missed
+    send('unread', { unreadCount });
+    console.log(`Notification stream opened for ${req.user.email}`);
+  } catch (error) {
+    console.error('Error opening notification stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error opening notification stream' });
+    }
+  }
+};
+
+// GET /api/notifications/preferences - Which optional messages the user receives
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Error fetching notification preferences' });
+  }
+};
+
+// PATCH /api/notifications/preferences - Opt in or out of optional messages, e.g. { bookingReminders: false }
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { bookingReminders } = req.body;
+    if (typeof bookingReminders !== 'boolean') {
+      return res.status(400).json({ error: 'bookingReminders must be true or false' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'notificationPreferences.bookingReminders': bookingReminders },
+      { new: true }
+    ).select('notificationPreferences');
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Error updating notification preferences' });
+  }
+};
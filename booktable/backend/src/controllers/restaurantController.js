@@ -1,9 +1,18 @@
 const Restaurant = require('../models/Restaurant');
+const StaffInvitation = require('../models/StaffInvitation');
 const mongoose = require('mongoose'); // Import mongoose for ObjectId
 const moment = require('moment'); // Ensure moment is required
 const multer = require('multer');
 const AWS = require('aws-sdk');
 const path = require('path');
+const {
+  TIME_PATTERN,
+  getActiveBookingsByRestaurant,
+  getAvailableTimes,
+  refreshAvailableTables
+} = require('../utils/availability');
+const { can } = require('../utils/permissions');
+const { staffFilter } = require('../utils/restaurantStaff');
 
 // Configure AWS S3
 // Ensure your AWS credentials and region are set in your .env file or environment
@@ -80,38 +89,112 @@ const addReviewAndManagerInfoStages = [
   {
     $project: { // Clean up temporary fields
       reviewObjects: 0, // Don't return the full array of review documents
-      managerDocs: 0    // Don't return the full array of manager documents
+      managerDocs: 0,   // Don't return the full array of manager documents
+      staff: 0          // Who works there is for the restaurant's own staff (see GET /:id/staff)
     }
   }
 ];
 
-// Helper function to generate time slots
-// Example: generateTimeSlots("10:00", "22:00", 30)
-// Returns: ["10:00", "10:30", ..., "21:30"] (does not include closing time itself as a start slot)
-const generateTimeSlots = (openingTimeStr, closingTimeStr, intervalMinutes = 30) => {
-  const slots = [];
-  if (!openingTimeStr || !closingTimeStr) {
-    console.warn('[generateTimeSlots] Opening or closing time is undefined. Cannot generate slots.');
-    return slots;
+// Helper function to read the turn time setting from a JSON or FormData body
+// FormData sends turnTime[defaultMinutes] and turnTime[byPartySize] (a JSON string, like tables)
+// Returns undefined when the request does not touch the turn time
+const parseTurnTime = (body) => {
+  let defaultMinutes;
+  let byPartySize;
+
+  if (body['turnTime[defaultMinutes]'] !== undefined || body['turnTime[byPartySize]'] !== undefined) {
+    defaultMinutes = body['turnTime[defaultMinutes]'];
+    byPartySize = body['turnTime[byPartySize]'];
+  } else if (body.turnTime && typeof body.turnTime === 'object') {
+    ({ defaultMinutes, byPartySize } = body.turnTime);
+  } else {
+    return undefined;
   }
-  const [openH, openM] = openingTimeStr.split(':').map(Number);
-  const [closeH, closeM] = closingTimeStr.split(':').map(Number);
 
-  // Use a fixed date for time calculations, only hours and minutes matter here
-  let currentTime = moment().hours(openH).minutes(openM).seconds(0).milliseconds(0);
-  let closingTime = moment().hours(closeH).minutes(closeM).seconds(0).milliseconds(0);
+  if (typeof byPartySize === 'string') {
+    try {
+      byPartySize = JSON.parse(byPartySize);
+    } catch (e) {
+      console.error('[parseTurnTime] Error parsing turnTime[byPartySize]:', byPartySize, e);
+      byPartySize = [];
+    }
+  }
+
+  const turnTime = {
+    byPartySize: (Array.isArray(byPartySize) ? byPartySize : [])
+      .map(rule => ({ maxPartySize: parseInt(rule?.maxPartySize, 10), minutes: parseInt(rule?.minutes, 10) }))
+      .filter(rule => rule.maxPartySize > 0 && rule.minutes >= 15)
+  };
+  const parsedDefault = parseInt(defaultMinutes, 10);
+  if (!isNaN(parsedDefault) && parsedDefault >= 15) {
+    turnTime.defaultMinutes = parsedDefault;
+  }
+  return turnTime;
+};
+
+// Helper function to read bookingHorizonDays (how many days ahead bookings open)
+const parseBookingHorizon = (value) => {
+  const days = parseInt(value, 10);
+  if (isNaN(days) || days < 1 || days > 365) return undefined;
+  return days;
+};
 
-  // If closing time is on the next day (e.g. opens 10 PM, closes 2 AM relative to a single day's perspective)
-  // or if closing time is earlier than opening time on the same day (e.g. 08:00 close, 10:00 open - assumed next day)
-  if (closingTime.isSameOrBefore(currentTime)) {
-    closingTime.add(1, 'day');
+// Helper function to read the manual approval setting from a JSON or FormData body
+// FormData sends bookingApproval[required] ('true'/'false') and bookingApproval[expiryMinutes]
+// Returns undefined when the request does not touch it
+const parseBookingApproval = (body) => {
+  let required;
+  let expiryMinutes;
+
+  if (body['bookingApproval[required]'] !== undefined || body['bookingApproval[expiryMinutes]'] !== undefined) {
+    required = body['bookingApproval[required]'];
+    expiryMinutes = body['bookingApproval[expiryMinutes]'];
+  } else if (body.bookingApproval && typeof body.bookingApproval === 'object') {
+    ({ required, expiryMinutes } = body.bookingApproval);
+  } else {
+    return undefined;
   }
 
-  while (currentTime.isBefore(closingTime)) {
-    slots.push(currentTime.format('HH:mm'));
-    currentTime.add(intervalMinutes, 'minutes');
+  const bookingApproval = { required: required === true || required === 'true' };
+  const minutes = parseInt(expiryMinutes, 10);
+  if (!isNaN(minutes) && minutes >= 5 && minutes <= 10080) {
+    bookingApproval.expiryMinutes = minutes;
   }
-  return slots;
+  return bookingApproval;
+};
+
+// Helper function to read weeklySchedule from a JSON array or a JSON string (FormData)
+// Returns undefined when the request does not touch the weekly schedule
+const parseWeeklySchedule = (value) => {
+  if (value === undefined) return undefined;
+
+  let entries = value;
+  if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries);
+    } catch (e) {
+      console.error('[parseWeeklySchedule] Error parsing weeklySchedule:', value, e);
+      return undefined;
+    }
+  }
+  if (!Array.isArray(entries)) return undefined;
+
+  const byDay = new Map(); // One entry per weekday, the last one wins
+  entries.forEach(entry => {
+    const dayOfWeek = parseInt(entry?.dayOfWeek, 10);
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) return;
+
+    const periods = (Array.isArray(entry.periods) ? entry.periods : [])
+      .filter(period => TIME_PATTERN.test(period?.opening) && TIME_PATTERN.test(period?.closing))
+      .map(period => ({ opening: period.opening, closing: period.closing }))
+      .sort((a, b) => a.opening.localeCompare(b.opening));
+
+    // A day that is neither closed nor has valid periods falls back to the usual hours
+    if (!entry.closed && periods.length === 0) return;
+    byDay.set(dayOfWeek, { dayOfWeek, closed: !!entry.closed, periods: entry.closed ? [] : periods });
+  });
+
+  return [...byDay.values()].sort((a, b) => a.dayOfWeek - b.dayOfWeek);
 };
 
 exports.createRestaurant = async (req, res) => {
@@ -219,6 +302,10 @@ exports.createRestaurant = async (req, res) => {
       hours, // contains hours.opening and hours.closing
       contactInfo: restaurantData.contactInfo || {}, // Ensure contactInfo is an object
       managerId: req.user._id, 
+      turnTime: parseTurnTime(req.body),
+      weeklySchedule: parseWeeklySchedule(req.body.weeklySchedule) || [],
+      bookingHorizonDays: parseBookingHorizon(req.body.bookingHorizonDays),
+      bookingApproval: parseBookingApproval(req.body),
       photos: photoUrl ? [photoUrl] : [], 
       isApproved: false, 
       isPending: true, 
@@ -231,28 +318,12 @@ exports.createRestaurant = async (req, res) => {
       newRestaurantData.tables = tables; // Assign the PARSED array of physical tables
       console.log('[createRestaurant] Assigned physical tables to newRestaurantData.tables:', JSON.stringify(newRestaurantData.tables, null, 2));
 
-      // Generate availableTimes based on restaurant's hours
-      const dailyAvailableTimes = generateTimeSlots(newRestaurantData.hours.opening, newRestaurantData.hours.closing);
-      console.log('[createRestaurant] Generated dailyAvailableTimes:', dailyAvailableTimes);
-
-      if (dailyAvailableTimes.length > 0) {
-        const numberOfDaysToGenerate = 30; // Generate for next 30 days
-        for (let i = 0; i < numberOfDaysToGenerate; i++) {
-          const currentDate = moment().add(i, 'days');
-          const dateStr = `RAW_DATE_STR:${currentDate.format('YYYY-MM-DD')}`;
-
-          const dailyEntry = {
-            date: dateStr,
-            tables: newRestaurantData.tables.map(physicalTable => ({
-              tableSize: physicalTable.tableSize,
-              // For now, assume all physical tables of a certain size share the same broad availability slots.
-              // Count of physical tables of this size (physicalTable.count) is not directly part of this schema structure
-              // but is important for booking logic later.
-              availableTimes: [...dailyAvailableTimes] 
-            }))
-          };
-          newRestaurantData.availableTables.push(dailyEntry);
-        }
+      // Generate the slot schedule up to the booking horizon; the availability job keeps it rolling.
+      // All physical tables of a size share the same slot schedule. How many of them are still
+      // free at a slot is worked out from Restaurant.tables[].count and the active bookings.
+      const { availableTables } = refreshAvailableTables(newRestaurantData, { rebuild: true });
+      newRestaurantData.availableTables = availableTables;
+      if (availableTables.length > 0) {
         console.log(`[createRestaurant] Generated ${newRestaurantData.availableTables.length} days of availability.`);
       } else {
         console.warn('[createRestaurant] No daily available times generated, check opening/closing hours. Skipping availableTables generation.');
@@ -283,7 +354,7 @@ exports.getAllRestaurants = async (req, res) => {
   try {
     let matchCondition = { isApproved: true }; // Default for non-admin/public
 
-    if (req.user && req.user.role === 'admin') {
+    if (req.user && can(req.user, 'restaurant:listAll')) {
       console.log('RESTAURANT_CONTROLLER_GET_ALL_ADMIN_PATH');
       matchCondition = {}; // Admin sees all restaurants
     } else {
@@ -364,11 +435,28 @@ exports.getAllRestaurants = async (req, res) => {
   }
 }; 
 
+// Restaurants the user owns or works at, each with staffRole: 'owner', 'manager' or 'host'
 exports.getManagedRestaurants = async (req, res) => {
   try {
-    const managerId = req.user._id; // Get manager's ID from authenticated user
+    const userId = new mongoose.Types.ObjectId(String(req.user._id));
     const restaurants = await Restaurant.aggregate([
-      { $match: { managerId: new mongoose.Types.ObjectId(managerId) } }, // Filter by managerId
+      { $match: staffFilter(userId) }, // Owned or on the staff
+      {
+        $addFields: { // The user's role here, worked out before the staff list is dropped
+          staffRole: {
+            $cond: {
+              if: { $eq: ['$managerId', userId] },
+              then: 'owner',
+              else: {
+                $let: {
+                  vars: { member: { $arrayElemAt: [{ $filter: { input: { $ifNull: ['$staff', []] }, cond: { $eq: ['$$this.userId', userId] } } }, 0] } },
+                  in: '$$member.role'
+                }
+              }
+            }
+          }
+        }
+      },
       ...addReviewAndManagerInfoStages // Add review and manager info
     ]);
     res.json(restaurants);
@@ -504,7 +592,15 @@ exports.searchRestaurants = async (req, res) => {
         ...addReviewAndManagerInfoStages
       ];
       
-      restaurants = await Restaurant.aggregate(pipeline);
+      const candidates = await Restaurant.aggregate(pipeline);
+
+      // The pipeline only knows which slots exist; drop restaurants whose tables in the window
+      // are all taken by existing bookings.
+      const bookingsByRestaurant = await getActiveBookingsByRestaurant(candidates.map(r => r._id), date);
+      restaurants = candidates.filter(restaurant => {
+        const bookings = bookingsByRestaurant.get(restaurant._id.toString()) || [];
+        return getAvailableTimes(restaurant, date, numericPartySize, bookings, startTimeStr, endTimeStr).length > 0;
+      });
       
     } else {
       // restaurants = await Restaurant.find(initialQuery)
@@ -598,7 +694,7 @@ exports.updateRestaurant = async (req, res) => {
     }
     
     // Then check if the user is authorized to update it
-    if (restaurantExists.managerId.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'restaurant:update', restaurantExists)) {
       return res.status(403).json({ error: 'Not authorized to update this restaurant' });
     }
     
@@ -651,6 +747,30 @@ exports.updateRestaurant = async (req, res) => {
       };
     }
     
+    // Handle weekly schedule if provided
+    const weeklySchedule = parseWeeklySchedule(req.body.weeklySchedule);
+    if (weeklySchedule) {
+      updateData.weeklySchedule = weeklySchedule;
+    }
+    
+    // Handle turn time if provided; keep the current default when only overrides are sent
+    const turnTime = parseTurnTime(req.body);
+    if (turnTime) {
+      updateData.turnTime = {
+        defaultMinutes: turnTime.defaultMinutes || restaurantExists.turnTime?.defaultMinutes,
+        byPartySize: turnTime.byPartySize
+      };
+    }
+    
+    // Handle manual approval if provided; keep the current expiry when only the switch is sent
+    const bookingApproval = parseBookingApproval(req.body);
+    if (bookingApproval) {
+      updateData.bookingApproval = {
+        required: bookingApproval.required,
+        expiryMinutes: bookingApproval.expiryMinutes || restaurantExists.bookingApproval?.expiryMinutes
+      };
+    }
+    
     // Handle contact info if provided
     if (req.body['contactInfo[phone]'] || req.body['contactInfo[email]']) {
       // Handle FormData format
@@ -706,93 +826,24 @@ exports.updateRestaurant = async (req, res) => {
       
       if (validTables.length > 0) {
         updateData.tables = validTables;
-        
-        // Update available tables based on the physical tables
-        // Get today's date at midnight
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        // Generate available times based on opening/closing hours
-        const openingHour = updateData.hours?.opening || restaurantExists.hours?.opening || '09:00';
-        const closingHour = updateData.hours?.closing || restaurantExists.hours?.closing || '22:00';
-        
-        const [openHour, openMinute] = openingHour.split(':').map(Number);
-        const [closeHour, closeMinute] = closingHour.split(':').map(Number);
-        
-        const availableTimes = [];
-        let currentHour = openHour;
-        let currentMinute = openMinute;
-        
-        // Generate time slots every 30 minutes
-        while (currentHour < closeHour || (currentHour === closeHour && currentMinute < closeMinute)) {
-          availableTimes.push(`${currentHour.toString().padStart(2, '0')}:${currentMinute.toString().padStart(2, '0')}`);
-          
-          currentMinute += 30;
-          if (currentMinute >= 60) {
-            currentHour += 1;
-            currentMinute = 0;
-          }
-        }
-        
-        // Get existing available tables
-        const existingAvailableTables = restaurantExists.availableTables || [];
-        
-        // Create a map of existing dates to their tables
-        const existingDateMap = new Map();
-        existingAvailableTables.forEach(dateEntry => {
-          const dateStr = new Date(dateEntry.date).toISOString().split('T')[0];
-          existingDateMap.set(dateStr, dateEntry);
-        });
-        
-        // Create available tables for the next 30 days
-        const availableTablesData = [];
-        
-        for (let i = 0; i < 30; i++) {
-          const date = new Date(today);
-          date.setDate(today.getDate() + i);
-          const dateStr = date.toISOString().split('T')[0];
-          
-          // Check if we have existing tables for this date
-          const existingEntry = existingDateMap.get(dateStr);
-          
-          // For the first 3 days, always use the new tables configuration
-          // For other days, preserve existing bookings if available
-          if (i < 3 || !existingEntry) {
-            // For the first 3 days or if no existing entry, create new tables
-            const tablesForDate = {
-              tables: validTables.map(table => ({
-                tableSize: table.tableSize,
-                count: table.count,
-                availableTimes: availableTimes // Use the generated times
-              }))
-            };
-            const formattedDate = `RAW_DATE_STR:${dateStr}`;
-            tablesForDate.date = formattedDate; // Assign the formatted date
-
-            availableTablesData.push(tablesForDate);
-          } else {
-            // Preserve existing entry for days beyond the 3-day override window
-            // Important: Ensure existing entries are also stored with the prefix if they aren't already
-            if (existingEntry && typeof existingEntry.date === 'object' && existingEntry.date instanceof Date) {
-                // If it's a Date object, convert it
-                const existingDateStr = existingEntry.date.toISOString().split('T')[0];
-                existingEntry.date = `RAW_DATE_STR:${existingDateStr}`;
-            } else if (existingEntry && typeof existingEntry.date === 'string' && !existingEntry.date.startsWith('RAW_DATE_STR:')){
-                // If it's a string but lacks the prefix (legacy data?), add it
-                // Be cautious with assumptions about the string format here
-                if (existingEntry.date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    existingEntry.date = `RAW_DATE_STR:${existingEntry.date}`;
-                }
-                // Add more checks if other legacy string formats exist
-            }
-            // If it already has the prefix or is not a recognizable format, leave it as is
-            availableTablesData.push(existingEntry);
-          }
-        }
-        updateData.availableTables = availableTablesData;
       }
     }
     
+    if (req.body.bookingHorizonDays !== undefined) {
+      const bookingHorizonDays = parseBookingHorizon(req.body.bookingHorizonDays);
+      if (bookingHorizonDays) updateData.bookingHorizonDays = bookingHorizonDays;
+    }
+    
+    // Regenerate the slot schedule when anything it is built from changes. The schedule holds no
+    // booking state (availability comes from the bookings), so every day can be rebuilt safely.
+    if (updateData.tables || updateData.hours || updateData.weeklySchedule || updateData.bookingHorizonDays) {
+      const { availableTables } = refreshAvailableTables(
+        { ...restaurantExists.toObject(), ...updateData },
+        { rebuild: true }
+      );
+      updateData.availableTables = availableTables;
+    }
+    
     // Handle photos
     // 1. Check for new uploaded photo
     if (req.file) {
@@ -840,20 +891,19 @@ exports.updateRestaurant = async (req, res) => {
 
 exports.deleteRestaurant = async (req, res) => {
   try {
-    const query = { _id: req.params.id };
-
-    // If the user is a manager, they can only delete their own restaurants
-    if (req.user.role === 'manager') {
-      query.managerId = req.user._id;
+    const restaurant = await Restaurant.findById(req.params.id).select('managerId');
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
     }
-    // Admins can delete any restaurant, so no additional managerId check for them.
 
-    const restaurant = await Restaurant.findOneAndDelete(query);
-
-    if (!restaurant) {
-      return res.status(404).json({ error: 'Restaurant not found or not authorized to delete' });
+    // Managers can only delete their own restaurants; admins can delete any
+    if (!can(req.user, 'restaurant:delete', restaurant)) {
+      return res.status(403).json({ error: 'Not authorized to delete this restaurant' });
     }
 
+    await Restaurant.deleteOne({ _id: restaurant._id });
+    await StaffInvitation.deleteMany({ restaurantId: restaurant._id });
+
     res.json({ message: 'Restaurant deleted successfully' });
   } catch (error) {
     console.error('Error deleting restaurant:', error);
@@ -863,8 +913,7 @@ exports.deleteRestaurant = async (req, res) => {
 
 exports.approveRestaurant = async (req, res) => {
   try {
-    // Add role check: ensure req.user.role is 'admin'
-    if (req.user.role !== 'admin') {
+    if (!can(req.user, 'restaurant:approve')) {
       return res.status(403).json({ error: 'Forbidden: Only admins can approve restaurants.' });
     }
 
@@ -1,5 +1,22 @@
 const Review = require('../models/Review');
 const Booking = require('../models/Booking');
+const Restaurant = require('../models/Restaurant');
+const { queueNotification } = require('../utils/jobQueue');
+const { can } = require('../utils/permissions');
+
+// Loads the review in req.params.id if the user may perform the action on it (only its author may)
+const findReviewForUser = async (req, res, action) => {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404).json({ error: 'Review not found' });
+    return null;
+  }
+  if (!can(req.user, action, review)) {
+    res.status(403).json({ error: 'Not authorized to change this review' });
+    return null;
+  }
+  return review;
+};
 
 exports.createReview = async (req, res) => {
   try {
@@ -34,6 +51,21 @@ exports.createReview = async (req, res) => {
     });
 
     await review.save();
+
+    // Let the restaurant's manager know about the new review
+    try {
+      const restaurant = await Restaurant.findById(restaurantId).select('name managerId');
+      if (restaurant && restaurant.managerId) {
+        await queueNotification({
+          userId: restaurant.managerId,
+          message: `${req.user.firstName} left a ${rating}-star review of ${restaurant.name}.`,
+          type: 'review_posted'
+        });
+      }
+    } catch (notificationError) {
+      console.error('Failed to queue review notification:', notificationError);
+    }
+
     res.status(201).json(review);
   } catch (error) {
     res.status(500).json({ error: 'Error creating review' });
@@ -54,14 +86,8 @@ exports.getRestaurantReviews = async (req, res) => {
 exports.updateReview = async (req, res) => {
   try {
     const { rating, comment } = req.body;
-    const review = await Review.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-
-    if (!review) {
-      return res.status(404).json({ error: 'Review not found' });
-    }
+    const review = await findReviewForUser(req, res, 'review:update');
+    if (!review) return;
 
     review.rating = rating;
     review.comment = comment;
@@ -75,14 +101,10 @@ exports.updateReview = async (req, res) => {
 
 exports.deleteReview = async (req, res) => {
   try {
-    const review = await Review.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const review = await findReviewForUser(req, res, 'review:delete');
+    if (!review) return;
 
-    if (!review) {
-      return res.status(404).json({ error: 'Review not found' });
-    }
+    await review.deleteOne();
 
     res.json({ message: 'Review deleted successfully' });
   } catch (error) {
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const StaffInvitation = require('../models/StaffInvitation');
+const { queueNotification } = require('../utils/jobQueue');
+const { can, staffRoleAt } = require('../utils/permissions');
+const { inviteStaff, acceptInvitation } = require('../utils/restaurantStaff');
+
+const STAFF_ROLES = ['manager', 'host'];
+
+// Loads the restaurant in req.params.id if the user may perform the staff action on it.
+// Sends the error response and resolves to null otherwise.
+const findRestaurantForUser = async (req, res, action) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Restaurant not found' });
+    return null;
+  }
+  const restaurant = await Restaurant.findById(req.params.id).select('name managerId staff');
+  if (!restaurant) {
+    res.status(404).json({ error: 'Restaurant not found' });
+    return null;
+  }
+  if (!can(req.user, action, restaurant)) {
+    res.status(403).json({ error: 'Not authorized to manage staff for this restaurant' });
+    return null;
+  }
+  return restaurant;
+};
+
+// Adding, changing or removing a manager is for the owner; managers look after the hosts
+const mayManageRole = (user, restaurant, role) => can(user, role === 'manager' ? 'staff:manageManagers' : 'staff:manage', restaurant);
+
+const notifyMember = async (userId, message) => {
+  try {
+    await queueNotification({ userId, message, type: 'staff_update' });
+  } catch (notificationError) {
+    console.error('Failed to queue staff notification:', notificationError);
+  }
+};
+
+// GET /api/restaurants/:id/staff - The owner, staff and (for those who manage staff) open invitations
+exports.getStaff = async (req, res) => {
+  try {
+    const found = await findRestaurantForUser(req, res, 'staff:read');
+    if (!found) return;
+
+    const restaurant = await Restaurant.findById(found._id)
+      .select('name managerId staff')
+      .populate('managerId', 'firstName lastName email')
+      .populate('staff.userId', 'firstName lastName email');
+
+    let invitations = [];
+    if (can(req.user, 'staff:manage', found)) {
+      invitations = await StaffInvitation.find({
+        restaurantId: found._id,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+        .select('email role expiresAt createdAt')
+        .sort({ createdAt: -1 });
+    }
+
+    res.json({
+      yourRole: staffRoleAt(req.user, found),
+      owner: restaurant.managerId,
+      staff: restaurant.staff.filter(member => member.userId),
+      invitations
+    });
+  } catch (error) {
+    console.error('Error fetching restaurant staff:', error);
+    res.status(500).json({ error: 'Error fetching restaurant staff' });
+  }
+};
+
+// POST /api/restaurants/:id/staff/invitations - Email an invitation ({ email, role: 'manager' | 'host' })
+exports.inviteStaffMember = async (req, res) => {
+  try {
+    const restaurant = await findRestaurantForUser(req, res, 'staff:manage');
+    if (!restaurant) return;
+
+    const { email, role } = req.body;
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!mayManageRole(req.user, restaurant, role)) {
+      return res.status(403).json({ error: 'Only the owner can add managers' });
+    }
+
+    const populated = await Restaurant.findById(restaurant._id)
+      .select('managerId staff')
+      .populate('managerId', 'email')
+      .populate('staff.userId', 'email');
+    const address = email.trim().toLowerCase();
+    if (populated.managerId?.email === address || populated.staff.some(member => member.userId?.email === address)) {
+      return res.status(400).json({ error: `${address} already works at ${restaurant.name}` });
+    }
+
+    const invitation = await inviteStaff(restaurant, { email: address, role }, req.user);
+    console.log(`[STAFF] ${req.user.email} invited ${address} to ${restaurant.name} as ${role}`);
+    res.status(201).json({
+      _id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    console.error('Error inviting staff member:', error);
+    res.status(500).json({ error: 'Error inviting staff member' });
+  }
+};
+
+// DELETE /api/restaurants/:id/staff/invitations/:invitationId - Withdraw an invitation; its link stops working
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const restaurant = await findRestaurantForUser(req, res, 'staff:manage');
+    if (!restaurant) return;
+
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.invitationId)
+      ? await StaffInvitation.findOne({ _id: req.params.invitationId, restaurantId: restaurant._id, status: 'pending' })
+      : null;
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (!mayManageRole(req.user, restaurant, invitation.role)) {
+      return res.status(403).json({ error: 'Only the owner can withdraw invitations for managers' });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+    console.log(`[STAFF] ${req.user.email} withdrew the invitation for ${invitation.email} to ${restaurant.name}`);
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing staff invitation:', error);
+    res.status(500).json({ error: 'Error withdrawing staff invitation' });
+  }
+};
+
+// PATCH /api/restaurants/:id/staff/:userId - Change a staff member's role ({ role }). Owner only.
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const restaurant = await findRestaurantForUser(req, res, 'staff:manageManagers');
+    if (!restaurant) return;
+
+    const { role } = req.body;
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+    const member = restaurant.staff.find(entry => String(entry.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    member.role = role;
+    await restaurant.save();
+    console.log(`[STAFF] ${req.user.email} made ${member.userId} a ${role} at ${restaurant.name}`);
+    await notifyMember(member.userId, `You are now a ${role} at ${restaurant.name}.`);
+    res.json(member);
+  } catch (error) {
+    console.error('Error changing staff role:', error);
+    res.status(500).json({ error: 'Error changing staff role' });
+  }
+};
+
+// DELETE /api/restaurants/:id/staff/:userId - Remove someone from the staff, or leave it yourself
+exports.removeStaffMember = async (req, res) => {
+  try {
+    const restaurant = await findRestaurantForUser(req, res, 'staff:read');
+    if (!restaurant) return;
+
+    const member = restaurant.staff.find(entry => String(entry.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    const leaving = String(member.userId) === String(req.user._id);
+    if (!leaving && !mayManageRole(req.user, restaurant, member.role)) {
+      return res.status(403).json({ error: member.role === 'manager' ? 'Only the owner can remove managers' : 'Not authorized to manage staff for this restaurant' });
+    }
+
+    await Restaurant.updateOne({ _id: restaurant._id }, { $pull: { staff: { userId: member.userId } } });
+    console.log(`[STAFF] ${member.userId} ${leaving ? 'left' : `was removed by ${req.user.email} from`} ${restaurant.name}`);
+    if (!leaving) {
+      await notifyMember(member.userId, `You are no longer on the staff of ${restaurant.name}.`);
+    }
+    res.json({ message: leaving ? `You have left ${restaurant.name}` : 'Staff member removed' });
+  } catch (error) {
+    console.error('Error removing staff member:', error);
+    res.status(500).json({ error: 'Error removing staff member' });
+  }
+};
+
+// POST /api/restaurants/staff-invitations/accept - Join a restaurant's staff with the token from the email ({ token })
+exports.acceptStaffInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const result = await acceptInvitation(token, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(`[STAFF] ${req.user.email} joined ${result.restaurant.name} as ${result.role}`);
+    res.json({
+      message: `You've joined ${result.restaurant.name} as ${result.role}.`,
+      restaurantId: result.restaurant._id,
+      role: result.role
+    });
+  } catch (error) {
+    console.error('Error accepting staff invitation:', error);
+    res.status(500).json({ error: 'Error accepting staff invitation' });
+  }
+};
@@ -0,0 +1,117 @@
+const User = require('../models/User');
+const { revokeAllSessions } = require('../utils/sessions');
+const {
+  isTwoFactorRequired,
+  canUseTwoFactor,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/twoFactor');
+
+// Changes to two-factor need the password, since a stolen access token shouldn't be enough to take it over
+const checkPassword = async (user, password) => {
+  if (typeof password !== 'string' || !password) return false;
+  const account = await User.findById(user._id);
+  return account.comparePassword(password);
+};
+
+// GET /api/auth/2fa - Whether two-factor is on, required for the user's role, and how many backup codes are left
+exports.getTwoFactorSettings = async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user));
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ message: 'Error fetching two-factor status' });
+  }
+};
+
+// POST /api/auth/2fa/setup - Start setup ({ password }); returns the secret and a QR code for the authenticator app
+exports.startTwoFactorSetup = async (req, res) => {
+  try {
+    if (!canUseTwoFactor(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is available to manager and admin accounts' });
+    }
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+    if (!(await checkPassword(req.user, req.body.password))) {
+      return res.status(400).json({ message: 'Your password is incorrect' });
+    }
+
+    const enrollment = await beginEnrollment(req.user);
+    console.log('[2FA] Setup started for:', req.user.email);
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Error starting two-factor setup' });
+  }
+};
+
+// POST /api/auth/2fa/enable - Finish setup with a code from the app ({ code }); returns the backup codes, shown once.
+// Other devices are signed out, since they signed in with just a password.
+exports.confirmTwoFactorSetup = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    const backupCodes = await completeEnrollment(req.user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({ message: 'That code is not right. Check the time on your phone and try again.' });
+    }
+
+    const revoked = await revokeAllSessions(req.user._id, req.sessionId);
+    console.log(`[2FA] Enabled for ${req.user.email}; ${revoked} other sessions signed out`);
+    res.json({ message: 'Two-factor authentication is on.', backupCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Error enabling two-factor authentication' });
+  }
+};
+
+// POST /api/auth/2fa/disable - Turn two-factor off ({ password, code }). Not allowed where the role requires it.
+exports.turnOffTwoFactor = async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on' });
+    }
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(400).json({ message: `Two-factor authentication is required for ${req.user.role} accounts` });
+    }
+    if (!(await checkPassword(req.user, req.body.password))) {
+      return res.status(400).json({ message: 'Your password is incorrect' });
+    }
+    if (!(await verifySecondFactor(req.user._id, req.body.code))) {
+      return res.status(400).json({ message: 'That code is not right' });
+    }
+
+    await disableTwoFactor(req.user._id);
+    console.log('[2FA] Disabled by:', req.user.email);
+    res.json({ message: 'Two-factor authentication is off.' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Error disabling two-factor authentication' });
+  }
+};
+
+// POST /api/auth/2fa/backup-codes - Replace the backup codes ({ code }); the old ones stop working
+exports.replaceBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on' });
+    }
+    if (!(await verifySecondFactor(req.user._id, req.body.code))) {
+      return res.status(400).json({ message: 'That code is not right' });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user._id);
+    console.log('[2FA] Backup codes replaced for:', req.user.email);
+    res.json({ message: 'New backup codes created. The old ones no longer work.', backupCodes });
+  } catch (error) {
+    console.error('Error creating backup codes:', error);
+    res.status(500).json({ message: 'Error creating backup codes' });
+  }
+};
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { revokeAllSessions } = require('../utils/sessions');
+const { sendPasswordReset } = require('../utils/passwordReset');
+const { generateToken } = require('../utils/tokens');
+const { disableTwoFactor } = require('../utils/twoFactor');
+
+const ROLES = ['customer', 'manager', 'admin'];
+const MAX_PAGE_SIZE = 100;
+
+// Fields admins see in the user list
+const USER_FIELDS = 'firstName lastName email role active emailVerified twoFactor.enabled createdAt deletedAt';
+
+// Deleted accounts are anonymized for good: there is nobody left to let back in or to email
+const DELETED_ACCOUNT_ERROR = 'This account has been deleted';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Loads the user an admin action targets, answering 404 (or 400 for the admin's own account) itself
+const findTargetUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (req.user._id.equals(req.params.id)) {
+    res.status(400).json({ error: 'You cannot change your own account from here' });
+    return null;
+  }
+  const user = await User.findById(req.params.id).select(USER_FIELDS);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+const LAST_ADMIN_ERROR = 'This is the only active admin. Make someone else an admin first.';
+
+// Demotes or deactivates the user, unless that would leave no active admin. The update is undone if two admins
+// turned out to be doing it to each other at once. Resolves to the updated user, or null when it was refused.
+const updateUnlessLastAdmin = async (target, update) => {
+  const isActiveAdmin = target.role === 'admin' && target.active;
+  if (isActiveAdmin && await User.countDocuments({ role: 'admin', active: true }) <= 1) return null;
+
+  const user = await User.findByIdAndUpdate(target._id, update, { new: true }).select(USER_FIELDS);
+  if (isActiveAdmin && !(await User.exists({ role: 'admin', active: true }))) {
+    await User.updateOne({ _id: target._id }, { role: target.role, active: target.active });
+    return null;
+  }
+  return user;
+};
+
+// GET /api/admin/users - Users, newest first. Optional ?search= (name or email), ?role=, ?status=active|inactive,
+// ?page= (from 1) and ?limit=
+exports.getUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (status && !['active', 'inactive'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be active or inactive' });
+    }
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.active = status === 'active';
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_FIELDS).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({ users, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Error fetching users' });
+  }
+};
+
+// POST /api/admin/users/:id/deactivate - Block sign-in and sign the user out everywhere
+exports.deactivateUser = async (req, res) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    const user = await updateUnlessLastAdmin(target, { active: false });
+    if (!user) {
+      return res.status(400).json({ error: LAST_ADMIN_ERROR });
+    }
+    const revoked = await revokeAllSessions(user._id);
+    console.log(`User ${user.email} deactivated by ${req.user.email}; ${revoked} sessions signed out`);
+    res.json(user);
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    res.status(500).json({ error: 'Error deactivating user' });
+  }
+};
+
+// POST /api/admin/users/:id/reactivate - Let a deactivated user sign in again
+exports.reactivateUser = async (req, res) => {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+    if (target.deletedAt) {
+      return res.status(400).json({ error: DELETED_ACCOUNT_ERROR });
+    }
+
+    const user = await User.findOneAndUpdate({ _id: target._id, deletedAt: null }, { active: true }, { new: true })
+      .select(USER_FIELDS);
+    if (!user) {
+      return res.status(400).json({ error: DELETED_ACCOUNT_ERROR });
+    }
+    console.log(`User ${user.email} reactivated by ${req.user.email}`);
+    res.json(user);
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({ error: 'Error reactivating user' });
+  }
+};
+
+// PATCH /api/admin/users/:id/role - Change a user's role ({ role })
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    const user = await updateUnlessLastAdmin(target, { role });
+    if (!user) {
+      return res.status(400).json({ error: LAST_ADMIN_ERROR });
+    }
+    console.log(`User ${user.email} changed from ${target.role} to ${role} by ${req.user.email}`);
+    res.json(user);
+  } catch (error) {
+    console.error('Error changing user role:', error);
+    res.status(500).json({ error: 'Error changing user role' });
+  }
+};
+
+// POST /api/admin/users/:id/force-password-reset - Replace the password with a random one, sign the user out
+// everywhere and email them a reset link, e.g. when the account may be compromised
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+    if (user.deletedAt) {
+      return res.status(400).json({ error: DELETED_ACCOUNT_ERROR });
+    }
+
+    // Nobody knows the new password, so the emailed link is the only way back in
+    const account = await User.findById(user._id);
+    account.password = generateToken();
+    await account.save();
+    const revoked = await revokeAllSessions(user._id);
+    const expiresAt = await sendPasswordReset(user);
+    console.log(`Password reset forced for ${user.email} by ${req.user.email}; ${revoked} sessions signed out`);
+
+    res.json({ message: `${user.email} has been signed out and emailed a reset link.`, expiresAt });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({ error: 'Error forcing password reset' });
+  }
+};
+
+// POST /api/admin/users/:id/reset-two-factor - Turn off two-factor for a user who lost their phone and backup codes.
+// They are signed out everywhere; if their role requires two-factor they set it up again after signing in.
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not on for this user' });
+    }
+
+    await disableTwoFactor(user._id);
+    const revoked = await revokeAllSessions(user._id);
+    console.log(`Two-factor reset for ${user.email} by ${req.user.email}; ${revoked} sessions signed out`);
+
+    res.json({ message: `Two-factor authentication is off for ${user.email}.` });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ error: 'Error resetting two-factor authentication' });
+  }
+};
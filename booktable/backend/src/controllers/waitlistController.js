@@ -0,0 +1,227 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Waitlist = require('../models/Waitlist');
+const Booking = require('../models/Booking');
+const Restaurant = require('../models/Restaurant');
+const { queueEmail, queueNotification } = require('../utils/jobQueue');
+const {
+  TIME_PATTERN,
+  HELD_BOOKING_STATUS,
+  PENDING_BOOKING_STATUS,
+  toStoredDate,
+  fromStoredDate,
+  getScheduleForDate,
+  getActiveBookings
+} = require('../utils/availability');
+const { getOpenTimesForEntry, releaseOffer } = require('../utils/waitlist');
+const { requiresApproval, getRequestExpiry, notifyBookingRequested } = require('../utils/bookingRequests');
+const { can } = require('../utils/permissions');
+const { statusChange } = require('../utils/bookingLifecycle');
+const { publishBookingChange } = require('../utils/realtime');
+
+const ACTIVE_ENTRY_STATUSES = ['waiting', 'offered'];
+
+const findEntryForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Waitlist entry not found' });
+    return null;
+  }
+  const entry = await Waitlist.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Waitlist entry not found' });
+    return null;
+  }
+  if (!can(req.user, 'waitlist:update', entry)) {
+    res.status(403).json({ error: 'Not authorized to change this waitlist entry' });
+    return null;
+  }
+  return entry;
+};
+
+// POST /api/waitlist - Join the waitlist for a restaurant, date, time window and party size
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { restaurantId, date, windowStart, windowEnd, partySize } = req.body;
+    const numericPartySize = parseInt(partySize, 10);
+
+    if (!restaurantId || !date || !windowStart || !windowEnd || !partySize) {
+      return res.status(400).json({ error: 'Missing required waitlist information' });
+    }
+    if (!moment(date, 'YYYY-MM-DD', true).isValid() || moment(date, 'YYYY-MM-DD').isBefore(moment(), 'day')) {
+      return res.status(400).json({ error: 'A valid date (YYYY-MM-DD) from today onwards is required' });
+    }
+    if (!TIME_PATTERN.test(windowStart) || !TIME_PATTERN.test(windowEnd) || windowStart > windowEnd) {
+      return res.status(400).json({ error: 'The time window must use HH:mm times, earliest first' });
+    }
+    if (isNaN(numericPartySize) || numericPartySize <= 0) {
+      return res.status(400).json({ error: 'Invalid party size' });
+    }
+
+    const restaurant = mongoose.Types.ObjectId.isValid(restaurantId) && await Restaurant.findById(restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    if (!getScheduleForDate(restaurant, date)) {
+      return res.status(400).json({ error: 'The restaurant is not taking bookings on this date' });
+    }
+
+    const existing = await Waitlist.findOne({
+      userId: req.user._id,
+      restaurantId,
+      date: toStoredDate(date),
+      status: { $in: ACTIVE_ENTRY_STATUSES }
+    });
+    if (existing) {
+      return res.status(400).json({ error: 'You are already on the waitlist for this date' });
+    }
+
+    const entry = new Waitlist({
+      userId: req.user._id,
+      restaurantId,
+      date: toStoredDate(date),
+      windowStart,
+      windowEnd,
+      partySize: numericPartySize
+    });
+
+    // No point waiting for a table that can be booked right now
+    const bookings = await getActiveBookings(restaurant._id, date);
+    const availableTimes = getOpenTimesForEntry(restaurant, entry, date, bookings);
+    if (availableTimes.length > 0) {
+      return res.status(400).json({ error: 'Tables are available in this window - book one directly', availableTimes });
+    }
+
+    await entry.save();
+    const position = await Waitlist.countDocuments({
+      restaurantId,
+      date: entry.date,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+    console.log(`User ${req.user._id} joined the waitlist for ${restaurant.name} on ${date} (${windowStart}-${windowEnd}, ${numericPartySize}) at position ${position}`);
+
+    const populated = await entry.populate('restaurantId', 'name address');
+    res.status(201).json({ ...populated.toObject(), position });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ error: 'Error joining waitlist' });
+  }
+};
+
+// GET /api/waitlist/user - The current user's open waitlist entries and offers
+exports.getUserWaitlist = async (req, res) => {
+  try {
+    const entries = await Waitlist.find({ userId: req.user._id, status: { $in: ACTIVE_ENTRY_STATUSES } })
+      .populate('restaurantId', 'name address')
+      .populate('bookingId', 'date time partySize tableSize')
+      .sort({ date: 1, windowStart: 1 });
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Error fetching waitlist' });
+  }
+};
+
+// POST /api/waitlist/:id/claim - Turn an offered table into a confirmed booking, or into a request awaiting the
+// manager's answer where the restaurant approves bookings manually (as it would be if booked directly)
+exports.claimOffer = async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({ error: 'There is no table on offer for this waitlist entry' });
+    }
+    if (entry.offerExpiresAt <= new Date()) {
+      await releaseOffer(entry, 'expired');
+      return res.status(410).json({ error: 'Sorry, this offer has expired and the table went to the next guest' });
+    }
+
+    // Where the restaurant approves bookings manually, the claimed table becomes a request like any direct booking
+    const restaurant = await Restaurant.findById(entry.restaurantId).select('name managerId bookingApproval');
+    const needsApproval = requiresApproval(restaurant);
+    const status = needsApproval ? PENDING_BOOKING_STATUS : 'confirmed';
+    let claim = { $set: { status, bookingDate: new Date() }, $unset: { holdExpiresAt: 1 } };
+    if (needsApproval) {
+      const held = await Booking.findById(entry.bookingId).select('date time');
+      if (!held) {
+        return res.status(410).json({ error: 'Sorry, this offer has expired and the table went to the next guest' });
+      }
+      claim = { $set: { status, holdExpiresAt: getRequestExpiry(restaurant, fromStoredDate(held.date), held.time) } };
+    }
+
+    // Only claim a hold that is still live, so a claim racing the expiry sweep can't resurrect it
+    const booking = await Booking.findOneAndUpdate(
+      { _id: entry.bookingId, status: HELD_BOOKING_STATUS, holdExpiresAt: { $gt: new Date() } },
+      { ...claim, $push: { statusHistory: statusChange(HELD_BOOKING_STATUS, status, req.user) } },
+      { new: true }
+    ).populate('userId', 'firstName lastName email').populate('restaurantId', 'name address');
+
+    if (!booking) {
+      return res.status(410).json({ error: 'Sorry, this offer has expired and the table went to the next guest' });
+    }
+
+    entry.status = 'booked';
+    entry.offerExpiresAt = undefined;
+    await entry.save();
+    console.log(`Waitlist entry ${entry._id} claimed booking ${booking._id} (${status})`);
+    publishBookingChange(booking, 'created');
+
+    if (needsApproval) {
+      await notifyBookingRequested(booking, restaurant);
+      return res.json(booking);
+    }
+
+    await Restaurant.findByIdAndUpdate(booking.restaurantId._id, { $inc: { timesBookedToday: 1 } });
+    try {
+      await queueEmail('sendBookingConfirmationEmail', booking.userId, booking, booking.restaurantId);
+    } catch (queueError) {
+      console.error('Failed to queue booking confirmation email for waitlist claim:', queueError);
+    }
+
+    try {
+      await queueNotification({
+        userId: booking.userId._id,
+        message: `Your booking at ${booking.restaurantId.name} for ${moment(fromStoredDate(booking.date), 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${booking.time} is confirmed.`,
+        type: 'booking_confirmed',
+        bookingId: booking._id
+      });
+    } catch (notificationError) {
+      console.error('Failed to queue booking notification for waitlist claim:', notificationError);
+    }
+
+    res.json(booking);
+  } catch (error) {
+    console.error('Error claiming waitlist offer:', error);
+    res.status(500).json({ error: 'Error claiming waitlist offer' });
+  }
+};
+
+// DELETE /api/waitlist/:id - Leave the waitlist (or decline an offer)
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await findEntryForUser(req, res);
+    if (!entry) return;
+
+    if (!ACTIVE_ENTRY_STATUSES.includes(entry.status)) {
+      return res.status(400).json({ error: 'This waitlist entry is no longer active' });
+    }
+
+    let left = entry.status === 'waiting'
+      ? await Waitlist.findOneAndUpdate({ _id: entry._id, status: 'waiting' }, { $set: { status: 'cancelled' } }, { new: true })
+      : null;
+    if (!left) {
+      // Offered a table (possibly just now): declining passes it straight to the next guest
+      const current = entry.status === 'offered' ? entry : await Waitlist.findById(entry._id);
+      if (current?.status === 'offered') left = await releaseOffer(current, 'cancelled');
+    }
+    if (!left) {
+      return res.status(400).json({ error: 'This waitlist entry is no longer active' });
+    }
+
+    res.json(left);
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ error: 'Error leaving waitlist' });
+  }
+};
@@ -0,0 +1,103 @@
+const moment = require('moment');
+const Restaurant = require('../models/Restaurant');
+const { refreshAvailableTables } = require('../utils/availability');
+
+// Fields refreshAvailableTables reads, plus updatedAt to detect writes that land while it runs
+const REFRESH_FIELDS = 'hours weeklySchedule closures tables availableTables bookingHorizonDays updatedAt';
+
+// How often a restaurant is re-read after another write beat the refresh to it, before leaving it for the next run
+const MAX_REFRESH_ATTEMPTS = 3;
+
+// Local time (HH:mm) the nightly refresh runs at
+const DEFAULT_RUN_AT = '00:05';
+
+let timer = null;
+
+// Replaces the restaurant's availableTables only if nothing else has written to it since it was read (a closure
+// being added, the hours being edited...), re-reading it when something has. Resolves to null if it kept losing.
+const refreshRestaurant = async (restaurant, today) => {
+  let current = restaurant;
+  for (let attempt = 1; current && attempt <= MAX_REFRESH_ATTEMPTS; attempt++) {
+    const { availableTables, added, removed } = refreshAvailableTables(current, { today });
+    if (added === 0 && removed === 0) return { added, removed };
+
+    // Restaurants saved before timestamps were turned on have no updatedAt; null matches the missing field
+    const { matchedCount } = await Restaurant.updateOne(
+      { _id: current._id, updatedAt: current.updatedAt || null },
+      { $set: { availableTables } }
+    );
+    if (matchedCount) return { added, removed };
+
+    current = await Restaurant.findById(current._id).select(REFRESH_FIELDS).lean();
+  }
+  if (current) {
+    console.warn(`[availabilityJob] Restaurant ${restaurant._id} kept changing during the refresh; skipped until the next run`);
+  }
+  return null;
+};
+
+/**
+ * Extends every approved restaurant's availableTables to its booking horizon and prunes past days.
+ * @param {object} [options]
+ * @param {moment.Moment} [options.today] - First bookable day (defaults to now).
+ * @param {*} [options.restaurantId] - Only refresh this restaurant.
+ * @returns {Promise<{ restaurants: number, updated: number, added: number, removed: number }>}
+ */
+const runAvailabilityRefresh = async ({ today = moment(), restaurantId } = {}) => {
+  const query = restaurantId ? { _id: restaurantId } : { isApproved: true };
+  const restaurants = await Restaurant.find(query).select(REFRESH_FIELDS).lean();
+
+  const summary = { restaurants: restaurants.length, updated: 0, added: 0, removed: 0 };
+
+  for (const restaurant of restaurants) {
+    const result = await refreshRestaurant(restaurant, today);
+    if (!result) continue;
+    const { added, removed } = result;
+    if (added === 0 && removed === 0) continue;
+
+    summary.updated++;
+    summary.added += added;
+    summary.removed += removed;
+  }
+
+  console.log('[availabilityJob] Refresh complete:', summary);
+  return summary;
+};
+
+const msUntil = (runAt) => {
+  const [hours, minutes] = runAt.split(':').map(Number);
+  const next = moment().hours(hours).minutes(minutes).seconds(0).milliseconds(0);
+  if (next.isSameOrBefore(moment())) next.add(1, 'day');
+  return next.diff(moment());
+};
+
+const runSafely = () => runAvailabilityRefresh().catch(error => {
+  console.error('[availabilityJob] Refresh failed:', error);
+});
+
+/**
+ * Runs a refresh now (to catch up after downtime) and then every night at AVAILABILITY_REFRESH_AT.
+ * Each run schedules the next from the clock, so the time holds across daylight saving changes.
+ */
+const startAvailabilityJob = () => {
+  if (timer) return;
+  const runAt = process.env.AVAILABILITY_REFRESH_AT || DEFAULT_RUN_AT;
+
+  const scheduleNext = () => {
+    timer = setTimeout(async () => {
+      await runSafely();
+      if (timer) scheduleNext();
+    }, msUntil(runAt));
+  };
+
+  runSafely();
+  scheduleNext();
+  console.log(`[availabilityJob] Scheduled nightly refresh at ${runAt}`);
+};
+
+const stopAvailabilityJob = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = { runAvailabilityRefresh, startAvailabilityJob, stopAvailabilityJob };
@@ -0,0 +1,33 @@
+const { expireBookingRequests } = require('../utils/bookingRequests');
+
+// How often unanswered booking requests are checked, in seconds
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+let timer = null;
+
+const runSafely = () => expireBookingRequests()
+  .then(expired => {
+    if (expired > 0) console.log(`[bookingRequestJob] Expired ${expired} booking requests`);
+  })
+  .catch(error => {
+    console.error('[bookingRequestJob] Expiry sweep failed:', error);
+  });
+
+/**
+ * Expires booking requests the manager has not answered every BOOKING_REQUEST_SWEEP_SECONDS so their tables are released.
+ */
+const startBookingRequestJob = () => {
+  if (timer) return;
+  const seconds = parseInt(process.env.BOOKING_REQUEST_SWEEP_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+
+  runSafely();
+  timer = setInterval(runSafely, seconds * 1000);
+  console.log(`[bookingRequestJob] Checking booking requests every ${seconds}s`);
+};
+
+const stopBookingRequestJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startBookingRequestJob, stopBookingRequestJob };
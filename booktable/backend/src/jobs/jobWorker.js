@@ -0,0 +1,57 @@
+const { queueEvents, claimNextJob, runJob, requeueStaleJobs } = require('../utils/jobQueue');
+
+// How often the queue is checked for due jobs (retries, and anything enqueued by another process), in seconds
+const DEFAULT_POLL_SECONDS = 5;
+
+let timer = null;
+let draining = false;
+let drainAgain = false;
+
+// Runs due jobs one at a time until none are left. A wake-up that arrives mid-drain triggers another pass.
+const drain = async () => {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  try {
+    do {
+      drainAgain = false;
+      await requeueStaleJobs();
+      let job;
+      while (timer && (job = await claimNextJob())) {
+        await runJob(job);
+      }
+    } while (drainAgain && timer);
+  } catch (error) {
+    console.error('[jobWorker] Processing the queue failed:', error);
+  } finally {
+    draining = false;
+  }
+};
+
+const onEnqueued = () => {
+  drain();
+};
+
+/**
+ * Processes the outbound job queue: straight away when a job is enqueued in this process,
+ * and every JOB_POLL_SECONDS for retries that have come due.
+ */
+const startJobWorker = () => {
+  if (timer) return;
+  const seconds = parseInt(process.env.JOB_POLL_SECONDS, 10) || DEFAULT_POLL_SECONDS;
+
+  timer = setInterval(drain, seconds * 1000);
+  queueEvents.on('enqueued', onEnqueued);
+  drain();
+  console.log(`[jobWorker] Processing queued jobs, polling every ${seconds}s`);
+};
+
+const stopJobWorker = () => {
+  clearInterval(timer);
+  timer = null;
+  queueEvents.off('enqueued', onEnqueued);
+};
+
+module.exports = { startJobWorker, stopJobWorker };
@@ -0,0 +1,33 @@
+const { sendDueReminders, getReminderLeadHours } = require('../utils/reminders');
+
+// How often due booking reminders are checked, in seconds
+const DEFAULT_INTERVAL_SECONDS = 300;
+
+let timer = null;
+
+const runSafely = () => sendDueReminders()
+  .then(sent => {
+    if (sent > 0) console.log(`[reminderJob] Sent ${sent} booking reminders`);
+  })
+  .catch(error => {
+    console.error('[reminderJob] Reminder sweep failed:', error);
+  });
+
+/**
+ * Sends booking reminders every BOOKING_REMINDER_SWEEP_SECONDS at the lead times in BOOKING_REMINDER_LEAD_HOURS.
+ */
+const startReminderJob = () => {
+  if (timer) return;
+  const seconds = parseInt(process.env.BOOKING_REMINDER_SWEEP_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+
+  runSafely();
+  timer = setInterval(runSafely, seconds * 1000);
+  console.log(`[reminderJob] Checking for reminders every ${seconds}s (lead times: ${getReminderLeadHours().join('h, ')}h)`);
+};
+
+const stopReminderJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startReminderJob, stopReminderJob };
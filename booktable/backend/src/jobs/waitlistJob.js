@@ -0,0 +1,33 @@
+const { expireWaitlistOffers } = require('../utils/waitlist');
+
+// How often unclaimed waitlist offers are checked, in seconds
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+let timer = null;
+
+const runSafely = () => expireWaitlistOffers()
+  .then(expired => {
+    if (expired > 0) console.log(`[waitlistJob] Expired ${expired} waitlist entries`);
+  })
+  .catch(error => {
+    console.error('[waitlistJob] Expiry sweep failed:', error);
+  });
+
+/**
+ * Expires unclaimed waitlist offers every WAITLIST_SWEEP_SECONDS so their tables move down the waitlist.
+ */
+const startWaitlistJob = () => {
+  if (timer) return;
+  const seconds = parseInt(process.env.WAITLIST_SWEEP_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+
+  runSafely();
+  timer = setInterval(runSafely, seconds * 1000);
+  console.log(`[waitlistJob] Checking waitlist offers every ${seconds}s`);
+};
+
+const stopWaitlistJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startWaitlistJob, stopWaitlistJob };
@@ -1,9 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { can, POLICIES } = require('../utils/permissions');
+
+// The URL without its query string, for logging: streams opened with EventSource carry the access token as ?token=
+const requestPath = (req) => req.baseUrl + req.path;
 
 const auth = async (req, res, next) => {
   try {
-    console.log(`AUTH_MIDDLEWARE_ENTERED: ${req.method} ${req.originalUrl}`);
+    console.log(`AUTH_MIDDLEWARE_ENTERED: ${req.method} ${requestPath(req)}`);
     const token = req.header('Authorization')?.replace('Bearer ', '');
     if (!token) {
       console.log('AUTH_MIDDLEWARE_NO_TOKEN');
@@ -14,6 +20,12 @@ const auth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     console.log('AUTH_MIDDLEWARE_TOKEN_DECODED_USERID:', decoded.userId);
 
+    // Logging out (or out of all devices) revokes the session, which ends its access tokens straight away
+    if (!(await isSessionActive(decoded.sid))) {
+      console.log('AUTH_MIDDLEWARE_SESSION_REVOKED for userId:', decoded.userId);
+      throw new Error('Session has been revoked');
+    }
+
     const user = await User.findOne({ _id: decoded.userId });
     
     if (!user) {
@@ -22,32 +34,72 @@ const auth = async (req, res, next) => {
     }
     console.log('AUTH_MIDDLEWARE_USER_FOUND_IN_DB:', user.email);
 
+    // Deactivating an account also revokes its sessions, but this catches anything issued in between
+    if (!user.active) {
+      console.log('AUTH_MIDDLEWARE_USER_DEACTIVATED:', user.email);
+      throw new Error('Account has been deactivated');
+    }
+
     req.user = user;
     req.token = token;
-    console.log(`AUTH_MIDDLEWARE_SUCCESS_NEXT_CALLED for user: ${user.email} on ${req.method} ${req.originalUrl}`);
+    req.sessionId = decoded.sid;
+    console.log(`AUTH_MIDDLEWARE_SUCCESS_NEXT_CALLED for user: ${user.email} on ${req.method} ${requestPath(req)}`);
     next();
   } catch (error) {
-    console.error(`AUTH_MIDDLEWARE_CAUGHT_ERROR on ${req.method} ${req.originalUrl}:`, error.name, error.message);
+    console.error(`AUTH_MIDDLEWARE_CAUGHT_ERROR on ${req.method} ${requestPath(req)}:`, error.name, error.message);
     // console.error(error.stack); // Optionally add stack for more details
     res.status(401).json({ error: 'Please authenticate', details: error.message, errorName: error.name });
   }
 };
 
-const authorize = (...roles) => {
+// For endpoints opened with EventSource, which can't send an Authorization header: accepts the JWT as ?token=
+const authFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return auth(req, res, next);
+};
+
+// Use after auth: lets the request through if the user's role may perform the action (see utils/permissions).
+// Checks that depend on the record itself are made by the controller with can() once it has loaded it.
+const permit = (action) => {
+  if (!POLICIES[action]) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
   return (req, res, next) => {
-    console.log(`AUTHORIZE_MIDDLEWARE_ENTERED for ${req.method} ${req.originalUrl}. Allowed roles: ${roles}. User on req: ${!!req.user}`);
+    console.log(`PERMIT_MIDDLEWARE_ENTERED for ${req.method} ${requestPath(req)}. Action: ${action}. User on req: ${!!req.user}`);
     if (!req.user || !req.user.role) {
-      console.error(`AUTHORIZE_MIDDLEWARE_NO_USER_OR_ROLE_ON_REQ for ${req.method} ${req.originalUrl}. req.user:`, req.user);
+      console.error(`PERMIT_MIDDLEWARE_NO_USER_OR_ROLE_ON_REQ for ${req.method} ${requestPath(req)}. req.user:`, req.user);
       return res.status(403).json({ error: 'User not authenticated or role missing for authorization' });
     }
-    console.log(`AUTHORIZE_MIDDLEWARE_CHECKING User: ${req.user.email}, Role: ${req.user.role}. Allowed: ${roles}`);
-    if (!roles.includes(req.user.role)) {
-      console.log(`AUTHORIZE_MIDDLEWARE_ROLE_MISMATCH User: ${req.user.email}, Role: ${req.user.role}. Allowed: ${roles}`);
+    if (!can(req.user, action)) {
+      console.log(`PERMIT_MIDDLEWARE_DENIED User: ${req.user.email}, Role: ${req.user.role}. Action: ${action}`);
       return res.status(403).json({ error: 'Not authorized to access this resource' });
     }
-    console.log(`AUTHORIZE_MIDDLEWARE_SUCCESS_NEXT_CALLED for user: ${req.user.email}, Role: ${req.user.role} on ${req.method} ${req.originalUrl}`);
+    // Where the role requires two-factor, its privileged actions wait until it is set up (the /api/auth setup routes
+    // stay open, and so does everything the user does as a guest)
+    if (POLICIES[action].privileged && isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+      console.log(`PERMIT_MIDDLEWARE_TWO_FACTOR_REQUIRED User: ${req.user.email}, Role: ${req.user.role}`);
+      return res.status(403).json({
+        error: 'Please turn on two-factor authentication to continue.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+    console.log(`PERMIT_MIDDLEWARE_SUCCESS_NEXT_CALLED for user: ${req.user.email}, Action: ${action} on ${req.method} ${requestPath(req)}`);
     next();
   };
 };
 
-module.exports = { auth, authorize };
+// Use after auth: booking and reviewing need a confirmed email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    console.log(`VERIFIED_EMAIL_REQUIRED for ${req.user.email} on ${req.method} ${requestPath(req)}`);
+    return res.status(403).json({
+      error: 'Please confirm your email address first. Check your inbox for the link, or request a new one.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+module.exports = { auth, authFromQuery, permit, requireVerifiedEmail };
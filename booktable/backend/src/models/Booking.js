@@ -12,8 +12,9 @@ const bookingSchema = new mongoose.Schema({
     required: true
   },
   bookedTableDefinitionId: {
-    type: mongoose.Schema.Types.ObjectId, // ID of the specific table definition in Restaurant.availableTables.tables
+    type: mongoose.Schema.Types.ObjectId, // ID of the physical table definition in Restaurant.tables
     // No 'ref' needed here as it's an ID of a subdocument, not a separate collection model
+    // Older bookings hold an ID from Restaurant.availableTables.tables instead
   },
   date: {
     type: String, // Changed from Date to String to prevent timezone conversions
@@ -32,11 +33,41 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Minutes the table is held from `time`, taken from the restaurant's turn time at booking
+  durationMinutes: {
+    type: Number,
+    min: 1
+  },
+  // Allowed transitions are in utils/bookingLifecycle.js
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled'],
+    enum: ['pending', 'held', 'confirmed', 'seated', 'completed', 'no-show', 'declined', 'expired', 'cancelled'],
     default: 'pending'
   },
+  // Audit trail of status changes: who moved the booking from which status to which, and when
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }],
+  // Reminder lead times (hours before the seating) already handled, so a restart never sends one twice
+  remindersSent: [Number],
+  // Set while the booking holds a table provisionally: a waitlist offer ('held') or a request awaiting
+  // the manager ('pending'). The hold lapses after this
+  holdExpiresAt: Date,
   bookingDate: {
     type: Date,
     default: Date.now
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Outbound work (emails, notifications) run by the job worker instead of inside the request.
+// See utils/jobQueue.js for how jobs are claimed, retried and dead-lettered.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'linkEmail', 'notification'],
+    required: true
+  },
+  // What the handler for `type` needs, e.g. { name: 'sendBookingConfirmationEmail', args: [...] }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // queued -> processing -> completed, or back to queued with a later runAt after a failure;
+  // dead once maxAttempts failures have been used up (an admin can requeue it)
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Not picked up before this time; pushed back after each failure
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current attempt was claimed; a job stuck in processing past the lock timeout is requeued
+  lockedAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the worker picking the next due job
+jobSchema.index({ status: 1, runAt: 1 });
+// Completed jobs are removed after a week; queued and dead jobs have no completedAt and are kept
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+module.exports = Job;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in attempts for one account (keyed by email, whether or not it exists) or one IP address.
+// See utils/loginThrottle.js for the delays and lockouts these drive.
+const loginThrottleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Lowercased email for accounts, the client address for IPs
+  key: {
+    type: String,
+    required: true
+  },
+  // Failures since the last lockout, counted within a sliding window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // Progressive delay: no attempt is checked before this, even with the right password
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // How many times this account or address has been locked out
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the token in the "account locked" email, which lifts the lockout early
+  unlockTokenHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Removed by MongoDB once the window and any lockout have passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+module.exports = LoginThrottle;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A customer's request to become a restaurant manager. Public registration only creates customers;
+// the account is promoted when an admin approves the application.
+const managerApplicationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  restaurantName: {
+    type: String,
+    required: [true, 'Restaurant name is required'],
+    trim: true,
+    maxlength: 120
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Shown to the applicant when an application is rejected
+  decisionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open application per user
+managerApplicationSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_per_user' }
+);
+
+const ManagerApplication = mongoose.model('ManagerApplication', managerApplicationSchema);
+module.exports = ManagerApplication;
@@ -13,7 +13,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['booking_confirmed', 'booking_cancelled', 'booking_reminder', 'general_update'],
+    enum: ['booking_confirmed', 'booking_modified', 'booking_cancelled', 'booking_requested', 'booking_declined', 'booking_expired', 'booking_reminder', 'waitlist_offer', 'review_posted', 'manager_application', 'staff_update', 'general_update'],
     required: true
   },
   bookingId: {
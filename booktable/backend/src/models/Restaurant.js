@@ -20,6 +20,30 @@ const restaurantSchema = new mongoose.Schema({
     opening: String,
     closing: String
   },
+  // Per-weekday overrides of `hours`: closed days or one or more service periods
+  // (e.g. lunch and dinner). Weekdays without an entry use `hours`.
+  weeklySchedule: [{
+    dayOfWeek: {
+      type: Number, // 0 = Sunday ... 6 = Saturday, same as moment().day()
+      required: true,
+      min: 0,
+      max: 6
+    },
+    closed: {
+      type: Boolean,
+      default: false
+    },
+    periods: [{
+      opening: {
+        type: String,
+        required: true
+      },
+      closing: {
+        type: String,
+        required: true
+      }
+    }]
+  }],
   // Physical tables in the restaurant
   tables: [{
     tableSize: {
@@ -32,6 +56,91 @@ const restaurantSchema = new mongoose.Schema({
       default: 0
     }
   }],
+  // One-off exceptions to the weekly schedule set by the manager: holidays, private events, special hours
+  closures: [{
+    date: {
+      type: String, // YYYY-MM-DD, without the RAW_DATE_STR: prefix
+      required: true
+    },
+    // Closed for the whole day
+    closed: {
+      type: Boolean,
+      default: false
+    },
+    // Custom hours for the day, replacing the weekly schedule
+    periods: [{
+      opening: {
+        type: String,
+        required: true
+      },
+      closing: {
+        type: String,
+        required: true
+      }
+    }],
+    // Time ranges no seating may overlap, e.g. a private event
+    blockedRanges: [{
+      start: {
+        type: String,
+        required: true
+      },
+      end: {
+        type: String,
+        required: true
+      }
+    }],
+    reason: {
+      type: String,
+      trim: true
+    }
+  }],
+  // How long a party holds its table, so a booking also blocks the slots it overlaps
+  turnTime: {
+    defaultMinutes: {
+      type: Number,
+      min: 15,
+      default: 90
+    },
+    // Optional overrides by party size, e.g. { maxPartySize: 2, minutes: 75 }
+    byPartySize: [{
+      maxPartySize: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      minutes: {
+        type: Number,
+        required: true,
+        min: 15
+      }
+    }]
+  },
+  // How many days ahead availableTables is generated (kept rolling by the availability job)
+  bookingHorizonDays: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 30
+  },
+  // When required, new bookings arrive as pending requests that hold the table until the
+  // manager accepts or declines them, or until expiryMinutes pass without an answer
+  bookingApproval: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    expiryMinutes: {
+      type: Number,
+      min: 5,
+      max: 10080,
+      default: 120
+    }
+  },
+  // Bumped by every new booking; lets booking creation detect concurrent writers (see reserveTable)
+  bookingRevision: {
+    type: Number,
+    default: 0
+  },
   // Available tables for specific dates
   availableTables: [{
     date: {
@@ -79,6 +188,28 @@ const restaurantSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // People who work the restaurant alongside its owner (managerId). Managers run it day to day; hosts see and
+  // check in bookings. Added by accepting an invitation (models/StaffInvitation).
+  staff: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['manager', 'host'],
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isApproved: {
     type: Boolean,
     default: false
@@ -101,6 +232,8 @@ restaurantSchema.index({ name: 'text', description: 'text' });
 restaurantSchema.index({ 'address.city': 1, 'address.state': 1 });
 // Index for cuisine type
 restaurantSchema.index({ cuisineType: 1 });
+// Index for finding the restaurants a person works at
+restaurantSchema.index({ 'staff.userId': 1 });
 
 const Restaurant = mongoose.model('Restaurant', restaurantSchema);
 module.exports = Restaurant;
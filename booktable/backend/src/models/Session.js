@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The browser holds the refresh token in an httpOnly cookie; only its hash is stored here.
+// Each refresh rotates the token, and access tokens carry the session id so revoking a session signs that device out.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced, accepted for a short grace period so tabs refreshing at the same time don't sign the user out
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  rotatedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An emailed invitation to join a restaurant's staff. The link carries a token; only its hash is stored, and only
+// once the email has been sent (see deliverStaffInvitation in utils/restaurantStaff).
+// Accepting it signed in with the invited address adds the account to Restaurant.staff.
+const staffInvitationSchema = new mongoose.Schema({
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['manager', 'host'],
+      message: 'Role must be manager or host'
+    },
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+// At most one open invitation per address and restaurant; inviting again replaces it
+staffInvitationSchema.index(
+  { restaurantId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_per_email' }
+);
+
+const StaffInvitation = mongoose.model('StaffInvitation', staffInvitationSchema);
+module.exports = StaffInvitation;
@@ -18,6 +18,10 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  phone: {
+    type: String,
+    trim: true
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -28,12 +32,76 @@ const userSchema = new mongoose.Schema({
     enum: ['customer', 'manager', 'admin'],
     default: 'customer'
   },
-  resetPasswordToken: String,
-  resetPasswordExpires: Date,
+  // Set to false at registration until the emailed link is followed; accounts from before verification existed count as verified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // A new address the user asked to switch to; it replaces email once the link sent to it is followed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the token in the verification email, like resetPasswordToken below
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the single-use token emailed by POST /api/auth/forgot-password; the token itself is never stored
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  },
   active: {
     type: Boolean,
     default: true
   },
+  // TOTP two-factor authentication (see utils/twoFactor). The secrets never leave the server once set up.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during setup, until a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 of each unused backup code
+    backupCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Time step of the last code accepted, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  // Set when the user deleted their account; the document stays, anonymized, so bookings and reviews keep their owner
+  deletedAt: Date,
+  // Opt-outs for messages the user did not directly trigger
+  notificationPreferences: {
+    bookingReminders: {
+      type: Boolean,
+      default: true
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
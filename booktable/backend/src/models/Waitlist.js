@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A customer waiting for a table at a fully booked restaurant. When a matching table frees up the
+// first waiting entry is offered it: a 'held' Booking is created and the customer has until
+// offerExpiresAt to claim it, after which the hold lapses and the next entry is offered.
+const waitlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  date: {
+    type: String, // RAW_DATE_STR:YYYY-MM-DD, same as Booking.date
+    required: true
+  },
+  // Earliest and latest seating times (HH:mm) the customer will accept
+  windowStart: {
+    type: String,
+    required: true
+  },
+  windowEnd: {
+    type: String,
+    required: true
+  },
+  partySize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The held booking while an offer is open, and the confirmed booking once claimed
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  offerExpiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Offers go to waiting entries for a restaurant and date in the order they joined
+waitlistSchema.index({ restaurantId: 1, date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ userId: 1, status: 1 });
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+module.exports = Waitlist;
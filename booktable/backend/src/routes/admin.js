@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { auth, permit } = require('../middleware/auth');
+const { getJobs, retryJob } = require('../controllers/jobController');
+const {
+  getApplications,
+  approveApplication,
+  rejectApplication
+} = require('../controllers/managerApplicationController');
+const { getLoginLocks, clearLoginLock } = require('../controllers/loginLockController');
+const {
+  getUsers,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
+  forcePasswordReset,
+  resetTwoFactor
+} = require('../controllers/userAdminController');
+
+// Everything here needs a signed-in user; each group then checks its own permission (all admin only today)
+router.use(auth);
+
+// Outbound message queue
+router.get('/jobs', permit('job:manage'), getJobs);
+router.post('/jobs/:id/retry', permit('job:manage'), retryJob);
+
+// Manager onboarding
+router.get('/manager-applications', permit('managerApplication:review'), getApplications);
+router.post('/manager-applications/:id/approve', permit('managerApplication:review'), approveApplication);
+router.post('/manager-applications/:id/reject', permit('managerApplication:review'), rejectApplication);
+
+// Sign-in lockouts
+router.get('/login-locks', permit('loginLock:manage'), getLoginLocks);
+router.delete('/login-locks/:id', permit('loginLock:manage'), clearLoginLock);
+
+// User accounts
+router.get('/users', permit('user:manage'), getUsers);
+router.post('/users/:id/deactivate', permit('user:manage'), deactivateUser);
+router.post('/users/:id/reactivate', permit('user:manage'), reactivateUser);
+router.patch('/users/:id/role', permit('user:manage'), updateUserRole);
+router.post('/users/:id/force-password-reset', permit('user:manage'), forcePasswordReset);
+router.post('/users/:id/reset-two-factor', permit('user:manage'), resetTwoFactor);
+
+module.exports = router;
@@ -1,11 +1,36 @@
 const express = require('express');
 const User = require('../models/User');
 const router = express.Router();
-const { register, login, getProfile, resetPassword } = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
+  getProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  updateProfile,
+  changePassword,
+  changeEmail,
+  deleteAccount
+} = require('../controllers/authController');
+const { getMyApplication, applyForManager } = require('../controllers/managerApplicationController');
+const {
+  getTwoFactorSettings,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  turnOffTwoFactor,
+  replaceBackupCodes
+} = require('../controllers/twoFactorController');
+const { auth, permit } = require('../middleware/auth');
 
 // Temporary route for debugging
-router.get('/check-user/:email', async (req, res) => {
+router.get('/check-user/:email', auth, permit('user:manage'), async (req, res) => {
   try {
     const user = await User.findOne({ email: req.params.email }).select('-password');
     if (!user) {
@@ -22,7 +47,26 @@ router.get('/check-user/:email', async (req, res) => {
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', auth, logoutAll);
 router.get('/profile', auth, getProfile);
+router.patch('/profile', auth, updateProfile);
+router.post('/change-password', auth, changePassword);
+router.post('/change-email', auth, changeEmail);
+router.delete('/account', auth, deleteAccount);
+router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/unlock-account', unlockAccount);
+router.post('/resend-verification', auth, resendVerification);
+router.get('/2fa', auth, getTwoFactorSettings);
+router.post('/2fa/setup', auth, startTwoFactorSetup);
+router.post('/2fa/enable', auth, confirmTwoFactorSetup);
+router.post('/2fa/disable', auth, turnOffTwoFactor);
+router.post('/2fa/backup-codes', auth, replaceBackupCodes);
+router.get('/manager-application', auth, getMyApplication);
+router.post('/manager-application', auth, applyForManager);
 
 module.exports = router;
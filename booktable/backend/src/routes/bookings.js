@@ -1,23 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authFromQuery, permit, requireVerifiedEmail } = require('../middleware/auth');
 const {
   createBooking,
   getUserBookings,
   getRestaurantBookings,
+  modifyBooking,
   cancelBooking,
+  updateBookingStatus,
+  acceptBooking,
+  declineBooking,
+  streamManagerBookings,
   getBookingAnalytics
 } = require('../controllers/bookingController');
 
 // Customer routes
-router.post('/', auth, createBooking);
+router.post('/', auth, permit('booking:create'), requireVerifiedEmail, createBooking);
 router.get('/user', auth, getUserBookings);
-router.patch('/:id/cancel', auth, cancelBooking);
+router.patch('/:id', auth, permit('booking:modify'), requireVerifiedEmail, modifyBooking);
+router.patch('/:id/cancel', auth, permit('booking:cancel'), cancelBooking);
 
-// Restaurant manager routes
-router.get('/restaurant/:restaurantId', auth, authorize('manager'), getRestaurantBookings);
+// Restaurant staff routes (hosts may view and check in; the owner and managers answer requests)
+router.get('/restaurant/:restaurantId', auth, permit('booking:read'), getRestaurantBookings);
+router.get('/manager/stream', authFromQuery, permit('booking:stream'), streamManagerBookings); // Live feed (Server-Sent Events)
+router.patch('/:id/status', auth, permit('booking:checkIn'), updateBookingStatus);
+router.patch('/:id/accept', auth, permit('booking:respond'), acceptBooking);
+router.patch('/:id/decline', auth, permit('booking:respond'), declineBooking);
 
 // Admin routes
-router.get('/analytics', auth, authorize('admin'), getBookingAnalytics);
+router.get('/analytics', auth, permit('booking:analytics'), getBookingAnalytics);
 
 module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { auth } = require('../middleware/auth'); // Corrected import and function name
+const { auth, authFromQuery } = require('../middleware/auth'); // Corrected import and function name
 
 // Get all notifications for the current user (and unread count)
 router.get('/', auth, notificationController.getUserNotifications);
 
+// Live notifications and unread counts (Server-Sent Events). EventSource can't set headers, so the token comes in ?token=
+router.get('/stream', authFromQuery, notificationController.streamNotifications);
+
+// Read and update the user's notification preferences (e.g. booking reminder opt-out)
+router.get('/preferences', auth, notificationController.getNotificationPreferences);
+router.patch('/preferences', auth, notificationController.updateNotificationPreferences);
+
 // Mark a specific notification as read
 router.patch('/:id/read', auth, notificationController.markNotificationAsRead);
 
@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, permit } = require('../middleware/auth');
 const {
   createRestaurant,
   searchRestaurants,
@@ -17,6 +17,15 @@ const {
   getAllRestaurants,
   getManagedRestaurants
 } = require('../controllers/restaurantController');
+const { getClosures, saveClosure, deleteClosure } = require('../controllers/closureController');
+const {
+  getStaff,
+  inviteStaffMember,
+  revokeInvitation,
+  updateStaffRole,
+  removeStaffMember,
+  acceptStaffInvitation
+} = require('../controllers/staffController');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage(); // Store files in memory for processing
@@ -43,23 +52,38 @@ const upload = multer({
 router.get('/search', searchRestaurants);
 
 // Protected routes - Admin specific or mixed (Specific string routes first)
-router.get('/statistics', auth, authorize('admin'), getRestaurantStatistics);
-router.get('/', auth, authorize('admin'), getAllRestaurants); // Admin route for all restaurants
+router.get('/statistics', auth, permit('restaurant:statistics'), getRestaurantStatistics);
+router.get('/', auth, permit('restaurant:listAll'), getAllRestaurants); // Admin route for all restaurants
 
 // Protected routes - General Users or Managers (Specific string routes first)
-router.get('/my-restaurants', auth, authorize('manager'), getManagedRestaurants);
+router.get('/my-restaurants', auth, permit('restaurant:listManaged'), getManagedRestaurants);
+
+// Any signed-in account can accept an invitation sent to its address
+router.post('/staff-invitations/accept', auth, acceptStaffInvitation);
 
 // MUST BE LAST among GET routes with similar path structure:
 // Parameterized routes like /:id should come after more specific string routes
 router.get('/:id', getRestaurant); // Public route for a single restaurant by ID
 
 // Protected routes - General Users or Managers
-router.post('/', auth, authorize('manager'), upload.single('photo'), createRestaurant);
-router.put('/:id', auth, authorize('manager'), upload.single('photo'), updateRestaurant);
+router.post('/', auth, permit('restaurant:create'), upload.single('photo'), createRestaurant);
+router.put('/:id', auth, permit('restaurant:update'), upload.single('photo'), updateRestaurant);
 
 // Protected routes - Admin specific or mixed (continued)
-router.delete('/:id', auth, authorize('manager', 'admin'), deleteRestaurant);
-router.put('/:id/approve', auth, authorize('admin'), approveRestaurant);
-router.put('/:id/hold', auth, authorize('admin'), setRestaurantOnHold);
+router.delete('/:id', auth, permit('restaurant:delete'), deleteRestaurant);
+router.put('/:id/approve', auth, permit('restaurant:approve'), approveRestaurant);
+router.put('/:id/hold', auth, permit('restaurant:hold'), setRestaurantOnHold);
+
+// Closures and special hours - Manager of the restaurant (admins may view)
+router.get('/:id/closures', auth, permit('closure:read'), getClosures);
+router.post('/:id/closures', auth, permit('closure:manage'), saveClosure);
+router.delete('/:id/closures/:closureId', auth, permit('closure:manage'), deleteClosure);
+
+// Staff - Everyone on the staff may see it; the owner and managers invite and remove people (anyone may leave)
+router.get('/:id/staff', auth, permit('staff:read'), getStaff);
+router.post('/:id/staff/invitations', auth, permit('staff:manage'), inviteStaffMember);
+router.delete('/:id/staff/invitations/:invitationId', auth, permit('staff:manage'), revokeInvitation);
+router.patch('/:id/staff/:userId', auth, permit('staff:manageManagers'), updateStaffRole);
+router.delete('/:id/staff/:userId', auth, permit('staff:read'), removeStaffMember);
 
 module.exports = router;
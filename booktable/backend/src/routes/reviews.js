@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, permit, requireVerifiedEmail } = require('../middleware/auth');
 const {
   createReview,
   getRestaurantReviews,
@@ -8,9 +8,9 @@ const {
   deleteReview
 } = require('../controllers/reviewController');
 
-router.post('/', auth, createReview);
+router.post('/', auth, permit('review:create'), requireVerifiedEmail, createReview);
 router.get('/restaurant/:restaurantId', getRestaurantReviews);
-router.put('/:id', auth, updateReview);
-router.delete('/:id', auth, deleteReview);
+router.put('/:id', auth, permit('review:update'), requireVerifiedEmail, updateReview);
+router.delete('/:id', auth, permit('review:delete'), deleteReview);
 
 module.exports = router;
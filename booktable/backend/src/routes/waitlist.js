@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { auth, permit, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  joinWaitlist,
+  getUserWaitlist,
+  claimOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+
+// Customer routes
+router.post('/', auth, permit('waitlist:join'), requireVerifiedEmail, joinWaitlist);
+router.get('/user', auth, getUserWaitlist);
+router.post('/:id/claim', auth, permit('waitlist:update'), requireVerifiedEmail, claimOffer);
+router.delete('/:id', auth, permit('waitlist:update'), leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+
+const mongoose = require('mongoose');
+const { runAvailabilityRefresh } = require('../jobs/availabilityJob');
+
+// Usage: node src/scripts/refreshAvailability.js [restaurantId]
+// Without an id every approved restaurant is refreshed, same as the nightly job.
+const refreshAvailability = async () => {
+  const restaurantId = process.argv[2];
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected for availability refresh...');
+
+    const summary = await runAvailabilityRefresh({ restaurantId });
+    console.log(`Refreshed ${summary.updated} of ${summary.restaurants} restaurants (${summary.added} days added, ${summary.removed} removed)`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Error refreshing availability:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('MongoDB disconnected.');
+  }
+};
+
+refreshAvailability();
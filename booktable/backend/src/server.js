@@ -1,10 +1,14 @@
-const express = require('express');
 const mongoose = require('mongoose');
 require('dotenv').config();
-const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { startAvailabilityJob } = require('./jobs/availabilityJob');
+const { startWaitlistJob } = require('./jobs/waitlistJob');
+const { startBookingRequestJob } = require('./jobs/bookingRequestJob');
+const { startReminderJob } = require('./jobs/reminderJob');
+const { startJobWorker } = require('./jobs/jobWorker');
+const { verifyTransport } = require('./utils/emailTransport');
 
 // Path for the log file in the backend root directory
 const logFilePath = path.join(__dirname, '..', 'backend.log');
@@ -42,59 +46,24 @@ process.on('unhandledRejection', (reason, promise) => {
 
 console.log('Logging initialized. Output will be directed to backend.log');
 
-const app = express();
-
-// Middleware
-// Place CORS middleware before body parsers
-app.use(cors({
-  origin: 'http://localhost:3000',
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-  optionsSuccessStatus: 200 // Handles OPTIONS preflight and is good for legacy browsers
-}));
-
-// Body parsing middleware
-app.use(express.json()); // For parsing application/json
-app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
-
-// Debug middleware to log request bodies
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path}`);
-  console.log('Request headers:', req.headers);
-  console.log('Request body:', req.body);
-  next();
-});
+const app = require('./app');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startAvailabilityJob();
+    startWaitlistJob();
+    startBookingRequestJob();
+    startReminderJob();
+    verifyTransport();
+    startJobWorker();
+  })
   .catch(err => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
   });
 
-// Routes
-const authRoutes = require('./routes/auth');
-const reviewRoutes = require('./routes/reviews');
-const restaurantRoutes = require('./routes/restaurants');
-// const dashboardRoutes = require('./routes/dashboardRoutes'); 
-const notificationRoutes = require('./routes/notificationRoutes'); 
-const bookingRoutes = require('./routes/bookings');
-
-app.use('/api/auth', authRoutes);
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/restaurants', restaurantRoutes); 
-// app.use('/api/dashboard', dashboardRoutes);
-app.use('/api/notifications', notificationRoutes); 
-app.use('/api/bookings', bookingRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
-
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
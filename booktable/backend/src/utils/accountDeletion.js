@@ -0,0 +1,103 @@
+const moment = require('moment');
+const bcrypt = require('bcryptjs');
+const Booking = require('../models/Booking');
+const Waitlist = require('../models/Waitlist');
+const Notification = require('../models/Notification');
+const ManagerApplication = require('../models/ManagerApplication');
+const Restaurant = require('../models/Restaurant');
+const StaffInvitation = require('../models/StaffInvitation');
+const User = require('../models/User');
+const { toStoredDate, fromStoredDate } = require('./availability');
+const { applyStatusChange } = require('./bookingLifecycle');
+const { offerFreedTables, releaseOffer } = require('./waitlist');
+const { publishBookingChange } = require('./realtime');
+const { revokeAllSessions } = require('./sessions');
+const { clearAccountThrottle } = require('./loginThrottle');
+const { generateToken } = require('./tokens');
+
+const DELETION_NOTE = 'Account deleted';
+
+// Cancels the user's upcoming bookings so the tables go back on sale (and to the waitlist)
+const cancelUpcomingBookings = async (user) => {
+  const bookings = await Booking.find({
+    userId: user._id,
+    status: { $in: ['pending', 'confirmed'] },
+    date: { $gte: toStoredDate(moment().format('YYYY-MM-DD')) }
+  });
+
+  const freed = new Map();
+  for (const booking of bookings) {
+    if (!applyStatusChange(booking, 'cancelled', user, DELETION_NOTE)) continue;
+    await booking.save();
+    publishBookingChange(booking, 'cancelled');
+    const dateStr = fromStoredDate(booking.date);
+    freed.set(`${booking.restaurantId}:${dateStr}`, { restaurantId: booking.restaurantId, dateStr });
+  }
+
+  for (const { restaurantId, dateStr } of freed.values()) {
+    try {
+      await offerFreedTables(restaurantId, dateStr);
+    } catch (waitlistError) {
+      console.error('[accountDeletion] Failed to offer freed table to the waitlist:', waitlistError);
+    }
+  }
+  return bookings.length;
+};
+
+// Leaves every waitlist; an open offer passes straight to the next guest
+const leaveWaitlists = async (user) => {
+  const offered = await Waitlist.find({ userId: user._id, status: 'offered' });
+  for (const entry of offered) {
+    await releaseOffer(entry, 'cancelled');
+  }
+  await Waitlist.updateMany({ userId: user._id, status: 'waiting' }, { $set: { status: 'cancelled' } });
+};
+
+/**
+ * Deletes an account at its owner's request. The user document is kept so past bookings and reviews still
+ * have an owner, but everything that identifies the person is replaced and the account can't be signed in to.
+ * Upcoming bookings are cancelled, waitlist places given up and the person leaves any restaurant staff.
+ * @param {object} user - The full user document.
+ */
+const anonymizeAccount = async (user) => {
+  const formerEmail = user.email;
+
+  const cancelled = await cancelUpcomingBookings(user);
+  await leaveWaitlists(user);
+  await Notification.deleteMany({ userId: user._id });
+  await ManagerApplication.deleteMany({ userId: user._id, status: 'pending' });
+  await Restaurant.updateMany({ 'staff.userId': user._id }, { $pull: { staff: { userId: user._id } } });
+  await StaffInvitation.updateMany({ email: formerEmail, status: 'pending' }, { $set: { status: 'revoked' } });
+
+  // updateOne skips validation (which the placeholder address would fail) and the hashing hook, so hash here
+  const password = await bcrypt.hash(generateToken(), 10);
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: `deleted-${user._id}@deleted.invalid`,
+        password,
+        active: false,
+        emailVerified: false,
+        deletedAt: new Date(),
+        twoFactor: { enabled: false }
+      },
+      $unset: {
+        phone: 1,
+        pendingEmail: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpires: 1
+      }
+    }
+  );
+
+  const revoked = await revokeAllSessions(user._id);
+  await clearAccountThrottle(formerEmail);
+  console.log(`[accountDeletion] Account ${user._id} deleted; ${cancelled} bookings cancelled, ${revoked} sessions signed out`);
+};
+
+module.exports = { anonymizeAccount };
@@ -0,0 +1,488 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Restaurant = require('../models/Restaurant');
+
+// Dates are stored with this prefix on both Booking.date and Restaurant.availableTables.date
+// so that Mongo never treats them as Date values (see createBooking / createRestaurant).
+const RAW_DATE_PREFIX = 'RAW_DATE_STR:';
+
+// Booking statuses that occupy a physical table. Cancelled, completed and no-show bookings free their table.
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'seated'];
+
+// A table set aside for a waitlisted guest; it only occupies the table until holdExpiresAt.
+const HELD_BOOKING_STATUS = 'held';
+
+// A booking request waiting for the manager's approval; it also only occupies the table until holdExpiresAt.
+const PENDING_BOOKING_STATUS = 'pending';
+
+const PROVISIONAL_BOOKING_STATUSES = [HELD_BOOKING_STATUS, PENDING_BOOKING_STATUS];
+
+// How long a party holds its table when the restaurant has not configured a turn time.
+const DEFAULT_TURN_TIME_MINUTES = 90;
+
+// HH:mm on a 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How many days ahead availableTables is kept when the restaurant has no bookingHorizonDays.
+const DEFAULT_BOOKING_HORIZON_DAYS = 30;
+
+// How often reserveTable re-runs the allocation after losing a race before giving up.
+const MAX_RESERVE_ATTEMPTS = 5;
+
+// How long moveBooking's placeholder holds the new table. It is deleted as soon as the move is saved or fails;
+// the expiry only frees the table if the process dies in between.
+const MOVE_HOLD_MS = 2 * 60 * 1000;
+
+const toStoredDate = (dateStr) => {
+  if (!dateStr) return dateStr;
+  return dateStr.startsWith(RAW_DATE_PREFIX) ? dateStr : `${RAW_DATE_PREFIX}${dateStr}`;
+};
+
+const fromStoredDate = (storedDate) => {
+  if (!storedDate) return storedDate;
+  return storedDate.startsWith(RAW_DATE_PREFIX) ? storedDate.substring(RAW_DATE_PREFIX.length) : storedDate;
+};
+
+/**
+ * Number of physical tables per table size, summed over all Restaurant.tables entries.
+ * @param {object} restaurant - Restaurant document or plain object (must have tables).
+ * @returns {Map<number, number>} tableSize -> count
+ */
+const getTableCapacity = (restaurant) => {
+  const capacity = new Map();
+  (restaurant.tables || []).forEach(table => {
+    const size = Number(table.tableSize);
+    const count = Number(table.count) || 0;
+    if (!size || count <= 0) return;
+    capacity.set(size, (capacity.get(size) || 0) + count);
+  });
+  return capacity;
+};
+
+/**
+ * The availableTables entry (slot schedule) for a given YYYY-MM-DD date, if any.
+ */
+const getScheduleForDate = (restaurant, dateStr) => {
+  const storedDate = toStoredDate(dateStr);
+  return (restaurant.availableTables || []).find(entry => entry.date === storedDate);
+};
+
+/**
+ * Whether tables of the given size take bookings at this time on this day.
+ * The schedule only says which slots exist; how many tables are left is worked out from bookings.
+ */
+const isSlotOpen = (daySchedule, tableSize, time) => {
+  if (!daySchedule) return false;
+  return (daySchedule.tables || []).some(
+    table => Number(table.tableSize) === tableSize && (table.availableTimes || []).includes(time)
+  );
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * The manager-defined closure/exception for a YYYY-MM-DD date, if any.
+ */
+const getClosure = (restaurant, dateStr) => (
+  (restaurant.closures || []).find(closure => closure.date === fromStoredDate(dateStr))
+);
+
+/**
+ * Whether a seating on the date is ruled out by a closure: the whole day is closed,
+ * or the seating overlaps one of the blocked time ranges.
+ * @param {object} restaurant - Restaurant with optional closures.
+ * @param {string} dateStr - Date in YYYY-MM-DD format.
+ * @param {string} time - Seating start time (HH:mm).
+ * @param {number} durationMinutes - Length of the seating.
+ * @returns {boolean}
+ */
+const isBlockedByClosure = (restaurant, dateStr, time, durationMinutes) => {
+  const closure = getClosure(restaurant, dateStr);
+  if (!closure) return false;
+  if (closure.closed) return true;
+
+  const start = toMinutes(time);
+  const end = start + durationMinutes;
+  return (closure.blockedRanges || []).some(range => (
+    toMinutes(range.start) < end && toMinutes(range.end) > start
+  ));
+};
+
+/**
+ * Minutes a party of this size holds its table. The override with the smallest
+ * maxPartySize that still fits the party wins; otherwise the restaurant default applies.
+ * @param {object} restaurant - Restaurant with an optional turnTime setting.
+ * @param {number} partySize - Number of guests.
+ * @returns {number}
+ */
+const getTurnTime = (restaurant, partySize) => {
+  const turnTime = restaurant.turnTime || {};
+  const override = (turnTime.byPartySize || [])
+    .filter(rule => partySize <= rule.maxPartySize)
+    .sort((a, b) => a.maxPartySize - b.maxPartySize)[0];
+  if (override) return override.minutes;
+  return turnTime.defaultMinutes || DEFAULT_TURN_TIME_MINUTES;
+};
+
+// Bookings keep the duration they were made with; older bookings fall back to the current turn time.
+const getBookingDuration = (restaurant, booking) => (
+  booking.durationMinutes || getTurnTime(restaurant, booking.partySize || booking.tableSize)
+);
+
+/**
+ * Counts the tables held by the given bookings at any point of a seating, per table size.
+ * A booking holds its table from its start time for its full duration, so a 19:00 dinner
+ * also blocks the table for a 19:30 or 20:00 seating.
+ * @param {object} restaurant - Restaurant the bookings belong to (for turn times).
+ * @param {Array<object>} bookings - Active bookings for the restaurant and date.
+ * @param {string} time - Seating start time (HH:mm).
+ * @param {number} durationMinutes - Length of the seating being checked.
+ * @returns {Map<number, number>} tableSize -> peak number of tables in use during the seating
+ */
+const countBookedTables = (restaurant, bookings, time, durationMinutes) => {
+  const start = toMinutes(time);
+  const end = start + durationMinutes;
+
+  const overlapping = bookings
+    .map(booking => {
+      const bookingStart = toMinutes(booking.time);
+      return {
+        tableSize: booking.tableSize,
+        start: bookingStart,
+        end: bookingStart + getBookingDuration(restaurant, booking)
+      };
+    })
+    .filter(interval => interval.start < end && interval.end > start);
+
+  // Occupancy only goes up when a booking starts, so the peak is at the seating start
+  // or at the start of one of the overlapping bookings.
+  const checkpoints = [start, ...overlapping.map(interval => interval.start).filter(point => point > start)];
+
+  const booked = new Map();
+  checkpoints.forEach(point => {
+    const inUse = new Map();
+    overlapping.forEach(interval => {
+      if (interval.start <= point && interval.end > point) {
+        inUse.set(interval.tableSize, (inUse.get(interval.tableSize) || 0) + 1);
+      }
+    });
+    inUse.forEach((count, tableSize) => {
+      booked.set(tableSize, Math.max(booked.get(tableSize) || 0, count));
+    });
+  });
+  return booked;
+};
+
+/**
+ * Picks the smallest table size that fits the party and still has a free table for the
+ * whole seating (the slot plus the restaurant's turn time for that party size).
+ * @param {object} restaurant - Restaurant with tables and availableTables.
+ * @param {string} dateStr - Date in YYYY-MM-DD format.
+ * @param {string} time - Slot start time (HH:mm).
+ * @param {number} partySize - Number of guests.
+ * @param {Array<object>} bookings - Active bookings for the restaurant on that date.
+ * @returns {{ tableSize: number, tableDefinitionId: *, remaining: number } | null}
+ */
+const findAvailableTable = (restaurant, dateStr, time, partySize, bookings) => {
+  const daySchedule = getScheduleForDate(restaurant, dateStr);
+  if (!daySchedule) return null;
+  if (isBlockedByClosure(restaurant, dateStr, time, getTurnTime(restaurant, partySize))) return null;
+
+  const capacity = getTableCapacity(restaurant);
+  const booked = countBookedTables(restaurant, bookings, time, getTurnTime(restaurant, partySize));
+
+  const candidateSizes = [...capacity.keys()]
+    .filter(size => size >= partySize)
+    .sort((a, b) => a - b);
+
+  for (const tableSize of candidateSizes) {
+    if (!isSlotOpen(daySchedule, tableSize, time)) continue;
+    const remaining = capacity.get(tableSize) - (booked.get(tableSize) || 0);
+    if (remaining > 0) {
+      const definition = restaurant.tables.find(table => Number(table.tableSize) === tableSize);
+      return { tableSize, tableDefinitionId: definition?._id, remaining };
+    }
+  }
+  return null;
+};
+
+/**
+ * Slot times on the date, within [startTime, endTime], that can still seat the party.
+ */
+const getAvailableTimes = (restaurant, dateStr, partySize, bookings, startTime = '00:00', endTime = '23:59') => {
+  const daySchedule = getScheduleForDate(restaurant, dateStr);
+  if (!daySchedule) return [];
+
+  const times = new Set();
+  (daySchedule.tables || []).forEach(table => {
+    (table.availableTimes || []).forEach(time => {
+      if (time >= startTime && time <= endTime) times.add(time);
+    });
+  });
+
+  return [...times]
+    .sort()
+    .filter(time => findAvailableTable(restaurant, dateStr, time, partySize || 1, bookings));
+};
+
+// Helper function to generate time slots
+// Example: generateTimeSlots("10:00", "22:00", 30)
+// Returns: ["10:00", "10:30", ..., "21:30"] (does not include closing time itself as a start slot)
+const generateTimeSlots = (openingTimeStr, closingTimeStr, intervalMinutes = 30) => {
+  const slots = [];
+  if (!openingTimeStr || !closingTimeStr) {
+    console.warn('[generateTimeSlots] Opening or closing time is undefined. Cannot generate slots.');
+    return slots;
+  }
+  const [openH, openM] = openingTimeStr.split(':').map(Number);
+  const [closeH, closeM] = closingTimeStr.split(':').map(Number);
+
+  // Use a fixed date for time calculations, only hours and minutes matter here
+  let currentTime = moment().hours(openH).minutes(openM).seconds(0).milliseconds(0);
+  let closingTime = moment().hours(closeH).minutes(closeM).seconds(0).milliseconds(0);
+
+  // If closing time is on the next day (e.g. opens 10 PM, closes 2 AM relative to a single day's perspective)
+  // or if closing time is earlier than opening time on the same day (e.g. 08:00 close, 10:00 open - assumed next day)
+  if (closingTime.isSameOrBefore(currentTime)) {
+    closingTime.add(1, 'day');
+  }
+
+  while (currentTime.isBefore(closingTime)) {
+    slots.push(currentTime.format('HH:mm'));
+    currentTime.add(intervalMinutes, 'minutes');
+  }
+  return slots;
+};
+
+/**
+ * Service periods for a day: a closure's custom hours if the manager set any for the date,
+ * then the weekday's entry in weeklySchedule, otherwise the restaurant's usual opening/closing hours.
+ * @param {object} restaurant - Restaurant with hours and optional weeklySchedule and closures.
+ * @param {moment.Moment|string} day
+ * @returns {Array<{ opening: string, closing: string }>} Empty when closed.
+ */
+const getServicePeriods = (restaurant, day) => {
+  const closure = getClosure(restaurant, moment(day).format('YYYY-MM-DD'));
+  if (closure?.closed) return [];
+  if (closure?.periods?.length) return closure.periods;
+
+  const weekday = moment(day).day();
+  const weekdayHours = (restaurant.weeklySchedule || []).find(entry => entry.dayOfWeek === weekday);
+
+  if (weekdayHours) {
+    return weekdayHours.closed ? [] : (weekdayHours.periods || []);
+  }
+  if (restaurant.hours?.opening && restaurant.hours?.closing) {
+    return [{ opening: restaurant.hours.opening, closing: restaurant.hours.closing }];
+  }
+  return [];
+};
+
+/**
+ * Builds the availableTables entry for one day from the restaurant's service periods and physical tables.
+ * @param {object} restaurant - Restaurant with hours, weeklySchedule and tables.
+ * @param {moment.Moment|string} day - The day to build.
+ * @returns {object|null} The entry, or null when the restaurant is closed or has no tables that day.
+ */
+const buildDaySchedule = (restaurant, day) => {
+  const dateStr = moment(day).format('YYYY-MM-DD');
+  const times = new Set();
+  getServicePeriods(restaurant, day).forEach(period => {
+    generateTimeSlots(period.opening, period.closing)
+      // Slots starting inside a blocked range are never offered; overlaps are checked per booking
+      .filter(time => !isBlockedByClosure(restaurant, dateStr, time, 1))
+      .forEach(time => times.add(time));
+  });
+  const tableSizes = [...getTableCapacity(restaurant).keys()].sort((a, b) => a - b);
+  if (times.size === 0 || tableSizes.length === 0) return null;
+
+  const sortedTimes = [...times].sort();
+  return {
+    date: toStoredDate(dateStr),
+    tables: tableSizes.map(tableSize => ({ tableSize, availableTimes: [...sortedTimes] }))
+  };
+};
+
+/**
+ * Rolls the availableTables window forward: drops past days and days beyond the booking
+ * horizon, keeps existing days, and generates any missing days up to the horizon.
+ * @param {object} restaurant - Restaurant document or plain object.
+ * @param {object} [options]
+ * @param {moment.Moment} [options.today] - First bookable day (defaults to now).
+ * @param {boolean} [options.rebuild] - Regenerate every day, e.g. after hours or tables change.
+ * @returns {{ availableTables: Array<object>, added: number, removed: number }}
+ */
+const refreshAvailableTables = (restaurant, { today = moment(), rebuild = false } = {}) => {
+  const horizonDays = restaurant.bookingHorizonDays || DEFAULT_BOOKING_HORIZON_DAYS;
+  const firstDay = moment(today).startOf('day');
+
+  const existing = new Map();
+  (restaurant.availableTables || []).forEach(entry => {
+    existing.set(entry.date, typeof entry.toObject === 'function' ? entry.toObject() : entry);
+  });
+
+  const availableTables = [];
+  let added = 0;
+  for (let i = 0; i < horizonDays; i++) {
+    const day = firstDay.clone().add(i, 'days');
+    const storedDate = toStoredDate(day.format('YYYY-MM-DD'));
+
+    if (!rebuild && existing.has(storedDate)) {
+      availableTables.push(existing.get(storedDate));
+      continue;
+    }
+
+    const entry = buildDaySchedule(restaurant, day);
+    if (entry) {
+      availableTables.push(entry);
+      added++;
+    }
+  }
+
+  const kept = new Set(availableTables.map(entry => entry.date));
+  const removed = [...existing.keys()].filter(date => !kept.has(date) || rebuild).length;
+
+  return { availableTables, added, removed };
+};
+
+/**
+ * Loads the bookings that hold tables on a date, grouped by restaurant id.
+ * @param {Array<*>} restaurantIds
+ * @param {string} dateStr - Date in YYYY-MM-DD format.
+ * @returns {Promise<Map<string, Array<object>>>}
+ */
+const getActiveBookingsByRestaurant = async (restaurantIds, dateStr) => {
+  const bookings = await Booking.find({
+    restaurantId: { $in: restaurantIds },
+    date: toStoredDate(dateStr),
+    $or: [
+      { status: { $in: ACTIVE_BOOKING_STATUSES } },
+      { status: { $in: PROVISIONAL_BOOKING_STATUSES }, holdExpiresAt: { $gt: new Date() } }
+    ]
+  }).select('restaurantId date time partySize tableSize durationMinutes status').lean();
+
+  const grouped = new Map();
+  bookings.forEach(booking => {
+    const key = booking.restaurantId.toString();
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(booking);
+  });
+  return grouped;
+};
+
+const getActiveBookings = async (restaurantId, dateStr) => {
+  const grouped = await getActiveBookingsByRestaurant([restaurantId], dateStr);
+  return grouped.get(restaurantId.toString()) || [];
+};
+
+// Matches the revision reserveTable read; restaurants created before bookingRevision existed have none
+const revisionFilter = (revision) => (revision ? revision : { $in: [0, null] });
+
+// Allocates a table and saves the booking so that concurrent requests can never overbook.
+// Every booking bumps Restaurant.bookingRevision with a conditional update on the revision that was
+// read before counting. The booking is inserted first, so a request that counted without it is
+// guaranteed to lose the bump; the loser removes its booking and retries on fresh data.
+// Resolves to the saved booking, or null when no table is free (or the race could not be won).
+// `excludeBookingId` leaves that booking out of the count, for a guest moving their own reservation.
+const reserveTable = async (restaurant, dateStr, time, partySize, bookingFields, { excludeBookingId } = {}) => {
+  let current = restaurant;
+
+  for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      current = await Restaurant.findById(restaurant._id);
+      if (!current) return null;
+    }
+
+    const revision = current.bookingRevision || 0;
+    const bookings = (await getActiveBookings(current._id, dateStr))
+      .filter(active => !excludeBookingId || active._id.toString() !== excludeBookingId.toString());
+    const table = findAvailableTable(current, dateStr, time, partySize, bookings);
+    if (!table) return null;
+
+    const booking = await Booking.create({
+      ...bookingFields,
+      restaurantId: current._id,
+      date: toStoredDate(dateStr),
+      time,
+      partySize,
+      tableSize: table.tableSize,
+      durationMinutes: getTurnTime(current, partySize),
+      bookedTableDefinitionId: table.tableDefinitionId
+    });
+
+    // Moves, waitlist holds and requests awaiting approval are not new bookings; they count once confirmed
+    const isNewBooking = !excludeBookingId && !PROVISIONAL_BOOKING_STATUSES.includes(bookingFields.status);
+    const claim = await Restaurant.updateOne(
+      { _id: current._id, bookingRevision: revisionFilter(revision) },
+      { $inc: isNewBooking ? { bookingRevision: 1, timesBookedToday: 1 } : { bookingRevision: 1 } }
+    );
+    if (claim.modifiedCount === 1) return booking;
+
+    await Booking.deleteOne({ _id: booking._id });
+  }
+
+  return null;
+};
+
+// Moves an existing booking to a new date, time or party size with the same guarantees as reserveTable.
+// A short-lived held placeholder secures the new table while the original still holds the old one, so the
+// old table is only given up once the new one is ours. Resolves to the updated booking, or null when
+// nothing is free, in which case the original booking is left untouched.
+const moveBooking = async (restaurant, booking, dateStr, time, partySize) => {
+  const hold = await reserveTable(restaurant, dateStr, time, partySize, {
+    userId: booking.userId,
+    status: HELD_BOOKING_STATUS,
+    holdExpiresAt: new Date(Date.now() + MOVE_HOLD_MS)
+  }, { excludeBookingId: booking._id });
+  if (!hold) return null;
+
+  try {
+    booking.set({
+      date: hold.date,
+      time: hold.time,
+      partySize: hold.partySize,
+      tableSize: hold.tableSize,
+      durationMinutes: hold.durationMinutes,
+      bookedTableDefinitionId: hold.bookedTableDefinitionId,
+      remindersSent: [] // Reminders follow the new seating time
+    });
+    await booking.save();
+  } finally {
+    await Booking.deleteOne({ _id: hold._id });
+  }
+  return booking;
+};
+
+module.exports = {
+  RAW_DATE_PREFIX,
+  ACTIVE_BOOKING_STATUSES,
+  HELD_BOOKING_STATUS,
+  PENDING_BOOKING_STATUS,
+  PROVISIONAL_BOOKING_STATUSES,
+  DEFAULT_TURN_TIME_MINUTES,
+  DEFAULT_BOOKING_HORIZON_DAYS,
+  TIME_PATTERN,
+  toStoredDate,
+  fromStoredDate,
+  getTableCapacity,
+  getScheduleForDate,
+  isSlotOpen,
+  getClosure,
+  isBlockedByClosure,
+  getTurnTime,
+  getBookingDuration,
+  countBookedTables,
+  findAvailableTable,
+  getAvailableTimes,
+  generateTimeSlots,
+  getServicePeriods,
+  buildDaySchedule,
+  refreshAvailableTables,
+  getActiveBookingsByRestaurant,
+  getActiveBookings,
+  reserveTable,
+  moveBooking
+};
@@ -0,0 +1,45 @@
+// Which statuses a booking may move to from each status. Anything not listed is final.
+//   pending   -> confirmed | declined | expired | cancelled   (restaurants that approve bookings manually)
+//   held      -> confirmed              (a waitlist guest claims the table; unclaimed holds are deleted)
+//   confirmed -> seated | no-show | cancelled
+//   seated    -> completed
+const BOOKING_TRANSITIONS = {
+  pending: ['confirmed', 'declined', 'expired', 'cancelled'],
+  held: ['confirmed'],
+  confirmed: ['seated', 'no-show', 'cancelled'],
+  seated: ['completed']
+};
+
+// Transitions only the restaurant's staff may apply, as they happen at the restaurant
+const MANAGER_STATUSES = ['seated', 'completed', 'no-show'];
+
+const canTransition = (from, to) => (BOOKING_TRANSITIONS[from] || []).includes(to);
+
+// Audit entry for Booking.statusHistory; `from` is null for the status a booking is created with
+const statusChange = (from, to, user, note) => ({
+  from,
+  to,
+  changedBy: user?._id,
+  changedByRole: user?.role,
+  changedAt: new Date(),
+  note
+});
+
+/**
+ * Moves a booking document to a new status and records who did it. Does not save.
+ * @returns {boolean} false when the transition is not allowed (the booking is left unchanged).
+ */
+const applyStatusChange = (booking, to, user, note) => {
+  if (!canTransition(booking.status, to)) return false;
+  booking.statusHistory.push(statusChange(booking.status, to, user, note));
+  booking.status = to;
+  return true;
+};
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  MANAGER_STATUSES,
+  canTransition,
+  statusChange,
+  applyStatusChange
+};
@@ -0,0 +1,132 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const { queueEmail, queueNotification } = require('./jobQueue');
+const { PENDING_BOOKING_STATUS, fromStoredDate } = require('./availability');
+const { statusChange } = require('./bookingLifecycle');
+const { offerFreedTables } = require('./waitlist');
+const { publishBookingChange } = require('./realtime');
+
+// How long a request holds its table when the restaurant has not configured bookingApproval.expiryMinutes
+const DEFAULT_REQUEST_EXPIRY_MINUTES = 120;
+
+const EXPIRED_REASON = 'The restaurant did not respond to your request in time.';
+
+const requiresApproval = (restaurant) => !!restaurant?.bookingApproval?.required;
+
+// When a new request stops holding its table: the restaurant's expiry window, but never later than the seating itself
+const getRequestExpiry = (restaurant, dateStr, time) => {
+  const minutes = restaurant.bookingApproval?.expiryMinutes || DEFAULT_REQUEST_EXPIRY_MINUTES;
+  const startsAt = moment(`${dateStr} ${time}`, 'YYYY-MM-DD HH:mm');
+  return moment.min(moment().add(minutes, 'minutes'), startsAt).toDate();
+};
+
+// Lets the guest know their request is with the restaurant, and the manager that it needs an answer
+const notifyBookingRequested = async (booking, restaurant) => {
+  const when = `${moment(fromStoredDate(booking.date), 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${booking.time}`;
+
+  try {
+    await queueEmail('sendBookingRequestEmail', booking.userId, booking, booking.restaurantId);
+    await queueNotification({
+      userId: booking.userId._id,
+      message: `Your booking request at ${restaurant.name} for ${when} has been sent. We'll let you know when the restaurant responds.`,
+      type: 'booking_requested',
+      bookingId: booking._id
+    });
+    await queueNotification({
+      userId: restaurant.managerId,
+      message: `New booking request from ${booking.userId.firstName} ${booking.userId.lastName} for ${booking.partySize} on ${when}. Please respond by ${moment(booking.holdExpiresAt).format('h:mm A, MMMM Do')}.`,
+      type: 'booking_requested',
+      bookingId: booking._id
+    });
+  } catch (notificationError) {
+    console.error('Failed to queue booking request email and notifications:', notificationError);
+  }
+};
+
+/**
+ * Moves a pending request to its final status. Only a request that is still pending is changed, so a
+ * manager answering at the same moment as the expiry sweep can't both win.
+ * @param {*} bookingId
+ * @param {string} to - 'confirmed', 'declined' or 'expired'.
+ * @param {object|null} user - Who answered; null for the expiry sweep.
+ * @param {string} [note]
+ * @param {object} [extraFilter] - Further conditions, e.g. that the hold has not lapsed.
+ * @returns {Promise<object|null>} The updated booking with user and restaurant populated, or null.
+ */
+const closeRequest = (bookingId, to, user, note, extraFilter = {}) => Booking.findOneAndUpdate(
+  { _id: bookingId, status: PENDING_BOOKING_STATUS, ...extraFilter },
+  {
+    $set: to === 'confirmed' ? { status: to, bookingDate: new Date() } : { status: to },
+    $unset: { holdExpiresAt: 1 },
+    $push: { statusHistory: statusChange(PENDING_BOOKING_STATUS, to, user, note) }
+  },
+  { new: true }
+).populate('userId', 'firstName lastName email').populate('restaurantId', 'name address');
+
+/**
+ * Tells the guest a request was declined or expired and offers the released table to the waitlist.
+ * @param {object} booking - Populated booking returned by closeRequest.
+ * @param {string} [reason] - The manager's note; expired requests get a standard one.
+ */
+const notifyRequestClosed = async (booking, reason) => {
+  const expired = booking.status === 'expired';
+  const dateStr = fromStoredDate(booking.date);
+  const restaurant = booking.restaurantId;
+  publishBookingChange(booking, 'updated');
+
+  try {
+    await offerFreedTables(restaurant._id, dateStr);
+  } catch (waitlistError) {
+    console.error('Failed to offer freed table to the waitlist:', waitlistError);
+  }
+
+  try {
+    await queueEmail('sendBookingDeclinedEmail', booking.userId, booking, restaurant, expired ? EXPIRED_REASON : reason);
+  } catch (queueError) {
+    console.error('Failed to queue booking declined email:', queueError);
+  }
+
+  try {
+    await queueNotification({
+      userId: booking.userId._id,
+      message: expired
+        ? `Your booking request at ${restaurant.name} for ${moment(dateStr, 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${booking.time} expired before the restaurant responded.`
+        : `${restaurant.name} could not accept your booking request for ${moment(dateStr, 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${booking.time}.${reason ? ` ${reason}` : ''}`,
+      type: expired ? 'booking_expired' : 'booking_declined',
+      bookingId: booking._id
+    });
+  } catch (notificationError) {
+    console.error('Failed to queue booking request notification:', notificationError);
+  }
+};
+
+/**
+ * Expires requests the manager did not answer in time, releasing their tables.
+ * @returns {Promise<number>} How many requests expired.
+ */
+const expireBookingRequests = async () => {
+  const lapsed = await Booking.find({
+    status: PENDING_BOOKING_STATUS,
+    holdExpiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of lapsed) {
+    const booking = await closeRequest(_id, 'expired', null, 'No response before the request expired');
+    if (!booking) continue; // Answered in the meantime
+    expired++;
+    console.log(`[bookingRequests] Request ${booking._id} at ${booking.restaurantId?.name} expired unanswered`);
+    await notifyRequestClosed(booking);
+  }
+  return expired;
+};
+
+module.exports = {
+  DEFAULT_REQUEST_EXPIRY_MINUTES,
+  requiresApproval,
+  getRequestExpiry,
+  closeRequest,
+  notifyBookingRequested,
+  notifyRequestClosed,
+  expireBookingRequests
+};
@@ -1,115 +1,75 @@
-const nodemailer = require('nodemailer');
-const moment = require('moment'); // For formatting dates
+const templates = require('./emailTemplates');
+const { getTransport } = require('./emailTransport');
 
 // Helper function for delay between retries
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Configure the transporter using Gmail
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: 'ch.tharunkumar1@gmail.com',
-    pass: 'gtrp aipc sjii fpxs'
-  }
-});
+const getSender = () => process.env.EMAIL_FROM || '"BookTable" <no-reply@booktable.local>';
 
-// Verify transporter configuration with retry logic
-const verifyTransporter = async (retries = 3, delay = 2000) => {
-  for (let i = 0; i < retries; i++) {
-    try {
-      await transporter.verify();
-      console.log('Transporter is ready to send emails');
-      return true;
-    } catch (error) {
-      console.error(`Transporter verification attempt ${i + 1} failed:`, error);
-      if (i < retries - 1) {
-        console.log(`Retrying in ${delay}ms...`);
-        await sleep(delay);
-      }
-    }
-  }
-  return false;
-};
-
-// Initialize transporter
-verifyTransporter().catch(console.error);
+// The send functions below log and skip (rather than throw) when the data they need is missing
 
-/**
- * Sends a booking confirmation email with retry logic.
- * @param {object} user - The user object (must have email, firstName).
- * @param {object} booking - The booking object (must have date, time, partySize).
- * @param {object} restaurant - The restaurant object (must have name).
- */
-const sendBookingConfirmationEmail = async (user, booking, restaurant, retries = 3, delay = 2000) => {
+const hasRecipient = (user) => {
   if (!user || !user.email || !user.firstName) {
-    console.error('User details missing:', { 
-      hasUser: !!user, 
-      hasEmail: !!user?.email, 
-      hasFirstName: !!user?.firstName 
+    console.error('User details missing:', {
+      hasUser: !!user,
+      hasEmail: !!user?.email,
+      hasFirstName: !!user?.firstName
     });
-    return;
+    return false;
   }
-  if (!booking || !booking.date || !booking.time || !booking.partySize) {
-    console.error('Booking details missing:', { 
-      hasBooking: !!booking, 
-      hasDate: !!booking?.date, 
-      hasTime: !!booking?.time, 
-      hasPartySize: !!booking?.partySize 
+  return true;
+};
+
+const hasBookingDetails = (booking, extra = {}) => {
+  if (!booking || !booking.date || !booking.time || !booking.partySize || Object.values(extra).some(value => !value)) {
+    console.error('Booking details missing:', {
+      hasBooking: !!booking,
+      hasDate: !!booking?.date,
+      hasTime: !!booking?.time,
+      hasPartySize: !!booking?.partySize,
+      ...Object.fromEntries(Object.entries(extra).map(([key, value]) => [key, !!value]))
     });
-    return;
+    return false;
   }
+  return true;
+};
+
+const hasRestaurant = (restaurant) => {
   if (!restaurant || !restaurant.name) {
-    console.error('Restaurant details missing:', { 
-      hasRestaurant: !!restaurant, 
-      hasName: !!restaurant?.name 
+    console.error('Restaurant details missing:', {
+      hasRestaurant: !!restaurant,
+      hasName: !!restaurant?.name
     });
-    return;
+    return false;
   }
+  return true;
+};
 
-  // Extract YYYY-MM-DD from RAW_DATE_STR:YYYY-MM-DD
-  const dateString = booking.date && booking.date.startsWith('RAW_DATE_STR:') 
-                   ? booking.date.substring(13) 
-                   : booking.date; // Fallback if prefix is missing
-
-  const formattedDate = moment(dateString).format('dddd, MMMM Do YYYY');
-  const formattedTime = moment(booking.time, 'HH:mm').format('h:mm A');
-
-  const mailOptions = {
-    from: '"BookTable" <ch.tharunkumar1@gmail.com>',
-    to: user.email,
-    subject: `Your Booking Confirmation at ${restaurant.name}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h2 style="color: #2c3e50; margin-bottom: 20px;">Booking Confirmation</h2>
-        <p>Dear ${user.firstName},</p>
-        <p>Your booking at <strong>${restaurant.name}</strong> is confirmed!</p>
-        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <h3 style="color: #2c3e50; margin-top: 0;">Booking Details:</h3>
-          <ul style="list-style: none; padding: 0;">
-            <li style="margin: 10px 0;">📅 Date: ${formattedDate}</li>
-            <li style="margin: 10px 0;">⏰ Time: ${formattedTime}</li>
-            <li style="margin: 10px 0;">👥 Party Size: ${booking.partySize}</li>
-          </ul>
-        </div>
-        <p>We look forward to serving you!</p>
-        <p style="margin-top: 30px;">Best regards,<br/>The BookTable Team</p>
-      </div>
-    `,
-  };
+/**
+ * Renders a template from emailTemplates.js and sends it through the configured transport, with retry logic.
+ * @param {string} template - Template name, e.g. 'bookingConfirmation'.
+ * @param {string} to - Recipient address.
+ * @param {object} data - Passed to the template.
+ * @returns {Promise<object>} The transport's result; throws after the last failed attempt.
+ */
+const sendEmail = async (template, to, data, retries = 3, delay = 2000) => {
+  const { subject, html, text } = templates[template](data);
+  const message = { from: getSender(), to, subject, html, text, template };
+  const transport = getTransport();
 
   for (let i = 0; i < retries; i++) {
     try {
-      console.log(`Attempting to send confirmation email to ${user.email} (attempt ${i + 1}/${retries})`);
-      const info = await transporter.sendMail(mailOptions);
-      console.log('Booking confirmation email sent successfully:', info.response);
+      console.log(`Attempting to send ${template} email to ${to} via ${transport.name} (attempt ${i + 1}/${retries})`);
+      const info = await transport.send(message);
+      console.log(`${template} email sent successfully:`, info.response);
       return info;
     } catch (error) {
-      console.error(`Failed to send booking confirmation email (attempt ${i + 1}/${retries}):`, {
+      console.error(`Failed to send ${template} email (attempt ${i + 1}/${retries}):`, {
         error: error.message,
         code: error.code,
         command: error.command
       });
-      
+
       if (i < retries - 1) {
         console.log(`Retrying in ${delay}ms...`);
         await sleep(delay);
@@ -120,6 +80,17 @@ const sendBookingConfirmationEmail = async (user, booking, restaurant, retries =
   }
 };
 
+/**
+ * Sends a booking confirmation email with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} booking - The booking object (must have date, time, partySize).
+ * @param {object} restaurant - The restaurant object (must have name).
+ */
+const sendBookingConfirmationEmail = async (user, booking, restaurant, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !hasBookingDetails(booking) || !hasRestaurant(restaurant)) return;
+  return sendEmail('bookingConfirmation', user.email, { user, booking, restaurant }, retries, delay);
+};
+
 /**
  * Sends a booking cancellation email with retry logic.
  * @param {object} user - The user object (must have email, firstName).
@@ -127,86 +98,146 @@ const sendBookingConfirmationEmail = async (user, booking, restaurant, retries =
  * @param {object} restaurant - The restaurant object (must have name).
  */
 const sendBookingCancellationEmail = async (user, booking, restaurant, retries = 3, delay = 2000) => {
-  if (!user || !user.email || !user.firstName) {
-    console.error('User details missing:', { 
-      hasUser: !!user, 
-      hasEmail: !!user?.email, 
-      hasFirstName: !!user?.firstName 
-    });
-    return;
-  }
-  if (!booking || !booking.date || !booking.time || !booking.partySize) {
-    console.error('Booking details missing:', { 
-      hasBooking: !!booking, 
-      hasDate: !!booking?.date, 
-      hasTime: !!booking?.time, 
-      hasPartySize: !!booking?.partySize 
-    });
-    return;
-  }
-  if (!restaurant || !restaurant.name) {
-    console.error('Restaurant details missing:', { 
-      hasRestaurant: !!restaurant, 
-      hasName: !!restaurant?.name 
-    });
-    return;
-  }
+  if (!hasRecipient(user) || !hasBookingDetails(booking) || !hasRestaurant(restaurant)) return;
+  return sendEmail('bookingCancellation', user.email, { user, booking, restaurant }, retries, delay);
+};
 
-  // Extract YYYY-MM-DD from RAW_DATE_STR:YYYY-MM-DD
-  const dateStringCancellation = booking.date && booking.date.startsWith('RAW_DATE_STR:')
-                               ? booking.date.substring(13)
-                               : booking.date; // Fallback
-
-  const formattedDate = moment(dateStringCancellation).format('dddd, MMMM Do YYYY');
-  const formattedTime = moment(booking.time, 'HH:mm').format('h:mm A');
-
-  const mailOptions = {
-    from: '"BookTable" <ch.tharunkumar1@gmail.com>',
-    to: user.email,
-    subject: `Booking Cancellation at ${restaurant.name}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h2 style="color: #2c3e50; margin-bottom: 20px;">Booking Cancellation</h2>
-        <p>Dear ${user.firstName},</p>
-        <p>Your booking at <strong>${restaurant.name}</strong> has been cancelled.</p>
-        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <h3 style="color: #2c3e50; margin-top: 0;">Cancelled Booking Details:</h3>
-          <ul style="list-style: none; padding: 0;">
-            <li style="margin: 10px 0;">📅 Date: ${formattedDate}</li>
-            <li style="margin: 10px 0;">⏰ Time: ${formattedTime}</li>
-            <li style="margin: 10px 0;">👥 Party Size: ${booking.partySize}</li>
-          </ul>
-        </div>
-        <p>If you did not request this cancellation, please contact us immediately.</p>
-        <p style="margin-top: 30px;">Best regards,<br/>The BookTable Team</p>
-      </div>
-    `,
-  };
+/**
+ * Sends an email confirming a booking's new date, time or party size, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} booking - The updated booking object (must have date, time, partySize).
+ * @param {object} restaurant - The restaurant object (must have name).
+ * @param {object} previous - The booking's date, time and partySize before the change.
+ */
+const sendBookingModificationEmail = async (user, booking, restaurant, previous, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !hasBookingDetails(booking, { hasPrevious: previous }) || !hasRestaurant(restaurant)) return;
+  return sendEmail('bookingModification', user.email, { user, booking, restaurant, previous }, retries, delay);
+};
 
-  for (let i = 0; i < retries; i++) {
-    try {
-      console.log(`Attempting to send cancellation email to ${user.email} (attempt ${i + 1}/${retries})`);
-      const info = await transporter.sendMail(mailOptions);
-      console.log('Booking cancellation email sent successfully:', info.response);
-      return info;
-    } catch (error) {
-      console.error(`Failed to send booking cancellation email (attempt ${i + 1}/${retries}):`, {
-        error: error.message,
-        code: error.code,
-        command: error.command
-      });
-      
-      if (i < retries - 1) {
-        console.log(`Retrying in ${delay}ms...`);
-        await sleep(delay);
-      } else {
-        throw error; // Re-throw on last attempt
-      }
-    }
-  }
+/**
+ * Tells a waitlisted customer a table is being held for them and until when they can claim it, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} booking - The held booking object (must have date, time, partySize).
+ * @param {object} restaurant - The restaurant object (must have name).
+ * @param {Date} expiresAt - When the hold lapses and the table is offered to the next guest.
+ */
+const sendWaitlistOfferEmail = async (user, booking, restaurant, expiresAt, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !hasBookingDetails(booking, { hasExpiry: expiresAt }) || !hasRestaurant(restaurant)) return;
+  return sendEmail('waitlistOffer', user.email, { user, booking, restaurant, expiresAt }, retries, delay);
+};
+
+/**
+ * Tells a customer their request reached a restaurant that approves bookings manually, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} booking - The pending booking object (must have date, time, partySize; holdExpiresAt is shown if set).
+ * @param {object} restaurant - The restaurant object (must have name).
+ */
+const sendBookingRequestEmail = async (user, booking, restaurant, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !hasBookingDetails(booking) || !hasRestaurant(restaurant)) return;
+  return sendEmail('bookingRequest', user.email, { user, booking, restaurant }, retries, delay);
+};
+
+/**
+ * Tells a customer their booking request was declined or lapsed, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} booking - The booking object (must have date, time, partySize).
+ * @param {object} restaurant - The restaurant object (must have name).
+ * @param {string} [reason] - The manager's note, or why the request lapsed.
+ */
+const sendBookingDeclinedEmail = async (user, booking, restaurant, reason, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !hasBookingDetails(booking) || !hasRestaurant(restaurant)) return;
+  return sendEmail('bookingDeclined', user.email, { user, booking, restaurant, reason }, retries, delay);
+};
+
+/**
+ * Reminds a customer of an upcoming booking, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} booking - The booking object (must have date, time, partySize).
+ * @param {object} restaurant - The restaurant object (must have name; address is shown if set).
+ */
+const sendBookingReminderEmail = async (user, booking, restaurant, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !hasBookingDetails(booking) || !hasRestaurant(restaurant)) return;
+  return sendEmail('bookingReminder', user.email, { user, booking, restaurant }, retries, delay);
+};
+
+/**
+ * Sends a password reset link, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {string} resetUrl - Page where the user chooses a new password; carries the reset token.
+ * @param {Date} expiresAt - When the link stops working.
+ */
+const sendPasswordResetEmail = async (user, resetUrl, expiresAt, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user)) return;
+  return sendEmail('passwordReset', user.email, { user, resetUrl, expiresAt }, retries, delay);
+};
+
+/**
+ * Sends a link that confirms the user owns their email address, with retry logic.
+ * @param {object} user - The user object (must have email, firstName); email is the address being confirmed.
+ * @param {string} verifyUrl - Page that confirms the address; carries the verification token.
+ * @param {Date} expiresAt - When the link stops working.
+ */
+const sendEmailVerificationEmail = async (user, verifyUrl, expiresAt, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user)) return;
+  return sendEmail('emailVerification', user.email, { user, verifyUrl, expiresAt }, retries, delay);
+};
+
+/**
+ * Tells an applicant whether their manager application was approved, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {object} application - Must have restaurantName and status ('approved' or 'rejected'); decisionReason is optional.
+ */
+const sendManagerApplicationDecisionEmail = async (user, application, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !application?.restaurantName) return;
+  return sendEmail('managerApplicationDecision', user.email, { user, application }, retries, delay);
+};
+
+/**
+ * Tells the owner of an account that it was locked after repeated failed sign-ins, with retry logic.
+ * @param {object} user - The user object (must have email, firstName).
+ * @param {string} unlockUrl - Page that lifts the lockout; carries the unlock token.
+ * @param {Date} lockedUntil - When the lockout ends by itself.
+ */
+const sendAccountLockedEmail = async (user, unlockUrl, lockedUntil, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user)) return;
+  return sendEmail('accountLocked', user.email, { user, unlockUrl, lockedUntil }, retries, delay);
+};
+
+/**
+ * Tells the current address that the account's email is being changed, with retry logic.
+ * @param {object} user - The user object (must have email, firstName); email is the current address.
+ * @param {string} newEmail - The address the user asked to switch to.
+ */
+const sendEmailChangeRequestedEmail = async (user, newEmail, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !newEmail) return;
+  return sendEmail('emailChangeRequested', user.email, { user, newEmail }, retries, delay);
+};
+
+/**
+ * Invites someone to join a restaurant's staff, with retry logic.
+ * @param {object} user - The recipient (must have email, firstName); they may not have an account yet.
+ * @param {{ restaurantName: string, role: string, inviterName: string }} invitation
+ * @param {string} acceptUrl - Page that accepts the invitation; carries its token.
+ * @param {Date} expiresAt - When the link stops working.
+ */
+const sendStaffInvitationEmail = async (user, invitation, acceptUrl, expiresAt, retries = 3, delay = 2000) => {
+  if (!hasRecipient(user) || !invitation?.restaurantName) return;
+  return sendEmail('staffInvitation', user.email, { user, invitation, acceptUrl, expiresAt }, retries, delay);
 };
 
-module.exports = { 
+module.exports = {
+  sendEmail,
   sendBookingConfirmationEmail,
-  sendBookingCancellationEmail 
+  sendBookingModificationEmail,
+  sendBookingCancellationEmail,
+  sendWaitlistOfferEmail,
+  sendBookingRequestEmail,
+  sendBookingDeclinedEmail,
+  sendBookingReminderEmail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendManagerApplicationDecisionEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeRequestedEmail,
+  sendStaffInvitationEmail
 };
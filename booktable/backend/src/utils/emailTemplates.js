@@ -0,0 +1,269 @@
+const moment = require('moment');
+
+// Every template returns { subject, html, text }. The HTML keeps the look of the original inline emails;
+// the text alternative is derived from the same blocks so the two never drift apart.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const unescapeHtml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Links become "label (url)", everything else loses its markup
+const htmlToText = (html) => unescapeHtml(html
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/g, '$2 ($1)')
+  .replace(/<br\s*\/?>/g, '\n')
+  .replace(/<[^>]+>/g, ''));
+
+// Extract YYYY-MM-DD from RAW_DATE_STR:YYYY-MM-DD
+const toDateString = (date) => (date && date.startsWith('RAW_DATE_STR:') ? date.substring(13) : date);
+const formatDate = (date) => moment(toDateString(date), 'YYYY-MM-DD').format('dddd, MMMM Do YYYY');
+const formatTime = (time) => moment(time, 'HH:mm').format('h:mm A');
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+// A paragraph; `html` must already be escaped
+const paragraph = (html, style) => ({
+  html: `<p${style ? ` style="${style}"` : ''}>${html}</p>`,
+  text: htmlToText(html)
+});
+
+const link = (label, url) => `<a href="${escapeHtml(url)}" style="color: #2196f3;">${escapeHtml(label)}</a>`;
+
+// The grey box of booking details. Items are [icon, label, value] with unescaped values.
+const detailsBox = (title, items) => ({
+  html: `
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3 style="color: #2c3e50; margin-top: 0;">${escapeHtml(title)}</h3>
+          <ul style="list-style: none; padding: 0;">
+            ${items.map(([icon, label, value]) => `<li style="margin: 10px 0;">${icon} ${escapeHtml(label)}: ${escapeHtml(value)}</li>`).join('\n            ')}
+          </ul>
+        </div>`,
+  text: [title, ...items.map(([, label, value]) => `  ${label}: ${value}`)].join('\n')
+});
+
+const bookingDetails = (title, booking) => detailsBox(title, [
+  ['📅', 'Date', formatDate(booking.date)],
+  ['⏰', 'Time', formatTime(booking.time)],
+  ['👥', 'Party Size', booking.partySize]
+]);
+
+const renderEmail = ({ subject, heading, firstName, blocks }) => {
+  const greeting = paragraph(`Dear ${escapeHtml(firstName)},`);
+  const signOff = paragraph('Best regards,<br/>The BookTable Team', 'margin-top: 30px;');
+  const all = [greeting, ...blocks.filter(Boolean), signOff];
+
+  return {
+    subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50; margin-bottom: 20px;">${escapeHtml(heading)}</h2>
+        ${all.map(block => block.html.trim()).join('\n        ')}
+      </div>
+    `,
+    text: [heading, ...all.map(block => block.text)].join('\n\n') + '\n'
+  };
+};
+
+const bookingConfirmation = ({ user, booking, restaurant }) => renderEmail({
+  subject: `Your Booking Confirmation at ${restaurant.name}`,
+  heading: 'Booking Confirmation',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`Your booking at <strong>${escapeHtml(restaurant.name)}</strong> is confirmed!`),
+    bookingDetails('Booking Details:', booking),
+    paragraph('We look forward to serving you!')
+  ]
+});
+
+const bookingModification = ({ user, booking, restaurant, previous }) => renderEmail({
+  subject: `Your Updated Booking at ${restaurant.name}`,
+  heading: 'Booking Updated',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`Your booking at <strong>${escapeHtml(restaurant.name)}</strong> has been changed and is confirmed.`),
+    bookingDetails('New Booking Details:', booking),
+    paragraph(`Previously: ${formatDate(previous.date)} at ${formatTime(previous.time)} for ${escapeHtml(previous.partySize)}`, 'color: #7f8c8d;'),
+    paragraph('If you did not make this change, please contact us immediately.')
+  ]
+});
+
+const bookingCancellation = ({ user, booking, restaurant }) => renderEmail({
+  subject: `Booking Cancellation at ${restaurant.name}`,
+  heading: 'Booking Cancellation',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`Your booking at <strong>${escapeHtml(restaurant.name)}</strong> has been cancelled.`),
+    bookingDetails('Cancelled Booking Details:', booking),
+    paragraph('If you did not request this cancellation, please contact us immediately.')
+  ]
+});
+
+const bookingRequest = ({ user, booking, restaurant }) => renderEmail({
+  subject: `Booking Request Received - ${restaurant.name}`,
+  heading: 'Booking Request Received',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`<strong>${escapeHtml(restaurant.name)}</strong> confirms bookings personally. We have sent them your request and are holding the table in the meantime.`),
+    bookingDetails('Request Details:', booking),
+    paragraph(booking.holdExpiresAt
+      ? `We will email you as soon as the restaurant responds. If they have not answered by ${moment(booking.holdExpiresAt).format('h:mm A on MMMM Do')}, the request lapses and the table is released.`
+      : 'We will email you as soon as the restaurant responds.')
+  ]
+});
+
+const bookingDeclined = ({ user, booking, restaurant, reason }) => renderEmail({
+  subject: `Booking Request Not Accepted - ${restaurant.name}`,
+  heading: 'Booking Request Not Accepted',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`Unfortunately <strong>${escapeHtml(restaurant.name)}</strong> could not accept your booking request.`),
+    bookingDetails('Request Details:', booking),
+    reason && paragraph(`Reason: ${escapeHtml(reason)}`),
+    paragraph('You are welcome to request another time or try one of our other restaurants.')
+  ]
+});
+
+const bookingReminder = ({ user, booking, restaurant }) => {
+  const address = restaurant.address
+    ? [restaurant.address.street, restaurant.address.city, restaurant.address.state].filter(Boolean).join(', ')
+    : '';
+  const items = [
+    ['📅', 'Date', formatDate(booking.date)],
+    ['⏰', 'Time', formatTime(booking.time)],
+    ['👥', 'Party Size', booking.partySize]
+  ];
+  if (address) items.push(['📍', 'Address', address]);
+
+  return renderEmail({
+    subject: `Reminder: your table at ${restaurant.name}`,
+    heading: 'See you soon!',
+    firstName: user.firstName,
+    blocks: [
+      paragraph(`This is a reminder of your upcoming booking at <strong>${escapeHtml(restaurant.name)}</strong>.`),
+      detailsBox('Booking Details:', items),
+      paragraph(`Plans changed? ${link('Modify or cancel your booking', frontendUrl('/dashboard'))} so the table can go to someone else.`),
+      paragraph('You can turn off booking reminders from the notifications menu.', 'color: #7f8c8d; font-size: 12px;')
+    ]
+  });
+};
+
+const waitlistOffer = ({ user, booking, restaurant, expiresAt }) => renderEmail({
+  subject: `A table opened up at ${restaurant.name}`,
+  heading: 'Good news from the waitlist',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`A table has opened up at <strong>${escapeHtml(restaurant.name)}</strong> and we are holding it for you.`),
+    bookingDetails('Table Details:', booking),
+    paragraph(`<strong>Claim it by ${moment(expiresAt).format('h:mm A on MMMM Do')}</strong>, after which it goes to the next guest on the waitlist.`),
+    paragraph(link('Claim your table from your dashboard', frontendUrl('/dashboard')))
+  ]
+});
+
+const passwordReset = ({ user, resetUrl, expiresAt }) => renderEmail({
+  subject: 'Reset your BookTable password',
+  heading: 'Password Reset',
+  firstName: user.firstName,
+  blocks: [
+    paragraph('We received a request to reset the password for your BookTable account.'),
+    paragraph(link('Choose a new password', resetUrl)),
+    paragraph(`This link can be used once and expires at ${moment(expiresAt).format('h:mm A on MMMM Do')}.`),
+    paragraph('If you did not ask to reset your password, you can ignore this email - your password will not change.')
+  ]
+});
+
+const emailVerification = ({ user, verifyUrl, expiresAt }) => renderEmail({
+  subject: 'Confirm your BookTable email address',
+  heading: 'Confirm Your Email',
+  firstName: user.firstName,
+  blocks: [
+    paragraph('Thanks for signing up to BookTable! Please confirm this is your email address so you can book tables and leave reviews.'),
+    paragraph(link('Confirm my email address', verifyUrl)),
+    paragraph(`This link expires at ${moment(expiresAt).format('h:mm A on MMMM Do')}. You can request a new one from BookTable at any time.`),
+    paragraph('If you did not create a BookTable account, you can ignore this email.')
+  ]
+});
+
+const managerApplicationDecision = ({ user, application }) => {
+  const approved = application.status === 'approved';
+  return renderEmail({
+    subject: approved
+      ? 'Your BookTable manager application was approved'
+      : 'Your BookTable manager application',
+    heading: approved ? 'Welcome aboard!' : 'Manager Application Update',
+    firstName: user.firstName,
+    blocks: approved
+      ? [
+        paragraph(`Your application to manage <strong>${escapeHtml(application.restaurantName)}</strong> on BookTable has been approved.`),
+        paragraph(`${link('Open your manager dashboard', frontendUrl('/manager/dashboard'))} to list your restaurant.`)
+      ]
+      : [
+        paragraph(`Thank you for applying to manage <strong>${escapeHtml(application.restaurantName)}</strong> on BookTable. Unfortunately we could not approve your application.`),
+        application.decisionReason && paragraph(`Reason: ${escapeHtml(application.decisionReason)}`),
+        paragraph('Your customer account is unaffected, and you are welcome to apply again.')
+      ]
+  });
+};
+
+const accountLocked = ({ user, unlockUrl, lockedUntil }) => renderEmail({
+  subject: 'Your BookTable account was temporarily locked',
+  heading: 'Account Temporarily Locked',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`After several unsuccessful attempts to sign in, we have locked your account until ${moment(lockedUntil).format('h:mm A on MMMM Do')}.`),
+    paragraph(`If that was you, you can ${link('unlock your account now', unlockUrl)}, or ${link('reset your password', frontendUrl('/forgot-password'))} if you have forgotten it.`),
+    paragraph('If it was not you, someone may be trying to guess your password. Your account is safe while it is locked, but we recommend choosing a new, unique password.')
+  ]
+});
+
+const emailChangeRequested = ({ user, newEmail }) => renderEmail({
+  subject: 'Your BookTable email address is changing',
+  heading: 'Email Change Requested',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`We received a request to change the email address of your BookTable account to <strong>${escapeHtml(newEmail)}</strong>. The change happens once the link we sent to that address is followed.`),
+    paragraph(`If you did not ask for this, someone may know your password. ${link('Reset your password', frontendUrl('/forgot-password'))} to keep your account safe.`)
+  ]
+});
+
+const STAFF_ROLE_DUTIES = {
+  manager: 'As a manager you can run the restaurant on BookTable: its details, closures, bookings and hosts.',
+  host: 'As a host you can see the restaurant\'s bookings and check guests in as they arrive.'
+};
+
+const staffInvitation = ({ user, invitation, acceptUrl, expiresAt }) => renderEmail({
+  subject: `You're invited to join ${invitation.restaurantName} on BookTable`,
+  heading: 'Staff Invitation',
+  firstName: user.firstName,
+  blocks: [
+    paragraph(`${escapeHtml(invitation.inviterName)} invited you to join <strong>${escapeHtml(invitation.restaurantName)}</strong> on BookTable as a ${escapeHtml(invitation.role)}.`),
+    paragraph(escapeHtml(STAFF_ROLE_DUTIES[invitation.role] || '')),
+    paragraph(`${link('Accept the invitation', acceptUrl)} while signed in with this email address. If you don't have an account yet, ${link('create one', frontendUrl('/register'))} with this address first.`),
+    paragraph(`The invitation expires ${moment(expiresAt).format('MMMM Do YYYY')}. If you weren't expecting it, you can ignore this email.`)
+  ]
+});
+
+module.exports = {
+  escapeHtml,
+  bookingConfirmation,
+  bookingModification,
+  bookingCancellation,
+  bookingRequest,
+  bookingDeclined,
+  bookingReminder,
+  waitlistOffer,
+  passwordReset,
+  emailVerification,
+  managerApplicationDecision,
+  accountLocked,
+  emailChangeRequested,
+  staffInvitation
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// EMAIL_TRANSPORT picks where mail goes:
+//   smtp     - a real SMTP server (SMTP_SERVICE, or SMTP_HOST/SMTP_PORT/SMTP_SECURE, with SMTP_USER/SMTP_PASS)
+//   file     - one JSON file per message in EMAIL_FILE_DIR, for development and tests
+//   disabled - nothing is sent, only logged
+// Without EMAIL_TRANSPORT, smtp is used when an SMTP server is configured and mail is disabled otherwise.
+const TRANSPORTS = ['smtp', 'file', 'disabled'];
+
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', '..', 'tmp', 'emails');
+
+const getTransportName = () => {
+  const configured = (process.env.EMAIL_TRANSPORT || '').toLowerCase();
+  if (configured) {
+    if (!TRANSPORTS.includes(configured)) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${process.env.EMAIL_TRANSPORT}" (expected one of: ${TRANSPORTS.join(', ')})`);
+    }
+    return configured;
+  }
+  return process.env.SMTP_SERVICE || process.env.SMTP_HOST ? 'smtp' : 'disabled';
+};
+
+const createSmtpTransport = () => {
+  const auth = process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined;
+  const transporter = process.env.SMTP_SERVICE
+    ? nodemailer.createTransport({ service: process.env.SMTP_SERVICE, auth })
+    : nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+
+  return {
+    name: 'smtp',
+    send: ({ template, ...message }) => transporter.sendMail(message),
+    verify: () => transporter.verify()
+  };
+};
+
+let fileCounter = 0;
+
+const createFileTransport = () => {
+  const dir = process.env.EMAIL_FILE_DIR || DEFAULT_FILE_DIR;
+
+  return {
+    name: 'file',
+    dir,
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const sentAt = new Date();
+      fileCounter++;
+      const file = path.join(dir, `${sentAt.getTime()}-${String(fileCounter).padStart(4, '0')}-${message.template || 'email'}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+      return { messageId: path.basename(file, '.json'), response: `Written to ${file}` };
+    },
+    verify: async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      return true;
+    }
+  };
+};
+
+const createDisabledTransport = () => ({
+  name: 'disabled',
+  send: async (message) => {
+    console.log(`[email] Sending is disabled; skipped "${message.subject}" to ${message.to}`);
+    return { messageId: null, response: 'Email disabled' };
+  },
+  verify: async () => true
+});
+
+let transport = null;
+
+// Built on first use so the configuration is read after dotenv (and test setup) has run
+const getTransport = () => {
+  if (!transport) {
+    const name = getTransportName();
+    if (name === 'smtp') transport = createSmtpTransport();
+    else if (name === 'file') transport = createFileTransport();
+    else transport = createDisabledTransport();
+  }
+  return transport;
+};
+
+// Forgets the current transport so the next send reads the configuration again
+const resetTransport = () => {
+  transport = null;
+};
+
+/**
+ * Checks the configured transport can send, e.g. that the SMTP login works. Called once at startup.
+ * @returns {Promise<boolean>}
+ */
+const verifyTransport = async () => {
+  const current = getTransport();
+  try {
+    await current.verify();
+    console.log(`[email] ${current.name} transport is ready to send emails`);
+    return true;
+  } catch (error) {
+    console.error(`[email] ${current.name} transport verification failed:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  resetTransport,
+  verifyTransport
+};
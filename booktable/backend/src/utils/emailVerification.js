@@ -0,0 +1,97 @@
+const User = require('../models/User');
+const { queueLinkEmail } = require('./jobQueue');
+const { sendEmailVerificationEmail } = require('./emailService');
+const { generateToken, hashToken } = require('./tokens');
+
+// How long an email verification link works
+const DEFAULT_VERIFICATION_TOKEN_HOURS = 48;
+
+const getExpiry = () => {
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS, 10) || DEFAULT_VERIFICATION_TOKEN_HOURS;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Marks the user's email unverified and emails them a link to confirm it. A new link replaces any earlier one.
+ * @param {object} user - Must have _id and email (the address to confirm).
+ * @returns {Promise<Date>} When the link expires.
+ */
+const sendVerification = async (user) => {
+  const expiresAt = getExpiry();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { emailVerified: false },
+      // The link confirms the current address, so it must not also complete an earlier change of address.
+      // Any earlier link stops working now; the new one is made when the email is sent.
+      $unset: { pendingEmail: 1, emailVerificationToken: 1, emailVerificationExpires: 1 }
+    }
+  );
+
+  await queueLinkEmail('sendEmailVerificationEmail', { userId: user._id, to: user.email, expiresAt });
+  return expiresAt;
+};
+
+/**
+ * Starts a change of email address: the link goes to the new address, and the account keeps its current,
+ * verified address until the link is followed. A new request replaces any earlier one.
+ * @param {object} user - Must have _id.
+ * @param {string} newEmail - The address to switch to.
+ * @returns {Promise<Date>} When the link expires.
+ */
+const sendEmailChangeVerification = async (user, newEmail) => {
+  const expiresAt = getExpiry();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { pendingEmail: newEmail }, $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+  );
+
+  await queueLinkEmail('sendEmailVerificationEmail', { userId: user._id, to: newEmail, expiresAt });
+  return expiresAt;
+};
+
+// Runs in the job worker: issues the link and sends it to `to`, as long as that address is still the one waiting
+// to be confirmed (a later change of address, or confirming by an earlier link, makes the email moot)
+const deliverEmailVerification = async ({ userId, to, expiresAt }) => {
+  if (new Date(expiresAt) <= new Date()) return;
+
+  const token = generateToken();
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      active: true,
+      $or: [{ pendingEmail: to }, { email: to, emailVerified: false, pendingEmail: null }]
+    },
+    { $set: { emailVerificationToken: hashToken(token), emailVerificationExpires: new Date(expiresAt) } },
+    { new: true }
+  ).select('firstName');
+  if (!user) return;
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+  await sendEmailVerificationEmail({ firstName: user.firstName, email: to }, verifyUrl, expiresAt, 1, 0);
+};
+
+/**
+ * Confirms the email address the token was sent to, switching to it if it was a pending change. Each link works once.
+ * Throws a duplicate key error if another account took the pending address in the meantime.
+ * @returns {Promise<object|null>} The verified user, or null when the token is unknown or expired.
+ */
+const confirmVerification = async (token) => {
+  const user = await User.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+    { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  const update = { $set: { emailVerified: true } };
+  if (user.pendingEmail) {
+    update.$set.email = user.pendingEmail;
+    update.$unset = { pendingEmail: 1 };
+  }
+  return User.findByIdAndUpdate(user._id, update, { new: true }).select('-password');
+};
+
+module.exports = { sendVerification, sendEmailChangeVerification, deliverEmailVerification, confirmVerification };
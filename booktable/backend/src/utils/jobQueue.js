@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const emailService = require('./emailService');
+const { publishNotification } = require('./realtime');
+
+// Delay before retry n is BASE * 2^(n-1), capped at MAX
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// A job still marked processing after this long belongs to a worker that died mid-job
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Emits 'enqueued' so a running worker can pick new jobs up straight away instead of at its next poll
+const queueEvents = new EventEmitter();
+
+// Emails that carry a single-use link. Their jobs hold only what the link is for (ids, the recipient's address
+// and the expiry); the token is created and its hash saved when the email goes out, so it never sits in the jobs
+// collection. Loaded when first used, since these modules queue jobs themselves.
+const LINK_EMAILS = {
+  sendPasswordResetEmail: () => require('./passwordReset').deliverPasswordReset,
+  sendEmailVerificationEmail: () => require('./emailVerification').deliverEmailVerification,
+  sendAccountLockedEmail: () => require('./loginThrottle').deliverUnlockEmail,
+  sendStaffInvitationEmail: () => require('./restaurantStaff').deliverStaffInvitation
+};
+
+const HANDLERS = {
+  // payload: { name, args } - calls emailService[name](...args) with a single attempt; the queue does the retrying
+  email: async ({ name, args }) => {
+    if (!/^send\w+Email$/.test(name) || typeof emailService[name] !== 'function') {
+      throw new Error(`Unknown email "${name}"`);
+    }
+    await emailService[name](...args, 1, 0);
+  },
+  // payload: { name, to, ...what the link is for } - see LINK_EMAILS; each attempt issues a fresh link
+  linkEmail: async ({ name, ...details }) => {
+    const deliver = LINK_EMAILS[name] && LINK_EMAILS[name]();
+    if (!deliver) {
+      throw new Error(`Unknown link email "${name}"`);
+    }
+    await deliver(details);
+  },
+  // payload: the Notification fields; the recipient's open notification streams get it straight away
+  notification: async (fields) => {
+    const notification = await Notification.create(fields);
+    try {
+      await publishNotification(notification);
+    } catch (error) {
+      // The notification is saved, so a failed push must not make the job run (and create it) again
+      console.error(`[jobQueue] Failed to push notification ${notification._id}:`, error.message);
+    }
+  }
+};
+
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Adds a job to the queue.
+ * @param {string} type - A key of HANDLERS.
+ * @param {object} payload - Stored as JSON, so documents are reduced to plain data.
+ * @param {{ runAt?: Date, maxAttempts?: number }} [options]
+ * @returns {Promise<object>} The saved job.
+ */
+const enqueue = async (type, payload, { runAt, maxAttempts } = {}) => {
+  if (!HANDLERS[type]) throw new Error(`Unknown job type "${type}"`);
+
+  const job = await Job.create({
+    type,
+    payload: JSON.parse(JSON.stringify(payload)),
+    runAt: runAt || new Date(),
+    maxAttempts
+  });
+  queueEvents.emit('enqueued', job);
+  return job;
+};
+
+// queueEmail('sendBookingConfirmationEmail', user, booking, restaurant) - same arguments as the emailService function
+const queueEmail = (name, ...args) => enqueue('email', { name, args });
+
+// queueLinkEmail('sendPasswordResetEmail', { userId, to, expiresAt }) - never pass the token or the link itself
+const queueLinkEmail = (name, details) => enqueue('linkEmail', { name, ...details });
+
+const queueNotification = (fields) => enqueue('notification', fields);
+
+// Atomically takes the oldest due job, so several workers never run the same one
+const claimNextJob = () => Job.findOneAndUpdate(
+  { status: 'queued', runAt: { $lte: new Date() } },
+  { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Runs a claimed job and records the outcome: completed, queued again with backoff, or dead.
+ * @returns {Promise<string>} The job's new status.
+ */
+const runJob = async (job) => {
+  try {
+    await HANDLERS[job.type](job.payload);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedAt: 1, lastError: 1 } }
+    );
+    return 'completed';
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    const update = dead
+      ? { status: 'dead', lastError: error.message }
+      : { status: 'queued', lastError: error.message, runAt: new Date(Date.now() + getRetryDelay(job.attempts)) };
+    await Job.updateOne({ _id: job._id }, { $set: update, $unset: { lockedAt: 1 } });
+
+    if (dead) {
+      console.error(`[jobQueue] ${job.type} job ${job._id} failed for good after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.error(`[jobQueue] ${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${update.runAt.toISOString()}:`, error.message);
+    }
+    return update.status;
+  }
+};
+
+// Puts jobs whose worker died mid-run back in the queue; the interrupted run still counts as an attempt
+const requeueStaleJobs = async () => {
+  const { modifiedCount } = await Job.updateMany(
+    { status: 'processing', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    { $set: { status: 'queued', runAt: new Date(), lastError: 'Worker stopped before the job finished' }, $unset: { lockedAt: 1 } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Gives a dead job a fresh set of attempts.
+ * @returns {Promise<object|null>} The requeued job, or null when there is no dead job with this id.
+ */
+const retryDeadJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date() } },
+    { new: true }
+  );
+  if (job) queueEvents.emit('enqueued', job);
+  return job;
+};
+
+module.exports = {
+  LOCK_TIMEOUT_MS,
+  queueEvents,
+  getRetryDelay,
+  enqueue,
+  queueEmail,
+  queueLinkEmail,
+  queueNotification,
+  claimNextJob,
+  runJob,
+  requeueStaleJobs,
+  retryDeadJob
+};
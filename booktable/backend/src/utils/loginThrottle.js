@@ -0,0 +1,189 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const { queueLinkEmail } = require('./jobQueue');
+const { sendAccountLockedEmail } = require('./emailService');
+const { generateToken, hashToken } = require('./tokens');
+
+// The longest progressive delay between attempts, before the lockout takes over
+const MAX_DELAY_SECONDS = 30;
+
+const minutes = (value) => value * 60 * 1000;
+
+// Accounts slow down after a couple of failures and lock soon after. An IP address gets more room because
+// people share addresses, and no per-attempt delay, but it catches one client guessing across many accounts.
+const getLimits = (kind) => {
+  const windowMs = minutes(parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15);
+  const lockMs = minutes(parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15);
+  if (kind === 'account') {
+    return { maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5, delayAfter: 2, windowMs, lockMs };
+  }
+  return { maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20, delayAfter: Infinity, windowMs, lockMs };
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const secondsToWait = async (account, ip, now) => {
+  const throttles = await LoginThrottle.find({ $or: [{ kind: 'account', key: account }, { kind: 'ip', key: ip }] });
+  const waitUntil = Math.max(0, ...throttles.flatMap(throttle => [
+    throttle.lockedUntil ? throttle.lockedUntil.getTime() : 0,
+    throttle.nextAttemptAt ? throttle.nextAttemptAt.getTime() : 0
+  ]));
+  return waitUntil > now.getTime() ? Math.ceil((waitUntil - now.getTime()) / 1000) : 0;
+};
+
+// Counts an attempt as a failure before it is checked, in one conditional update that refuses it while the account
+// or IP is locked out, waiting out its delay, or has as many attempts under way as it has failures left. Checking
+// then counting would let a burst of parallel guesses all through before the first failure was recorded.
+const reserveAttempt = async (kind, key, now) => {
+  const limits = getLimits(kind);
+  const windowStart = new Date(now.getTime() - limits.windowMs);
+  const open = {
+    kind,
+    key,
+    lockedUntil: { $not: { $gt: now } },
+    nextAttemptAt: { $not: { $gt: now } },
+    $or: [{ failures: { $lt: limits.maxFailures } }, { lastFailureAt: { $not: { $gt: windowStart } } }]
+  };
+  // 2s, 4s, 8s, ... before the next attempt, once delayAfter attempts have failed or are under way
+  const delaySeconds = { $min: [{ $pow: [2, { $subtract: ['$failures', limits.delayAfter - 1] }] }, MAX_DELAY_SECONDS] };
+  const nextAttemptAt = Number.isFinite(limits.delayAfter)
+    ? { $cond: [{ $gte: ['$failures', limits.delayAfter] }, { $add: [now, { $multiply: [delaySeconds, 1000] }] }, null] }
+    : null;
+  // Failures older than the window don't count, even if MongoDB hasn't removed the document yet
+  const update = [
+    {
+      $set: {
+        kind,
+        key,
+        failures: { $cond: [{ $gt: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1] },
+        lastFailureAt: now,
+        lockouts: { $ifNull: ['$lockouts', 0] },
+        expiresAt: { $max: [{ $ifNull: ['$lockedUntil', now] }, new Date(now.getTime() + limits.windowMs)] }
+      }
+    },
+    { $set: { nextAttemptAt } }
+  ];
+
+  // When a document exists but is closed, the upsert collides with it on the unique index. Two first attempts at
+  // once collide too, so one more try tells the two apart.
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      return !!(await LoginThrottle.findOneAndUpdate(open, update, { upsert: true, new: true }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+// Takes back a reserved attempt that turned out not to be a failure
+const releaseAttempt = (kind, key) => LoginThrottle.updateOne(
+  { kind, key, failures: { $gt: 0 } },
+  kind === 'account' ? { $inc: { failures: -1 }, $set: { nextAttemptAt: null } } : { $inc: { failures: -1 } }
+);
+
+/**
+ * Reserves a login attempt against the email and the client address before the password or code is checked.
+ * A reserved attempt counts as a failure: follow it with recordLoginFailure, or releaseLoginAttempt when it was right.
+ * @param {string} email - The email being signed in to; it doesn't need to belong to an account.
+ * @param {string} ip - The client address.
+ * @returns {Promise<number>} Seconds to wait before trying again, or 0 when the attempt was reserved.
+ */
+const reserveLoginAttempt = async (email, ip) => {
+  const now = new Date();
+  const account = normalizeEmail(email);
+  if (await reserveAttempt('ip', ip, now)) {
+    if (await reserveAttempt('account', account, now)) return 0;
+    await releaseAttempt('ip', ip);
+  }
+  // Refused with no lockout or delay showing means other attempts are still being checked
+  return Math.max(await secondsToWait(account, ip, now), 1);
+};
+
+// The reserved attempt was right (the password, even if a two-factor code is still to come): it isn't a failure
+const releaseLoginAttempt = (email, ip) => Promise.all([
+  releaseAttempt('account', normalizeEmail(email)),
+  releaseAttempt('ip', ip)
+]);
+
+// Emails the owner of a just-locked account a link that lifts the lockout early
+const sendUnlockEmail = async (throttle) => {
+  const user = await User.findOne({ email: throttle.key }).select('email');
+  if (!user) return;
+  await queueLinkEmail('sendAccountLockedEmail', { throttleId: throttle._id, to: user.email, lockedUntil: throttle.lockedUntil });
+};
+
+// Runs in the job worker: issues the unlock link and sends it, unless the lockout has ended in the meantime
+const deliverUnlockEmail = async ({ throttleId }) => {
+  const throttle = await LoginThrottle.findOne({ _id: throttleId, kind: 'account', lockedUntil: { $gt: new Date() } });
+  if (!throttle) return;
+  const user = await User.findOne({ email: throttle.key }).select('firstName email');
+  if (!user) return;
+
+  const token = generateToken();
+  const { matchedCount } = await LoginThrottle.updateOne(
+    { _id: throttle._id, lockedUntil: throttle.lockedUntil },
+    { unlockTokenHash: hashToken(token) }
+  );
+  if (!matchedCount) return;
+  const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account?token=${token}`;
+  await sendAccountLockedEmail(user, unlockUrl, throttle.lockedUntil, 1, 0);
+};
+
+// Locks the account or IP out once its failures reach the limit. The failure itself was counted when the attempt
+// was reserved; resetting the count means only one request locks (and emails).
+const lockIfAtLimit = async (kind, key, now) => {
+  const limits = getLimits(kind);
+  const lockedUntil = new Date(now.getTime() + limits.lockMs);
+  const windowStart = new Date(now.getTime() - limits.windowMs);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { kind, key, failures: { $gte: limits.maxFailures }, lastFailureAt: { $gt: windowStart } },
+    { $set: { failures: 0, lockedUntil, nextAttemptAt: null, expiresAt: lockedUntil }, $inc: { lockouts: 1 } },
+    { new: true }
+  );
+  if (locked) {
+    console.warn(`[loginThrottle] Locked ${kind} ${key} until ${lockedUntil.toISOString()}`);
+  }
+  return locked;
+};
+
+/**
+ * Confirms a reserved attempt as a failed login for the email and the client address. When that locks the account
+ * out, its owner (if the email belongs to one) is emailed an unlock link.
+ */
+const recordLoginFailure = async (email, ip) => {
+  const now = new Date();
+  const [lockedAccount] = await Promise.all([
+    lockIfAtLimit('account', normalizeEmail(email), now),
+    lockIfAtLimit('ip', ip, now)
+  ]);
+  if (lockedAccount) {
+    try {
+      await sendUnlockEmail(lockedAccount);
+    } catch (emailError) {
+      console.error('[loginThrottle] Failed to queue unlock email:', emailError);
+    }
+  }
+};
+
+// Forgets an account's failures and any lockout, after a successful login or a password reset
+const clearAccountThrottle = (email) => LoginThrottle.deleteOne({ kind: 'account', key: normalizeEmail(email) });
+
+/**
+ * Lifts an account lockout with the token from the "account locked" email. Each link works once.
+ * @returns {Promise<object|null>} The removed lockout, or null when the token is unknown or the lockout is over.
+ */
+const unlockWithToken = (token) => LoginThrottle.findOneAndDelete({
+  kind: 'account',
+  unlockTokenHash: hashToken(token),
+  lockedUntil: { $gt: new Date() }
+});
+
+module.exports = {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginFailure,
+  clearAccountThrottle,
+  unlockWithToken,
+  deliverUnlockEmail
+};
@@ -0,0 +1,52 @@
+const ManagerApplication = require('../models/ManagerApplication');
+const User = require('../models/User');
+const { queueEmail, queueNotification } = require('./jobQueue');
+
+/**
+ * Opens a manager application for a customer and lets the admins know about it.
+ * Used by registration (role 'manager') and by signed-in customers applying later.
+ * @param {object} user - The applicant; must be a customer without a pending application.
+ * @param {{ restaurantName: string, message?: string }} details
+ * @returns {Promise<object>} The new application.
+ */
+const submitApplication = async (user, { restaurantName, message }) => {
+  const application = await ManagerApplication.create({ userId: user._id, restaurantName, message });
+
+  try {
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    await Promise.all(admins.map(admin => queueNotification({
+      userId: admin._id,
+      message: `${user.firstName} ${user.lastName} applied to manage ${application.restaurantName}.`,
+      type: 'manager_application'
+    })));
+  } catch (notificationError) {
+    console.error('Failed to queue manager application notifications:', notificationError);
+  }
+  return application;
+};
+
+/**
+ * Lets the applicant know about the decision by notification and email. Never throws.
+ * @param {object} user - The applicant (firstName, email).
+ * @param {object} application - The decided application.
+ */
+const notifyDecision = async (user, application) => {
+  try {
+    await queueNotification({
+      userId: user._id,
+      message: application.status === 'approved'
+        ? `Your application to manage ${application.restaurantName} was approved. You can now list your restaurant.`
+        : `Your application to manage ${application.restaurantName} was not approved.`,
+      type: 'manager_application'
+    });
+    await queueEmail(
+      'sendManagerApplicationDecisionEmail',
+      { firstName: user.firstName, email: user.email },
+      { restaurantName: application.restaurantName, status: application.status, decisionReason: application.decisionReason }
+    );
+  } catch (queueError) {
+    console.error('Failed to queue manager application decision:', queueError);
+  }
+};
+
+module.exports = { submitApplication, notifyDecision };
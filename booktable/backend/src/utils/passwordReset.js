@@ -0,0 +1,37 @@
+const User = require('../models/User');
+const { queueLinkEmail } = require('./jobQueue');
+const { sendPasswordResetEmail } = require('./emailService');
+const { generateToken, hashToken } = require('./tokens');
+
+// How long a password reset link works
+const DEFAULT_RESET_TOKEN_MINUTES = 60;
+
+/**
+ * Emails the user a single-use link to choose a new password. A new link replaces any earlier one.
+ * @param {object} user - Must have _id and email.
+ * @returns {Promise<Date>} When the link expires.
+ */
+const sendPasswordReset = async (user) => {
+  const minutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || DEFAULT_RESET_TOKEN_MINUTES;
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  // Any earlier link stops working now; the new one is made when the email is sent
+  await User.updateOne({ _id: user._id }, { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } });
+  await queueLinkEmail('sendPasswordResetEmail', { userId: user._id, to: user.email, expiresAt });
+  return expiresAt;
+};
+
+// Runs in the job worker: issues the link and sends it. Skipped once the account is gone or the time is up.
+const deliverPasswordReset = async ({ userId, expiresAt }) => {
+  const user = await User.findById(userId).select('firstName email active');
+  if (!user || !user.active || new Date(expiresAt) <= new Date()) return;
+
+  const token = generateToken();
+  await User.updateOne(
+    { _id: user._id },
+    { resetPasswordToken: hashToken(token), resetPasswordExpires: new Date(expiresAt) }
+  );
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+  await sendPasswordResetEmail(user, resetUrl, expiresAt, 1, 0);
+};
+
+module.exports = { sendPasswordReset, deliverPasswordReset };
@@ -0,0 +1,121 @@
+// Who may do what, in one place. Each action names the roles that may attempt it and, where it depends on the
+// record, a check against that record (the restaurant for restaurant, closure and restaurant-booking actions; the
+// booking, waitlist entry or review itself for a guest's own records).
+//
+// Restaurant actions depend on the user's place on that restaurant's staff rather than their account role, since
+// any account can be invited: the owner (Restaurant.managerId), co-managers, who run everything but the staff's
+// managers and deleting the restaurant, and hosts, who see and check in bookings.
+//
+// Routes guard with permit(action) from middleware/auth, which checks the role part before the record is loaded.
+// Controllers then call can(user, action, record) once they have it. Routes that only ever touch the signed-in
+// user's own records (profile, own bookings list, notifications) need nothing beyond being signed in.
+//
+// Privileged actions are the restaurant staff's and admins' powers. Where a role requires two-factor, permit() holds
+// those back until it is set up; a guest's own bookings, waitlist entries and reviews are never held back.
+
+const ALL_ROLES = ['customer', 'manager', 'admin'];
+
+const idOf = (value) => String(value?._id ?? value);
+const sameId = (a, b) => a != null && b != null && idOf(a) === idOf(b);
+
+const isAdmin = (user) => user.role === 'admin';
+const ownsRecord = (user, record) => sameId(record.userId, user._id);
+
+/**
+ * The user's role at a restaurant: 'owner', 'manager', 'host', or null when they don't work there.
+ * @param {object} user
+ * @param {object} restaurant - Needs managerId and staff.
+ * @returns {string|null}
+ */
+const staffRoleAt = (user, restaurant) => {
+  if (!user || !restaurant) return null;
+  if (sameId(restaurant.managerId, user._id)) return 'owner';
+  const member = (restaurant.staff || []).find(entry => sameId(entry.userId, user._id));
+  return member ? member.role : null;
+};
+
+// A check passing for the given staff roles at the restaurant
+const worksAs = (...roles) => (user, restaurant) => roles.includes(staffRoleAt(user, restaurant));
+const isStaff = worksAs('owner', 'manager', 'host');
+const runsRestaurant = worksAs('owner', 'manager');
+
+const POLICIES = {
+  // Restaurants
+  'restaurant:create': { roles: ['manager'], privileged: true },
+  'restaurant:listManaged': { roles: ALL_ROLES, privileged: true },
+  'restaurant:update': { roles: ALL_ROLES, check: runsRestaurant, privileged: true },
+  'restaurant:delete': {
+    roles: ALL_ROLES,
+    check: (user, restaurant) => isAdmin(user) || worksAs('owner')(user, restaurant),
+    privileged: true
+  },
+  'restaurant:listAll': { roles: ['admin'], privileged: true },
+  'restaurant:statistics': { roles: ['admin'], privileged: true },
+  'restaurant:approve': { roles: ['admin'], privileged: true },
+  'restaurant:hold': { roles: ['admin'], privileged: true },
+
+  // Closures (resource: the restaurant)
+  'closure:read': {
+    roles: ALL_ROLES,
+    check: (user, restaurant) => isAdmin(user) || isStaff(user, restaurant),
+    privileged: true
+  },
+  'closure:manage': { roles: ALL_ROLES, check: runsRestaurant, privileged: true },
+
+  // Staff (resource: the restaurant). Only the owner adds or removes co-managers.
+  'staff:read': { roles: ALL_ROLES, check: isStaff, privileged: true },
+  'staff:manage': { roles: ALL_ROLES, check: runsRestaurant, privileged: true },
+  'staff:manageManagers': { roles: ALL_ROLES, check: worksAs('owner'), privileged: true },
+
+  // A restaurant's bookings (resource: the restaurant). Checking in is seating, completing or marking a no-show;
+  // responding is accepting or declining a request.
+  'booking:read': { roles: ALL_ROLES, check: isStaff, privileged: true },
+  'booking:checkIn': { roles: ALL_ROLES, check: isStaff, privileged: true },
+  'booking:respond': { roles: ALL_ROLES, check: runsRestaurant, privileged: true },
+  'booking:stream': { roles: ALL_ROLES, privileged: true },
+  'booking:analytics': { roles: ['admin'], privileged: true },
+
+  // A guest's own bookings (resource: the booking)
+  'booking:create': { roles: ALL_ROLES },
+  'booking:modify': { roles: ALL_ROLES, check: (user, booking) => isAdmin(user) || ownsRecord(user, booking) },
+  'booking:cancel': { roles: ALL_ROLES, check: (user, booking) => isAdmin(user) || ownsRecord(user, booking) },
+
+  // Waitlist (resource: the entry)
+  'waitlist:join': { roles: ALL_ROLES },
+  'waitlist:update': { roles: ALL_ROLES, check: (user, entry) => isAdmin(user) || ownsRecord(user, entry) },
+
+  // Reviews (resource: the review)
+  'review:create': { roles: ALL_ROLES },
+  'review:update': { roles: ALL_ROLES, check: ownsRecord },
+  'review:delete': { roles: ALL_ROLES, check: ownsRecord },
+
+  // Accounts and the admin tools
+  'managerApplication:create': { roles: ['customer'] },
+  'managerApplication:review': { roles: ['admin'], privileged: true },
+  'user:manage': { roles: ['admin'], privileged: true },
+  'loginLock:manage': { roles: ['admin'], privileged: true },
+  'job:manage': { roles: ['admin'], privileged: true }
+};
+
+/**
+ * Whether the user may perform the action.
+ * @param {object} user - The signed-in user (req.user).
+ * @param {string} action - One of the actions above, e.g. 'booking:read'.
+ * @param {object} [resource] - The record acted on. Leave it out to ask whether the user's role could do this to
+ *   some record at all, which is what permit() checks before the record is loaded.
+ * @returns {boolean}
+ */
+const can = (user, action, resource) => {
+  const policy = POLICIES[action];
+  if (!policy) {
+    // A typo in an action name must not quietly open (or close) a route
+    throw new Error(`Unknown permission: ${action}`);
+  }
+  if (!user || !policy.roles.includes(user.role)) return false;
+  if (policy.check && resource !== undefined) {
+    return !!resource && policy.check(user, resource);
+  }
+  return true;
+};
+
+module.exports = { can, staffRoleAt, POLICIES };
@@ -0,0 +1,138 @@
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { isSessionActive } = require('./sessions');
+
+// Comment lines sent this often keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Channel name (e.g. 'user:<id>') -> open Server-Sent Events responses listening on it
+const channels = new Map();
+
+const userChannel = (userId) => `user:${userId}`;
+const restaurantChannel = (restaurantId) => `restaurant:${restaurantId}`;
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Whether auth would still let the request that opened a stream in: its access token unexpired, its session live
+// and the account active. Resolves to the current user, or null.
+const reauthenticate = async (req) => {
+  const { exp } = jwt.decode(req.token) || {};
+  if (!exp || exp * 1000 <= Date.now()) return null;
+  if (!(await isSessionActive(req.sessionId))) return null;
+  const user = await User.findById(req.user._id);
+  return user && user.active ? user : null;
+};
+
+/**
+ * Turns the response into a Server-Sent Events stream subscribed to the given channels.
+ * The stream stays open until the client disconnects or, checked at each heartbeat, the access token expires, the
+ * session is revoked, the account is deactivated or isStillAllowed says no. EventSource then reconnects with its
+ * old token, is refused, and the client signs the stream in again (or not).
+ * @param {object} req - Authenticated by auth (req.user, req.token, req.sessionId).
+ * @param {object} res
+ * @param {Array<string>} channelNames
+ * @param {Function} [isStillAllowed] - async (user) => boolean, given the reloaded user.
+ * @returns {Function} Sends an event to this client only: send(event, data).
+ */
+const openStream = (req, res, channelNames, isStillAllowed) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx buffering the stream
+  });
+  res.flushHeaders();
+  // Tell EventSource how long to wait before reconnecting after a dropped connection
+  res.write('retry: 5000\n\n');
+
+  channelNames.forEach(name => {
+    if (!channels.has(name)) channels.set(name, new Set());
+    channels.get(name).add(res);
+  });
+
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    channelNames.forEach(name => {
+      const listeners = channels.get(name);
+      if (!listeners) return;
+      listeners.delete(res);
+      if (listeners.size === 0) channels.delete(name);
+    });
+  };
+
+  const heartbeat = setInterval(async () => {
+    let allowed = false;
+    try {
+      const user = await reauthenticate(req);
+      allowed = !!user && (!isStillAllowed || await isStillAllowed(user));
+    } catch (error) {
+      // Fail closed: the client reconnects and goes through auth again
+      console.error(`Failed to recheck access to stream ${channelNames.join(', ')}:`, error);
+    }
+    if (res.writableEnded) return;
+    if (allowed) {
+      res.write(': ping\n\n');
+      return;
+    }
+    unsubscribe();
+    res.end();
+  }, HEARTBEAT_MS);
+
+  req.on('close', unsubscribe);
+
+  return (event, data) => writeEvent(res, event, data);
+};
+
+// Sends an event to every client listening on the channel; a no-op when nobody is
+const publish = (channelName, event, data) => {
+  const listeners = channels.get(channelName);
+  if (!listeners) return;
+  listeners.forEach(res => writeEvent(res, event, data));
+};
+
+const publishUnreadCount = async (userId) => {
+  if (!channels.has(userChannel(userId))) return;
+  const unreadCount = await Notification.countDocuments({ userId, isRead: false });
+  publish(userChannel(userId), 'unread', { unreadCount });
+};
+
+// Pushes a newly created notification, with the recipient's new unread count, to their open streams
+const publishNotification = async (notification) => {
+  const channel = userChannel(notification.userId);
+  if (!channels.has(channel)) return;
+  const unreadCount = await Notification.countDocuments({ userId: notification.userId, isRead: false });
+  publish(channel, 'notification', { notification, unreadCount });
+};
+
+/**
+ * Pushes a booking to the live booking feed of its restaurant's managers, populated like getRestaurantBookings.
+ * Never throws: the feed is best-effort and must not fail the change that triggered it.
+ * @param {object} booking - Any form of the booking with _id and restaurantId (populated or not).
+ * @param {string} action - 'created', 'updated' or 'cancelled'.
+ */
+const publishBookingChange = async (booking, action) => {
+  const channel = restaurantChannel(booking.restaurantId?._id || booking.restaurantId);
+  if (!channels.has(channel)) return;
+  try {
+    const current = await Booking.findById(booking._id)
+      .populate('userId', 'firstName lastName')
+      .populate('statusHistory.changedBy', 'firstName lastName');
+    if (current) publish(channel, 'booking', { action, booking: current });
+  } catch (error) {
+    console.error(`Failed to push booking ${booking._id} to the live feed:`, error);
+  }
+};
+
+module.exports = {
+  userChannel,
+  restaurantChannel,
+  openStream,
+  publish,
+  publishUnreadCount,
+  publishNotification,
+  publishBookingChange
+};
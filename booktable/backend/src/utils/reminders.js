@@ -0,0 +1,116 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const { queueEmail, queueNotification } = require('./jobQueue');
+const { toStoredDate, fromStoredDate } = require('./availability');
+
+// Hours before a seating that reminders go out, when BOOKING_REMINDER_LEAD_HOURS is not set
+const DEFAULT_LEAD_HOURS = [24, 2];
+
+// BOOKING_REMINDER_LEAD_HOURS is a comma separated list of hours, e.g. "24,2"
+const getReminderLeadHours = () => {
+  const configured = (process.env.BOOKING_REMINDER_LEAD_HOURS || '')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(hours => hours > 0);
+  return configured.length > 0 ? configured : DEFAULT_LEAD_HOURS;
+};
+
+const getStartTime = (booking) => moment(`${fromStoredDate(booking.date)} ${booking.time}`, 'YYYY-MM-DD HH:mm');
+
+/**
+ * Works out which reminder a booking is due at `now`: the shortest lead time whose send time has passed.
+ * Lead times that had already passed when the booking was made are skipped, and a late sweep sends one
+ * reminder rather than one per missed lead time.
+ * @returns {{ leadHours: number, covered: Array<number> }|null} `covered` lists every lead time the reminder stands in for.
+ */
+const getDueReminder = (booking, leadHours, now) => {
+  const startsAt = getStartTime(booking);
+  if (!startsAt.isAfter(now)) return null;
+
+  const bookedAt = booking.bookingDate || booking.createdAt;
+  const covered = leadHours.filter(hours => {
+    const sendAt = startsAt.clone().subtract(hours, 'hours');
+    return !sendAt.isAfter(now) && (!bookedAt || sendAt.isAfter(bookedAt));
+  });
+  if (covered.length === 0) return null;
+
+  const due = Math.min(...covered);
+  if ((booking.remindersSent || []).includes(due)) return null;
+  return { leadHours: due, covered };
+};
+
+const notifyReminder = async (booking) => {
+  const restaurant = booking.restaurantId;
+  const when = getStartTime(booking).calendar(null, {
+    sameDay: '[today at] h:mm A',
+    nextDay: '[tomorrow at] h:mm A',
+    nextWeek: '[on] dddd [at] h:mm A',
+    sameElse: '[on] MMMM Do YYYY [at] h:mm A'
+  });
+
+  try {
+    await queueNotification({
+      userId: booking.userId._id,
+      message: `Reminder: your table for ${booking.partySize} at ${restaurant.name} is ${when}.`,
+      type: 'booking_reminder',
+      bookingId: booking._id
+    });
+  } catch (notificationError) {
+    console.error('Failed to queue booking reminder notification:', notificationError);
+  }
+
+  try {
+    await queueEmail('sendBookingReminderEmail', booking.userId, booking, restaurant);
+  } catch (queueError) {
+    console.error('Failed to queue booking reminder email:', queueError);
+  }
+};
+
+/**
+ * Sends the reminders that are due for confirmed bookings, unless the guest opted out.
+ * Each reminder is recorded on Booking.remindersSent before it is sent, so overlapping sweeps and
+ * restarts can't send it twice (a crash mid-send loses that reminder rather than repeating it).
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many reminders were sent.
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const leadHours = getReminderLeadHours();
+  const current = moment(now);
+  const lastDay = current.clone().add(Math.max(...leadHours), 'hours');
+
+  const dates = [];
+  for (const day = current.clone().startOf('day'); !day.isAfter(lastDay, 'day'); day.add(1, 'day')) {
+    dates.push(toStoredDate(day.format('YYYY-MM-DD')));
+  }
+
+  const bookings = await Booking.find({ status: 'confirmed', date: { $in: dates } })
+    .populate('userId', 'firstName lastName email notificationPreferences')
+    .populate('restaurantId', 'name address');
+
+  let sent = 0;
+  for (const booking of bookings) {
+    if (!booking.userId || !booking.restaurantId) continue;
+    if (booking.userId.notificationPreferences?.bookingReminders === false) continue;
+
+    const due = getDueReminder(booking, leadHours, current);
+    if (!due) continue;
+
+    const claim = await Booking.updateOne(
+      { _id: booking._id, status: 'confirmed', remindersSent: { $ne: due.leadHours } },
+      { $addToSet: { remindersSent: { $each: due.covered } } }
+    );
+    if (claim.modifiedCount !== 1) continue;
+
+    console.log(`[reminders] Sending ${due.leadHours}h reminder for booking ${booking._id} at ${booking.restaurantId.name}`);
+    await notifyReminder(booking);
+    sent++;
+  }
+  return sent;
+};
+
+module.exports = {
+  DEFAULT_LEAD_HOURS,
+  getReminderLeadHours,
+  getDueReminder,
+  sendDueReminders
+};
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const StaffInvitation = require('../models/StaffInvitation');
+const User = require('../models/User');
+const { queueLinkEmail, queueNotification } = require('./jobQueue');
+const { sendStaffInvitationEmail } = require('./emailService');
+const { generateToken, hashToken } = require('./tokens');
+const { staffRoleAt } = require('./permissions');
+
+// How long a staff invitation link works
+const DEFAULT_INVITATION_DAYS = 7;
+
+// Restaurants the user owns or is on the staff of, for find() and $match
+const staffFilter = (userId) => {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  return { $or: [{ managerId: id }, { 'staff.userId': id }] };
+};
+
+/**
+ * The restaurants the user works at and their role at each, for the dashboard and navigation.
+ * @param {object} user
+ * @returns {Promise<Array<{ restaurantId: string, name: string, role: string }>>}
+ */
+const getStaffMemberships = async (user) => {
+  const restaurants = await Restaurant.find(staffFilter(user._id)).select('name managerId staff');
+  return restaurants.map(restaurant => ({
+    restaurantId: restaurant._id,
+    name: restaurant.name,
+    role: staffRoleAt(user, restaurant)
+  }));
+};
+
+/**
+ * Emails an invitation to join the restaurant's staff. Inviting an address again replaces its open invitation.
+ * @param {object} restaurant - Needs _id and name.
+ * @param {{ email: string, role: string }} details - Role is 'manager' or 'host'.
+ * @param {object} invitedBy - The signed-in user sending it.
+ * @returns {Promise<object>} The invitation.
+ */
+const inviteStaff = async (restaurant, { email, role }, invitedBy) => {
+  const days = parseInt(process.env.STAFF_INVITATION_DAYS, 10) || DEFAULT_INVITATION_DAYS;
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  const address = String(email).trim().toLowerCase();
+
+  await StaffInvitation.updateMany(
+    { restaurantId: restaurant._id, email: address, status: 'pending' },
+    { $set: { status: 'revoked' } }
+  );
+  const invitation = await StaffInvitation.create({
+    restaurantId: restaurant._id,
+    email: address,
+    role,
+    invitedBy: invitedBy._id,
+    expiresAt
+  });
+
+  await queueLinkEmail('sendStaffInvitationEmail', { invitationId: invitation._id, to: address });
+  return invitation;
+};
+
+// Runs in the job worker: issues the invitation link and sends it, unless the invitation was withdrawn, replaced
+// or has run out in the meantime
+const deliverStaffInvitation = async ({ invitationId }) => {
+  const token = generateToken();
+  const invitation = await StaffInvitation.findOneAndUpdate(
+    { _id: invitationId, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { tokenHash: hashToken(token) } },
+    { new: true }
+  )
+    .populate('restaurantId', 'name')
+    .populate('invitedBy', 'firstName lastName');
+  if (!invitation || !invitation.restaurantId) return;
+
+  // Greet people who already have an account by name; anyone else by the address it was sent to
+  const existing = await User.findOne({ email: invitation.email, active: true }).select('firstName');
+  const inviter = invitation.invitedBy;
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/staff-invitation?token=${token}`;
+  await sendStaffInvitationEmail(
+    { firstName: existing ? existing.firstName : invitation.email, email: invitation.email },
+    {
+      restaurantName: invitation.restaurantId.name,
+      role: invitation.role,
+      inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : 'The restaurant'
+    },
+    acceptUrl,
+    invitation.expiresAt,
+    1,
+    0
+  );
+};
+
+/**
+ * Accepts an invitation for the signed-in user, who must be signed in with the address it was sent to.
+ * Each link works once; accepting as someone already on the staff changes their role.
+ * @param {string} token - From the invitation link.
+ * @param {object} user - The signed-in user.
+ * @returns {Promise<{ restaurant?: object, role?: string, error?: string, status?: number }>}
+ */
+const acceptInvitation = async (token, user) => {
+  const invitation = await StaffInvitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  if (!invitation) {
+    return { status: 400, error: 'This invitation has expired or was already used. Ask the restaurant to send a new one.' };
+  }
+  if (invitation.email !== user.email) {
+    return { status: 403, error: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.` };
+  }
+
+  const restaurant = await Restaurant.findById(invitation.restaurantId).select('name managerId staff');
+  if (!restaurant) {
+    return { status: 404, error: 'Restaurant not found' };
+  }
+  if (staffRoleAt(user, restaurant) === 'owner') {
+    return { status: 400, error: 'You already own this restaurant' };
+  }
+
+  // Claim the invitation first so the same link can't be used twice at once
+  const claimed = await StaffInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedAt: new Date() } }
+  );
+  if (!claimed) {
+    return { status: 400, error: 'This invitation has expired or was already used. Ask the restaurant to send a new one.' };
+  }
+
+  const added = await Restaurant.updateOne(
+    { _id: restaurant._id, 'staff.userId': { $ne: user._id } },
+    { $push: { staff: { userId: user._id, role: invitation.role, addedBy: invitation.invitedBy } } }
+  );
+  if (!added.modifiedCount) {
+    await Restaurant.updateOne(
+      { _id: restaurant._id, 'staff.userId': user._id },
+      { $set: { 'staff.$.role': invitation.role } }
+    );
+  }
+
+  try {
+    await queueNotification({
+      userId: invitation.invitedBy,
+      message: `${user.firstName} ${user.lastName} joined ${restaurant.name} as ${invitation.role}.`,
+      type: 'staff_update'
+    });
+  } catch (notificationError) {
+    console.error('Failed to queue staff invitation accepted notification:', notificationError);
+  }
+  return { restaurant, role: invitation.role };
+};
+
+module.exports = {
+  staffFilter,
+  getStaffMemberships,
+  inviteStaff,
+  deliverStaffInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,143 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, hashToken } = require('./tokens');
+
+// Access tokens are short-lived; the refresh token cookie gets a new one without signing in again
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+const REFRESH_COOKIE = 'refreshToken';
+// The cookie is only sent to the auth routes that need it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// How long a just-rotated refresh token is still accepted (another tab may have sent it before the new cookie arrived)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+);
+
+// The frontend and API are on different sites in production, which needs SameSite=None (and so Secure)
+const cookieOptions = () => {
+  const sameSite = process.env.REFRESH_COOKIE_SAME_SITE || 'lax';
+  return {
+    httpOnly: true,
+    secure: sameSite === 'none' || process.env.NODE_ENV === 'production',
+    sameSite,
+    path: REFRESH_COOKIE_PATH
+  };
+};
+
+const setRefreshCookie = (res, token, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+};
+
+// Reads the refresh token from the Cookie header
+const getRefreshToken = (req) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === REFRESH_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+/**
+ * Signs the user in on this device: starts a session, sets the refresh token cookie and returns an access token.
+ * @returns {Promise<string>} The access token.
+ */
+const startSession = async (user, req, res) => {
+  const token = generateToken(48);
+  const expiresAt = new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000);
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+  setRefreshCookie(res, token, expiresAt);
+  return signAccessToken(user, session);
+};
+
+/**
+ * Exchanges the refresh token cookie for a new access token, rotating the refresh token.
+ * A token that was rotated more than the grace period ago is treated as stolen and its session is revoked.
+ * @returns {Promise<{ user: object, accessToken: string }|null>} null when the token is unknown, expired or revoked.
+ */
+const refreshSession = async (req, res) => {
+  const token = getRefreshToken(req);
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const newToken = generateToken(48);
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { tokenHash: hashToken(newToken), previousTokenHash: tokenHash, rotatedAt: now, lastUsedAt: now } },
+    { new: true }
+  );
+
+  if (session) {
+    const user = await User.findById(session.userId);
+    if (!user || !user.active) return null;
+    setRefreshCookie(res, newToken, session.expiresAt);
+    return { user, accessToken: signAccessToken(user, session) };
+  }
+
+  const rotated = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+  if (!rotated) return null;
+  if (now - rotated.rotatedAt > ROTATION_GRACE_MS) {
+    await Session.updateOne({ _id: rotated._id }, { revokedAt: now });
+    console.warn(`[sessions] Reused refresh token for session ${rotated._id}; session revoked`);
+    return null;
+  }
+  // Raced with another tab: the browser already has the new cookie, so only hand out an access token
+  const user = await User.findById(rotated.userId);
+  if (!user || !user.active) return null;
+  return { user, accessToken: signAccessToken(user, rotated) };
+};
+
+// Signs out the device whose refresh token cookie came with the request
+const endSession = async (req) => {
+  const token = getRefreshToken(req);
+  if (!token) return;
+  await Session.updateOne({ tokenHash: hashToken(token), revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Signs the user out everywhere, optionally except the device making the request.
+ * @param {string} [exceptSessionId] - Session to keep, e.g. after changing the password on this device.
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const { modifiedCount } = await Session.updateMany(filter, { revokedAt: new Date() });
+  return modifiedCount;
+};
+
+// Whether an access token's session is still live (tokens without a session id predate sessions and are refused)
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  return !!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+  isSessionActive,
+  clearRefreshCookie
+};
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Random, URL-safe secret for links and cookies
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Only the hash of an emailed or cookie token is stored, so a leaked database can't be used to act on anyone's account
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1, 6 digits, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Codes from one step either side are accepted to allow for clock drift
+const DEFAULT_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Apps show secrets in groups and some users type them in lower case, so spaces, padding and case are ignored
+const base32Decode = (text) => {
+  const clean = text.replace(/[\s=-]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// A new shared secret for an authenticator app, base32 encoded (160 bits, as RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (time) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step (RFC 4226 HOTP with the step as the counter)
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * The code an authenticator app shows at the given time.
+ * @param {string} secret - Base32 shared secret.
+ * @param {number} [time] - Milliseconds since the epoch; defaults to now.
+ */
+const generateCode = (secret, time = Date.now()) => codeForStep(secret, timeStep(time));
+
+/**
+ * Checks a code typed by the user.
+ * @param {string} secret - Base32 shared secret.
+ * @param {string} code - The code, spaces allowed.
+ * @param {object} [options]
+ * @param {number} [options.time] - Milliseconds since the epoch; defaults to now.
+ * @param {number} [options.window] - How many steps either side of the current one to accept.
+ * @returns {number|null} The time step the code belongs to (callers store it to refuse replays), or null.
+ */
+const verifyCode = (secret, code, { time = Date.now(), window = DEFAULT_WINDOW } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+  const current = timeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = codeForStep(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+// The otpauth:// URI authenticator apps read from the enrollment QR code
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
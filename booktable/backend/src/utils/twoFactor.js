@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+
+const ISSUER = 'BookTable';
+const BACKUP_CODE_COUNT = 10;
+
+// Time allowed between the password and the code at sign-in
+const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_PURPOSE = 'two_factor_login';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// Roles that must turn on two-factor authentication, e.g. TWO_FACTOR_REQUIRED_ROLES=admin,manager. Unset means optional.
+const getRequiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+// Set up or not, two-factor is only offered to the roles that can change restaurants and accounts
+const TWO_FACTOR_ROLES = ['manager', 'admin'];
+const canUseTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user.role) || isTwoFactorRequired(user);
+
+// Backup codes are typed by hand, so they are short, grouped and compared without the dash or case
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(4).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return { codes, hashes: codes.map(code => hashToken(normalizeBackupCode(code))) };
+};
+
+/**
+ * Starts enrollment with a new secret. It only replaces the user's current one once a code from it is confirmed.
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL.
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  const otpauthUrl = buildOtpauthUrl(secret, user.email, ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Turns two-factor on once the user proves their app has the pending secret.
+ * @returns {Promise<string[]|null>} The backup codes to show the user once, or null if the code is wrong or there is no pending setup.
+ */
+const completeEnrollment = async (user, code, time = Date.now()) => {
+  const account = await User.findById(user._id).select(SECRET_FIELDS);
+  const pendingSecret = account?.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyCode(pendingSecret, code, { time });
+  if (step === null) return null;
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(time),
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.backupCodes': hashes,
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+  return codes;
+};
+
+/**
+ * Checks the second factor at sign-in (or before a sensitive change): a code from the app, or an unused backup code.
+ * Each app code and backup code works once.
+ * @returns {Promise<{ method: 'totp'|'backup_code', backupCodesRemaining: number }|null>} null when the code is wrong.
+ */
+const verifySecondFactor = async (userId, code, time = Date.now()) => {
+  const account = await User.findById(userId).select(SECRET_FIELDS);
+  if (!account?.twoFactor?.enabled || !account.twoFactor.secret) return null;
+  const backupCodes = account.twoFactor.backupCodes || [];
+
+  const step = verifyCode(account.twoFactor.secret, code, { time });
+  if (step !== null) {
+    // Conditional on the last step so the same code can't be used twice, even by two requests at once
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount !== 1) return null;
+    return { method: 'totp', backupCodesRemaining: backupCodes.length };
+  }
+
+  const hash = hashToken(normalizeBackupCode(code));
+  if (!backupCodes.includes(hash)) return null;
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  if (result.modifiedCount !== 1) return null;
+  return { method: 'backup_code', backupCodesRemaining: backupCodes.length - 1 };
+};
+
+// Replaces every backup code, e.g. when the user has used most of them or thinks they were seen
+const regenerateBackupCodes = async (userId) => {
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+  return codes;
+};
+
+const disableTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false } } });
+};
+
+const getTwoFactorStatus = async (user) => {
+  const account = await User.findById(user._id).select(SECRET_FIELDS);
+  return {
+    enabled: !!account?.twoFactor?.enabled,
+    enabledAt: account?.twoFactor?.enabledAt || null,
+    required: isTwoFactorRequired(user),
+    available: canUseTwoFactor(user),
+    backupCodesRemaining: account?.twoFactor?.enabled ? (account.twoFactor.backupCodes || []).length : 0
+  };
+};
+
+// Proof that the password was right, exchanged for a session once the code is also right. It is not an access token:
+// it carries no session id, so the auth middleware refuses it.
+const createLoginChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: LOGIN_CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_TTL }
+);
+
+// The user id from a sign-in challenge, or null when it is invalid or has expired
+const readLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === LOGIN_CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  canUseTwoFactor,
+  generateBackupCodes,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  readLoginChallenge
+};
@@ -0,0 +1,159 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Restaurant = require('../models/Restaurant');
+const Waitlist = require('../models/Waitlist');
+const User = require('../models/User');
+const { queueEmail, queueNotification } = require('./jobQueue');
+const {
+  HELD_BOOKING_STATUS,
+  toStoredDate,
+  fromStoredDate,
+  getAvailableTimes,
+  getActiveBookings,
+  reserveTable
+} = require('./availability');
+const { statusChange } = require('./bookingLifecycle');
+
+// How long a waitlisted guest has to claim a held table before it goes to the next guest
+const DEFAULT_CLAIM_MINUTES = 30;
+
+const getClaimMinutes = () => parseInt(process.env.WAITLIST_CLAIM_MINUTES, 10) || DEFAULT_CLAIM_MINUTES;
+
+// Seating times inside the entry's window that are free right now; today's times that have passed are skipped
+const getOpenTimesForEntry = (restaurant, entry, dateStr, bookings) => {
+  let windowStart = entry.windowStart;
+  if (dateStr === moment().format('YYYY-MM-DD')) {
+    const now = moment().format('HH:mm');
+    if (now > windowStart) windowStart = now;
+  }
+  return getAvailableTimes(restaurant, dateStr, entry.partySize, bookings, windowStart, entry.windowEnd);
+};
+
+const notifyOffer = async (entry, booking, restaurant) => {
+  const dateStr = fromStoredDate(booking.date);
+  try {
+    await queueNotification({
+      userId: entry.userId,
+      message: `A table for ${booking.partySize} opened up at ${restaurant.name} on ${moment(dateStr, 'YYYY-MM-DD').format('MMMM Do YYYY')} at ${booking.time}. Claim it by ${moment(entry.offerExpiresAt).format('h:mm A')}.`,
+      type: 'waitlist_offer',
+      bookingId: booking._id
+    });
+  } catch (notificationError) {
+    console.error('Failed to queue waitlist offer notification:', notificationError);
+  }
+
+  try {
+    const user = await User.findById(entry.userId).select('firstName lastName email');
+    // Only what the email shows, rather than the whole restaurant document, goes into the job
+    const { name, address } = restaurant;
+    await queueEmail('sendWaitlistOfferEmail', user, booking, { name, address }, entry.offerExpiresAt);
+  } catch (queueError) {
+    console.error('Failed to queue waitlist offer email:', queueError);
+  }
+};
+
+/**
+ * Offers freed tables to the restaurant's waitlist for a date, first come first served.
+ * Each waiting entry whose window has a free seating gets a table held for it until the claim deadline.
+ * @param {*} restaurantId
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Promise<number>} How many offers were made.
+ */
+const offerFreedTables = async (restaurantId, dateStr) => {
+  const entries = await Waitlist.find({
+    restaurantId,
+    date: toStoredDate(dateStr),
+    status: 'waiting'
+  }).sort({ createdAt: 1 });
+  if (entries.length === 0) return 0;
+
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) return 0;
+
+  let offers = 0;
+  for (const entry of entries) {
+    const bookings = await getActiveBookings(restaurant._id, dateStr);
+    const times = getOpenTimesForEntry(restaurant, entry, dateStr, bookings);
+    if (times.length === 0) continue;
+
+    const offerExpiresAt = moment().add(getClaimMinutes(), 'minutes').toDate();
+    let held = null;
+    for (const time of times) {
+      held = await reserveTable(restaurant, dateStr, time, entry.partySize, {
+        userId: entry.userId,
+        status: HELD_BOOKING_STATUS,
+        holdExpiresAt: offerExpiresAt,
+        statusHistory: [statusChange(null, HELD_BOOKING_STATUS, null, 'Offered from the waitlist')]
+      });
+      if (held) break;
+    }
+    if (!held) continue;
+
+    // The guest may have left the waitlist, or another run offered them a table, while this one was being held
+    const offered = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered', bookingId: held._id, offerExpiresAt } },
+      { new: true }
+    );
+    if (!offered) {
+      await Booking.deleteOne({ _id: held._id, status: HELD_BOOKING_STATUS });
+      continue;
+    }
+    offers++;
+    console.log(`[waitlist] Offered ${held.time} on ${dateStr} at ${restaurant.name} to entry ${entry._id} until ${offerExpiresAt.toISOString()}`);
+
+    await notifyOffer(offered, held, restaurant);
+  }
+
+  return offers;
+};
+
+/**
+ * Drops the held table of an open offer and offers it to the next guest in line.
+ * Does nothing if the offer was claimed or released in the meantime.
+ * @param {object} entry - Waitlist document with status 'offered'.
+ * @param {string} status - What the entry becomes: 'expired' or 'cancelled'.
+ * @returns {Promise<object|null>} The updated entry, or null when the offer was no longer open.
+ */
+const releaseOffer = async (entry, status) => {
+  const released = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', bookingId: entry.bookingId },
+    { $set: { status, bookingId: null } },
+    { new: true }
+  );
+  if (!released) return null;
+
+  if (entry.bookingId) {
+    await Booking.deleteOne({ _id: entry.bookingId, status: HELD_BOOKING_STATUS });
+  }
+  await offerFreedTables(entry.restaurantId, fromStoredDate(entry.date));
+  return released;
+};
+
+/**
+ * Expires offers that were not claimed in time and moves their tables down the waitlist.
+ * Entries still waiting for a date that has passed are expired as well.
+ * @returns {Promise<number>} How many entries expired.
+ */
+const expireWaitlistOffers = async () => {
+  const lapsed = await Waitlist.find({ status: 'offered', offerExpiresAt: { $lte: new Date() } });
+  for (const entry of lapsed) {
+    console.log(`[waitlist] Offer for entry ${entry._id} expired unclaimed`);
+    await releaseOffer(entry, 'expired');
+  }
+
+  const { modifiedCount } = await Waitlist.updateMany(
+    { status: 'waiting', date: { $lt: toStoredDate(moment().format('YYYY-MM-DD')) } },
+    { $set: { status: 'expired' } }
+  );
+
+  return lapsed.length + modifiedCount;
+};
+
+module.exports = {
+  DEFAULT_CLAIM_MINUTES,
+  getOpenTimesForEntry,
+  offerFreedTables,
+  releaseOffer,
+  expireWaitlistOffers
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Email output is covered by emailService.test.js; these tests only care about bookings, so nothing is queued
+jest.mock('../src/utils/jobQueue', () => ({
+  ...jest.requireActual('../src/utils/jobQueue'),
+  queueEmail: jest.fn().mockResolvedValue({}),
+  queueNotification: jest.fn().mockResolvedValue({})
+}));
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Restaurant = require('../src/models/Restaurant');
+const Booking = require('../src/models/Booking');
+const Session = require('../src/models/Session');
+const { refreshAvailableTables, toStoredDate } = require('../src/utils/availability');
+
+const JWT_SECRET = 'booking-concurrency-test';
+const BOOKING_DATE = moment().add(1, 'day').format('YYYY-MM-DD');
+const BOOKING_TIME = '19:00';
+const PARALLEL_REQUESTS = 10;
+
+let mongoServer;
+
+const createRestaurant = async (tables) => {
+  const manager = await User.create({
+    firstName: 'Test',
+    lastName: 'Manager',
+    email: `manager${Date.now()}@example.com`,
+    password: 'password123',
+    role: 'manager'
+  });
+  const data = {
+    name: 'Race Condition Bistro',
+    cuisineType: 'Italian',
+    managerId: manager._id,
+    hours: { opening: '17:00', closing: '22:00' },
+    tables,
+    isApproved: true,
+    isPending: false
+  };
+  const { availableTables } = refreshAvailableTables(data, { rebuild: true });
+  return Restaurant.create({ ...data, availableTables });
+};
+
+const createCustomerTokens = async (count) => {
+  const customers = await User.insertMany(Array.from({ length: count }, (_, i) => ({
+    firstName: 'Guest',
+    lastName: `${i}`,
+    email: `guest${i}@example.com`,
+    password: 'password123',
+    role: 'customer'
+  })));
+  // The auth middleware only accepts access tokens for a live session
+  const sessions = await Session.insertMany(customers.map((customer, i) => ({
+    userId: customer._id,
+    tokenHash: `test-session-${Date.now()}-${i}`,
+    expiresAt: moment().add(1, 'day').toDate()
+  })));
+  return customers.map((customer, i) => jwt.sign({ userId: customer._id, sid: sessions[i]._id }, JWT_SECRET));
+};
+
+const bookInParallel = (restaurant, tokens) => Promise.all(tokens.map(token =>
+  request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ restaurantId: restaurant._id.toString(), date: BOOKING_DATE, time: BOOKING_TIME, partySize: 2 })
+));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = JWT_SECRET;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 120 * 1000); // The first run downloads a MongoDB binary
+
+afterEach(async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  await Promise.all([User.deleteMany({}), Restaurant.deleteMany({}), Booking.deleteMany({}), Session.deleteMany({})]);
+});
+
+// Guarded so a server that never started doesn't hide the real error. The app starts no timers or streams of its
+// own (the background jobs are started by server.js), so the connection and the server are all there is to close.
+afterAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+  await mongoServer?.stop();
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/bookings under concurrent requests', () => {
+  it('gives the last table to exactly one of many parallel requests', async () => {
+    const restaurant = await createRestaurant([{ tableSize: 2, count: 1 }]);
+    const tokens = await createCustomerTokens(PARALLEL_REQUESTS);
+
+    const responses = await bookInParallel(restaurant, tokens);
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(PARALLEL_REQUESTS - 1);
+    responses
+      .filter(response => response.status === 409)
+      .forEach(response => expect(response.body.error).toMatch(/just booked/));
+
+    const bookings = await Booking.find({ restaurantId: restaurant._id, date: toStoredDate(BOOKING_DATE) });
+    expect(bookings).toHaveLength(1);
+    expect(bookings[0].status).toBe('confirmed');
+  });
+
+  it('never books more tables than the restaurant has', async () => {
+    const restaurant = await createRestaurant([{ tableSize: 2, count: 3 }]);
+    const tokens = await createCustomerTokens(PARALLEL_REQUESTS);
+
+    const responses = await bookInParallel(restaurant, tokens);
+    const created = responses.filter(response => response.status === 201);
+
+    expect(created).toHaveLength(3);
+    expect(await Booking.countDocuments({ restaurantId: restaurant._id, status: 'confirmed' })).toBe(3);
+
+    const updated = await Restaurant.findById(restaurant._id);
+    expect(updated.bookingRevision).toBe(3);
+    expect(updated.timesBookedToday).toBe(3);
+  });
+
+  it('still answers 400 when the party cannot be seated at all', async () => {
+    const restaurant = await createRestaurant([{ tableSize: 2, count: 1 }]);
+    const [token] = await createCustomerTokens(1);
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ restaurantId: restaurant._id.toString(), date: BOOKING_DATE, time: BOOKING_TIME, partySize: 6 });
+
+    expect(response.status).toBe(400);
+    expect(await Booking.countDocuments({})).toBe(0);
+  });
+});
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const emailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booktable-emails-'));
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = emailDir;
+process.env.EMAIL_FROM = '"BookTable" <test@booktable.local>';
+process.env.FRONTEND_URL = 'https://booktable.example';
+
+const {
+  sendBookingConfirmationEmail,
+  sendBookingCancellationEmail,
+  sendBookingReminderEmail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendManagerApplicationDecisionEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeRequestedEmail,
+  sendStaffInvitationEmail
+} = require('../src/utils/emailService');
+const { getTransport, resetTransport } = require('../src/utils/emailTransport');
+
+const user = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' };
+const restaurant = {
+  name: 'Café <Analytique>',
+  address: { street: '12 Engine Row', city: 'London', state: 'LDN' }
+};
+const booking = { date: 'RAW_DATE_STR:2026-11-05', time: '19:30', partySize: 4 };
+
+// Every message the file transport has written, oldest first
+const readSentEmails = () => fs.readdirSync(emailDir)
+  .sort()
+  .map(file => JSON.parse(fs.readFileSync(path.join(emailDir, file), 'utf8')));
+
+const lastSentEmail = () => readSentEmails().pop();
+
+// Retries would only slow a failing test down
+const NO_RETRY = [1, 0];
+
+describe('emailService with the file transport', () => {
+  beforeEach(() => {
+    fs.readdirSync(emailDir).forEach(file => fs.unlinkSync(path.join(emailDir, file)));
+  });
+
+  afterAll(() => {
+    fs.rmSync(emailDir, { recursive: true, force: true });
+  });
+
+  it('selects the transport from EMAIL_TRANSPORT', () => {
+    expect(getTransport().name).toBe('file');
+  });
+
+  it('writes a booking confirmation with HTML and plain-text bodies', async () => {
+    await sendBookingConfirmationEmail(user, booking, restaurant, ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('bookingConfirmation');
+    expect(email.from).toBe('"BookTable" <test@booktable.local>');
+    expect(email.to).toBe('ada@example.com');
+    expect(email.subject).toBe('Your Booking Confirmation at Café <Analytique>');
+
+    expect(email.html).toContain('Dear Ada,');
+    expect(email.html).toContain('<strong>Café &lt;Analytique&gt;</strong> is confirmed!');
+    expect(email.html).toContain('Date: Thursday, November 5th 2026');
+    expect(email.html).toContain('Time: 7:30 PM');
+    expect(email.html).toContain('Party Size: 4');
+
+    expect(email.text).toContain('Your booking at Café <Analytique> is confirmed!');
+    expect(email.text).toContain('Date: Thursday, November 5th 2026');
+    expect(email.text).toContain('Best regards,\nThe BookTable Team');
+    expect(email.text).not.toMatch(/<[a-z/][^>]*>/);
+  });
+
+  it('writes a cancellation', async () => {
+    await sendBookingCancellationEmail(user, booking, restaurant, ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('bookingCancellation');
+    expect(email.subject).toBe('Booking Cancellation at Café <Analytique>');
+    expect(email.text).toContain('has been cancelled.');
+    expect(email.text).toContain('Cancelled Booking Details:');
+    expect(email.text).toContain('Time: 7:30 PM');
+  });
+
+  it('writes a reminder with the address and a dashboard link in both bodies', async () => {
+    await sendBookingReminderEmail(user, booking, restaurant, ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('bookingReminder');
+    expect(email.subject).toBe('Reminder: your table at Café <Analytique>');
+    expect(email.html).toContain('Address: 12 Engine Row, London, LDN');
+    expect(email.html).toContain('href="https://booktable.example/dashboard"');
+    expect(email.text).toContain('Modify or cancel your booking (https://booktable.example/dashboard)');
+  });
+
+  it('writes a password reset with the link and expiry', async () => {
+    const resetUrl = 'https://booktable.example/reset-password?token=abc123';
+    await sendPasswordResetEmail(user, resetUrl, new Date(2026, 10, 5, 18, 15), ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('passwordReset');
+    expect(email.subject).toBe('Reset your BookTable password');
+    expect(email.html).toContain(`href="${resetUrl}"`);
+    expect(email.text).toContain(`Choose a new password (${resetUrl})`);
+    expect(email.text).toContain('expires at 6:15 PM on November 5th');
+  });
+
+  it('writes an email verification link', async () => {
+    const verifyUrl = 'https://booktable.example/verify-email?token=def456';
+    await sendEmailVerificationEmail(user, verifyUrl, new Date(2026, 10, 7, 9, 0), ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('emailVerification');
+    expect(email.to).toBe('ada@example.com');
+    expect(email.html).toContain(`href="${verifyUrl}"`);
+    expect(email.text).toContain(`Confirm my email address (${verifyUrl})`);
+    expect(email.text).toContain('expires at 9:00 AM on November 7th');
+  });
+
+  it('includes the reason when a manager application is rejected', async () => {
+    const application = { restaurantName: 'Chez Babbage', status: 'rejected', decisionReason: 'We could not confirm the restaurant' };
+    await sendManagerApplicationDecisionEmail(user, application, ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('managerApplicationDecision');
+    expect(email.text).toContain('could not approve your application');
+    expect(email.text).toContain('Reason: We could not confirm the restaurant');
+  });
+
+  it('writes an unlock link when an account is locked', async () => {
+    const unlockUrl = 'https://booktable.example/unlock-account?token=ghi789';
+    await sendAccountLockedEmail(user, unlockUrl, new Date(2026, 10, 5, 14, 45), ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('accountLocked');
+    expect(email.html).toContain(`href="${unlockUrl}"`);
+    expect(email.text).toContain('locked your account until 2:45 PM on November 5th');
+    expect(email.text).toContain('reset your password (https://booktable.example/forgot-password)');
+  });
+
+  it('warns the current address about an email change', async () => {
+    await sendEmailChangeRequestedEmail(user, 'ada@newmail.example', ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('emailChangeRequested');
+    expect(email.to).toBe('ada@example.com');
+    expect(email.text).toContain('to ada@newmail.example');
+  });
+
+  it('writes a staff invitation with the role and accept link', async () => {
+    const acceptUrl = 'https://booktable.example/staff-invitation?token=jkl012';
+    const invitation = { restaurantName: restaurant.name, role: 'host', inviterName: 'Charles Babbage' };
+    await sendStaffInvitationEmail(user, invitation, acceptUrl, new Date(2026, 10, 12, 9, 0), ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.template).toBe('staffInvitation');
+    expect(email.subject).toBe('You\'re invited to join Café <Analytique> on BookTable');
+    expect(email.html).toContain(`href="${acceptUrl}"`);
+    expect(email.html).toContain('<strong>Café &lt;Analytique&gt;</strong> on BookTable as a host');
+    expect(email.text).toContain('The invitation expires November 12th 2026.');
+  });
+
+  it('escapes user-supplied values in the HTML body', async () => {
+    await sendBookingConfirmationEmail({ ...user, firstName: '<script>alert(1)</script>' }, booking, restaurant, ...NO_RETRY);
+
+    const email = lastSentEmail();
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('Dear &lt;script&gt;alert(1)&lt;/script&gt;,');
+    expect(email.text).toContain('Dear <script>alert(1)</script>,');
+  });
+
+  it('skips emails that are missing required details', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await sendBookingConfirmationEmail({ firstName: 'Ada' }, booking, restaurant, ...NO_RETRY);
+    await sendBookingConfirmationEmail(user, { date: booking.date }, restaurant, ...NO_RETRY);
+    consoleError.mockRestore();
+
+    expect(readSentEmails()).toHaveLength(0);
+  });
+
+  it('sends nothing when email is disabled', async () => {
+    process.env.EMAIL_TRANSPORT = 'disabled';
+    resetTransport();
+    try {
+      const info = await sendBookingConfirmationEmail(user, booking, restaurant, ...NO_RETRY);
+      expect(info.messageId).toBeNull();
+      expect(readSentEmails()).toHaveLength(0);
+    } finally {
+      process.env.EMAIL_TRANSPORT = 'file';
+      resetTransport();
+    }
+  });
+
+  it('rejects an unknown EMAIL_TRANSPORT', () => {
+    process.env.EMAIL_TRANSPORT = 'carrier-pigeon';
+    resetTransport();
+    try {
+      expect(() => getTransport()).toThrow('Unknown EMAIL_TRANSPORT');
+    } finally {
+      process.env.EMAIL_TRANSPORT = 'file';
+      resetTransport();
+    }
+  });
+});
@@ -0,0 +1,124 @@
+process.env.JWT_SECRET = 'two-factor-test-secret';
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../src/utils/totp');
+const {
+  isTwoFactorRequired,
+  generateBackupCodes,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../src/utils/twoFactor');
+
+// The shared secret from the RFC 6238 test vectors ("12345678901234567890"), base32 encoded
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// Fixed clock: 2026-11-05T19:30:00Z, the start of a 30 second step
+const NOW = Date.UTC(2026, 10, 5, 19, 30, 0);
+
+describe('totp', () => {
+  it('round-trips base32 and ignores spacing and case when decoding', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ];
+    for (const [seconds, code] of vectors) {
+      expect(generateCode(RFC_SECRET, seconds * 1000)).toBe(code);
+    }
+  });
+
+  it('accepts codes one step either side of the clock and nothing further', () => {
+    const step = Math.floor(NOW / 30000);
+    const code = generateCode(RFC_SECRET, NOW);
+
+    expect(verifyCode(RFC_SECRET, code, { time: NOW })).toBe(step);
+    expect(verifyCode(RFC_SECRET, code, { time: NOW + 30000 })).toBe(step);
+    expect(verifyCode(RFC_SECRET, code, { time: NOW - 30000 })).toBe(step);
+    expect(verifyCode(RFC_SECRET, code, { time: NOW + 60000 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, code, { time: NOW + 30000, window: 0 })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    const code = generateCode(RFC_SECRET, NOW);
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time: NOW })).not.toBeNull();
+    expect(verifyCode(RFC_SECRET, code.slice(1), { time: NOW })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time: NOW })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { time: NOW })).toBeNull();
+  });
+
+  it('uses the current time by default', () => {
+    jest.useFakeTimers().setSystemTime(NOW);
+    try {
+      expect(generateCode(RFC_SECRET)).toBe(generateCode(RFC_SECRET, NOW));
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, NOW))).toBe(Math.floor(NOW / 30000));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('builds an otpauth URL authenticator apps can read', () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, 'ada@example.com', 'BookTable'));
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/BookTable:ada@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('BookTable');
+  });
+});
+
+describe('twoFactor', () => {
+  afterEach(() => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    jest.useRealTimers();
+  });
+
+  it('is only required for the configured roles', () => {
+    expect(isTwoFactorRequired({ role: 'admin' })).toBe(false);
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin, manager';
+    expect(isTwoFactorRequired({ role: 'admin' })).toBe(true);
+    expect(isTwoFactorRequired({ role: 'manager' })).toBe(true);
+    expect(isTwoFactorRequired({ role: 'customer' })).toBe(false);
+  });
+
+  it('creates distinct backup codes and stores only their hashes', () => {
+    const { codes, hashes } = generateBackupCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    for (const code of codes) expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(hashes).toHaveLength(10);
+    expect(hashes.some(hash => codes.includes(hash))).toBe(false);
+  });
+
+  it('issues sign-in challenges that expire after five minutes', () => {
+    jest.useFakeTimers().setSystemTime(NOW);
+    const challenge = createLoginChallenge({ _id: 'user-1' });
+    expect(readLoginChallenge(challenge)).toBe('user-1');
+
+    jest.setSystemTime(NOW + 4 * 60 * 1000);
+    expect(readLoginChallenge(challenge)).toBe('user-1');
+
+    jest.setSystemTime(NOW + 6 * 60 * 1000);
+    expect(readLoginChallenge(challenge)).toBeNull();
+  });
+
+  it('does not accept an access token as a sign-in challenge', () => {
+    const jwt = require('jsonwebtoken');
+    const accessToken = jwt.sign({ userId: 'user-1', sid: 'session-1' }, process.env.JWT_SECRET);
+    expect(readLoginChallenge(accessToken)).toBeNull();
+    expect(readLoginChallenge('not-a-token')).toBeNull();
+  });
+});
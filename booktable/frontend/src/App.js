@@ -11,6 +11,12 @@ import { AdapterMoment } from '@mui/x-date-pickers/AdapterMoment';
 import Navbar from './components/layout/Navbar';
 import Home from './components/pages/Home';
 import Login from './components/auth/Login';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
+import UnlockAccount from './components/auth/UnlockAccount';
+import SecuritySettings from './components/auth/SecuritySettings';
+import AcceptStaffInvitation from './components/auth/AcceptStaffInvitation';
 import Signup from './components/pages/Signup';
 import RestaurantSearch from './components/restaurants/RestaurantSearch';
 import RestaurantDetails from './components/restaurants/RestaurantDetails';
@@ -18,7 +24,11 @@ import UserDashboard from './components/dashboard/UserDashboard';
 import ManagerDashboard from './components/dashboard/ManagerDashboard';
 import AdminDashboard from './components/dashboard/AdminDashboard';
 import AnalyticsDashboard from './components/admin/AnalyticsDashboard';
+import MessageQueue from './components/admin/MessageQueue';
+import ManagerApplications from './components/admin/ManagerApplications';
+import LoginLocks from './components/admin/LoginLocks';
 import PrivateRoute from './components/routing/PrivateRoute';
+import FeedbackSnackbar from './components/common/FeedbackSnackbar';
 import { getProfile } from './features/auth/authSlice';
 
 const theme = createTheme({
@@ -112,6 +122,11 @@ function App() {
             <Routes>
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<Login />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/unlock-account" element={<UnlockAccount />} />
+              <Route path="/staff-invitation" element={<AcceptStaffInvitation />} />
               <Route path="/register" element={<Signup />} />
               <Route path="/search" element={<RestaurantSearch />} />
               <Route path="/restaurants/:id" element={<RestaurantDetails />} />
@@ -123,10 +138,18 @@ function App() {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/account/security"
+                element={
+                  <PrivateRoute>
+                    <SecuritySettings />
+                  </PrivateRoute>
+                }
+              />
               <Route
                 path="/manager/dashboard"
                 element={
-                  <PrivateRoute role="manager">
+                  <PrivateRoute role="manager" allowStaff>
                     <ManagerDashboard />
                   </PrivateRoute>
                 }
@@ -148,7 +171,32 @@ function App() {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/admin/messages"
+                element={
+                  <PrivateRoute role="admin">
+                    <MessageQueue />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/admin/manager-applications"
+                element={
+                  <PrivateRoute role="admin">
+                    <ManagerApplications />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/admin/login-locks"
+                element={
+                  <PrivateRoute role="admin">
+                    <LoginLocks />
+                  </PrivateRoute>
+                }
+              />
             </Routes>
+            <FeedbackSnackbar />
           </Router>
         </LocalizationProvider>
       </ThemeProvider>
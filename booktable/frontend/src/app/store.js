@@ -5,6 +5,13 @@ import bookingReducer from '../features/bookings/bookingSlice';
 import reviewReducer from '../features/reviews/reviewSlice';
 import analyticsReducer from '../features/analytics/analyticsSlice';
 import notificationReducer from '../features/notifications/notificationSlice';
+import waitlistReducer from '../features/waitlist/waitlistSlice';
+import jobQueueReducer from '../features/admin/jobQueueSlice';
+import managerApplicationReducer from '../features/admin/managerApplicationSlice';
+import loginLockReducer from '../features/admin/loginLockSlice';
+import userAdminReducer from '../features/admin/userAdminSlice';
+import staffReducer from '../features/staff/staffSlice';
+import uiFeedbackReducer from '../features/uiFeedbackSlice';
 
 export const store = configureStore({
   reducer: {
@@ -13,6 +20,13 @@ export const store = configureStore({
     bookings: bookingReducer,
     reviews: reviewReducer,
     analytics: analyticsReducer,
-    notifications: notificationReducer
+    notifications: notificationReducer,
+    waitlist: waitlistReducer,
+    jobQueue: jobQueueReducer,
+    managerApplications: managerApplicationReducer,
+    loginLocks: loginLockReducer,
+    adminUsers: userAdminReducer,
+    staff: staffReducer,
+    uiFeedback: uiFeedbackReducer
   }
 });
@@ -0,0 +1,132 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Paper, CircularProgress, Alert, Container, Chip, Button,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+} from '@mui/material';
+import moment from 'moment';
+import { fetchLoginLocks, clearLoginLock } from '../../features/admin/loginLockSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const describeTarget = (lock) => {
+  if (lock.kind === 'ip') return { title: lock.key, detail: 'IP address' };
+  if (!lock.user) return { title: lock.key, detail: 'No account with this email' };
+  return { title: `${lock.user.firstName} ${lock.user.lastName}`, detail: `${lock.key} (${lock.user.role})` };
+};
+
+const LoginLocks = () => {
+  const dispatch = useDispatch();
+  const { locks, status, error } = useSelector((state) => state.loginLocks);
+
+  useEffect(() => {
+    dispatch(fetchLoginLocks());
+  }, [dispatch]);
+
+  const handleUnlock = async (lock) => {
+    try {
+      await dispatch(clearLoginLock(lock._id)).unwrap();
+      dispatch(showFeedback({ message: `${lock.key} can sign in again`, type: 'success' }));
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.error || 'Failed to lift the lock', type: 'error' }));
+    }
+  };
+
+  return (
+    <Container
+      maxWidth="lg"
+      sx={{
+        mt: { xs: 10, sm: 12, md: 14 },
+        mb: 4,
+        pt: 2,
+        minHeight: '100vh',
+        position: 'relative',
+        zIndex: 1,
+      }}
+    >
+      <Paper
+        sx={{
+          p: 3,
+          borderRadius: '16px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
+          border: '1px solid rgba(0, 0, 0, 0.06)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          align="center"
+          sx={{
+            fontWeight: 700,
+            mb: 1,
+            color: 'text.primary',
+          }}
+        >
+          Locked Accounts
+        </Typography>
+        <Typography variant="subtitle1" align="center" color="text.secondary" sx={{ mb: 3 }}>
+          Accounts and IP addresses locked out after repeated failed sign-ins. Locks end by themselves; account
+          owners are emailed a link to unlock early.
+        </Typography>
+
+        <Box sx={{ display: 'flex', mb: 2 }}>
+          <Button size="small" sx={{ ml: 'auto' }} onClick={() => dispatch(fetchLoginLocks())}>
+            Refresh
+          </Button>
+        </Box>
+
+        {status === 'failed' && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Error fetching locked accounts: {error?.error || error?.message || JSON.stringify(error)}
+          </Alert>
+        )}
+
+        {status === 'loading' && locks.length === 0 ? (
+          <CircularProgress sx={{ display: 'block', margin: 'auto', mt: 4 }} />
+        ) : locks.length === 0 ? (
+          <Alert severity="info">Nothing is locked out right now.</Alert>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Locked</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Last Failed Attempt</TableCell>
+                  <TableCell>Unlocks</TableCell>
+                  <TableCell>Lockouts</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {locks.map((lock) => {
+                  const { title, detail } = describeTarget(lock);
+                  return (
+                    <TableRow key={lock._id}>
+                      <TableCell>
+                        <Typography variant="body2">{title}</Typography>
+                        <Typography variant="caption" color="text.secondary">{detail}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={lock.kind === 'ip' ? 'IP' : 'Account'} size="small" variant="outlined" />
+                      </TableCell>
+                      <TableCell>{lock.lastFailureAt ? moment(lock.lastFailureAt).format('MMM D, h:mm:ss A') : '-'}</TableCell>
+                      <TableCell>{moment(lock.lockedUntil).fromNow()}</TableCell>
+                      <TableCell>{lock.lockouts}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" variant="outlined" onClick={() => handleUnlock(lock)}>
+                          Unlock
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default LoginLocks;
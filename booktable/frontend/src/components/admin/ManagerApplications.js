@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Paper, CircularProgress, Alert, Container, Chip, Button, TextField,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Tooltip,
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions,
+} from '@mui/material';
+import moment from 'moment';
+import {
+  fetchManagerApplications,
+  approveManagerApplication,
+  rejectManagerApplication,
+} from '../../features/admin/managerApplicationSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error',
+};
+
+const ManagerApplications = () => {
+  const dispatch = useDispatch();
+  const { applications, status, error } = useSelector((state) => state.managerApplications);
+  const [filter, setFilter] = useState('pending');
+  const [rejecting, setRejecting] = useState(null); // the application being rejected
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    dispatch(fetchManagerApplications(filter));
+  }, [dispatch, filter]);
+
+  const handleApprove = async (application) => {
+    try {
+      await dispatch(approveManagerApplication(application._id)).unwrap();
+      dispatch(showFeedback({ message: `${application.userId?.firstName || 'The applicant'} is now a manager`, type: 'success' }));
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.error || 'Failed to approve application', type: 'error' }));
+    }
+  };
+
+  const handleReject = async () => {
+    try {
+      await dispatch(rejectManagerApplication({ applicationId: rejecting._id, reason: reason.trim() || undefined })).unwrap();
+      dispatch(showFeedback({ message: 'Application rejected', type: 'success' }));
+      setRejecting(null);
+      setReason('');
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.error || 'Failed to reject application', type: 'error' }));
+    }
+  };
+
+  return (
+    <Container
+      maxWidth="lg"
+      sx={{
+        mt: { xs: 10, sm: 12, md: 14 },
+        mb: 4,
+        pt: 2,
+        minHeight: '100vh',
+        position: 'relative',
+        zIndex: 1,
+      }}
+    >
+      <Paper
+        sx={{
+          p: 3,
+          borderRadius: '16px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
+          border: '1px solid rgba(0, 0, 0, 0.06)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          align="center"
+          sx={{
+            fontWeight: 700,
+            mb: 1,
+            color: 'text.primary',
+          }}
+        >
+          Manager Applications
+        </Typography>
+        <Typography variant="subtitle1" align="center" color="text.secondary" sx={{ mb: 3 }}>
+          People who signed up to manage a restaurant. Approving an application turns the customer account into a
+          manager account; applicants must confirm their email address first.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3, alignItems: 'center' }}>
+          {Object.keys(STATUS_COLORS).map((name) => (
+            <Chip
+              key={name}
+              label={name}
+              color={STATUS_COLORS[name]}
+              variant={filter === name ? 'filled' : 'outlined'}
+              onClick={() => setFilter(name)}
+            />
+          ))}
+          <Chip
+            label="All"
+            variant={filter === '' ? 'filled' : 'outlined'}
+            onClick={() => setFilter('')}
+          />
+          <Button size="small" sx={{ ml: 'auto' }} onClick={() => dispatch(fetchManagerApplications(filter))}>
+            Refresh
+          </Button>
+        </Box>
+
+        {status === 'failed' && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Error fetching applications: {error?.error || error?.message || JSON.stringify(error)}
+          </Alert>
+        )}
+
+        {status === 'loading' && applications.length === 0 ? (
+          <CircularProgress sx={{ display: 'block', margin: 'auto', mt: 4 }} />
+        ) : applications.length === 0 ? (
+          <Alert severity="info">No applications to show.</Alert>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Applicant</TableCell>
+                  <TableCell>Restaurant</TableCell>
+                  <TableCell>About</TableCell>
+                  <TableCell>Applied</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {applications.map((application) => {
+                  const applicant = application.userId;
+                  return (
+                    <TableRow key={application._id}>
+                      <TableCell>
+                        {applicant ? (
+                          <>
+                            <Typography variant="body2">{applicant.firstName} {applicant.lastName}</Typography>
+                            <Typography variant="caption" color="text.secondary" component="div">
+                              {applicant.email}
+                            </Typography>
+                            {!applicant.emailVerified && (
+                              <Chip label="email not confirmed" size="small" variant="outlined" color="warning" sx={{ mt: 0.5 }} />
+                            )}
+                          </>
+                        ) : 'Deleted account'}
+                      </TableCell>
+                      <TableCell>{application.restaurantName}</TableCell>
+                      <TableCell sx={{ maxWidth: 280 }}>
+                        {application.message ? (
+                          <Tooltip title={application.message}>
+                            <Typography variant="body2" noWrap>{application.message}</Typography>
+                          </Tooltip>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell>{moment(application.createdAt).format('MMM D, YYYY')}</TableCell>
+                      <TableCell>
+                        <Tooltip
+                          title={application.reviewedBy
+                            ? `By ${application.reviewedBy.firstName} ${application.reviewedBy.lastName}, ${moment(application.reviewedAt).format('MMM D, YYYY')}${application.decisionReason ? ` - ${application.decisionReason}` : ''}`
+                            : ''}
+                        >
+                          <Chip label={application.status} color={STATUS_COLORS[application.status]} size="small" />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        {application.status === 'pending' && (
+                          <>
+                            <Button
+                              size="small"
+                              variant="contained"
+                              color="success"
+                              disabled={!applicant?.emailVerified}
+                              onClick={() => handleApprove(application)}
+                              sx={{ mr: 1 }}
+                            >
+                              Approve
+                            </Button>
+                            <Button size="small" variant="outlined" color="error" onClick={() => setRejecting(application)}>
+                              Reject
+                            </Button>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      <Dialog open={!!rejecting} onClose={() => setRejecting(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Reject application</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {rejecting?.userId?.firstName || 'The applicant'} will be told by email that their application to
+            manage {rejecting?.restaurantName} was not approved. Their customer account is not affected.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason (optional, shown to the applicant)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setRejecting(null)}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleReject}>
+            Reject
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default ManagerApplications;
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Paper, CircularProgress, Alert, Container, Chip, Button,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Tooltip,
+} from '@mui/material';
+import moment from 'moment';
+import { fetchJobs, retryJob } from '../../features/admin/jobQueueSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const STATUS_COLORS = {
+  queued: 'info',
+  processing: 'warning',
+  completed: 'success',
+  dead: 'error',
+};
+
+// 'sendBookingConfirmationEmail' -> 'Booking confirmation email'
+const describeEmail = (name = '') => {
+  const words = name.replace(/^send/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const describeJob = (job) => {
+  if (job.type === 'email' || job.type === 'linkEmail') {
+    return {
+      what: describeEmail(job.payload?.name),
+      to: job.payload?.to || '-',
+    };
+  }
+  return {
+    what: `Notification (${(job.payload?.type || 'unknown').replace(/_/g, ' ')})`,
+    to: job.payload?.userId || '-',
+  };
+};
+
+const MessageQueue = () => {
+  const dispatch = useDispatch();
+  const { jobs, counts, status, error } = useSelector((state) => state.jobQueue);
+  const [filter, setFilter] = useState('');
+
+  useEffect(() => {
+    dispatch(fetchJobs(filter));
+  }, [dispatch, filter]);
+
+  const handleRetry = async (jobId) => {
+    try {
+      await dispatch(retryJob(jobId)).unwrap();
+      dispatch(showFeedback({ message: 'Job queued for another attempt', type: 'success' }));
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.error || 'Failed to retry job', type: 'error' }));
+    }
+  };
+
+  return (
+    <Container
+      maxWidth="lg"
+      sx={{
+        mt: { xs: 10, sm: 12, md: 14 },
+        mb: 4,
+        pt: 2,
+        minHeight: '100vh',
+        position: 'relative',
+        zIndex: 1,
+      }}
+    >
+      <Paper
+        sx={{
+          p: 3,
+          borderRadius: '16px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
+          border: '1px solid rgba(0, 0, 0, 0.06)',
+        }}
+      >
+        <Typography
+          variant="h4"
+          gutterBottom
+          align="center"
+          sx={{
+            fontWeight: 700,
+            mb: 1,
+            color: 'text.primary',
+          }}
+        >
+          Message Queue
+        </Typography>
+        <Typography variant="subtitle1" align="center" color="text.secondary" sx={{ mb: 3 }}>
+          Emails and notifications waiting to go out. Failed jobs are retried with increasing delays;
+          dead jobs have used up their attempts and can be retried by hand.
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3, alignItems: 'center' }}>
+          <Chip
+            label="All"
+            variant={filter === '' ? 'filled' : 'outlined'}
+            onClick={() => setFilter('')}
+          />
+          {Object.keys(STATUS_COLORS).map((name) => (
+            <Chip
+              key={name}
+              label={`${name} (${counts[name] || 0})`}
+              color={STATUS_COLORS[name]}
+              variant={filter === name ? 'filled' : 'outlined'}
+              onClick={() => setFilter(name)}
+            />
+          ))}
+          <Button size="small" sx={{ ml: 'auto' }} onClick={() => dispatch(fetchJobs(filter))}>
+            Refresh
+          </Button>
+        </Box>
+
+        {status === 'failed' && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Error fetching jobs: {error?.error || error?.message || JSON.stringify(error)}
+          </Alert>
+        )}
+
+        {status === 'loading' && jobs.length === 0 ? (
+          <CircularProgress sx={{ display: 'block', margin: 'auto', mt: 4 }} />
+        ) : jobs.length === 0 ? (
+          <Alert severity="info">No jobs to show.</Alert>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Job</TableCell>
+                  <TableCell>Recipient</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Attempts</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell>Next Run</TableCell>
+                  <TableCell>Last Error</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {jobs.map((job) => {
+                  const { what, to } = describeJob(job);
+                  return (
+                    <TableRow key={job._id}>
+                      <TableCell>{what}</TableCell>
+                      <TableCell>{to}</TableCell>
+                      <TableCell>
+                        <Chip label={job.status} color={STATUS_COLORS[job.status]} size="small" />
+                      </TableCell>
+                      <TableCell>{job.attempts}/{job.maxAttempts}</TableCell>
+                      <TableCell>{moment(job.createdAt).format('MMM D, h:mm:ss A')}</TableCell>
+                      <TableCell>
+                        {job.status === 'queued' ? moment(job.runAt).fromNow() : '-'}
+                      </TableCell>
+                      <TableCell sx={{ maxWidth: 240 }}>
+                        {job.lastError ? (
+                          <Tooltip title={job.lastError}>
+                            <Typography variant="body2" color="error" noWrap>{job.lastError}</Typography>
+                          </Tooltip>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell align="right">
+                        {job.status === 'dead' && (
+                          <Button size="small" variant="outlined" onClick={() => handleRetry(job._id)}>
+                            Retry
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default MessageQueue;
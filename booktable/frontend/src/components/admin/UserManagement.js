@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Paper, CircularProgress, Alert, Chip, Button, TextField, MenuItem, Select,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, TablePagination,
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions,
+} from '@mui/material';
+import moment from 'moment';
+import {
+  fetchUsers,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
+  forcePasswordReset,
+  resetTwoFactor,
+} from '../../features/admin/userAdminSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const ROLES = ['customer', 'manager', 'admin'];
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const CONFIRMATIONS = {
+  deactivate: {
+    title: 'Deactivate account',
+    text: (user) => `${user.firstName} ${user.lastName} will be signed out everywhere and won't be able to sign in until the account is reactivated.`,
+    button: 'Deactivate',
+  },
+  reset: {
+    title: 'Force password reset',
+    text: (user) => `${user.firstName} ${user.lastName}'s current password will stop working. They will be signed out everywhere and emailed a link to choose a new one.`,
+    button: 'Reset Password',
+  },
+  twoFactor: {
+    title: 'Reset two-factor authentication',
+    text: (user) => `Two-factor authentication will be turned off for ${user.firstName} ${user.lastName} and they will be signed out everywhere. Only do this once you're sure the request really comes from them.`,
+    button: 'Reset Two-Factor',
+  },
+};
+
+const UserManagement = () => {
+  const dispatch = useDispatch();
+  const { users, total, status, error } = useSelector((state) => state.adminUsers);
+  const { user: currentUser } = useSelector((state) => state.auth);
+
+  const [search, setSearch] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [confirm, setConfirm] = useState(null); // { action: 'deactivate'|'reset'|'twoFactor', user }
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      dispatch(fetchUsers({
+        search: search.trim() || undefined,
+        role: roleFilter || undefined,
+        status: statusFilter || undefined,
+        page: page + 1,
+        limit: rowsPerPage,
+      }));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [dispatch, search, roleFilter, statusFilter, page, rowsPerPage]);
+
+  const runAction = async (thunk, successMessage) => {
+    try {
+      const result = await dispatch(thunk).unwrap();
+      dispatch(showFeedback({ message: result?.message || successMessage, type: 'success' }));
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.error || 'The change could not be saved', type: 'error' }));
+    }
+  };
+
+  const handleRoleChange = (user, role) => {
+    runAction(updateUserRole({ userId: user._id, role }), `${user.email} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+  };
+
+  const handleConfirm = async () => {
+    const { action, user } = confirm;
+    setConfirm(null);
+    if (action === 'deactivate') {
+      await runAction(deactivateUser(user._id), `${user.email} has been deactivated`);
+    } else if (action === 'reset') {
+      await runAction(forcePasswordReset(user._id), `${user.email} has been emailed a reset link`);
+    } else {
+      await runAction(resetTwoFactor(user._id), `Two-factor authentication is off for ${user.email}`);
+    }
+  };
+
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(0);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <TextField
+          size="small"
+          label="Search name or email"
+          value={search}
+          onChange={handleFilterChange(setSearch)}
+          sx={{ flex: 1, minWidth: 220 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Role"
+          value={roleFilter}
+          onChange={handleFilterChange(setRoleFilter)}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">All roles</MenuItem>
+          {ROLES.map((role) => <MenuItem key={role} value={role}>{role}</MenuItem>)}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={statusFilter}
+          onChange={handleFilterChange(setStatusFilter)}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          <MenuItem value="active">Active</MenuItem>
+          <MenuItem value="inactive">Deactivated</MenuItem>
+        </TextField>
+      </Box>
+
+      {status === 'failed' && (
+        <Alert severity="error" sx={{ mb: 2, borderRadius: '12px' }}>
+          Error fetching users: {error?.error || error?.message || JSON.stringify(error)}
+        </Alert>
+      )}
+
+      {status === 'loading' && users.length === 0 ? (
+        <CircularProgress sx={{ display: 'block', margin: 'auto', mt: 4 }} />
+      ) : users.length === 0 ? (
+        <Alert severity="info" sx={{ borderRadius: '12px' }}>No users match these filters.</Alert>
+      ) : (
+        <TableContainer
+          component={Paper}
+          elevation={0}
+          sx={{
+            borderRadius: '16px',
+            boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
+          }}
+        >
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Joined</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => {
+                const isSelf = user._id === currentUser?._id;
+                return (
+                  <TableRow key={user._id}>
+                    <TableCell>{user.firstName} {user.lastName}</TableCell>
+                    <TableCell>
+                      {user.email}
+                      {!user.emailVerified && (
+                        <Chip label="unconfirmed" size="small" variant="outlined" color="warning" sx={{ ml: 1 }} />
+                      )}
+                      {user.twoFactor?.enabled && (
+                        <Chip label="2FA" size="small" variant="outlined" color="success" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        size="small"
+                        value={user.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        sx={{ minWidth: 120 }}
+                      >
+                        {ROLES.map((role) => <MenuItem key={role} value={role}>{role}</MenuItem>)}
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={user.active ? 'active' : 'deactivated'}
+                        color={user.active ? 'success' : 'default'}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>{moment(user.createdAt).format('MMM D, YYYY')}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {!isSelf && (
+                        <>
+                          {user.active ? (
+                            <Button size="small" color="error" onClick={() => setConfirm({ action: 'deactivate', user })}>
+                              Deactivate
+                            </Button>
+                          ) : (
+                            <Button
+                              size="small"
+                              color="success"
+                              onClick={() => runAction(reactivateUser(user._id), `${user.email} has been reactivated`)}
+                            >
+                              Reactivate
+                            </Button>
+                          )}
+                          <Button size="small" onClick={() => setConfirm({ action: 'reset', user })}>
+                            Reset Password
+                          </Button>
+                          {user.twoFactor?.enabled && (
+                            <Button size="small" onClick={() => setConfirm({ action: 'twoFactor', user })}>
+                              Reset 2FA
+                            </Button>
+                          )}
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[10, 25, 50, 100]}
+          />
+        </TableContainer>
+      )}
+
+      <Dialog open={!!confirm} onClose={() => setConfirm(null)} maxWidth="xs" fullWidth>
+        {confirm && (
+          <>
+            <DialogTitle>{CONFIRMATIONS[confirm.action].title}</DialogTitle>
+            <DialogContent>
+              <DialogContentText>{CONFIRMATIONS[confirm.action].text(confirm.user)}</DialogContentText>
+            </DialogContent>
+            <DialogActions sx={{ px: 3, pb: 2 }}>
+              <Button onClick={() => setConfirm(null)}>Cancel</Button>
+              <Button variant="contained" color="error" onClick={handleConfirm}>
+                {CONFIRMATIONS[confirm.action].button}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default UserManagement;
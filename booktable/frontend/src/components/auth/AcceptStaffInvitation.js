@@ -0,0 +1,130 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link as RouterLink, useLocation, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Button,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Group as GroupIcon } from '@mui/icons-material';
+import { acceptStaffInvitation } from '../../features/staff/staffSlice';
+import { getProfile } from '../../features/auth/authSlice';
+import { typography } from '../../theme/designSystem';
+
+// Opened from a staff invitation email. The invitation belongs to an email address, so it is accepted while
+// signed in with that address; anyone signed out is sent to sign in and brought back here.
+const AcceptStaffInvitation = () => {
+  const dispatch = useDispatch();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, token: sessionToken, error: authError } = useSelector((state) => state.auth);
+  // A saved session is still being restored
+  const checkingSession = !isAuthenticated && !!sessionToken && !authError;
+
+  const [status, setStatus] = useState(token ? 'accepting' : 'failed');
+  const [message, setMessage] = useState(token ? null : 'This invitation link is incomplete. Please use the link from your email.');
+  // Each link works once, so don't send it twice when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || !isAuthenticated || submitted.current) return;
+    submitted.current = true;
+    dispatch(acceptStaffInvitation(token)).unwrap()
+      .then((result) => {
+        setStatus('accepted');
+        setMessage(result.message);
+        dispatch(getProfile()); // Picks up the new restaurant, which opens the dashboard
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setMessage(err?.error || 'Could not accept the invitation');
+      });
+  }, [dispatch, token, isAuthenticated]);
+
+  const renderContent = () => {
+    if (token && !isAuthenticated && !checkingSession) {
+      return (
+        <>
+          <Alert severity="info" sx={{ mb: 3, borderRadius: '12px', textAlign: 'left' }}>
+            Sign in with the email address the invitation was sent to, or create an account with it, to join the
+            restaurant's staff.
+          </Alert>
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', flexWrap: 'wrap' }}>
+            <Button
+              component={RouterLink}
+              to="/login"
+              state={{ from: `${location.pathname}${location.search}` }}
+              variant="contained"
+              sx={{ borderRadius: '12px', background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)' }}
+            >
+              Sign In
+            </Button>
+            <Button component={RouterLink} to="/register" variant="outlined" sx={{ borderRadius: '12px' }}>
+              Create Account
+            </Button>
+          </Box>
+        </>
+      );
+    }
+    if (status === 'accepting') {
+      return <CircularProgress size={32} />;
+    }
+    return (
+      <>
+        <Alert severity={status === 'accepted' ? 'success' : 'error'} sx={{ mb: 3, borderRadius: '12px', textAlign: 'left' }}>
+          {message}
+        </Alert>
+        {status === 'accepted' && (
+          <Button
+            component={RouterLink}
+            to="/manager/dashboard"
+            variant="contained"
+            sx={{ borderRadius: '12px', background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)' }}
+          >
+            Open Restaurant Dashboard
+          </Button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        pt: { xs: 8, md: 10 },
+        pb: { xs: 4, md: 6 },
+        background: 'linear-gradient(135deg, #e8eaf6 0%, #f5f7ff 100%)',
+        display: 'flex',
+        alignItems: 'center',
+      }}
+    >
+      <Container maxWidth="sm">
+        <Paper
+          elevation={0}
+          sx={{
+            p: { xs: 3, md: 4 },
+            borderRadius: '24px',
+            background: 'rgba(255, 255, 255, 0.95)',
+            boxShadow: '0 8px 32px rgba(63, 81, 181, 0.15)',
+            border: '1px solid rgba(63, 81, 181, 0.1)',
+            textAlign: 'center',
+          }}
+        >
+          <GroupIcon sx={{ fontSize: '3rem', color: '#3f51b5', mb: 1 }} />
+          <Typography variant="h4" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.bold, mb: 3 }}>
+            Staff Invitation
+          </Typography>
+          {renderContent()}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default AcceptStaffInvitation;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Alert,
+  Link,
+  InputAdornment,
+} from '@mui/material';
+import { Email as EmailIcon, LockReset as LockResetIcon } from '@mui/icons-material';
+import { requestPasswordReset } from '../../features/auth/authSlice';
+import { typography } from '../../theme/designSystem';
+
+const ForgotPassword = () => {
+  const dispatch = useDispatch();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = await dispatch(requestPasswordReset(email)).unwrap();
+      setSentMessage(result.message);
+    } catch (err) {
+      setError(err?.message || 'Could not request a password reset');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        pt: { xs: 8, md: 10 },
+        pb: { xs: 4, md: 6 },
+        background: 'linear-gradient(135deg, #e8eaf6 0%, #f5f7ff 100%)',
+        display: 'flex',
+        alignItems: 'center',
+      }}
+    >
+      <Container maxWidth="sm">
+        <Paper
+          elevation={0}
+          sx={{
+            p: { xs: 3, md: 4 },
+            borderRadius: '24px',
+            background: 'rgba(255, 255, 255, 0.95)',
+            boxShadow: '0 8px 32px rgba(63, 81, 181, 0.15)',
+            border: '1px solid rgba(63, 81, 181, 0.1)',
+          }}
+        >
+          <Box sx={{ textAlign: 'center', mb: 3 }}>
+            <LockResetIcon sx={{ fontSize: '3rem', color: '#3f51b5', mb: 1 }} />
+            <Typography variant="h4" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.bold, mb: 1 }}>
+              Forgot your password?
+            </Typography>
+            <Typography variant="body1" sx={{ color: '#455a64' }}>
+              Enter the email you signed up with and we'll send you a link to choose a new one.
+            </Typography>
+          </Box>
+
+          {sentMessage ? (
+            <Alert severity="success" sx={{ borderRadius: '12px' }}>
+              {sentMessage} The link expires after a short while, so use it soon.
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {error && (
+                <Alert severity="error" sx={{ mb: 3, borderRadius: '12px' }}>
+                  {error}
+                </Alert>
+              )}
+              <TextField
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                type="email"
+                autoComplete="email"
+                autoFocus
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon sx={{ color: '#3f51b5' }} />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{ mb: 3, '& .MuiOutlinedInput-root': { borderRadius: '12px' } }}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={submitting}
+                sx={{
+                  py: 1.5,
+                  borderRadius: '12px',
+                  background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)',
+                  '&:hover': {
+                    background: 'linear-gradient(135deg, #303f9f 0%, #3949ab 100%)',
+                  },
+                }}
+              >
+                {submitting ? 'Sending...' : 'Send Reset Link'}
+              </Button>
+            </form>
+          )}
+
+          <Box sx={{ textAlign: 'center', mt: 3 }}>
+            <Typography variant="body2" sx={{ color: '#455a64' }}>
+              Remembered it?{' '}
+              <Link component={RouterLink} to="/login" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.medium }}>
+                Back to Sign In
+              </Link>
+            </Typography>
+          </Box>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
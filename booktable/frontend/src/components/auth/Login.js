@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import { useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
 import {
   Container,
   Paper,
@@ -20,26 +20,32 @@ import {
   Lock as LockIcon,
   Restaurant as RestaurantIcon,
   Search as SearchIcon,
+  Security as SecurityIcon,
 } from '@mui/icons-material';
-import { login, clearError } from '../../features/auth/authSlice';
+import { login, verifyTwoFactorLogin, cancelTwoFactorLogin, clearError } from '../../features/auth/authSlice';
 import { colors, typography } from '../../theme/designSystem';
 
 const Login = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
   const theme = useTheme();
-  const { isAuthenticated, user, error, loading } = useSelector((state) => state.auth);
+  const { isAuthenticated, user, error, loading, twoFactorChallenge } = useSelector((state) => state.auth);
 
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
+  const [code, setCode] = useState('');
 
   useEffect(() => {
     if (isAuthenticated && user) {
-      if (user.role === 'admin') {
+      // Pages that send people here to sign in first (such as a staff invitation) ask to come back afterwards
+      if (location.state?.from) {
+        navigate(location.state.from);
+      } else if (user.role === 'admin') {
         navigate('/admin/dashboard');
-      } else if (user.role === 'manager') {
+      } else if (user.role === 'manager' || user.staffMemberships?.length) {
         navigate('/manager/dashboard');
       } else {
         navigate('/dashboard');
@@ -48,7 +54,7 @@ const Login = () => {
     return () => {
       dispatch(clearError());
     };
-  }, [isAuthenticated, user, navigate, dispatch]);
+  }, [isAuthenticated, user, navigate, dispatch, location.state]);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -59,6 +65,17 @@ const Login = () => {
     dispatch(login(formData));
   };
 
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    dispatch(verifyTwoFactorLogin(code.trim()));
+  };
+
+  const handleBackToPassword = () => {
+    setCode('');
+    setFormData({ email: '', password: '' });
+    dispatch(cancelTwoFactorLogin());
+  };
+
   return (
     <Box
       sx={{
@@ -159,128 +176,193 @@ const Login = () => {
               </Alert>
             )}
 
-            <form onSubmit={handleSubmit}>
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                id="email"
-                label="Email Address"
-                name="email"
-                autoComplete="email"
-                autoFocus
-                value={formData.email}
-                onChange={handleChange}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <EmailIcon sx={{ color: '#3f51b5' }} />
-                    </InputAdornment>
-                  ),
-                }}
-                sx={{
-                  mb: 3,
-                  '& .MuiOutlinedInput-root': {
+            {twoFactorChallenge ? (
+              <form onSubmit={handleCodeSubmit}>
+                <Typography variant="body1" sx={{ color: '#455a64', mb: 2 }}>
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </Typography>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="code"
+                  label="Authentication Code"
+                  name="code"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  inputProps={{ autoCapitalize: 'none', spellCheck: false }}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <SecurityIcon sx={{ color: '#3f51b5' }} />
+                      </InputAdornment>
+                    ),
+                  }}
+                  sx={{
+                    mb: 3,
+                    '& .MuiOutlinedInput-root': {
+                      borderRadius: '12px',
+                      height: '56px',
+                      background: 'rgba(255, 255, 255, 0.9)',
+                    },
+                  }}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  disabled={loading || !code.trim()}
+                  sx={{
+                    py: 1.5,
                     borderRadius: '12px',
-                    height: '56px',
-                    background: 'rgba(255, 255, 255, 0.9)',
-                    '& fieldset': {
-                      borderColor: 'rgba(63, 81, 181, 0.2)',
+                    background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)',
+                    boxShadow: '0 4px 16px rgba(63, 81, 181, 0.2)',
+                  }}
+                >
+                  {loading ? 'Verifying...' : 'Verify'}
+                </Button>
+                <Button fullWidth onClick={handleBackToPassword} sx={{ mt: 1, color: '#3f51b5' }}>
+                  Use a different account
+                </Button>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  id="email"
+                  label="Email Address"
+                  name="email"
+                  autoComplete="email"
+                  autoFocus
+                  value={formData.email}
+                  onChange={handleChange}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <EmailIcon sx={{ color: '#3f51b5' }} />
+                      </InputAdornment>
+                    ),
+                  }}
+                  sx={{
+                    mb: 3,
+                    '& .MuiOutlinedInput-root': {
+                      borderRadius: '12px',
+                      height: '56px',
+                      background: 'rgba(255, 255, 255, 0.9)',
+                      '& fieldset': {
+                        borderColor: 'rgba(63, 81, 181, 0.2)',
+                      },
+                      '&:hover fieldset': {
+                        borderColor: '#3f51b5',
+                        boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.04)',
+                      },
+                      '&.Mui-focused fieldset': {
+                        borderColor: '#3f51b5',
+                        borderWidth: '2px',
+                        boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.08)',
+                      },
                     },
-                    '&:hover fieldset': {
-                      borderColor: '#3f51b5',
-                      boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.04)',
+                    '& .MuiInputLabel-root': {
+                      fontSize: '0.95rem',
+                      color: '#455a64',
+                      '&.Mui-focused': {
+                        color: '#3f51b5',
+                      },
                     },
-                    '&.Mui-focused fieldset': {
-                      borderColor: '#3f51b5',
-                      borderWidth: '2px',
-                      boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.08)',
+                  }}
+                />
+                <TextField
+                  margin="normal"
+                  required
+                  fullWidth
+                  name="password"
+                  label="Password"
+                  type="password"
+                  id="password"
+                  autoComplete="current-password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <LockIcon sx={{ color: '#3f51b5' }} />
+                      </InputAdornment>
+                    ),
+                  }}
+                  sx={{
+                    mb: 3,
+                    '& .MuiOutlinedInput-root': {
+                      borderRadius: '12px',
+                      height: '56px',
+                      background: 'rgba(255, 255, 255, 0.9)',
+                      '& fieldset': {
+                        borderColor: 'rgba(63, 81, 181, 0.2)',
+                      },
+                      '&:hover fieldset': {
+                        borderColor: '#3f51b5',
+                        boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.04)',
+                      },
+                      '&.Mui-focused fieldset': {
+                        borderColor: '#3f51b5',
+                        borderWidth: '2px',
+                        boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.08)',
+                      },
                     },
-                  },
-                  '& .MuiInputLabel-root': {
-                    fontSize: '0.95rem',
-                    color: '#455a64',
-                    '&.Mui-focused': {
-                      color: '#3f51b5',
+                    '& .MuiInputLabel-root': {
+                      fontSize: '0.95rem',
+                      color: '#455a64',
+                      '&.Mui-focused': {
+                        color: '#3f51b5',
+                      },
                     },
-                  },
-                }}
-              />
-              <TextField
-                margin="normal"
-                required
-                fullWidth
-                name="password"
-                label="Password"
-                type="password"
-                id="password"
-                autoComplete="current-password"
-                value={formData.password}
-                onChange={handleChange}
-                InputProps={{
-                  startAdornment: (
-                    <InputAdornment position="start">
-                      <LockIcon sx={{ color: '#3f51b5' }} />
-                    </InputAdornment>
-                  ),
-                }}
-                sx={{
-                  mb: 3,
-                  '& .MuiOutlinedInput-root': {
+                  }}
+                />
+                <Button
+                  type="submit"
+                  fullWidth
+                  variant="contained"
+                  size="large"
+                  disabled={loading}
+                  sx={{
+                    py: 1.5,
+                    mt: 2,
                     borderRadius: '12px',
-                    height: '56px',
-                    background: 'rgba(255, 255, 255, 0.9)',
-                    '& fieldset': {
-                      borderColor: 'rgba(63, 81, 181, 0.2)',
-                    },
-                    '&:hover fieldset': {
-                      borderColor: '#3f51b5',
-                      boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.04)',
-                    },
-                    '&.Mui-focused fieldset': {
-                      borderColor: '#3f51b5',
-                      borderWidth: '2px',
-                      boxShadow: '0 0 0 4px rgba(63, 81, 181, 0.08)',
+                    background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)',
+                    boxShadow: '0 4px 16px rgba(63, 81, 181, 0.2)',
+                    '&:hover': {
+                      background: 'linear-gradient(135deg, #303f9f 0%, #3949ab 100%)',
+                      transform: 'translateY(-2px)',
+                      boxShadow: '0 8px 24px rgba(63, 81, 181, 0.3)',
                     },
-                  },
-                  '& .MuiInputLabel-root': {
-                    fontSize: '0.95rem',
-                    color: '#455a64',
-                    '&.Mui-focused': {
-                      color: '#3f51b5',
+                    '&:disabled': {
+                      background: '#e0e0e0',
+                      color: '#9e9e9e',
+                      transform: 'none',
+                      boxShadow: 'none',
                     },
-                  },
-                }}
-              />
-              <Button
-                type="submit"
-                fullWidth
-                variant="contained"
-                size="large"
-                disabled={loading}
-                sx={{
-                  py: 1.5,
-                  mt: 2,
-                  borderRadius: '12px',
-                  background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)',
-                  boxShadow: '0 4px 16px rgba(63, 81, 181, 0.2)',
-                  '&:hover': {
-                    background: 'linear-gradient(135deg, #303f9f 0%, #3949ab 100%)',
-                    transform: 'translateY(-2px)',
-                    boxShadow: '0 8px 24px rgba(63, 81, 181, 0.3)',
-                  },
-                  '&:disabled': {
-                    background: '#e0e0e0',
-                    color: '#9e9e9e',
-                    transform: 'none',
-                    boxShadow: 'none',
-                  },
-                  transition: 'all 0.3s ease-in-out',
-                }}
+                    transition: 'all 0.3s ease-in-out',
+                  }}
+                >
+                  {loading ? 'Signing in...' : 'Sign In'}
+                </Button>
+              </form>
+            )}
+
+            <Box sx={{ textAlign: 'center', mt: 2 }}>
+              <Link
+                component={RouterLink}
+                to="/forgot-password"
+                variant="body2"
+                sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.medium }}
               >
-                {loading ? 'Signing in...' : 'Sign In'}
-              </Button>
-            </form>
+                Forgot password?
+              </Link>
+            </Box>
 
             <Box sx={{ textAlign: 'center', mt: 3 }}>
               <Typography variant="body2" sx={{ color: '#455a64' }}>
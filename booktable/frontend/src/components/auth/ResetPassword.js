@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Alert,
+  Link,
+  InputAdornment,
+} from '@mui/material';
+import { Lock as LockIcon, LockReset as LockResetIcon } from '@mui/icons-material';
+import { resetPassword } from '../../features/auth/authSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+import { typography } from '../../theme/designSystem';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const ResetPassword = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = await dispatch(resetPassword({ token, password })).unwrap();
+      dispatch(showFeedback({ message: result.message, type: 'success' }));
+      navigate('/login');
+    } catch (err) {
+      setError(err?.message || 'Could not reset your password');
+      setSubmitting(false);
+    }
+  };
+
+  const passwordFieldProps = {
+    required: true,
+    fullWidth: true,
+    type: 'password',
+    autoComplete: 'new-password',
+    InputProps: {
+      startAdornment: (
+        <InputAdornment position="start">
+          <LockIcon sx={{ color: '#3f51b5' }} />
+        </InputAdornment>
+      ),
+    },
+    sx: { mb: 3, '& .MuiOutlinedInput-root': { borderRadius: '12px' } },
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        pt: { xs: 8, md: 10 },
+        pb: { xs: 4, md: 6 },
+        background: 'linear-gradient(135deg, #e8eaf6 0%, #f5f7ff 100%)',
+        display: 'flex',
+        alignItems: 'center',
+      }}
+    >
+      <Container maxWidth="sm">
+        <Paper
+          elevation={0}
+          sx={{
+            p: { xs: 3, md: 4 },
+            borderRadius: '24px',
+            background: 'rgba(255, 255, 255, 0.95)',
+            boxShadow: '0 8px 32px rgba(63, 81, 181, 0.15)',
+            border: '1px solid rgba(63, 81, 181, 0.1)',
+          }}
+        >
+          <Box sx={{ textAlign: 'center', mb: 3 }}>
+            <LockResetIcon sx={{ fontSize: '3rem', color: '#3f51b5', mb: 1 }} />
+            <Typography variant="h4" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.bold }}>
+              Choose a new password
+            </Typography>
+          </Box>
+
+          {!token ? (
+            <Alert severity="error" sx={{ borderRadius: '12px' }}>
+              This reset link is incomplete. Please use the link from your email, or request a new one.
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {error && (
+                <Alert severity="error" sx={{ mb: 3, borderRadius: '12px' }}>
+                  {error}
+                </Alert>
+              )}
+              <TextField
+                {...passwordFieldProps}
+                id="password"
+                name="password"
+                label="New Password"
+                autoFocus
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                helperText={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              />
+              <TextField
+                {...passwordFieldProps}
+                id="confirmPassword"
+                name="confirmPassword"
+                label="Confirm New Password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={submitting}
+                sx={{
+                  py: 1.5,
+                  borderRadius: '12px',
+                  background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)',
+                  '&:hover': {
+                    background: 'linear-gradient(135deg, #303f9f 0%, #3949ab 100%)',
+                  },
+                }}
+              >
+                {submitting ? 'Saving...' : 'Reset Password'}
+              </Button>
+            </form>
+          )}
+
+          <Box sx={{ textAlign: 'center', mt: 3 }}>
+            <Link component={RouterLink} to="/forgot-password" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.medium }}>
+              Request a new link
+            </Link>
+          </Box>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default ResetPassword;
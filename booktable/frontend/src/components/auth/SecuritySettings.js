@@ -0,0 +1,317 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box, Typography, Paper, CircularProgress, Alert, Container, Button, TextField, Stack, Divider,
+} from '@mui/material';
+import { Security as SecurityIcon } from '@mui/icons-material';
+import moment from 'moment';
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  turnOffTwoFactor,
+  replaceBackupCodes,
+} from '../../features/auth/authSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const buttonSx = { textTransform: 'none', borderRadius: '8px' };
+
+// Backup codes are only ever shown once, straight after they are created
+const BackupCodes = ({ codes, onDone }) => {
+  const dispatch = useDispatch();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      dispatch(showFeedback({ message: 'Backup codes copied', type: 'success' }));
+    } catch (err) {
+      dispatch(showFeedback({ message: 'Could not copy. Please write the codes down instead.', type: 'error' }));
+    }
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2, borderRadius: '12px' }}>
+        Save these backup codes somewhere safe. Each one signs you in once if you lose your phone, and they won't be
+        shown again.
+      </Alert>
+      <Box
+        component="ul"
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+          gap: 1,
+          listStyle: 'none',
+          p: 2,
+          m: 0,
+          mb: 2,
+          borderRadius: '12px',
+          bgcolor: 'grey.100',
+          fontFamily: 'monospace',
+          fontSize: '1.1rem',
+        }}
+      >
+        {codes.map((code) => <li key={code}>{code}</li>)}
+      </Box>
+      <Stack direction="row" spacing={1}>
+        <Button variant="outlined" size="small" onClick={handleCopy} sx={buttonSx}>Copy Codes</Button>
+        <Button variant="contained" size="small" onClick={onDone} sx={buttonSx}>I've Saved Them</Button>
+      </Stack>
+    </Box>
+  );
+};
+
+// Two-factor authentication for manager and admin accounts: setup with an authenticator app, backup codes, turning it off
+const SecuritySettings = () => {
+  const dispatch = useDispatch();
+  const { twoFactor } = useSelector((state) => state.auth);
+
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [enrollment, setEnrollment] = useState(null); // { secret, qrCode } while setting up
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    dispatch(getTwoFactorStatus()).unwrap().catch((err) => {
+      setLoadError(err?.message || 'Could not load two-factor settings');
+    });
+  }, [dispatch]);
+
+  const run = async (thunk) => {
+    setSaving(true);
+    try {
+      return await dispatch(thunk).unwrap();
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.message || 'The change could not be saved', type: 'error' }));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setPassword('');
+    setCode('');
+  };
+
+  const handleStartSetup = async (e) => {
+    e.preventDefault();
+    const result = await run(startTwoFactorSetup(password));
+    if (result) {
+      setEnrollment(result);
+      resetForm();
+    }
+  };
+
+  const handleConfirmSetup = async (e) => {
+    e.preventDefault();
+    const result = await run(confirmTwoFactorSetup(code.trim()));
+    if (result) {
+      setEnrollment(null);
+      setBackupCodes(result.backupCodes);
+      resetForm();
+      dispatch(showFeedback({ message: result.message, type: 'success' }));
+    }
+  };
+
+  const handleReplaceCodes = async (e) => {
+    e.preventDefault();
+    const result = await run(replaceBackupCodes(code.trim()));
+    if (result) {
+      setBackupCodes(result.backupCodes);
+      resetForm();
+    }
+  };
+
+  const handleTurnOff = async (e) => {
+    e.preventDefault();
+    const result = await run(turnOffTwoFactor({ password, code: code.trim() }));
+    if (result) {
+      resetForm();
+      dispatch(showFeedback({ message: result.message, type: 'success' }));
+    }
+  };
+
+  const renderContent = () => {
+    if (loadError) {
+      return <Alert severity="error">{loadError}</Alert>;
+    }
+    if (!twoFactor) {
+      return <CircularProgress sx={{ display: 'block', margin: 'auto', mt: 4 }} />;
+    }
+    if (backupCodes) {
+      return <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />;
+    }
+    if (!twoFactor.available) {
+      return (
+        <Alert severity="info">
+          Two-factor authentication is for manager and admin accounts.
+        </Alert>
+      );
+    }
+
+    if (twoFactor.enabled) {
+      return (
+        <Box>
+          <Alert severity="success" sx={{ mb: 3, borderRadius: '12px' }}>
+            Two-factor authentication is on{twoFactor.enabledAt ? ` (since ${moment(twoFactor.enabledAt).format('MMM D, YYYY')})` : ''}.
+            You have {twoFactor.backupCodesRemaining} unused backup {twoFactor.backupCodesRemaining === 1 ? 'code' : 'codes'}.
+          </Alert>
+
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+            Backup Codes or Turn Off
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Enter a code from your authenticator app to create new backup codes
+            {twoFactor.required ? '.' : ', or your password and a code to turn two-factor authentication off.'}
+          </Typography>
+          <Stack component="form" direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }} onSubmit={handleReplaceCodes}>
+            <TextField
+              label="Authentication Code"
+              size="small"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            {!twoFactor.required && (
+              <TextField
+                label="Password"
+                type="password"
+                size="small"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            )}
+          </Stack>
+          <Stack direction="row" spacing={1}>
+            <Button variant="outlined" size="small" disabled={saving || !code.trim()} onClick={handleReplaceCodes} sx={buttonSx}>
+              New Backup Codes
+            </Button>
+            {!twoFactor.required && (
+              <Button
+                variant="outlined"
+                color="error"
+                size="small"
+                disabled={saving || !code.trim() || !password}
+                onClick={handleTurnOff}
+                sx={buttonSx}
+              >
+                Turn Off
+              </Button>
+            )}
+          </Stack>
+          {twoFactor.required && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+              Two-factor authentication is required for your role, so it can't be turned off.
+            </Typography>
+          )}
+        </Box>
+      );
+    }
+
+    if (enrollment) {
+      return (
+        <Box component="form" onSubmit={handleConfirmSetup}>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password,
+            then enter the 6-digit code it shows.
+          </Typography>
+          <Box sx={{ textAlign: 'center', mb: 2 }}>
+            <Box component="img" src={enrollment.qrCode} alt="QR code for your authenticator app" sx={{ width: 200, height: 200 }} />
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Can't scan it? Enter this key instead:{' '}
+            <Box component="span" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+              {enrollment.secret.match(/.{1,4}/g).join(' ')}
+            </Box>
+          </Typography>
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+            <TextField
+              label="Authentication Code"
+              size="small"
+              required
+              autoFocus
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <Button type="submit" variant="contained" size="small" disabled={saving || !code.trim()} sx={buttonSx}>
+              Turn On
+            </Button>
+            <Button size="small" onClick={() => { setEnrollment(null); resetForm(); }} sx={buttonSx}>
+              Cancel
+            </Button>
+          </Stack>
+        </Box>
+      );
+    }
+
+    return (
+      <Box component="form" onSubmit={handleStartSetup}>
+        {twoFactor.required && (
+          <Alert severity="warning" sx={{ mb: 2, borderRadius: '12px' }}>
+            Your role requires two-factor authentication. Set it up to keep using the manager and admin tools.
+          </Alert>
+        )}
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          Two-factor authentication asks for a code from your phone as well as your password when you sign in, so a
+          stolen password isn't enough to get into your account. Enter your password to start.
+        </Typography>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+          <TextField
+            label="Password"
+            type="password"
+            size="small"
+            required
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <Button type="submit" variant="contained" size="small" disabled={saving || !password} sx={buttonSx}>
+            Set Up Two-Factor
+          </Button>
+        </Stack>
+      </Box>
+    );
+  };
+
+  return (
+    <Container
+      maxWidth="md"
+      sx={{
+        mt: { xs: 10, sm: 12, md: 14 },
+        mb: 4,
+        pt: 2,
+        minHeight: '100vh',
+        position: 'relative',
+        zIndex: 1,
+      }}
+    >
+      <Paper
+        sx={{
+          p: 3,
+          borderRadius: '16px',
+          boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
+          border: '1px solid rgba(0, 0, 0, 0.06)',
+        }}
+      >
+        <Stack direction="row" spacing={1} alignItems="center" justifyContent="center" sx={{ mb: 1 }}>
+          <SecurityIcon color="primary" />
+          <Typography variant="h4" sx={{ fontWeight: 700, color: 'text.primary' }}>
+            Security
+          </Typography>
+        </Stack>
+        <Typography variant="subtitle1" align="center" color="text.secondary" sx={{ mb: 3 }}>
+          Two-factor authentication
+        </Typography>
+        <Divider sx={{ mb: 3 }} />
+        {renderContent()}
+      </Paper>
+    </Container>
+  );
+};
+
+export default SecuritySettings;
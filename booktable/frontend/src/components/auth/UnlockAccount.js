@@ -0,0 +1,96 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Button,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { LockOpen as LockOpenIcon } from '@mui/icons-material';
+import { unlockAccount } from '../../features/auth/authSlice';
+import { typography } from '../../theme/designSystem';
+
+const UnlockAccount = () => {
+  const dispatch = useDispatch();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'unlocking' : 'failed');
+  const [message, setMessage] = useState(token ? null : 'This unlock link is incomplete. Please use the link from your email.');
+  // Each link works once, so don't send it twice when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+    dispatch(unlockAccount(token)).unwrap()
+      .then((result) => {
+        setStatus('unlocked');
+        setMessage(result.message);
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setMessage(err?.message || 'Could not unlock your account');
+      });
+  }, [dispatch, token]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        pt: { xs: 8, md: 10 },
+        pb: { xs: 4, md: 6 },
+        background: 'linear-gradient(135deg, #e8eaf6 0%, #f5f7ff 100%)',
+        display: 'flex',
+        alignItems: 'center',
+      }}
+    >
+      <Container maxWidth="sm">
+        <Paper
+          elevation={0}
+          sx={{
+            p: { xs: 3, md: 4 },
+            borderRadius: '24px',
+            background: 'rgba(255, 255, 255, 0.95)',
+            boxShadow: '0 8px 32px rgba(63, 81, 181, 0.15)',
+            border: '1px solid rgba(63, 81, 181, 0.1)',
+            textAlign: 'center',
+          }}
+        >
+          <LockOpenIcon sx={{ fontSize: '3rem', color: '#3f51b5', mb: 1 }} />
+          <Typography variant="h4" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.bold, mb: 3 }}>
+            Unlock Account
+          </Typography>
+
+          {status === 'unlocking' && <CircularProgress size={32} />}
+          {status !== 'unlocking' && (
+            <>
+              <Alert severity={status === 'unlocked' ? 'success' : 'error'} sx={{ mb: 3, borderRadius: '12px', textAlign: 'left' }}>
+                {message}
+              </Alert>
+              <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', flexWrap: 'wrap' }}>
+                <Button
+                  component={RouterLink}
+                  to="/login"
+                  variant="contained"
+                  sx={{ borderRadius: '12px', background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)' }}
+                >
+                  Sign In
+                </Button>
+                <Button component={RouterLink} to="/forgot-password" variant="outlined" sx={{ borderRadius: '12px' }}>
+                  Reset Password
+                </Button>
+              </Box>
+            </>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default UnlockAccount;
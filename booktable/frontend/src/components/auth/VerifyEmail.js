@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Button,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { MarkEmailRead as MarkEmailReadIcon } from '@mui/icons-material';
+import { verifyEmail } from '../../features/auth/authSlice';
+import EmailVerificationNotice from '../common/EmailVerificationNotice';
+import { typography } from '../../theme/designSystem';
+
+const VerifyEmail = () => {
+  const dispatch = useDispatch();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated } = useSelector((state) => state.auth);
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? null : 'This verification link is incomplete. Please use the link from your email.');
+  // Each link works once, so don't send it twice when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+    dispatch(verifyEmail(token)).unwrap()
+      .then((result) => {
+        setStatus('verified');
+        setMessage(result.message);
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setMessage(err?.message || 'Could not verify your email address');
+      });
+  }, [dispatch, token]);
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        pt: { xs: 8, md: 10 },
+        pb: { xs: 4, md: 6 },
+        background: 'linear-gradient(135deg, #e8eaf6 0%, #f5f7ff 100%)',
+        display: 'flex',
+        alignItems: 'center',
+      }}
+    >
+      <Container maxWidth="sm">
+        <Paper
+          elevation={0}
+          sx={{
+            p: { xs: 3, md: 4 },
+            borderRadius: '24px',
+            background: 'rgba(255, 255, 255, 0.95)',
+            boxShadow: '0 8px 32px rgba(63, 81, 181, 0.15)',
+            border: '1px solid rgba(63, 81, 181, 0.1)',
+            textAlign: 'center',
+          }}
+        >
+          <MarkEmailReadIcon sx={{ fontSize: '3rem', color: '#3f51b5', mb: 1 }} />
+          <Typography variant="h4" sx={{ color: '#3f51b5', fontWeight: typography.fontWeight.bold, mb: 3 }}>
+            Email Confirmation
+          </Typography>
+
+          {status === 'verifying' && <CircularProgress size={32} />}
+          {status === 'verified' && (
+            <>
+              <Alert severity="success" sx={{ mb: 3, borderRadius: '12px', textAlign: 'left' }}>
+                {message} You can now book tables and leave reviews.
+              </Alert>
+              <Button
+                component={RouterLink}
+                to={isAuthenticated ? '/search' : '/login'}
+                variant="contained"
+                sx={{ borderRadius: '12px', background: 'linear-gradient(135deg, #3f51b5 0%, #5c6bc0 100%)' }}
+              >
+                {isAuthenticated ? 'Find a Restaurant' : 'Sign In'}
+              </Button>
+            </>
+          )}
+          {status === 'failed' && (
+            <>
+              <Alert severity="error" sx={{ mb: 2, borderRadius: '12px', textAlign: 'left' }}>
+                {message}
+              </Alert>
+              {isAuthenticated ? (
+                <EmailVerificationNotice sx={{ textAlign: 'left' }} />
+              ) : (
+                <Typography variant="body2" sx={{ color: '#455a64' }}>
+                  Sign in to request a new link.
+                </Typography>
+              )}
+            </>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
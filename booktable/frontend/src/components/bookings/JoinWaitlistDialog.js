@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Stack,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { TimePicker } from '@mui/x-date-pickers';
+import moment from 'moment';
+import { joinWaitlist } from '../../features/waitlist/waitlistSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+// How far either side of the requested time the suggested window reaches
+const DEFAULT_WINDOW_MINUTES = 60;
+
+// Puts the customer on the waitlist for a fully booked slot. `date` and `time` are moments and
+// seed the window; the customer can widen it to improve their chances.
+const JoinWaitlistDialog = ({ open, onClose, restaurant, date, time, partySize }) => {
+  const dispatch = useDispatch();
+  const [windowStart, setWindowStart] = useState(null);
+  const [windowEnd, setWindowEnd] = useState(null);
+  const [people, setPeople] = useState('');
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && time) {
+      const startOfDay = moment(time).startOf('day');
+      const endOfDay = moment(time).endOf('day');
+      setWindowStart(moment.max(moment(time).subtract(DEFAULT_WINDOW_MINUTES, 'minutes'), startOfDay));
+      setWindowEnd(moment.min(moment(time).add(DEFAULT_WINDOW_MINUTES, 'minutes'), endOfDay));
+      setPeople(String(partySize || ''));
+      setFormError('');
+    }
+  }, [open, time, partySize]);
+
+  const handleJoin = async () => {
+    setFormError('');
+    const partyNum = parseInt(people, 10);
+    if (!windowStart?.isValid() || !windowEnd?.isValid() || windowStart.format('HH:mm') > windowEnd.format('HH:mm')) {
+      setFormError('Please choose a valid time window, earliest time first.');
+      return;
+    }
+    if (isNaN(partyNum) || partyNum <= 0) {
+      setFormError('Number of people must be a positive number.');
+      return;
+    }
+
+    setSaving(true);
+    const resultAction = await dispatch(joinWaitlist({
+      restaurantId: restaurant._id,
+      date: date.format('YYYY-MM-DD'),
+      windowStart: windowStart.format('HH:mm'),
+      windowEnd: windowEnd.format('HH:mm'),
+      partySize: partyNum
+    }));
+    setSaving(false);
+
+    if (joinWaitlist.fulfilled.match(resultAction)) {
+      dispatch(showFeedback({
+        message: `You're on the waitlist (#${resultAction.payload.position}). We'll email you if a table opens up.`,
+        type: 'success'
+      }));
+      onClose();
+    } else {
+      const { error, availableTimes } = resultAction.payload || {};
+      setFormError(availableTimes?.length
+        ? `${error}: ${availableTimes.join(', ')}`
+        : error || 'Failed to join the waitlist. Please try again.');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Join the Waitlist</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          {`${restaurant?.name || 'This restaurant'} is fully booked on ${date ? date.format('dddd, MMMM D') : 'this date'}. `}
+          If a table opens up between these times we'll hold it for you and let you know.
+        </DialogContentText>
+        <Stack spacing={2.5} sx={{ pt: 1 }}>
+          <TimePicker
+            label="Earliest time"
+            value={windowStart}
+            onChange={setWindowStart}
+            minutesStep={15}
+            slotProps={{ textField: { fullWidth: true } }}
+          />
+          <TimePicker
+            label="Latest time"
+            value={windowEnd}
+            onChange={setWindowEnd}
+            minutesStep={15}
+            slotProps={{ textField: { fullWidth: true } }}
+          />
+          <TextField
+            label="Number of People"
+            type="number"
+            fullWidth
+            value={people}
+            onChange={(e) => setPeople(e.target.value)}
+            inputProps={{ min: 1 }}
+          />
+          {formError && <Alert severity="error">{formError}</Alert>}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button onClick={handleJoin} variant="contained" disabled={saving}>
+          {saving ? <CircularProgress size={20} color="inherit" /> : 'Join Waitlist'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default JoinWaitlistDialog;
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Stack,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { DatePicker, TimePicker } from '@mui/x-date-pickers';
+import moment from 'moment';
+import { modifyBooking } from '../../features/bookings/bookingSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const RAW_DATE_PREFIX = 'RAW_DATE_STR:';
+
+// Changes the date, time or party size of an upcoming booking. The booking keeps its table
+// until the new one is confirmed, so a failed change leaves the original reservation in place.
+const ModifyBookingDialog = ({ open, onClose, booking }) => {
+  const dispatch = useDispatch();
+  const [date, setDate] = useState(null);
+  const [time, setTime] = useState(null);
+  const [partySize, setPartySize] = useState('');
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && booking) {
+      const dateStr = booking.date?.startsWith(RAW_DATE_PREFIX)
+        ? booking.date.substring(RAW_DATE_PREFIX.length)
+        : booking.date;
+      setDate(moment(dateStr, 'YYYY-MM-DD'));
+      setTime(moment(booking.time, 'HH:mm'));
+      setPartySize(String(booking.partySize));
+      setFormError('');
+    }
+  }, [open, booking]);
+
+  const handleSave = async () => {
+    setFormError('');
+    const partyNum = parseInt(partySize, 10);
+    if (!date?.isValid() || !time?.isValid()) {
+      setFormError('Please choose a valid date and time.');
+      return;
+    }
+    if (isNaN(partyNum) || partyNum <= 0) {
+      setFormError('Number of people must be a positive number.');
+      return;
+    }
+
+    setSaving(true);
+    const resultAction = await dispatch(modifyBooking({
+      bookingId: booking._id,
+      changes: {
+        date: date.format('YYYY-MM-DD'),
+        time: time.format('HH:mm'),
+        partySize: partyNum
+      }
+    }));
+    setSaving(false);
+
+    if (modifyBooking.fulfilled.match(resultAction)) {
+      dispatch(showFeedback({ message: 'Your reservation has been updated', type: 'success' }));
+      onClose();
+    } else {
+      setFormError(resultAction.payload?.error || 'Failed to update reservation. Please try again.');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Modify Reservation</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          {booking?.restaurantId?.name
+            ? `Choose a new date, time or party size for ${booking.restaurantId.name}.`
+            : 'Choose a new date, time or party size.'}
+        </DialogContentText>
+        <Stack spacing={2.5} sx={{ pt: 1 }}>
+          <DatePicker
+            label="Date"
+            value={date}
+            onChange={setDate}
+            disablePast
+            slotProps={{ textField: { fullWidth: true } }}
+          />
+          <TimePicker
+            label="Time"
+            value={time}
+            onChange={setTime}
+            minutesStep={15}
+            slotProps={{ textField: { fullWidth: true } }}
+          />
+          <TextField
+            label="Number of People"
+            type="number"
+            fullWidth
+            value={partySize}
+            onChange={(e) => setPartySize(e.target.value)}
+            inputProps={{ min: 1 }}
+          />
+          {formError && <Alert severity="error">{formError}</Alert>}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Keep Current Booking
+        </Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving}>
+          {saving ? <CircularProgress size={20} color="inherit" /> : 'Save Changes'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ModifyBookingDialog;
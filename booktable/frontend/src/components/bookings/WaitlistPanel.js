@@ -0,0 +1,120 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Paper,
+  Typography,
+  Stack,
+  Box,
+  Button,
+  Chip,
+  alpha
+} from '@mui/material';
+import HourglassTopIcon from '@mui/icons-material/HourglassTop';
+import moment from 'moment';
+import { getUserWaitlist, claimWaitlistOffer, leaveWaitlist } from '../../features/waitlist/waitlistSlice';
+import { getUserBookings } from '../../features/bookings/bookingSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const RAW_DATE_PREFIX = 'RAW_DATE_STR:';
+
+const formatDate = (date) => moment(
+  date?.startsWith(RAW_DATE_PREFIX) ? date.substring(RAW_DATE_PREFIX.length) : date,
+  'YYYY-MM-DD'
+).format('ddd, MMM D');
+
+const formatTime = (time) => moment(time, 'HH:mm').format('h:mm A');
+
+// The customer's open waitlist entries. Offered entries hold a table until offerExpiresAt
+// and can be claimed (turned into a booking) or declined from here.
+const WaitlistPanel = () => {
+  const dispatch = useDispatch();
+  const { entries } = useSelector((state) => state.waitlist);
+
+  useEffect(() => {
+    dispatch(getUserWaitlist());
+  }, [dispatch]);
+
+  const handleClaim = async (entryId) => {
+    const resultAction = await dispatch(claimWaitlistOffer(entryId));
+    if (claimWaitlistOffer.fulfilled.match(resultAction)) {
+      const message = resultAction.payload.booking?.status === 'pending'
+        ? 'Table claimed! The restaurant confirms bookings personally - we will let you know once they respond.'
+        : 'Table claimed! Your booking is confirmed.';
+      dispatch(showFeedback({ message, type: 'success' }));
+      dispatch(getUserBookings());
+    } else {
+      dispatch(showFeedback({ message: resultAction.payload?.error || 'Failed to claim table', type: 'error' }));
+      dispatch(getUserWaitlist());
+    }
+  };
+
+  const handleLeave = async (entryId) => {
+    const resultAction = await dispatch(leaveWaitlist(entryId));
+    if (leaveWaitlist.rejected.match(resultAction)) {
+      dispatch(showFeedback({ message: resultAction.payload?.error || 'Failed to leave waitlist', type: 'error' }));
+    }
+  };
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper elevation={0} sx={{ p: 3, mb: 4, borderRadius: '12px', border: (theme) => `1px solid ${alpha(theme.palette.primary.main, 0.1)}` }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+        <HourglassTopIcon color="primary" />
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Waitlist
+        </Typography>
+      </Stack>
+      <Stack spacing={1.5}>
+        {entries.map(entry => {
+          const isOffered = entry.status === 'offered';
+          return (
+            <Box
+              key={entry._id}
+              sx={{
+                display: 'flex',
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                gap: 2,
+                p: 2,
+                borderRadius: '12px',
+                background: (theme) => alpha(isOffered ? theme.palette.success.main : theme.palette.primary.main, 0.05)
+              }}
+            >
+              <Box sx={{ flex: 1, minWidth: 200 }}>
+                <Typography sx={{ fontWeight: 600 }}>
+                  {entry.restaurantId?.name}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {isOffered && entry.bookingId
+                    ? `${formatDate(entry.date)} at ${formatTime(entry.bookingId.time)} for ${entry.partySize} - held until ${moment(entry.offerExpiresAt).format('h:mm A')}`
+                    : `${formatDate(entry.date)}, ${formatTime(entry.windowStart)} - ${formatTime(entry.windowEnd)} for ${entry.partySize}`}
+                </Typography>
+              </Box>
+              <Chip
+                label={isOffered ? 'Table available' : 'Waiting'}
+                color={isOffered ? 'success' : 'default'}
+                size="small"
+                sx={{ fontWeight: 600, borderRadius: '8px' }}
+              />
+              <Stack direction="row" spacing={1}>
+                {isOffered && (
+                  <Button variant="contained" color="success" size="small" onClick={() => handleClaim(entry._id)} sx={{ textTransform: 'none', borderRadius: '8px' }}>
+                    Claim Table
+                  </Button>
+                )}
+                <Button variant="outlined" color="error" size="small" onClick={() => handleLeave(entry._id)} sx={{ textTransform: 'none', borderRadius: '8px' }}>
+                  {isOffered ? 'Decline' : 'Leave'}
+                </Button>
+              </Stack>
+            </Box>
+          );
+        })}
+      </Stack>
+    </Paper>
+  );
+};
+
+export default WaitlistPanel;
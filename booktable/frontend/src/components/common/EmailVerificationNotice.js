@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, Button } from '@mui/material';
+import { resendVerification } from '../../features/auth/authSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+// Reminds a signed-in user with an unconfirmed email address that booking and reviewing need it, with a resend button
+const EmailVerificationNotice = ({ sx }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const result = await dispatch(resendVerification()).unwrap();
+      dispatch(showFeedback({ message: result.message, type: 'success' }));
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.message || 'Could not send a new verification email', type: 'error' }));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      sx={{ borderRadius: '12px', ...sx }}
+      action={
+        <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend link'}
+        </Button>
+      }
+    >
+      Confirm your email address ({user.email}) to book tables and leave reviews. We sent you a link when you signed up.
+    </Alert>
+  );
+};
+
+export default EmailVerificationNotice;
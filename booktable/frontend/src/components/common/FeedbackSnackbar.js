@@ -0,0 +1,30 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Snackbar, Alert } from '@mui/material';
+import { hideFeedback, selectFeedback } from '../../features/uiFeedbackSlice';
+
+// Shows messages dispatched with showFeedback from anywhere in the app
+const FeedbackSnackbar = () => {
+  const dispatch = useDispatch();
+  const { open, message, type } = useSelector(selectFeedback);
+
+  const handleClose = (event, reason) => {
+    if (reason === 'clickaway') return;
+    dispatch(hideFeedback());
+  };
+
+  return (
+    <Snackbar
+      open={open}
+      autoHideDuration={type === 'warning' || type === 'error' ? 8000 : 4000}
+      onClose={handleClose}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+    >
+      <Alert onClose={handleClose} severity={type || 'info'} variant="filled" sx={{ width: '100%' }}>
+        {message}
+      </Alert>
+    </Snackbar>
+  );
+};
+
+export default FeedbackSnackbar;
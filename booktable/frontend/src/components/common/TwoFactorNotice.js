@@ -0,0 +1,38 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link as RouterLink } from 'react-router-dom';
+import { Alert, Button } from '@mui/material';
+import { getTwoFactorStatus } from '../../features/auth/authSlice';
+
+// Asks managers and admins without two-factor authentication to set it up; a warning when their role requires it
+const TwoFactorNotice = ({ sx }) => {
+  const dispatch = useDispatch();
+  const { user, twoFactor } = useSelector((state) => state.auth);
+  const needsStatus = !!user && ['manager', 'admin'].includes(user.role) && !user.twoFactor?.enabled;
+
+  useEffect(() => {
+    if (needsStatus) {
+      dispatch(getTwoFactorStatus());
+    }
+  }, [dispatch, needsStatus]);
+
+  if (!needsStatus || !twoFactor || twoFactor.enabled) return null;
+
+  return (
+    <Alert
+      severity={twoFactor.required ? 'warning' : 'info'}
+      sx={{ borderRadius: '12px', ...sx }}
+      action={
+        <Button color="inherit" size="small" component={RouterLink} to="/account/security">
+          Set up
+        </Button>
+      }
+    >
+      {twoFactor.required
+        ? 'Two-factor authentication is required for your account. Set it up to keep managing restaurants and bookings.'
+        : 'Protect your account with two-factor authentication: a code from your phone as well as your password.'}
+    </Alert>
+  );
+};
+
+export default TwoFactorNotice;
@@ -6,7 +6,7 @@ import {
   TableContainer, TableHead, TableRow, Button, CircularProgress, 
   Alert, Box, Dialog, DialogActions, DialogContent, 
   DialogContentText, DialogTitle, Link as RouterLink,
-  alpha,
+  Tabs, Tab, alpha,
 } from '@mui/material';
 import { 
   getAllRestaurants, 
@@ -15,6 +15,8 @@ import {
   setRestaurantOnHold,
   clearError as clearRestaurantError 
 } from '../../features/restaurants/restaurantSlice';
+import UserManagement from '../admin/UserManagement';
+import TwoFactorNotice from '../common/TwoFactorNotice';
 import { colors } from '../../theme/designSystem';
 
 const AdminDashboard = () => {
@@ -28,6 +30,7 @@ const AdminDashboard = () => {
 
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
   const [actionToConfirm, setActionToConfirm] = useState(null); // { type: 'approve'/'delete'/'hold', restaurant: {} }
+  const [tab, setTab] = useState('restaurants');
 
   useEffect(() => {
     dispatch(getAllRestaurants());
@@ -59,6 +62,18 @@ const AdminDashboard = () => {
     navigate('/admin/analytics');
   };
 
+  const handleViewMessages = () => {
+    navigate('/admin/messages');
+  };
+
+  const handleViewApplications = () => {
+    navigate('/admin/manager-applications');
+  };
+
+  const handleViewLoginLocks = () => {
+    navigate('/admin/login-locks');
+  };
+
   if (restaurantsLoading && restaurants.length === 0) {
     return (
       <Box 
@@ -120,10 +135,11 @@ const AdminDashboard = () => {
               mb: 3,
             }}
           >
-            Manage and monitor restaurant approvals and status
+            Manage restaurant approvals and user accounts
           </Typography>
+          <TwoFactorNotice sx={{ mb: 3 }} />
 
-          <Box sx={{ mb: 4, display: 'flex', justifyContent: 'flex-end' }}>
+          <Box sx={{ mb: 4, display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
             <Button 
               variant="contained" 
               onClick={handleViewAnalytics}
@@ -148,9 +164,49 @@ const AdminDashboard = () => {
             >
               View Booking Analytics
             </Button>
+            <Button 
+              variant="outlined" 
+              onClick={handleViewMessages}
+              sx={{
+                px: 3,
+                py: 1.5,
+                borderRadius: '12px',
+              }}
+            >
+              View Message Queue
+            </Button>
+            <Button 
+              variant="outlined" 
+              onClick={handleViewApplications}
+              sx={{
+                px: 3,
+                py: 1.5,
+                borderRadius: '12px',
+              }}
+            >
+              Manager Applications
+            </Button>
+            <Button 
+              variant="outlined" 
+              onClick={handleViewLoginLocks}
+              sx={{
+                px: 3,
+                py: 1.5,
+                borderRadius: '12px',
+              }}
+            >
+              Locked Accounts
+            </Button>
           </Box>
 
-          {restaurantsError && (
+          <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+            <Tab label="Restaurants" value="restaurants" />
+            <Tab label="Users" value="users" />
+          </Tabs>
+
+          {tab === 'users' && <UserManagement />}
+
+          {tab === 'restaurants' && restaurantsError && (
             <Alert 
               severity="error" 
               sx={{ 
@@ -163,7 +219,7 @@ const AdminDashboard = () => {
             </Alert>
           )}
 
-          {restaurants.length === 0 && !restaurantsLoading && !restaurantsError && (
+          {tab === 'restaurants' && restaurants.length === 0 && !restaurantsLoading && !restaurantsError && (
             <Alert 
               severity="info" 
               sx={{ 
@@ -176,7 +232,7 @@ const AdminDashboard = () => {
             </Alert>
           )}
 
-          {restaurants.length > 0 && (
+          {tab === 'restaurants' && restaurants.length > 0 && (
             <TableContainer 
               component={Paper} 
               elevation={0}
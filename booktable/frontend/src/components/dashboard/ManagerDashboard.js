@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Container,
@@ -26,6 +26,8 @@ import {
   Chip,
   TextField,
   MenuItem,
+  Tooltip,
+  Badge,
   alpha
 } from '@mui/material';
 import EditIcon from '@mui/icons-material/Edit';
@@ -33,7 +35,13 @@ import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import EventNoteIcon from '@mui/icons-material/EventNote'; // For View Bookings
 import TableRestaurantIcon from '@mui/icons-material/TableRestaurant'; // For Manage Tables
 import LocationOnIcon from '@mui/icons-material/LocationOn';
+import EventBusyIcon from '@mui/icons-material/EventBusy';
+import VolumeUpIcon from '@mui/icons-material/VolumeUp';
+import VolumeOffIcon from '@mui/icons-material/VolumeOff';
+import GroupIcon from '@mui/icons-material/Group';
 import RestaurantForm from '../restaurants/RestaurantForm';
+import ClosuresDialog from '../restaurants/ClosuresDialog';
+import StaffDialog from '../restaurants/StaffDialog';
 import {
   fetchManagedRestaurants,
   createRestaurant,
@@ -42,10 +50,21 @@ import {
   getRestaurant, // Keep for fetching single restaurant details if needed for form
   clearError as clearRestaurantError
 } from '../../features/restaurants/restaurantSlice';
-import { getRestaurantBookings, clearRestaurantBookings, clearError } from '../../features/bookings/bookingSlice';
+import {
+  getRestaurantBookings,
+  updateBookingStatus,
+  acceptBooking,
+  declineBooking,
+  clearRestaurantBookings,
+  clearError,
+  clearNewBookings,
+  subscribeToBookingFeed,
+  unsubscribeFromBookingFeed
+} from '../../features/bookings/bookingSlice';
 import { showFeedback } from '../../features/uiFeedbackSlice'; // Added correct import
 import moment from 'moment';
 import { colors } from '../../theme/designSystem';
+import TwoFactorNotice from '../common/TwoFactorNotice';
 
 // Updated list of predefined restaurant images
 const predefinedRestaurantImages = Array.from({ length: 10 }, (_, i) => `https://202restaurantpictures.s3.us-east-2.amazonaws.com/restaurant_pictures/restaurant_${i + 1}.jpg`);
@@ -97,8 +116,48 @@ const initialFormData = {
   description: '',
 };
 
+const RAW_DATE_PREFIX = 'RAW_DATE_STR:';
+
+// Booking dates are stored as RAW_DATE_STR:YYYY-MM-DD; combine with the time for the seating start
+const getBookingMoment = (booking) => {
+  const dateStr = typeof booking.date === 'string' && booking.date.startsWith(RAW_DATE_PREFIX)
+    ? booking.date.substring(RAW_DATE_PREFIX.length)
+    : booking.date;
+  return moment(`${dateStr} ${booking.time}`, 'YYYY-MM-DD HH:mm');
+};
+
+const SOUND_PREFERENCE_KEY = 'bookingFeedSound';
+
+// A short two-note chime for new bookings on the live feed, synthesized so no audio file is needed
+const playArrivalChime = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  try {
+    const context = new AudioContext();
+    [880, 1320].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const start = context.currentTime + index * 0.15;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.3);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (error) {
+    // Browsers may refuse to play audio before the user has interacted with the page
+    console.warn('Could not play booking chime:', error);
+  }
+};
+
+// The owner and managers run a restaurant; hosts only see and check in its bookings
+const runsRestaurant = (restaurant) => ['owner', 'manager'].includes(restaurant?.staffRole);
+
 const ManagerDashboard = () => {
   const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
   const {
     restaurants: managerRestaurants, // Renamed for clarity
     loading: restaurantLoading,
@@ -107,6 +166,9 @@ const ManagerDashboard = () => {
   } = useSelector((state) => state.restaurants);
   const {
     restaurantBookings,
+    newBookingCounts,
+    arrivals,
+    liveFeed,
     loading: bookingsLoading,
     error: bookingsError
   } = useSelector((state) => state.bookings);
@@ -129,6 +191,10 @@ const ManagerDashboard = () => {
   });
   const [selectedPhoto, setSelectedPhoto] = useState(null); // State for the photo file
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
+  const [closuresRestaurant, setClosuresRestaurant] = useState(null);
+  const [staffRestaurant, setStaffRestaurant] = useState(null);
+  const [soundOn, setSoundOn] = useState(() => localStorage.getItem(SOUND_PREFERENCE_KEY) !== 'off');
+  const seenArrivals = useRef(arrivals);
 
   const handleInputChange = (event) => {
     const { name, value } = event.target;
@@ -151,12 +217,27 @@ const ManagerDashboard = () => {
 
   useEffect(() => {
     dispatch(fetchManagedRestaurants());
+    dispatch(subscribeToBookingFeed());
     return () => {
+      dispatch(unsubscribeFromBookingFeed());
       dispatch(clearCurrentRestaurant());
       dispatch(clearRestaurantBookings());
     };
   }, [dispatch]);
 
+  // Chime when a new booking arrives on the live feed
+  useEffect(() => {
+    if (arrivals > seenArrivals.current && soundOn) {
+      playArrivalChime();
+    }
+    seenArrivals.current = arrivals;
+  }, [arrivals, soundOn]);
+
+  const handleToggleSound = () => {
+    localStorage.setItem(SOUND_PREFERENCE_KEY, soundOn ? 'off' : 'on');
+    setSoundOn(!soundOn);
+  };
+
   useEffect(() => {
     if (restaurantError) {
       // Optional: auto-clear error after a few seconds or provide a manual clear button
@@ -216,7 +297,7 @@ const ManagerDashboard = () => {
         })).unwrap();
         
         console.log('Update result:', result);
-        dispatch(showFeedback({ message: 'Restaurant updated successfully!', severity: 'success' }));
+        dispatch(showFeedback({ message: 'Restaurant updated successfully!', type: 'success' }));
       } else {
         // For new restaurants, if no photo is provided, use a random one
         if (!formData.get('photo') && !formData.get('existingPhotos')) {
@@ -225,19 +306,20 @@ const ManagerDashboard = () => {
         }
         
         await dispatch(createRestaurant(formData)).unwrap();
-        dispatch(showFeedback({ message: 'Restaurant added successfully!', severity: 'success' }));
+        dispatch(showFeedback({ message: 'Restaurant added successfully!', type: 'success' }));
       }
       
       handleCloseRestaurantForm();
       dispatch(fetchManagedRestaurants()); // Re-fetch to update list
     } catch (error) {
       console.error('Failed to save restaurant:', error);
-      dispatch(showFeedback({ message: `Error: ${error.message || 'Failed to save restaurant'}`, severity: 'error' }));
+      dispatch(showFeedback({ message: `Error: ${error.message || 'Failed to save restaurant'}`, type: 'error' }));
     }
   };
 
   const handleViewBookings = (restaurant) => {
     setBookingViewRestaurant(restaurant);
+    dispatch(clearNewBookings(restaurant._id));
     dispatch(getRestaurantBookings(restaurant._id));
     setTabValue(0); // Reset to today's bookings tab
   };
@@ -255,7 +337,7 @@ const ManagerDashboard = () => {
     if (!restaurantBookings || !bookingViewRestaurant) return [];
     const now = moment();
     return restaurantBookings.filter((booking) => {
-      const bookingDateTime = moment(booking.date); // Assuming booking.date is already a proper date string/object
+      const bookingDateTime = getBookingMoment(booking);
       if (tabValue === 0) { // Today's bookings
         return bookingDateTime.isSame(now, 'day');
       }
@@ -270,12 +352,58 @@ const ManagerDashboard = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending': return 'warning';
+      case 'held': return 'warning';
       case 'confirmed': return 'success';
+      case 'seated': return 'info';
+      case 'completed': return 'primary';
+      case 'no-show': return 'error';
+      case 'declined': return 'error';
+      case 'expired': return 'default';
       case 'cancelled': return 'error';
       default: return 'default';
     }
   };
 
+  // Answering a booking request has its own endpoints; everything else is a lifecycle status change
+  const handleStatusChange = async (booking, status) => {
+    const thunk = status === 'confirmed' ? acceptBooking : status === 'declined' ? declineBooking : updateBookingStatus;
+    const resultAction = await dispatch(thunk({ bookingId: booking._id, status }));
+    if (thunk.fulfilled.match(resultAction)) {
+      const guest = booking.userId ? `${booking.userId.firstName} ${booking.userId.lastName}` : 'Guest';
+      dispatch(showFeedback({ message: `${guest} marked as ${status}`, type: 'success' }));
+    } else {
+      dispatch(showFeedback({ message: resultAction.payload?.error || 'Failed to update booking', type: 'error' }));
+    }
+  };
+
+  // Lifecycle actions staff can take on a booking right now (see BOOKING_TRANSITIONS on the server)
+  const getStatusActions = (booking) => {
+    const startsAt = getBookingMoment(booking);
+    if (booking.status === 'pending') {
+      if (!runsRestaurant(bookingViewRestaurant)) return [];
+      const actions = [{ status: 'declined', label: 'Decline', color: 'error' }];
+      if (moment(booking.holdExpiresAt).isAfter(moment())) actions.unshift({ status: 'confirmed', label: 'Accept', color: 'success' });
+      return actions;
+    }
+    if (booking.status === 'confirmed') {
+      const actions = [];
+      if (startsAt.isSame(moment(), 'day')) actions.push({ status: 'seated', label: 'Seat' });
+      if (startsAt.isBefore(moment())) actions.push({ status: 'no-show', label: 'No-show', color: 'error' });
+      return actions;
+    }
+    if (booking.status === 'seated') {
+      return [{ status: 'completed', label: 'Complete' }];
+    }
+    return [];
+  };
+
+  const describeLastChange = (booking) => {
+    const last = booking.statusHistory?.[booking.statusHistory.length - 1];
+    if (!last) return '';
+    const who = last.changedBy ? `${last.changedBy.firstName} ${last.changedBy.lastName}` : 'System';
+    return `${last.from ? `${last.from} → ` : ''}${last.to} by ${who}, ${moment(last.changedAt).format('MMM D, h:mm A')}`;
+  };
+
   const handleCloseBookingDialog = () => {
     setBookingViewRestaurant(null);
     // No need to dispatch clearRestaurantBookings here, useEffect will handle it
@@ -359,10 +487,26 @@ const ManagerDashboard = () => {
               mb: 3,
             }}
           >
-            Manage your restaurants and bookings
+            {user?.role === 'manager' ? 'Manage your restaurants and bookings' : 'Bookings at the restaurants you work at'}
           </Typography>
+          <TwoFactorNotice sx={{ mb: 3 }} />
 
-          <Box sx={{ mb: 4, display: 'flex', justifyContent: 'flex-end' }}>
+          <Box sx={{ mb: 4, display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1 }}>
+            <Tooltip title={liveFeed ? 'New and changed bookings appear as they happen' : 'Reconnecting to the live booking feed…'}>
+              <Chip
+                label={liveFeed ? 'Live' : 'Offline'}
+                color={liveFeed ? 'success' : 'default'}
+                size="small"
+                variant="outlined"
+                sx={{ fontWeight: 600 }}
+              />
+            </Tooltip>
+            <Tooltip title={soundOn ? 'Mute new booking chime' : 'Play a chime for new bookings'}>
+              <IconButton onClick={handleToggleSound} size="small" sx={{ mr: 1 }}>
+                {soundOn ? <VolumeUpIcon /> : <VolumeOffIcon />}
+              </IconButton>
+            </Tooltip>
+        {user?.role === 'manager' && (
         <Button
           variant="contained"
               onClick={() => handleOpenRestaurantForm(null)}
@@ -387,6 +531,7 @@ const ManagerDashboard = () => {
         >
           Add New Restaurant
         </Button>
+        )}
       </Box>
 
           {restaurantError && (
@@ -411,7 +556,9 @@ const ManagerDashboard = () => {
                 boxShadow: '0 2px 8px rgba(2, 136, 209, 0.1)',
               }}
             >
-              No restaurants found. Add your first restaurant to get started.
+              {user?.role === 'manager'
+                ? 'No restaurants found. Add your first restaurant to get started.'
+                : "You're not on the staff of any restaurant yet. Ask the restaurant to send you an invitation."}
             </Alert>
           )}
 
@@ -539,6 +686,14 @@ const ManagerDashboard = () => {
                         }}
                       >
                         {restaurant.name}
+                        {restaurant.staffRole && restaurant.staffRole !== 'owner' && (
+                          <Chip
+                            label={restaurant.staffRole === 'host' ? 'Host' : 'Manager'}
+                            size="small"
+                            variant="outlined"
+                            sx={{ ml: 1, fontWeight: 600, height: 22, verticalAlign: 'middle' }}
+                          />
+                        )}
                       </Typography>
                       
                       <Typography 
@@ -601,6 +756,55 @@ const ManagerDashboard = () => {
                         )}
                       </Box>
 
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                        <Badge badgeContent={newBookingCounts[restaurant._id] || 0} color="error">
+                          <Button
+                            variant="text"
+                            size="small"
+                            startIcon={<EventNoteIcon />}
+                            onClick={() => handleViewBookings(restaurant)}
+                            sx={{
+                              textTransform: 'none',
+                              color: colors.primary.main,
+                              fontWeight: 600,
+                              fontSize: '0.875rem',
+                            }}
+                          >
+                            Bookings
+                          </Button>
+                        </Badge>
+                        {runsRestaurant(restaurant) && (
+                        <Button
+                          variant="text"
+                          size="small"
+                          startIcon={<EventBusyIcon />}
+                          onClick={() => setClosuresRestaurant(restaurant)}
+                          sx={{
+                            textTransform: 'none',
+                            color: colors.primary.main,
+                            fontWeight: 600,
+                            fontSize: '0.875rem',
+                          }}
+                        >
+                          Closures &amp; Holidays
+                        </Button>
+                        )}
+                        <Button
+                          variant="text"
+                          size="small"
+                          startIcon={<GroupIcon />}
+                          onClick={() => setStaffRestaurant(restaurant)}
+                          sx={{
+                            textTransform: 'none',
+                            color: colors.primary.main,
+                            fontWeight: 600,
+                            fontSize: '0.875rem',
+                          }}
+                        >
+                          Staff
+                        </Button>
+                      </Box>
+
                       {/* Restaurant Actions */}
                       <Box 
                         className="restaurant-actions"
@@ -644,6 +848,7 @@ const ManagerDashboard = () => {
                         >
                           View Location
                         </Button>
+                        {runsRestaurant(restaurant) && (
                         <Button
                           variant="outlined"
                           size="small"
@@ -668,6 +873,8 @@ const ManagerDashboard = () => {
                         >
                           Edit
                         </Button>
+                        )}
+                        {restaurant.staffRole === 'owner' && (
                         <Button
                           variant="outlined"
                           color="error"
@@ -696,6 +903,7 @@ const ManagerDashboard = () => {
                         >
                           Delete
                         </Button>
+                        )}
                       </Box>
               </Box>
             </Paper>
@@ -850,6 +1058,116 @@ const ManagerDashboard = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Restaurant Bookings Dialog */}
+      <Dialog
+        open={!!bookingViewRestaurant}
+        onClose={handleCloseBookingDialog}
+        maxWidth="md"
+        fullWidth
+        PaperProps={{ sx: { borderRadius: '16px' } }}
+      >
+        <DialogTitle sx={{ fontWeight: 600 }}>
+          Bookings{bookingViewRestaurant ? ` - ${bookingViewRestaurant.name}` : ''}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Tabs value={tabValue} onChange={handleTabChange} sx={{ mb: 2 }}>
+            <Tab label="Today" />
+            <Tab label="Upcoming" />
+            <Tab label="Past" />
+          </Tabs>
+          {bookingsError && (
+            <Alert severity="error" sx={{ mb: 2 }}>{bookingsError}</Alert>
+          )}
+          {bookingsLoading && restaurantBookings.length === 0 ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress size={28} />
+            </Box>
+          ) : filterBookings().length === 0 ? (
+            <Typography color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+              No bookings
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Guest</TableCell>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Time</TableCell>
+                    <TableCell align="right">Party</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {filterBookings()
+                    .sort((a, b) => getBookingMoment(a).diff(getBookingMoment(b)))
+                    .map((booking) => (
+                      <TableRow key={booking._id}>
+                        <TableCell>
+                          {booking.userId ? `${booking.userId.firstName} ${booking.userId.lastName}` : 'Guest'}
+                        </TableCell>
+                        <TableCell>{getBookingMoment(booking).format('ddd, MMM D')}</TableCell>
+                        <TableCell>{booking.time}</TableCell>
+                        <TableCell align="right">{booking.partySize}</TableCell>
+                        <TableCell>
+                          <Tooltip
+                            title={booking.status === 'pending' && booking.holdExpiresAt
+                              ? `Awaiting your answer until ${moment(booking.holdExpiresAt).format('MMM D, h:mm A')}`
+                              : describeLastChange(booking)}
+                          >
+                            <Chip
+                              label={booking.status}
+                              color={getStatusColor(booking.status)}
+                              size="small"
+                              sx={{ fontWeight: 600, borderRadius: '8px', textTransform: 'capitalize' }}
+                            />
+                          </Tooltip>
+                        </TableCell>
+                        <TableCell align="right">
+                          <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+                            {getStatusActions(booking).map(action => (
+                              <Button
+                                key={action.status}
+                                size="small"
+                                variant="outlined"
+                                color={action.color || 'primary'}
+                                onClick={() => handleStatusChange(booking, action.status)}
+                                sx={{ textTransform: 'none', borderRadius: '8px' }}
+                              >
+                                {action.label}
+                              </Button>
+                            ))}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseBookingDialog} sx={{ textTransform: 'none' }}>
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Closures & Special Hours Dialog */}
+      <ClosuresDialog
+        open={!!closuresRestaurant}
+        onClose={() => setClosuresRestaurant(null)}
+        restaurant={closuresRestaurant}
+      />
+
+      {/* Staff Dialog */}
+      <StaffDialog
+        open={!!staffRestaurant}
+        onClose={() => setStaffRestaurant(null)}
+        restaurant={staffRestaurant}
+      />
     </Box>
   );
 };
@@ -0,0 +1,284 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import {
+  Paper,
+  Typography,
+  Stack,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  alpha
+} from '@mui/material';
+import PersonIcon from '@mui/icons-material/Person';
+import {
+  updateProfile,
+  changePassword,
+  changeEmail,
+  deleteAccount
+} from '../../features/auth/authSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const sectionTitleSx = { fontWeight: 600, mb: 1.5 };
+const buttonSx = { textTransform: 'none', borderRadius: '8px' };
+
+// The signed-in user's own account: name and phone, password, email address and deleting the account
+const ProfileSection = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+
+  const [profile, setProfile] = useState({ firstName: '', lastName: '', phone: '' });
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [emailForm, setEmailForm] = useState({ newEmail: '', password: '' });
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [saving, setSaving] = useState(null); // 'profile' | 'password' | 'email' | 'delete'
+
+  useEffect(() => {
+    if (user) {
+      setProfile({ firstName: user.firstName || '', lastName: user.lastName || '', phone: user.phone || '' });
+    }
+  }, [user]);
+
+  const run = async (key, thunk, successMessage) => {
+    setSaving(key);
+    try {
+      const result = await dispatch(thunk).unwrap();
+      dispatch(showFeedback({ message: result?.message || successMessage, type: 'success' }));
+      return true;
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.message || 'The change could not be saved', type: 'error' }));
+      return false;
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    run('profile', updateProfile({
+      firstName: profile.firstName.trim(),
+      lastName: profile.lastName.trim(),
+      phone: profile.phone.trim()
+    }), 'Your profile has been updated');
+  };
+
+  const passwordMismatch = passwords.confirmPassword && passwords.newPassword !== passwords.confirmPassword;
+  const passwordTooShort = passwords.newPassword && passwords.newPassword.length < MIN_PASSWORD_LENGTH;
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwordMismatch || passwordTooShort) return;
+    const changed = await run('password', changePassword({
+      currentPassword: passwords.currentPassword,
+      newPassword: passwords.newPassword
+    }), 'Your password has been changed');
+    if (changed) setPasswords(EMPTY_PASSWORDS);
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    const requested = await run('email', changeEmail({
+      newEmail: emailForm.newEmail.trim(),
+      password: emailForm.password
+    }), 'Check your inbox to confirm the new address');
+    if (requested) setEmailForm({ newEmail: '', password: '' });
+  };
+
+  const closeDeleteDialog = () => {
+    setDeleteOpen(false);
+    setDeletePassword('');
+  };
+
+  const handleDelete = async () => {
+    const deleted = await run('delete', deleteAccount(deletePassword), 'Your account has been deleted');
+    if (deleted) navigate('/');
+  };
+
+  if (!user) return null;
+
+  return (
+    <Paper elevation={0} sx={{ p: 3, mb: 4, borderRadius: '12px', border: (theme) => `1px solid ${alpha(theme.palette.primary.main, 0.1)}` }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+        <PersonIcon color="primary" />
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Profile
+        </Typography>
+      </Stack>
+
+      <Box component="form" onSubmit={handleProfileSubmit} sx={{ mb: 3 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }}>
+          <TextField
+            label="First Name"
+            size="small"
+            required
+            fullWidth
+            value={profile.firstName}
+            onChange={(e) => setProfile({ ...profile, firstName: e.target.value })}
+          />
+          <TextField
+            label="Last Name"
+            size="small"
+            required
+            fullWidth
+            value={profile.lastName}
+            onChange={(e) => setProfile({ ...profile, lastName: e.target.value })}
+          />
+          <TextField
+            label="Phone"
+            size="small"
+            fullWidth
+            value={profile.phone}
+            onChange={(e) => setProfile({ ...profile, phone: e.target.value })}
+          />
+        </Stack>
+        <Button type="submit" variant="contained" size="small" disabled={saving === 'profile'} sx={buttonSx}>
+          Save Profile
+        </Button>
+      </Box>
+
+      <Divider sx={{ mb: 3 }} />
+
+      <Box component="form" onSubmit={handleEmailSubmit} sx={{ mb: 3 }}>
+        <Typography variant="subtitle1" sx={sectionTitleSx}>
+          Email Address
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          You sign in with {user.email}. We'll send a link to the new address, and the change takes effect once you follow it.
+        </Typography>
+        {user.pendingEmail && (
+          <Alert severity="info" sx={{ mb: 2, borderRadius: '12px' }}>
+            Waiting for you to confirm {user.pendingEmail}. Check that inbox for the link.
+          </Alert>
+        )}
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }}>
+          <TextField
+            label="New Email"
+            type="email"
+            size="small"
+            required
+            fullWidth
+            value={emailForm.newEmail}
+            onChange={(e) => setEmailForm({ ...emailForm, newEmail: e.target.value })}
+          />
+          <TextField
+            label="Current Password"
+            type="password"
+            size="small"
+            required
+            fullWidth
+            autoComplete="current-password"
+            value={emailForm.password}
+            onChange={(e) => setEmailForm({ ...emailForm, password: e.target.value })}
+          />
+        </Stack>
+        <Button type="submit" variant="outlined" size="small" disabled={saving === 'email'} sx={buttonSx}>
+          Change Email
+        </Button>
+      </Box>
+
+      <Divider sx={{ mb: 3 }} />
+
+      <Box component="form" onSubmit={handlePasswordSubmit} sx={{ mb: 3 }}>
+        <Typography variant="subtitle1" sx={sectionTitleSx}>
+          Password
+        </Typography>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }}>
+          <TextField
+            label="Current Password"
+            type="password"
+            size="small"
+            required
+            fullWidth
+            autoComplete="current-password"
+            value={passwords.currentPassword}
+            onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+          />
+          <TextField
+            label="New Password"
+            type="password"
+            size="small"
+            required
+            fullWidth
+            autoComplete="new-password"
+            error={!!passwordTooShort}
+            helperText={passwordTooShort ? `At least ${MIN_PASSWORD_LENGTH} characters` : ''}
+            value={passwords.newPassword}
+            onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+          />
+          <TextField
+            label="Confirm New Password"
+            type="password"
+            size="small"
+            required
+            fullWidth
+            autoComplete="new-password"
+            error={!!passwordMismatch}
+            helperText={passwordMismatch ? 'Passwords do not match' : ''}
+            value={passwords.confirmPassword}
+            onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+          />
+        </Stack>
+        <Button type="submit" variant="outlined" size="small" disabled={saving === 'password'} sx={buttonSx}>
+          Change Password
+        </Button>
+      </Box>
+
+      <Divider sx={{ mb: 3 }} />
+
+      <Typography variant="subtitle1" sx={sectionTitleSx}>
+        Delete Account
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Your upcoming reservations will be cancelled and your personal details removed. This cannot be undone.
+      </Typography>
+      <Button variant="outlined" color="error" size="small" onClick={() => setDeleteOpen(true)} sx={buttonSx}>
+        Delete My Account
+      </Button>
+
+      <Dialog open={deleteOpen} onClose={closeDeleteDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Enter your password to confirm. You will be signed out and won't be able to sign in again.
+          </DialogContentText>
+          <TextField
+            label="Password"
+            type="password"
+            size="small"
+            fullWidth
+            autoFocus
+            autoComplete="current-password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={closeDeleteDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            disabled={!deletePassword || saving === 'delete'}
+            onClick={handleDelete}
+          >
+            Delete Account
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default ProfileSection;
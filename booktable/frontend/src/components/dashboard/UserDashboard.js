@@ -28,15 +28,21 @@ import {
   DialogTitle
 } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
+import ModifyBookingDialog from '../bookings/ModifyBookingDialog';
+import WaitlistPanel from '../bookings/WaitlistPanel';
 import moment from 'moment';
 import { getUserBookings, cancelBooking } from '../../features/bookings/bookingSlice';
+import { getManagerApplication } from '../../features/auth/authSlice';
 import RestaurantIcon from '@mui/icons-material/Restaurant';
 import SearchIcon from '@mui/icons-material/Search';
 import CancelIcon from '@mui/icons-material/Cancel';
+import EditCalendarIcon from '@mui/icons-material/EditCalendar';
 import LocationOnIcon from '@mui/icons-material/LocationOn';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import GroupIcon from '@mui/icons-material/Group';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
+import EmailVerificationNotice from '../common/EmailVerificationNotice';
+import ProfileSection from './ProfileSection';
 
 // Add keyframes for animations
 const keyframes = `
@@ -57,18 +63,23 @@ const keyframes = `
   }
 `;
 
+// Bookings that will not go ahead, listed with past bookings
+const CLOSED_STATUSES = ['cancelled', 'declined', 'expired'];
+
 const UserDashboard = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const theme = useTheme();
-  const { user } = useSelector((state) => state.auth);
+  const { user, managerApplication } = useSelector((state) => state.auth);
   const { userBookings, loading, error } = useSelector((state) => state.bookings);
   const [tabValue, setTabValue] = useState(0);
   const [cancelDialogOpen, setCancelDialogOpen] = useState(false);
   const [bookingIdToCancel, setBookingIdToCancel] = useState(null);
+  const [bookingToModify, setBookingToModify] = useState(null);
 
   useEffect(() => {
     dispatch(getUserBookings());
+    dispatch(getManagerApplication());
   }, [dispatch]);
 
   const handleTabChange = (event, newValue) => {
@@ -164,13 +175,13 @@ const UserDashboard = () => {
       // For upcoming tab (tabValue === 0)
       if (tabValue === 0) {
         // Check if the booking is in the future AND not cancelled
-        const isUpcoming = bookingDateTime.isAfter(now) && booking.status !== 'cancelled';
+        const isUpcoming = bookingDateTime.isAfter(now) && !CLOSED_STATUSES.includes(booking.status);
         console.log(`- Should show in Upcoming tab: ${isUpcoming}`);
         return isUpcoming;
       } else {
         // For past & cancelled tab (tabValue === 1)
         // Check if the booking is in the past OR cancelled
-        const isPastOrCancelled = bookingDateTime.isBefore(now) || booking.status === 'cancelled';
+        const isPastOrCancelled = bookingDateTime.isBefore(now) || CLOSED_STATUSES.includes(booking.status);
         console.log(`- Should show in Past & Cancelled tab: ${isPastOrCancelled}`);
         return isPastOrCancelled;
       }
@@ -183,7 +194,13 @@ const UserDashboard = () => {
         return 'success';
       case 'pending':
         return 'warning';
+      case 'seated':
+        return 'info';
+      case 'completed':
+        return 'primary';
       case 'cancelled':
+      case 'declined':
+      case 'no-show':
         return 'error';
       default:
         return 'default';
@@ -211,6 +228,35 @@ const UserDashboard = () => {
       }}
     >
       <style>{keyframes}</style>
+
+      <EmailVerificationNotice sx={{ mb: 3 }} />
+
+      {managerApplication?.status === 'pending' && (
+        <Alert severity="info" sx={{ mb: 3, borderRadius: '12px' }}>
+          Your application to manage <strong>{managerApplication.restaurantName}</strong> is waiting for review.
+          We will email you once an admin has looked at it.
+        </Alert>
+      )}
+      {managerApplication?.status === 'rejected' && (
+        <Alert severity="warning" sx={{ mb: 3, borderRadius: '12px' }}>
+          Your application to manage <strong>{managerApplication.restaurantName}</strong> was not approved
+          {managerApplication.decisionReason ? `: ${managerApplication.decisionReason}` : '.'}
+        </Alert>
+      )}
+      {managerApplication?.status === 'approved' && user?.role === 'manager' && (
+        <Alert
+          severity="success"
+          sx={{ mb: 3, borderRadius: '12px' }}
+          action={
+            <Button color="inherit" size="small" onClick={() => navigate('/manager/dashboard')}>
+              Open
+            </Button>
+          }
+        >
+          Your application to manage <strong>{managerApplication.restaurantName}</strong> was approved. Head to
+          the manager dashboard to list your restaurant.
+        </Alert>
+      )}
       
       {/* Welcome Section */}
       <Fade in timeout={1000}>
@@ -304,6 +350,8 @@ const UserDashboard = () => {
         </Fade>
       )}
 
+      <WaitlistPanel />
+
       {/* Bookings Section */}
       <Paper 
         elevation={0}
@@ -382,7 +430,7 @@ const UserDashboard = () => {
                             </Typography>
                           </Stack>
                           <Chip
-                            label={booking.status}
+                            label={booking.status === 'pending' ? 'awaiting confirmation' : booking.status}
                             color={getStatusColor(booking.status)}
                             size="small"
                             sx={{
@@ -481,8 +529,31 @@ const UserDashboard = () => {
                           </Stack>
                         </Stack>
 
-                        {/* Show Cancel button only for upcoming bookings tab */}
+                        {/* Show Modify and Cancel buttons only for upcoming bookings tab */}
                         {tabValue === 0 && (
+                          <Stack direction="row" spacing={1} sx={{ mt: 3 }}>
+                            {booking.status === 'confirmed' && (
+                            <Tooltip title="Change date, time or party size">
+                              <Button
+                                variant="outlined"
+                                size="small"
+                                startIcon={<EditCalendarIcon />}
+                                onClick={() => setBookingToModify(booking)}
+                                sx={{
+                                  borderRadius: '8px',
+                                  textTransform: 'none',
+                                  fontWeight: 600,
+                                  borderWidth: 2,
+                                  '&:hover': {
+                                    borderWidth: 2,
+                                    background: alpha(theme.palette.primary.main, 0.1),
+                                  },
+                                }}
+                              >
+                                Modify
+                              </Button>
+                            </Tooltip>
+                            )}
                             <Tooltip title="Cancel Reservation">
                               <Button
                                 variant="outlined"
@@ -491,7 +562,6 @@ const UserDashboard = () => {
                                 startIcon={<CancelIcon />}
                                 onClick={() => openCancelDialog(booking._id)}
                                 sx={{
-                                  mt: 3,
                                   borderRadius: '8px',
                                   textTransform: 'none',
                                   fontWeight: 600,
@@ -505,6 +575,7 @@ const UserDashboard = () => {
                                 Cancel Reservation
                               </Button>
                             </Tooltip>
+                          </Stack>
                           )}
                       </CardContent>
                     </Card>
@@ -566,6 +637,12 @@ const UserDashboard = () => {
           )}
         </Box>
       </Paper>
+      <ProfileSection />
+      <ModifyBookingDialog
+        open={!!bookingToModify}
+        onClose={() => setBookingToModify(null)}
+        booking={bookingToModify}
+      />
       {/* Cancellation Confirmation Dialog */}
       <Dialog
         open={cancelDialogOpen}
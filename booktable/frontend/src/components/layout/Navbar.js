@@ -25,8 +25,13 @@ import AccountCircle from '@mui/icons-material/AccountCircle';
 import RestaurantIcon from '@mui/icons-material/Restaurant';
 import SearchIcon from '@mui/icons-material/Search';
 import NotificationsIcon from '@mui/icons-material/Notifications';
-import { logout } from '../../features/auth/authSlice';
-import { fetchUserNotifications } from '../../features/notifications/notificationSlice';
+import { logoutUser, logoutAllDevices } from '../../features/auth/authSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+import {
+  fetchUserNotifications,
+  subscribeToNotifications,
+  unsubscribeFromNotifications
+} from '../../features/notifications/notificationSlice';
 import NotificationMenu from './NotificationMenu';
 
 const Navbar = () => {
@@ -55,6 +60,8 @@ const Navbar = () => {
   useEffect(() => {
     if (isAuthenticated) {
       dispatch(fetchUserNotifications());
+      dispatch(subscribeToNotifications());
+      return () => dispatch(unsubscribeFromNotifications());
     }
   }, [isAuthenticated, dispatch]);
 
@@ -67,11 +74,22 @@ const Navbar = () => {
   };
 
   const handleLogout = () => {
-    dispatch(logout());
+    dispatch(logoutUser());
     handleClose();
     navigate('/');
   };
 
+  const handleLogoutAll = async () => {
+    handleClose();
+    try {
+      await dispatch(logoutAllDevices()).unwrap();
+      dispatch(showFeedback({ message: 'You have been logged out of all devices', type: 'success' }));
+      navigate('/login');
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.message || 'Could not log out of all devices', type: 'error' }));
+    }
+  };
+
   const handleNotificationMenuOpen = (event) => {
     setNotificationAnchorEl(event.currentTarget);
   };
@@ -564,6 +582,38 @@ const Navbar = () => {
               >
                 Dashboard
               </MenuItem>
+              {!['manager', 'admin'].includes(user?.role) && user?.staffMemberships?.length > 0 && (
+                <MenuItem
+                  onClick={() => {
+                    handleClose();
+                    navigate('/manager/dashboard');
+                  }}
+                  sx={{
+                    color: '#424242',
+                    '&:hover': {
+                      background: 'rgba(26, 35, 126, 0.08)',
+                    },
+                  }}
+                >
+                  Restaurant Dashboard
+                </MenuItem>
+              )}
+              {['manager', 'admin'].includes(user?.role) && (
+                <MenuItem
+                  onClick={() => {
+                    handleClose();
+                    navigate('/account/security');
+                  }}
+                  sx={{
+                    color: '#424242',
+                    '&:hover': {
+                      background: 'rgba(26, 35, 126, 0.08)',
+                    },
+                  }}
+                >
+                  Security
+                </MenuItem>
+              )}
                 <Divider sx={{ 
                   my: 1, 
                   borderColor: 'rgba(0, 0, 0, 0.08)'
@@ -579,6 +629,18 @@ const Navbar = () => {
                 >
                   Logout
                 </MenuItem>
+                <MenuItem 
+                  onClick={handleLogoutAll}
+                  sx={{
+                    color: '#d32f2f',
+                    fontSize: '0.875rem',
+                    '&:hover': {
+                      background: 'rgba(211, 47, 47, 0.08)',
+                    },
+                  }}
+                >
+                  Log out of all devices
+                </MenuItem>
             </Menu>
             </Stack>
         )}
@@ -14,7 +14,9 @@ import {
   CircularProgress,
   Box,
   Button,
-  Tooltip
+  Tooltip,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import NotificationsIcon from '@mui/icons-material/Notifications';
 import MarkEmailReadIcon from '@mui/icons-material/MarkEmailRead';
@@ -23,12 +25,14 @@ import moment from 'moment';
 import { 
   fetchUserNotifications, 
   markNotificationAsRead, 
-  markAllNotificationsAsRead 
+  markAllNotificationsAsRead,
+  fetchNotificationPreferences,
+  updateNotificationPreferences
 } from '../../features/notifications/notificationSlice';
 
 const NotificationMenu = ({ anchorEl, open, onClose }) => {
   const dispatch = useDispatch();
-  const { items, unreadCount, loading, error } = useSelector((state) => state.notifications);
+  const { items, unreadCount, preferences, loading, error } = useSelector((state) => state.notifications);
 
   // Use a ref to track if we've already fetched notifications
   const [hasFetched, setHasFetched] = React.useState(false);
@@ -38,6 +42,7 @@ const NotificationMenu = ({ anchorEl, open, onClose }) => {
     // This prevents the infinite loop of fetching
     if (open && !loading && !hasFetched) {
       dispatch(fetchUserNotifications());
+      dispatch(fetchNotificationPreferences());
       setHasFetched(true); // Mark as fetched to prevent continuous fetching
     }
     
@@ -55,6 +60,10 @@ const NotificationMenu = ({ anchorEl, open, onClose }) => {
     dispatch(markAllNotificationsAsRead());
   };
 
+  const handleToggleReminders = (event) => {
+    dispatch(updateNotificationPreferences({ bookingReminders: event.target.checked }));
+  };
+
   return (
     <Menu
       anchorEl={anchorEl}
@@ -114,6 +123,14 @@ const NotificationMenu = ({ anchorEl, open, onClose }) => {
           ))}
         </List>
       )}
+      {preferences && (
+        <Box sx={{ p: '4px 16px', mt: 1, borderTop: 1, borderColor: 'divider' }}>
+          <FormControlLabel
+            control={<Switch size="small" checked={preferences.bookingReminders !== false} onChange={handleToggleReminders} />}
+            label={<Typography variant="body2">Booking reminders (app and email)</Typography>}
+          />
+        </Box>
+      )}
     </Menu>
   );
 };
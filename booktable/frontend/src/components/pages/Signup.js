@@ -17,6 +17,11 @@ import {
   Alert,
   Fade,
   Zoom,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
   useTheme,
   alpha,
 } from '@mui/material';
@@ -27,13 +32,15 @@ import PhoneIcon from '@mui/icons-material/Phone';
 import LockIcon from '@mui/icons-material/Lock';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
+import MarkEmailUnreadIcon from '@mui/icons-material/MarkEmailUnread';
+import EmailVerificationNotice from '../common/EmailVerificationNotice';
 
 const Signup = () => {
   const theme = useTheme();
 
   const dispatch = useDispatch();
   const navigate = useNavigate();
-  const { isAuthenticated, error, loading, user } = useSelector((state) => state.auth);
+  const { isAuthenticated, error, loading, user, managerApplication } = useSelector((state) => state.auth);
 
   const [formData, setFormData] = useState({
     firstName: '',
@@ -47,9 +54,21 @@ const Signup = () => {
   const [errors, setErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  // Signing up as a manager opens an application for an admin to review; the account starts as a customer
+  const [applicationOpen, setApplicationOpen] = useState(false);
+  const [application, setApplication] = useState({ restaurantName: '', message: '' });
+
+  // New accounts wait here on "check your inbox" until the user moves on; verified users go to their dashboard
+  const awaitingVerification = isAuthenticated && user && user.emailVerified === false;
+
+  const getDashboardPath = () => {
+    if (user?.role === 'manager') return '/manager/dashboard';
+    if (user?.role === 'admin') return '/admin/dashboard';
+    return '/dashboard';
+  };
 
   useEffect(() => {
-    if (isAuthenticated && user) {
+    if (isAuthenticated && user && user.emailVerified !== false) {
       if (user.role === 'manager') {
         navigate('/manager/dashboard');
       } else if (user.role === 'admin') {
@@ -115,6 +134,11 @@ const Signup = () => {
 
   const handleSignup = async (role) => {
     if (validateForm()) {
+      // The manager button first asks about the restaurant; the dialog's submit button comes back here
+      if (role === 'manager' && !applicationOpen) {
+        setApplicationOpen(true);
+        return;
+      }
       const { firstName, lastName, email, phone, password } = formData;
       const registrationData = {
         firstName,
@@ -124,10 +148,49 @@ const Signup = () => {
         password,
         role, 
       };
+      if (role === 'manager') {
+        registrationData.restaurantName = application.restaurantName.trim();
+        registrationData.applicationMessage = application.message.trim();
+      }
       dispatch(register(registrationData));
     }
   };
 
+  if (awaitingVerification) {
+    return (
+      <Container maxWidth="sm" sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', py: 10 }}>
+        <Paper
+          elevation={0}
+          sx={{
+            p: { xs: 3, md: 4 },
+            width: '100%',
+            textAlign: 'center',
+            borderRadius: '20px',
+            boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)',
+          }}
+        >
+          <MarkEmailUnreadIcon sx={{ fontSize: '3rem', color: colors.primary.main, mb: 1 }} />
+          <Typography variant="h4" sx={{ fontWeight: typography.fontWeight.bold, mb: 1 }}>
+            Check your inbox
+          </Typography>
+          <Typography variant="body1" sx={{ color: colors.text.secondary, mb: 3 }}>
+            We sent a confirmation link to <strong>{user.email}</strong>. Follow it to finish setting up your account.
+          </Typography>
+          <EmailVerificationNotice sx={{ mb: 3, textAlign: 'left' }} />
+          {managerApplication && (
+            <Alert severity="info" sx={{ mb: 3, textAlign: 'left', borderRadius: '12px' }}>
+              Your application to manage <strong>{managerApplication.restaurantName}</strong> is waiting for review.
+              We will email you once an admin has looked at it; until then you can use BookTable as a customer.
+            </Alert>
+          )}
+          <Button variant="contained" onClick={() => navigate(getDashboardPath())} sx={{ borderRadius: '12px' }}>
+            Continue to BookTable
+          </Button>
+        </Paper>
+      </Container>
+    );
+  }
+
   return (
     <Box
       sx={{
@@ -504,7 +567,7 @@ const Signup = () => {
                             },
                           }}
                         >
-                          {loading ? <CircularProgress size={24} color="inherit" /> : 'Signup as Manager'}
+                          {loading ? <CircularProgress size={24} color="inherit" /> : 'Apply as Manager'}
                         </Button>
                       </Grid>
                     </Grid>
@@ -561,6 +624,48 @@ const Signup = () => {
           </Box> 
         </Fade>
       </Box> 
+
+      <Dialog open={applicationOpen} onClose={() => setApplicationOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Apply to manage a restaurant</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Manager accounts are reviewed by the BookTable team. Your account works as a customer account
+            until your application is approved.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            required
+            fullWidth
+            label="Restaurant name"
+            value={application.restaurantName}
+            onChange={(e) => setApplication({ ...application, restaurantName: e.target.value })}
+            inputProps={{ maxLength: 120 }}
+            sx={{ mb: 2, mt: 1 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            label="Tell us about your restaurant (optional)"
+            value={application.message}
+            onChange={(e) => setApplication({ ...application, message: e.target.value })}
+            inputProps={{ maxLength: 1000 }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setApplicationOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={!application.restaurantName.trim() || loading}
+            onClick={() => {
+              handleSignup('manager');
+              setApplicationOpen(false);
+            }}
+          >
+            Sign up and apply
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box> 
   );
 };
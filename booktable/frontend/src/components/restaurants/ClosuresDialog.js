@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Stack,
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  IconButton,
+  Alert,
+  CircularProgress,
+  Divider,
+  alpha
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import moment from 'moment';
+import { fetchClosures, saveClosure, deleteClosure } from '../../features/restaurants/restaurantSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+import { colors } from '../../theme/designSystem';
+
+const CLOSED = 'closed';
+const CUSTOM_HOURS = 'custom';
+const BLOCKED = 'blocked';
+
+const emptyForm = () => ({
+  date: moment().add(1, 'day').format('YYYY-MM-DD'),
+  type: CLOSED,
+  periods: [{ opening: '17:00', closing: '22:00' }],
+  blockedRanges: [{ start: '18:00', end: '21:00' }],
+  reason: ''
+});
+
+const formatTime = (time) => moment(time, 'HH:mm').format('h:mm A');
+
+const describeClosure = (closure) => {
+  if (closure.closed) return 'Closed all day';
+  const parts = [];
+  if (closure.periods?.length) {
+    parts.push(`Open ${closure.periods.map(p => `${formatTime(p.opening)} - ${formatTime(p.closing)}`).join(', ')}`);
+  }
+  if (closure.blockedRanges?.length) {
+    parts.push(`No bookings ${closure.blockedRanges.map(r => `${formatTime(r.start)} - ${formatTime(r.end)}`).join(', ')}`);
+  }
+  return parts.join('; ');
+};
+
+// Lists a restaurant's upcoming closures and special hours, and lets the manager add or remove them.
+// Saving a date that already has an entry replaces it.
+const ClosuresDialog = ({ open, onClose, restaurant }) => {
+  const dispatch = useDispatch();
+  const { closures, closuresLoading, closuresError } = useSelector((state) => state.restaurants);
+  const [form, setForm] = useState(emptyForm());
+
+  useEffect(() => {
+    if (open && restaurant?._id) {
+      setForm(emptyForm());
+      dispatch(fetchClosures(restaurant._id));
+    }
+  }, [open, restaurant, dispatch]);
+
+  const updateTimes = (field, index, key, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].map((item, i) => (i === index ? { ...item, [key]: value } : item))
+    }));
+  };
+
+  const addTimes = (field, item) => {
+    setForm(prev => ({ ...prev, [field]: [...prev[field], item] }));
+  };
+
+  const removeTimes = (field, index) => {
+    setForm(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    const closure = {
+      date: form.date,
+      closed: form.type === CLOSED,
+      periods: form.type === CUSTOM_HOURS ? form.periods : [],
+      blockedRanges: form.type === BLOCKED ? form.blockedRanges : [],
+      reason: form.reason.trim() || undefined
+    };
+
+    try {
+      const result = await dispatch(saveClosure({ restaurantId: restaurant._id, closure })).unwrap();
+      setForm(emptyForm());
+      if (result.affectedBookings > 0) {
+        dispatch(showFeedback({
+          message: `Closure saved. ${result.affectedBookings} existing booking(s) on ${moment(closure.date).format('MMM D')} fall outside the new hours - please contact those guests.`,
+          type: 'warning'
+        }));
+      } else {
+        dispatch(showFeedback({ message: 'Closure saved', type: 'success' }));
+      }
+    } catch (error) {
+      dispatch(showFeedback({ message: error?.error || 'Failed to save closure', type: 'error' }));
+    }
+  };
+
+  const handleDelete = async (closureId) => {
+    try {
+      await dispatch(deleteClosure({ restaurantId: restaurant._id, closureId })).unwrap();
+      dispatch(showFeedback({ message: 'Closure removed', type: 'success' }));
+    } catch (error) {
+      dispatch(showFeedback({ message: error?.error || 'Failed to remove closure', type: 'error' }));
+    }
+  };
+
+  const renderTimeRows = (field, startKey, endKey, startLabel, endLabel, newItem, addLabel) => (
+    <Stack spacing={1}>
+      {form[field].map((item, index) => (
+        <Stack direction="row" spacing={1} alignItems="center" key={index}>
+          <TextField
+            size="small"
+            type="time"
+            label={startLabel}
+            value={item[startKey]}
+            onChange={(e) => updateTimes(field, index, startKey, e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ step: 1800 }}
+          />
+          <TextField
+            size="small"
+            type="time"
+            label={endLabel}
+            value={item[endKey]}
+            onChange={(e) => updateTimes(field, index, endKey, e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ step: 1800 }}
+          />
+          <IconButton size="small" onClick={() => removeTimes(field, index)} disabled={form[field].length === 1}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Stack>
+      ))}
+      <Box>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => addTimes(field, newItem)}>
+          {addLabel}
+        </Button>
+      </Box>
+    </Stack>
+  );
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: '16px' } }}
+    >
+      <DialogTitle sx={{ fontWeight: 600 }}>
+        Closures &amp; Holidays{restaurant ? ` - ${restaurant.name}` : ''}
+      </DialogTitle>
+      <DialogContent dividers>
+        {closuresError && (
+          <Alert severity="error" sx={{ mb: 2 }}>{closuresError}</Alert>
+        )}
+
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+          Upcoming
+        </Typography>
+        {closuresLoading && closures.length === 0 ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : closures.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            No upcoming closures. Your weekly schedule applies to every day.
+          </Typography>
+        ) : (
+          <Stack spacing={1} sx={{ mb: 2 }}>
+            {closures.map(closure => (
+              <Box
+                key={closure._id}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 2,
+                  px: 2,
+                  py: 1,
+                  borderRadius: '12px',
+                  background: alpha(closure.closed ? colors.error.main : colors.primary.main, 0.06)
+                }}
+              >
+                <Box sx={{ flex: 1 }}>
+                  <Typography sx={{ fontWeight: 600, fontSize: '0.95rem' }}>
+                    {moment(closure.date, 'YYYY-MM-DD').format('ddd, MMM D, YYYY')}
+                    {closure.reason ? ` - ${closure.reason}` : ''}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {describeClosure(closure)}
+                  </Typography>
+                </Box>
+                <IconButton size="small" onClick={() => handleDelete(closure._id)} disabled={closuresLoading}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+          </Stack>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 2 }}>
+          Add a closure or special hours
+        </Typography>
+        <Stack spacing={2}>
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+            <TextField
+              size="small"
+              type="date"
+              label="Date"
+              value={form.date}
+              onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: moment().format('YYYY-MM-DD') }}
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              select
+              size="small"
+              label="Type"
+              value={form.type}
+              onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+              sx={{ flex: 1 }}
+            >
+              <MenuItem value={CLOSED}>Closed all day</MenuItem>
+              <MenuItem value={CUSTOM_HOURS}>Special opening hours</MenuItem>
+              <MenuItem value={BLOCKED}>Block a time range</MenuItem>
+            </TextField>
+          </Stack>
+
+          {form.type === CUSTOM_HOURS && renderTimeRows(
+            'periods', 'opening', 'closing', 'Opens', 'Closes',
+            { opening: '17:00', closing: '22:00' }, 'Add service period'
+          )}
+          {form.type === BLOCKED && renderTimeRows(
+            'blockedRanges', 'start', 'end', 'From', 'Until',
+            { start: '12:00', end: '14:00' }, 'Add blocked range'
+          )}
+
+          <TextField
+            size="small"
+            label="Reason (optional)"
+            placeholder="e.g. Thanksgiving, private event"
+            value={form.reason}
+            onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onClose} sx={{ textTransform: 'none' }}>
+          Close
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={closuresLoading || !form.date}
+          sx={{ textTransform: 'none', borderRadius: '12px' }}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ClosuresDialog;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Box, Typography, alpha } from '@mui/material';
+import moment from 'moment';
+import { colors } from '../../theme/designSystem';
+
+// Index matches Restaurant.weeklySchedule[].dayOfWeek (0 = Sunday), same as moment().day()
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Service periods for a weekday: its weeklySchedule entry, otherwise the usual hours.
+// Returns an empty array when the restaurant is closed that day.
+export const getPeriodsForDay = (restaurant, dayOfWeek) => {
+  const entry = (restaurant?.weeklySchedule || []).find(day => day.dayOfWeek === dayOfWeek);
+  if (entry) {
+    return entry.closed ? [] : entry.periods || [];
+  }
+  if (restaurant?.hours?.opening && restaurant?.hours?.closing) {
+    return [{ opening: restaurant.hours.opening, closing: restaurant.hours.closing }];
+  }
+  return [];
+};
+
+const formatTime = (time) => moment(time, 'HH:mm').format('h:mm A');
+
+const OpeningHours = ({ restaurant }) => {
+  const today = moment().day();
+  // Start the week on Monday
+  const days = [1, 2, 3, 4, 5, 6, 0];
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {days.map(dayOfWeek => {
+        const periods = getPeriodsForDay(restaurant, dayOfWeek);
+        const isToday = dayOfWeek === today;
+        return (
+          <Box
+            key={dayOfWeek}
+            sx={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              gap: 2,
+              px: 2,
+              py: 1,
+              borderRadius: '12px',
+              background: isToday ? alpha(colors.primary.main, 0.06) : 'transparent'
+            }}
+          >
+            <Typography sx={{ fontWeight: isToday ? 600 : 500, color: alpha(colors.text.primary, 0.9), fontSize: '0.95rem' }}>
+              {WEEKDAYS[dayOfWeek]}
+            </Typography>
+            <Typography sx={{ color: periods.length ? alpha(colors.text.secondary, 0.8) : colors.error.main, fontSize: '0.95rem', textAlign: 'right' }}>
+              {periods.length
+                ? periods.map(period => `${formatTime(period.opening)} - ${formatTime(period.closing)}`).join(', ')
+                : 'Closed'}
+            </Typography>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default OpeningHours;
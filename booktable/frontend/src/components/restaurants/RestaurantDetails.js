@@ -45,6 +45,9 @@ import { getRestaurant } from '../../features/restaurants/restaurantSlice';
 import { createBooking } from '../../features/bookings/bookingSlice';
 import { getRestaurantReviews } from '../../features/reviews/reviewSlice';
 import ReviewList from '../reviews/ReviewList';
+import JoinWaitlistDialog from '../bookings/JoinWaitlistDialog';
+import EmailVerificationNotice from '../common/EmailVerificationNotice';
+import OpeningHours, { getPeriodsForDay } from './OpeningHours';
 import { colors } from '../../theme/designSystem';
 
 const RestaurantDetails = () => {
@@ -59,6 +62,8 @@ const RestaurantDetails = () => {
   const [reservationPeople, setReservationPeople] = useState('');
   const [formError, setFormError] = useState('');
   const [reservationSuccess, setReservationSuccess] = useState('');
+  const [canJoinWaitlist, setCanJoinWaitlist] = useState(false);
+  const [waitlistDialogOpen, setWaitlistDialogOpen] = useState(false);
 
   const { currentRestaurant: restaurant, loading, error } = useSelector((state) => state.restaurants);
   const { isAuthenticated } = useSelector((state) => state.auth);
@@ -92,6 +97,7 @@ const RestaurantDetails = () => {
   const handleBooking = async () => {
     setFormError('');
     setReservationSuccess('');
+    setCanJoinWaitlist(false);
 
     if (!isAuthenticated) {
       navigate('/login');
@@ -119,9 +125,13 @@ const RestaurantDetails = () => {
     try {
       const resultAction = await dispatch(createBooking(bookingData));
       if (createBooking.fulfilled.match(resultAction)) {
-        setReservationSuccess('Reservation successful! Your booking will appear in your dashboard.');
+        setReservationSuccess(resultAction.payload?.status === 'pending'
+          ? 'Request sent! The restaurant confirms bookings personally - we will let you know once they respond.'
+          : 'Reservation successful! Your booking will appear in your dashboard.');
       } else if (createBooking.rejected.match(resultAction)) {
-        setFormError(resultAction.payload?.message || resultAction.error?.message || 'Failed to make reservation. Please try again.');
+        setFormError(resultAction.payload?.error || resultAction.payload?.message || resultAction.error?.message || 'Failed to make reservation. Please try again.');
+        // The slot is full (409) or no table is free at that time: offer the waitlist instead
+        setCanJoinWaitlist(/just booked|No suitable table/.test(resultAction.payload?.error || ''));
       }
     } catch (e) {
       setFormError('An unexpected error occurred. Please try again.');
@@ -148,6 +158,8 @@ const RestaurantDetails = () => {
     return null;
   }
 
+  const todaysPeriods = getPeriodsForDay(restaurant, moment().day());
+
   return (
     <Box sx={{ minHeight: '100vh', background: `linear-gradient(135deg, ${alpha('#ffffff', 0.98)}, ${alpha('#f8f9fa', 0.95)})`, pt: { xs: 8, sm: 9, md: 10 }, pb: { xs: 4, sm: 5, md: 6 }, display: 'flex', flexDirection: 'column' }}>
       <Container maxWidth="lg" sx={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
@@ -184,8 +196,8 @@ const RestaurantDetails = () => {
                 <Stack direction="row" spacing={1.5} sx={{ mb: 3.5, flexWrap: 'wrap', gap: 1, alignItems: 'center' }}>
                   <Chip icon={<RestaurantIcon sx={{ fontSize: '1.1rem' }} />} label={restaurant.cuisineType} sx={{ background: alpha(colors.primary.main, 0.08), color: colors.primary.main, fontWeight: 500, fontSize: '0.85rem', height: 32, '&:hover': { background: alpha(colors.primary.main, 0.12) } }} />
                   <Chip icon={<AttachMoneyIcon sx={{ fontSize: '1.1rem' }} />} label={Array(restaurant.costRating).fill('$').join('')} sx={{ background: alpha(colors.secondary.main, 0.08), color: colors.secondary.main, fontWeight: 500, fontSize: '0.85rem', height: 32, '&:hover': { background: alpha(colors.secondary.main, 0.12) } }} />
-                  {restaurant.hours && (
-                    <Chip icon={<AccessTimeIcon sx={{ fontSize: '1.1rem' }} />} label={`${restaurant.hours.opening} - ${restaurant.hours.closing}`} sx={{ background: alpha(colors.text.secondary, 0.08), color: alpha(colors.text.secondary, 0.8), fontWeight: 500, fontSize: '0.85rem', height: 32, '&:hover': { background: alpha(colors.text.secondary, 0.12) } }} />
+                  {(restaurant.hours || restaurant.weeklySchedule?.length > 0) && (
+                    <Chip icon={<AccessTimeIcon sx={{ fontSize: '1.1rem' }} />} label={todaysPeriods.length ? `Today ${todaysPeriods.map(period => `${period.opening} - ${period.closing}`).join(', ')}` : 'Closed today'} sx={{ background: alpha(colors.text.secondary, 0.08), color: alpha(colors.text.secondary, 0.8), fontWeight: 500, fontSize: '0.85rem', height: 32, '&:hover': { background: alpha(colors.text.secondary, 0.12) } }} />
                   )}
                 </Stack>
 
@@ -218,6 +230,16 @@ const RestaurantDetails = () => {
 
                 <Divider sx={{ my: 4, borderColor: alpha(colors.text.secondary, 0.08) }} />
 
+                <Typography variant="h5" sx={{ fontWeight: 600, mb: 3.5, fontSize: '1.5rem', color: alpha(colors.text.primary, 0.9), fontFamily: 'Inter, sans-serif' }}>
+                  Opening Hours
+                </Typography>
+
+                <Box sx={{ mb: 4 }}>
+                  <OpeningHours restaurant={restaurant} />
+                </Box>
+
+                <Divider sx={{ my: 4, borderColor: alpha(colors.text.secondary, 0.08) }} />
+
                 <Typography variant="h5" sx={{ fontWeight: 600, mb: 3.5, fontSize: '1.5rem', color: alpha(colors.text.primary, 0.9), fontFamily: 'Inter, sans-serif' }}>
                   Location & Contact
                 </Typography>
@@ -275,9 +297,16 @@ const RestaurantDetails = () => {
 
             <Grid item xs={12} md={4} sx={{ display: 'flex', flexDirection: 'column' }}>
               <Paper elevation={0} sx={{ p: { xs: 2.5, sm: 3 }, borderRadius: '24px', background: `linear-gradient(135deg, ${alpha('#ffffff', 0.98)}, ${alpha('#fafbfc', 0.96)})`, backdropFilter: 'blur(8px)', boxShadow: "0 4px 24px rgba(0,0,0,0.04), 0 0 0 1px rgba(33,150,243,0.04)", border: `1px solid ${alpha(colors.primary.main, 0.04)}`, position: 'sticky', top: { xs: 88, sm: 96, md: 104 }, flex: 1, display: 'flex', flexDirection: 'column' }}>
-                <Typography variant="h5" sx={{ fontWeight: 600, mb: 3.5, fontSize: '1.35rem', color: alpha(colors.text.primary, 0.9), fontFamily: 'Inter, sans-serif' }}>
+                <Typography variant="h5" sx={{ fontWeight: 600, mb: restaurant.bookingApproval?.required ? 1 : 3.5, fontSize: '1.35rem', color: alpha(colors.text.primary, 0.9), fontFamily: 'Inter, sans-serif' }}>
                   Make a Reservation
                 </Typography>
+                {restaurant.bookingApproval?.required && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                    This restaurant confirms bookings personally. Your table is held while they review your request.
+                  </Typography>
+                )}
+
+                <EmailVerificationNotice sx={{ mb: 3 }} />
 
                 <LocalizationProvider dateAdapter={AdapterMoment}>
                   <Stack spacing={3} sx={{ mb: 3.5 }}>
@@ -292,7 +321,15 @@ const RestaurantDetails = () => {
                 </LocalizationProvider>
 
                 {formError && (
-                  <Alert severity="error" sx={{ mb: 2.5, borderRadius: '12px' }}>
+                  <Alert
+                    severity="error"
+                    sx={{ mb: 2.5, borderRadius: '12px' }}
+                    action={canJoinWaitlist ? (
+                      <Button color="inherit" size="small" onClick={() => setWaitlistDialogOpen(true)} sx={{ textTransform: 'none', fontWeight: 600 }}>
+                        Join waitlist
+                      </Button>
+                    ) : null}
+                  >
                     {formError}
                   </Alert>
                 )}
@@ -314,6 +351,14 @@ const RestaurantDetails = () => {
           </Grid>
         )}
       </Container>
+      <JoinWaitlistDialog
+        open={waitlistDialogOpen}
+        onClose={() => setWaitlistDialogOpen(false)}
+        restaurant={restaurant}
+        date={reservationDate}
+        time={reservationTime}
+        partySize={reservationPeople}
+      />
     </Box>
   );
 };
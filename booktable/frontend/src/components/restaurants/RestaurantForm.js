@@ -11,7 +11,9 @@ import {
   Stack,
   IconButton,
   Paper,
-  Divider
+  Divider,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import { TimePicker } from '@mui/x-date-pickers/TimePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -19,6 +21,8 @@ import { AdapterMoment } from '@mui/x-date-pickers/AdapterMoment';
 import moment from 'moment';
 import PhotoCamera from '@mui/icons-material/PhotoCamera';
 import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import WeeklyScheduleEditor from './WeeklyScheduleEditor';
 
 const cuisineTypes = [
   'American',
@@ -63,6 +67,11 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
     });
   }
   
+  const initialTurnTime = {
+    defaultMinutes: initialData?.turnTime?.defaultMinutes || 90,
+    byPartySize: initialData?.turnTime?.byPartySize || []
+  };
+  
   const [formData, setFormData] = useState({
     name: initialData?.name || '',
     description: initialData?.description || '',
@@ -84,7 +93,14 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
     },
     capacity: initialData?.capacity || '',
     photos: initialData?.photos || [],
-    tables: initialTables
+    tables: initialTables,
+    weeklySchedule: initialData?.weeklySchedule || [],
+    turnTime: initialTurnTime,
+    bookingHorizonDays: initialData?.bookingHorizonDays || 30,
+    bookingApproval: {
+      required: initialData?.bookingApproval?.required || false,
+      expiryMinutes: initialData?.bookingApproval?.expiryMinutes || 120
+    }
   });
   
   // State for photo upload
@@ -116,7 +132,17 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
         },
         capacity: initialData.capacity || '',
         photos: initialData.photos || [],
-        tables: initialTables
+        tables: initialTables,
+        weeklySchedule: initialData.weeklySchedule || [],
+        turnTime: {
+          defaultMinutes: initialData.turnTime?.defaultMinutes || 90,
+          byPartySize: initialData.turnTime?.byPartySize || []
+        },
+        bookingHorizonDays: initialData.bookingHorizonDays || 30,
+        bookingApproval: {
+          required: initialData.bookingApproval?.required || false,
+          expiryMinutes: initialData.bookingApproval?.expiryMinutes || 120
+        }
       });
     }
   }, [initialData]); // Remove initialTables from dependencies to prevent circular updates
@@ -164,6 +190,40 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
     });
   };
 
+  const handleTurnTimeRuleChange = (index, field, value) => {
+    setFormData(prev => {
+      const updatedRules = [...prev.turnTime.byPartySize];
+      updatedRules[index] = {
+        ...updatedRules[index],
+        [field]: value
+      };
+      return {
+        ...prev,
+        turnTime: { ...prev.turnTime, byPartySize: updatedRules }
+      };
+    });
+  };
+
+  const handleAddTurnTimeRule = () => {
+    setFormData(prev => ({
+      ...prev,
+      turnTime: {
+        ...prev.turnTime,
+        byPartySize: [...prev.turnTime.byPartySize, { maxPartySize: 2, minutes: prev.turnTime.defaultMinutes }]
+      }
+    }));
+  };
+
+  const handleRemoveTurnTimeRule = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      turnTime: {
+        ...prev.turnTime,
+        byPartySize: prev.turnTime.byPartySize.filter((_, i) => i !== index)
+      }
+    }));
+  };
+
   // Handle photo file selection
   const handlePhotoChange = (e) => {
     if (e.target.files && e.target.files[0]) {
@@ -220,11 +280,19 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
     // Add hours
     formattedData.append('hours[opening]', formData.hours.opening.format('HH:mm'));
     formattedData.append('hours[closing]', formData.hours.closing.format('HH:mm'));
+    formattedData.append('weeklySchedule', JSON.stringify(formData.weeklySchedule));
     
     // Add tables (filter out tables with count 0)
     const validTables = formData.tables.filter(table => table.count > 0);
     formattedData.append('tables', JSON.stringify(validTables));
     
+    // Add turn time (how long a party keeps its table)
+    formattedData.append('turnTime[defaultMinutes]', formData.turnTime.defaultMinutes);
+    formattedData.append('turnTime[byPartySize]', JSON.stringify(formData.turnTime.byPartySize));
+    formattedData.append('bookingHorizonDays', formData.bookingHorizonDays);
+    formattedData.append('bookingApproval[required]', formData.bookingApproval.required);
+    formattedData.append('bookingApproval[expiryMinutes]', formData.bookingApproval.expiryMinutes);
+    
     // Add existing photos
     if (formData.photos && formData.photos.length > 0) {
       formattedData.append('existingPhotos', JSON.stringify(formData.photos));
@@ -351,6 +419,123 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
           </Grid>
         ))}
 
+        <Grid item xs={12}>
+          <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>
+            Reservations
+          </Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            How far ahead guests can book, and how long a party keeps its table. Later slots on that table stay blocked until it turns over.
+          </Typography>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            label="Booking Window"
+            name="bookingHorizonDays"
+            type="number"
+            value={formData.bookingHorizonDays}
+            onChange={handleChange}
+            required
+            inputProps={{ min: 1, max: 365 }}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">days ahead</InputAdornment>,
+            }}
+          />
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            label="Default Turn Time"
+            type="number"
+            value={formData.turnTime.defaultMinutes}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              turnTime: { ...prev.turnTime, defaultMinutes: parseInt(e.target.value) || '' }
+            }))}
+            required
+            inputProps={{ min: 15, step: 15 }}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">min</InputAdornment>,
+            }}
+          />
+        </Grid>
+
+        {formData.turnTime.byPartySize.map((rule, index) => (
+          <Grid item xs={12} key={index}>
+            <Stack direction="row" spacing={2} alignItems="center">
+              <TextField
+                label="Parties up to"
+                type="number"
+                value={rule.maxPartySize}
+                onChange={(e) => handleTurnTimeRuleChange(index, 'maxPartySize', parseInt(e.target.value) || '')}
+                inputProps={{ min: 1 }}
+                InputProps={{
+                  endAdornment: <InputAdornment position="end">guests</InputAdornment>,
+                }}
+              />
+              <TextField
+                label="Turn Time"
+                type="number"
+                value={rule.minutes}
+                onChange={(e) => handleTurnTimeRuleChange(index, 'minutes', parseInt(e.target.value) || '')}
+                inputProps={{ min: 15, step: 15 }}
+                InputProps={{
+                  endAdornment: <InputAdornment position="end">min</InputAdornment>,
+                }}
+              />
+              <IconButton onClick={() => handleRemoveTurnTimeRule(index)}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Stack>
+          </Grid>
+        ))}
+
+        <Grid item xs={12}>
+          <Button startIcon={<AddIcon />} onClick={handleAddTurnTimeRule}>
+            Add turn time for a party size
+          </Button>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={formData.bookingApproval.required}
+                onChange={(e) => setFormData(prev => ({
+                  ...prev,
+                  bookingApproval: { ...prev.bookingApproval, required: e.target.checked }
+                }))}
+              />
+            }
+            label="Confirm bookings manually"
+          />
+          <Typography variant="body2" color="text.secondary">
+            New bookings arrive as requests that hold the table until you accept or decline them.
+          </Typography>
+        </Grid>
+
+        {formData.bookingApproval.required && (
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Requests Expire After"
+              type="number"
+              value={formData.bookingApproval.expiryMinutes}
+              onChange={(e) => setFormData(prev => ({
+                ...prev,
+                bookingApproval: { ...prev.bookingApproval, expiryMinutes: parseInt(e.target.value) || '' }
+              }))}
+              required
+              inputProps={{ min: 5, step: 5 }}
+              InputProps={{
+                endAdornment: <InputAdornment position="end">min</InputAdornment>,
+              }}
+            />
+          </Grid>
+        )}
+
         <Grid item xs={12}>
           <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>
             Address
@@ -437,6 +622,9 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
           <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>
             Operating Hours
           </Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Your usual opening hours
+          </Typography>
         </Grid>
 
         <Grid item xs={12} md={6}>
@@ -460,6 +648,23 @@ const RestaurantForm = ({ initialData, onSubmit, loading, error, isEdit = false
             />
           </LocalizationProvider>
         </Grid>
+
+        <Grid item xs={12}>
+          <Typography variant="subtitle1" gutterBottom sx={{ mt: 1 }}>
+            Weekly Schedule
+          </Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Mark days you are closed, or give a day its own service periods (e.g. separate lunch and dinner).
+          </Typography>
+          <WeeklyScheduleEditor
+            value={formData.weeklySchedule}
+            onChange={(weeklySchedule) => setFormData(prev => ({ ...prev, weeklySchedule }))}
+            defaultHours={{
+              opening: formData.hours.opening?.format('HH:mm'),
+              closing: formData.hours.closing?.format('HH:mm')
+            }}
+          />
+        </Grid>
         
         <Grid item xs={12}>
           <Typography variant="h6" gutterBottom>
@@ -0,0 +1,298 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Stack,
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  IconButton,
+  Alert,
+  Chip,
+  Tooltip,
+  CircularProgress,
+  Divider,
+  alpha
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import moment from 'moment';
+import {
+  fetchStaff,
+  inviteStaffMember,
+  revokeStaffInvitation,
+  updateStaffRole,
+  removeStaffMember
+} from '../../features/staff/staffSlice';
+import { fetchManagedRestaurants } from '../../features/restaurants/restaurantSlice';
+import { getProfile } from '../../features/auth/authSlice';
+import { showFeedback } from '../../features/uiFeedbackSlice';
+import { colors } from '../../theme/designSystem';
+
+const ROLE_LABELS = { owner: 'Owner', manager: 'Manager', host: 'Host' };
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown');
+
+// Who works at a restaurant. The owner and managers invite people by email and remove them; only the owner adds,
+// changes or removes managers. Hosts see the list and may leave.
+const StaffDialog = ({ open, onClose, restaurant }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { restaurantId, yourRole, owner, members, invitations, status, error } = useSelector((state) => state.staff);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('host');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && restaurant?._id) {
+      setEmail('');
+      setRole('host');
+      dispatch(fetchStaff(restaurant._id));
+    }
+  }, [open, restaurant, dispatch]);
+
+  const loaded = restaurant && restaurantId === restaurant._id && status !== 'failed';
+  const isOwner = yourRole === 'owner';
+  const canManage = isOwner || yourRole === 'manager';
+  const mayManageRole = (memberRole) => (memberRole === 'manager' ? isOwner : canManage);
+
+  const run = async (thunk, successMessage) => {
+    setSaving(true);
+    try {
+      const result = await dispatch(thunk).unwrap();
+      if (successMessage) dispatch(showFeedback({ message: successMessage, type: 'success' }));
+      return result || true;
+    } catch (err) {
+      dispatch(showFeedback({ message: err?.error || 'The change could not be saved', type: 'error' }));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const address = email.trim();
+    const result = await run(
+      inviteStaffMember({ restaurantId: restaurant._id, email: address, role }),
+      `Invitation sent to ${address}`
+    );
+    if (result) setEmail('');
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId._id === user?._id;
+    const result = await run(removeStaffMember({ restaurantId: restaurant._id, userId: member.userId._id }));
+    if (!result) return;
+    dispatch(showFeedback({ message: result.message, type: 'success' }));
+    if (leaving) {
+      dispatch(fetchManagedRestaurants());
+      dispatch(getProfile());
+      onClose();
+    }
+  };
+
+  const renderMember = (person, memberRole, actions) => (
+    <Box
+      key={person?._id || memberRole}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 2,
+        px: 2,
+        py: 1,
+        borderRadius: '12px',
+        background: alpha(colors.primary.main, 0.04)
+      }}
+    >
+      <Box sx={{ flex: 1, minWidth: 0 }}>
+        <Typography sx={{ fontWeight: 600, fontSize: '0.95rem' }}>
+          {personName(person)}{person?._id === user?._id ? ' (you)' : ''}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" noWrap>
+          {person?.email}
+        </Typography>
+      </Box>
+      {actions || <Chip label={ROLE_LABELS[memberRole]} size="small" sx={{ fontWeight: 600 }} />}
+    </Box>
+  );
+
+  const renderContent = () => {
+    if (error) {
+      return <Alert severity="error">{error.error || error.message || String(error)}</Alert>;
+    }
+    if (!loaded) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={24} />
+        </Box>
+      );
+    }
+
+    return (
+      <>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+          Team
+        </Typography>
+        <Stack spacing={1} sx={{ mb: 2 }}>
+          {renderMember(owner, 'owner')}
+          {members.map(member => {
+            const self = member.userId._id === user?._id;
+            const removable = self || mayManageRole(member.role);
+            return renderMember(member.userId, member.role, (isOwner || removable) && (
+              <Stack direction="row" spacing={1} alignItems="center">
+                {isOwner ? (
+                  <TextField
+                    select
+                    size="small"
+                    value={member.role}
+                    disabled={saving}
+                    onChange={(e) => run(
+                      updateStaffRole({ restaurantId: restaurant._id, userId: member.userId._id, role: e.target.value }),
+                      `${personName(member.userId)} is now a ${e.target.value}`
+                    )}
+                    sx={{ minWidth: 120 }}
+                  >
+                    <MenuItem value="manager">Manager</MenuItem>
+                    <MenuItem value="host">Host</MenuItem>
+                  </TextField>
+                ) : (
+                  <Chip label={ROLE_LABELS[member.role]} size="small" sx={{ fontWeight: 600 }} />
+                )}
+                {removable && (
+                  <Tooltip title={self ? 'Leave this restaurant' : 'Remove from staff'}>
+                    <span>
+                      <IconButton size="small" onClick={() => handleRemove(member)} disabled={saving}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                )}
+              </Stack>
+            ));
+          })}
+        </Stack>
+
+        {!canManage && (
+          <Typography variant="body2" color="text.secondary">
+            As a host you can see and check in bookings. The owner and managers look after the restaurant and its staff.
+          </Typography>
+        )}
+
+        {canManage && (
+          <>
+            {invitations.length > 0 && (
+              <>
+                <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+                  Invited
+                </Typography>
+                <Stack spacing={1} sx={{ mb: 2 }}>
+                  {invitations.map(invitation => (
+                    <Box
+                      key={invitation._id}
+                      sx={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: 2,
+                        px: 2,
+                        py: 1,
+                        borderRadius: '12px',
+                        border: `1px dashed ${alpha(colors.primary.main, 0.3)}`
+                      }}
+                    >
+                      <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Typography sx={{ fontWeight: 600, fontSize: '0.95rem' }} noWrap>
+                          {invitation.email}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {ROLE_LABELS[invitation.role]} · expires {moment(invitation.expiresAt).format('MMM D')}
+                        </Typography>
+                      </Box>
+                      {mayManageRole(invitation.role) && (
+                        <Button
+                          size="small"
+                          color="error"
+                          disabled={saving}
+                          onClick={() => run(
+                            revokeStaffInvitation({ restaurantId: restaurant._id, invitationId: invitation._id }),
+                            'Invitation withdrawn'
+                          )}
+                          sx={{ textTransform: 'none' }}
+                        >
+                          Withdraw
+                        </Button>
+                      )}
+                    </Box>
+                  ))}
+                </Stack>
+              </>
+            )}
+
+            <Divider sx={{ my: 2 }} />
+
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+              Invite someone
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              We'll email them a link to join. Hosts can see and check in bookings; managers can also answer booking
+              requests, edit the restaurant and its closures, and invite hosts.
+            </Typography>
+            <Stack component="form" direction={{ xs: 'column', sm: 'row' }} spacing={2} onSubmit={handleInvite}>
+              <TextField
+                size="small"
+                type="email"
+                label="Email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                select
+                size="small"
+                label="Role"
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                sx={{ minWidth: 120 }}
+              >
+                <MenuItem value="host">Host</MenuItem>
+                {isOwner && <MenuItem value="manager">Manager</MenuItem>}
+              </TextField>
+              <Button type="submit" variant="contained" disabled={saving || !email.trim()} sx={{ textTransform: 'none', borderRadius: '8px' }}>
+                Send Invitation
+              </Button>
+            </Stack>
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{ sx: { borderRadius: '16px' } }}
+    >
+      <DialogTitle sx={{ fontWeight: 600 }}>
+        Staff{restaurant ? ` - ${restaurant.name}` : ''}
+      </DialogTitle>
+      <DialogContent dividers>
+        {renderContent()}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onClose} sx={{ textTransform: 'none' }}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default StaffDialog;
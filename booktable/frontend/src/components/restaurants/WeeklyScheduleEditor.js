@@ -0,0 +1,134 @@
+import React from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  Button,
+  Typography,
+  MenuItem,
+  Stack,
+  IconButton
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { WEEKDAYS } from './OpeningHours';
+
+const USUAL_HOURS = 'usual';
+const CUSTOM_HOURS = 'custom';
+const CLOSED = 'closed';
+
+// Edits Restaurant.weeklySchedule. Weekdays without an entry use the usual opening hours,
+// so `value` only holds the days that are closed or have their own service periods.
+const WeeklyScheduleEditor = ({ value = [], onChange, defaultHours }) => {
+  const entryFor = (dayOfWeek) => value.find(entry => entry.dayOfWeek === dayOfWeek);
+
+  const modeFor = (dayOfWeek) => {
+    const entry = entryFor(dayOfWeek);
+    if (!entry) return USUAL_HOURS;
+    return entry.closed ? CLOSED : CUSTOM_HOURS;
+  };
+
+  const setEntry = (dayOfWeek, entry) => {
+    const others = value.filter(existing => existing.dayOfWeek !== dayOfWeek);
+    onChange(entry ? [...others, entry].sort((a, b) => a.dayOfWeek - b.dayOfWeek) : others);
+  };
+
+  const handleModeChange = (dayOfWeek, mode) => {
+    if (mode === USUAL_HOURS) {
+      setEntry(dayOfWeek, null);
+    } else if (mode === CLOSED) {
+      setEntry(dayOfWeek, { dayOfWeek, closed: true, periods: [] });
+    } else {
+      setEntry(dayOfWeek, {
+        dayOfWeek,
+        closed: false,
+        periods: [{ opening: defaultHours?.opening || '09:00', closing: defaultHours?.closing || '22:00' }]
+      });
+    }
+  };
+
+  const handlePeriodChange = (dayOfWeek, index, field, time) => {
+    const entry = entryFor(dayOfWeek);
+    const periods = entry.periods.map((period, i) => (i === index ? { ...period, [field]: time } : period));
+    setEntry(dayOfWeek, { ...entry, periods });
+  };
+
+  const handleAddPeriod = (dayOfWeek) => {
+    const entry = entryFor(dayOfWeek);
+    setEntry(dayOfWeek, { ...entry, periods: [...entry.periods, { opening: '17:00', closing: '22:00' }] });
+  };
+
+  const handleRemovePeriod = (dayOfWeek, index) => {
+    const entry = entryFor(dayOfWeek);
+    const periods = entry.periods.filter((_, i) => i !== index);
+    // Removing the last period means the day goes back to the usual hours
+    setEntry(dayOfWeek, periods.length ? { ...entry, periods } : null);
+  };
+
+  return (
+    <Grid container spacing={2}>
+      {[1, 2, 3, 4, 5, 6, 0].map(dayOfWeek => {
+        const mode = modeFor(dayOfWeek);
+        const entry = entryFor(dayOfWeek);
+        return (
+          <Grid item xs={12} key={dayOfWeek}>
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'flex-start' }}>
+              <Typography sx={{ width: 110, pt: { sm: 1 }, fontWeight: 500 }}>
+                {WEEKDAYS[dayOfWeek]}
+              </Typography>
+              <TextField
+                select
+                size="small"
+                value={mode}
+                onChange={(e) => handleModeChange(dayOfWeek, e.target.value)}
+                sx={{ minWidth: 160 }}
+              >
+                <MenuItem value={USUAL_HOURS}>Usual hours</MenuItem>
+                <MenuItem value={CUSTOM_HOURS}>Custom hours</MenuItem>
+                <MenuItem value={CLOSED}>Closed</MenuItem>
+              </TextField>
+              {mode === CUSTOM_HOURS && (
+                <Box sx={{ flex: 1 }}>
+                  <Stack spacing={1}>
+                    {entry.periods.map((period, index) => (
+                      <Stack direction="row" spacing={1} alignItems="center" key={index}>
+                        <TextField
+                          size="small"
+                          type="time"
+                          label="Opens"
+                          value={period.opening}
+                          onChange={(e) => handlePeriodChange(dayOfWeek, index, 'opening', e.target.value)}
+                          InputLabelProps={{ shrink: true }}
+                          inputProps={{ step: 1800 }}
+                        />
+                        <TextField
+                          size="small"
+                          type="time"
+                          label="Closes"
+                          value={period.closing}
+                          onChange={(e) => handlePeriodChange(dayOfWeek, index, 'closing', e.target.value)}
+                          InputLabelProps={{ shrink: true }}
+                          inputProps={{ step: 1800 }}
+                        />
+                        <IconButton size="small" onClick={() => handleRemovePeriod(dayOfWeek, index)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Stack>
+                    ))}
+                    <Box>
+                      <Button size="small" startIcon={<AddIcon />} onClick={() => handleAddPeriod(dayOfWeek)}>
+                        Add service period
+                      </Button>
+                    </Box>
+                  </Stack>
+                </Box>
+              )}
+            </Stack>
+          </Grid>
+        );
+      })}
+    </Grid>
+  );
+};
+
+export default WeeklyScheduleEditor;
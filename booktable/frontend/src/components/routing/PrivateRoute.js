@@ -2,14 +2,15 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 
-const PrivateRoute = ({ children, role }) => {
+// allowStaff also lets in anyone on a restaurant's staff (see staffMemberships on the user), whatever their role
+const PrivateRoute = ({ children, role, allowStaff = false }) => {
   const { isAuthenticated, user } = useSelector((state) => state.auth);
 
   if (!isAuthenticated) {
     return <Navigate to="/login" />;
   }
 
-  if (role && user.role !== role) {
+  if (role && user.role !== role && !(allowStaff && user.staffMemberships?.length)) {
     return <Navigate to="/" />;
   }
 
@@ -0,0 +1,76 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../api';
+
+const initialState = {
+  jobs: [],
+  counts: { queued: 0, processing: 0, completed: 0, dead: 0 },
+  status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+};
+
+// Async thunk to fetch outbound jobs, optionally only those with one status
+export const fetchJobs = createAsyncThunk(
+  'jobQueue/fetchJobs',
+  async (status, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/jobs', { params: status ? { status } : {} });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to requeue a dead job
+export const retryJob = createAsyncThunk(
+  'jobQueue/retryJob',
+  async (jobId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/jobs/${jobId}/retry`);
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+const jobQueueSlice = createSlice({
+  name: 'jobQueue',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchJobs.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(fetchJobs.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        state.jobs = action.payload.jobs;
+        state.counts = action.payload.counts;
+      })
+      .addCase(fetchJobs.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload || 'Failed to fetch jobs';
+      })
+      .addCase(retryJob.fulfilled, (state, action) => {
+        const index = state.jobs.findIndex(job => job._id === action.payload._id);
+        if (index !== -1) {
+          state.jobs[index] = action.payload;
+        }
+        state.counts.dead = Math.max(state.counts.dead - 1, 0);
+        state.counts.queued += 1;
+      })
+      .addCase(retryJob.rejected, (state, action) => {
+        state.error = action.payload || 'Failed to retry job';
+      });
+  }
+});
+
+export const { clearError } = jobQueueSlice.actions;
+
+export default jobQueueSlice.reducer;
@@ -0,0 +1,66 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../api';
+
+const initialState = {
+  locks: [],
+  status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+};
+
+// Async thunk to fetch accounts and IP addresses currently locked out of signing in
+export const fetchLoginLocks = createAsyncThunk(
+  'loginLocks/fetchLoginLocks',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/login-locks');
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to lift a lockout before it ends by itself
+export const clearLoginLock = createAsyncThunk(
+  'loginLocks/clearLoginLock',
+  async (lockId, { rejectWithValue }) => {
+    try {
+      await api.delete(`/admin/login-locks/${lockId}`);
+      return lockId;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+const loginLockSlice = createSlice({
+  name: 'loginLocks',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchLoginLocks.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(fetchLoginLocks.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        state.locks = action.payload;
+      })
+      .addCase(fetchLoginLocks.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload || 'Failed to fetch locked accounts';
+      })
+      .addCase(clearLoginLock.fulfilled, (state, action) => {
+        state.locks = state.locks.filter(lock => lock._id !== action.payload);
+      });
+  }
+});
+
+export const { clearError } = loginLockSlice.actions;
+
+export default loginLockSlice.reducer;
@@ -0,0 +1,85 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../api';
+
+const initialState = {
+  applications: [],
+  status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+};
+
+// Async thunk to fetch manager applications, optionally only those with one status
+export const fetchManagerApplications = createAsyncThunk(
+  'managerApplications/fetchManagerApplications',
+  async (status, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/manager-applications', { params: status ? { status } : {} });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to approve an application, which makes the applicant a manager
+export const approveManagerApplication = createAsyncThunk(
+  'managerApplications/approveManagerApplication',
+  async (applicationId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/manager-applications/${applicationId}/approve`);
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to reject an application with an optional reason shown to the applicant
+export const rejectManagerApplication = createAsyncThunk(
+  'managerApplications/rejectManagerApplication',
+  async ({ applicationId, reason }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/manager-applications/${applicationId}/reject`, { reason });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+const replaceApplication = (state, action) => {
+  const index = state.applications.findIndex(application => application._id === action.payload._id);
+  if (index !== -1) {
+    state.applications[index] = action.payload;
+  }
+};
+
+const managerApplicationSlice = createSlice({
+  name: 'managerApplications',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchManagerApplications.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(fetchManagerApplications.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        state.applications = action.payload;
+      })
+      .addCase(fetchManagerApplications.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload || 'Failed to fetch manager applications';
+      })
+      .addCase(approveManagerApplication.fulfilled, replaceApplication)
+      .addCase(rejectManagerApplication.fulfilled, replaceApplication);
+  }
+});
+
+export const { clearError } = managerApplicationSlice.actions;
+
+export default managerApplicationSlice.reducer;
@@ -0,0 +1,134 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../api';
+
+const initialState = {
+  users: [],
+  total: 0,
+  page: 1,
+  pages: 0,
+  status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+};
+
+// Async thunk to fetch one page of users; params are { search, role, status, page, limit }
+export const fetchUsers = createAsyncThunk(
+  'adminUsers/fetchUsers',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/users', { params });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+export const deactivateUser = createAsyncThunk(
+  'adminUsers/deactivateUser',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/deactivate`);
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+export const reactivateUser = createAsyncThunk(
+  'adminUsers/reactivateUser',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/reactivate`);
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+export const updateUserRole = createAsyncThunk(
+  'adminUsers/updateUserRole',
+  async ({ userId, role }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/admin/users/${userId}/role`, { role });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Signs the user out everywhere and emails them a reset link; the user list itself doesn't change
+export const forcePasswordReset = createAsyncThunk(
+  'adminUsers/forcePasswordReset',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/force-password-reset`);
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// For a user who lost their phone and backup codes
+export const resetTwoFactor = createAsyncThunk(
+  'adminUsers/resetTwoFactor',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/reset-two-factor`);
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+const replaceUser = (state, action) => {
+  const index = state.users.findIndex(user => user._id === action.payload._id);
+  if (index !== -1) {
+    state.users[index] = action.payload;
+  }
+};
+
+const userAdminSlice = createSlice({
+  name: 'adminUsers',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchUsers.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(fetchUsers.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        state.users = action.payload.users;
+        state.total = action.payload.total;
+        state.page = action.payload.page;
+        state.pages = action.payload.pages;
+      })
+      .addCase(fetchUsers.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload || 'Failed to fetch users';
+      })
+      .addCase(deactivateUser.fulfilled, replaceUser)
+      .addCase(reactivateUser.fulfilled, replaceUser)
+      .addCase(updateUserRole.fulfilled, replaceUser)
+      .addCase(resetTwoFactor.fulfilled, (state, action) => {
+        const user = state.users.find(u => u._id === action.meta.arg);
+        if (user) {
+          user.twoFactor = { enabled: false };
+        }
+      });
+  }
+});
+
+export const { clearError } = userAdminSlice.actions;
+
+export default userAdminSlice.reducer;
@@ -23,13 +23,45 @@ api.interceptors.request.use(
   }
 );
 
+// Single in-flight refresh shared by every request that hit a 401 at the same time
+let refreshPromise = null;
+
+// Trades the httpOnly refresh token cookie for a new access token and stores it. Rejects when the session is over.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios.post(`${api.defaults.baseURL}/auth/refresh`, null, { withCredentials: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Auth endpoints answer 401 for wrong credentials or a dead session; refreshing would not help
+const SKIP_REFRESH = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     const status = error.response?.status;
+    const config = error.config;
     
     if (status === 401) {
+      // The access token is short-lived: get a new one and replay the request once
+      if (config && !config._retried && !SKIP_REFRESH.some(path => config.url?.includes(path))) {
+        config._retried = true;
+        try {
+          await refreshAccessToken();
+          return api(config);
+        } catch (refreshError) {
+          // Fall through: the session is over
+        }
+      }
       // Only redirect if not already on login page
       if (!window.location.pathname.includes('/login')) {
         localStorage.removeItem('token');
@@ -24,6 +24,8 @@ export const login = createAsyncThunk(
       if (response.data && response.data.token) {
         localStorage.setItem('token', response.data.token);
         console.log('Token stored in localStorage:', localStorage.getItem('token')); // Confirm storage
+      } else if (response.data?.twoFactorRequired) {
+        console.log('Two-factor code required to finish signing in');
       } else {
         console.error('Token missing in login response:', response.data);
       }
@@ -35,6 +37,21 @@ export const login = createAsyncThunk(
   }
 );
 
+// Second sign-in step for accounts with two-factor on, using the challenge from login
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactorLogin',
+  async (code, { getState, rejectWithValue }) => {
+    try {
+      const challengeToken = getState().auth.twoFactorChallenge;
+      const response = await api.post('/auth/login/2fa', { challengeToken, code });
+      localStorage.setItem('token', response.data.token);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not verify the code' });
+    }
+  }
+);
+
 export const getProfile = createAsyncThunk(
   'auth/getProfile',
   async (_, { getState, rejectWithValue }) => {
@@ -63,12 +80,245 @@ export const getProfile = createAsyncThunk(
   }
 );
 
+// The forgot/reset password pages show their own result, so these thunks don't touch the auth state
+export const requestPasswordReset = createAsyncThunk(
+  'auth/requestPasswordReset',
+  async (email, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not request a password reset' });
+    }
+  }
+);
+
+export const resetPassword = createAsyncThunk(
+  'auth/resetPassword',
+  async ({ token, password }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not reset your password' });
+    }
+  }
+);
+
+// Revokes this device's session on the server, then clears the local sign-in even if that request failed
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async (_, { dispatch }) => {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Logout request failed:', error.response?.data || error.message);
+    }
+    dispatch(logout());
+  }
+);
+
+// Revokes every session the user has, on every device
+export const logoutAllDevices = createAsyncThunk(
+  'auth/logoutAllDevices',
+  async (_, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/logout-all');
+      dispatch(logout());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not log out of all devices' });
+    }
+  }
+);
+
+export const verifyEmail = createAsyncThunk(
+  'auth/verifyEmail',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not verify your email address' });
+    }
+  }
+);
+
+export const resendVerification = createAsyncThunk(
+  'auth/resendVerification',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not send a new verification email' });
+    }
+  }
+);
+
+// Profile self-service: each thunk rejects with the server's { message } so forms can show it
+export const updateProfile = createAsyncThunk(
+  'auth/updateProfile',
+  async (profile, { rejectWithValue }) => {
+    try {
+      const response = await api.patch('/auth/profile', profile);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not update your profile' });
+    }
+  }
+);
+
+export const changePassword = createAsyncThunk(
+  'auth/changePassword',
+  async ({ currentPassword, newPassword }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not change your password' });
+    }
+  }
+);
+
+export const changeEmail = createAsyncThunk(
+  'auth/changeEmail',
+  async ({ newEmail, password }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/change-email', { newEmail, password });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not change your email address' });
+    }
+  }
+);
+
+// Signs out locally once the server has deleted the account
+export const deleteAccount = createAsyncThunk(
+  'auth/deleteAccount',
+  async (password, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.delete('/auth/account', { data: { password } });
+      dispatch(logout());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not delete your account' });
+    }
+  }
+);
+
+// Two-factor settings (Security page)
+export const getTwoFactorStatus = createAsyncThunk(
+  'auth/getTwoFactorStatus',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not load two-factor settings' });
+    }
+  }
+);
+
+export const startTwoFactorSetup = createAsyncThunk(
+  'auth/startTwoFactorSetup',
+  async (password, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/setup', { password });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not start two-factor setup' });
+    }
+  }
+);
+
+export const confirmTwoFactorSetup = createAsyncThunk(
+  'auth/confirmTwoFactorSetup',
+  async (code, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      dispatch(getTwoFactorStatus());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not turn on two-factor authentication' });
+    }
+  }
+);
+
+export const turnOffTwoFactor = createAsyncThunk(
+  'auth/turnOffTwoFactor',
+  async ({ password, code }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code });
+      dispatch(getTwoFactorStatus());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not turn off two-factor authentication' });
+    }
+  }
+);
+
+export const replaceBackupCodes = createAsyncThunk(
+  'auth/replaceBackupCodes',
+  async (code, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/backup-codes', { code });
+      dispatch(getTwoFactorStatus());
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not create new backup codes' });
+    }
+  }
+);
+
+// Used by the link in the "account locked" email; the page shows the result itself
+export const unlockAccount = createAsyncThunk(
+  'auth/unlockAccount',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/unlock-account', { token });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Could not unlock your account' });
+    }
+  }
+);
+
+// The signed-in user's latest manager application, or null when they never applied
+export const getManagerApplication = createAsyncThunk(
+  'auth/getManagerApplication',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/auth/manager-application');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { error: 'Could not load your manager application' });
+    }
+  }
+);
+
+export const applyForManager = createAsyncThunk(
+  'auth/applyForManager',
+  async ({ restaurantName, message }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/manager-application', { restaurantName, message });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { error: 'Could not submit your application' });
+    }
+  }
+);
+
 const initialState = {
   token: localStorage.getItem('token'),
   user: null,
   loading: false,
   error: null,
-  isAuthenticated: false
+  isAuthenticated: false,
+  managerApplication: null,
+  // Set between the password and the two-factor code at sign-in
+  twoFactorChallenge: null,
+  twoFactor: null
 };
 
 const authSlice = createSlice({
@@ -82,7 +332,15 @@ const authSlice = createSlice({
       state.token = null;
       state.user = null;
       state.isAuthenticated = false;
+      state.managerApplication = null;
+      state.twoFactorChallenge = null;
+      state.twoFactor = null;
       localStorage.removeItem('token');
+    },
+    // Back to the password step of sign-in
+    cancelTwoFactorLogin(state) {
+      state.twoFactorChallenge = null;
+      state.error = null;
     }
   },
   extraReducers: (builder) => {
@@ -97,6 +355,7 @@ const authSlice = createSlice({
         state.token = action.payload.token;
         state.user = action.payload.user;
         state.isAuthenticated = true;
+        state.managerApplication = action.payload.managerApplication || null;
       })
       .addCase(register.rejected, (state, action) => {
         state.loading = false;
@@ -110,6 +369,10 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.loading = false;
+        if (action.payload.twoFactorRequired) {
+          state.twoFactorChallenge = action.payload.challengeToken;
+          return;
+        }
         state.token = action.payload.token;
         state.user = action.payload.user;
         state.isAuthenticated = true;
@@ -119,6 +382,31 @@ const authSlice = createSlice({
         state.error = action.payload?.message || 'Login failed';
       })
 
+      // Two-factor sign-in step
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        state.loading = false;
+        state.twoFactorChallenge = null;
+        state.token = action.payload.token;
+        state.user = action.payload.user;
+        state.isAuthenticated = true;
+      })
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || 'Could not verify the code';
+      })
+
+      // Two-factor settings
+      .addCase(getTwoFactorStatus.fulfilled, (state, action) => {
+        state.twoFactor = action.payload;
+        if (state.user) {
+          state.user.twoFactor = { ...state.user.twoFactor, enabled: action.payload.enabled };
+        }
+      })
+
       // Get Profile
       .addCase(getProfile.pending, (state) => {
         state.loading = true;
@@ -132,9 +420,38 @@ const authSlice = createSlice({
       .addCase(getProfile.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload?.message || 'Failed to get profile';
+      })
+
+      // Verify Email - the link may be opened in a browser signed in as someone else, so match the user.
+      // The server's copy also covers a confirmed change of address.
+      .addCase(verifyEmail.fulfilled, (state, action) => {
+        if (state.user && state.user._id === action.payload.user?._id) {
+          state.user = { ...action.payload.user, staffMemberships: state.user.staffMemberships };
+        }
+      })
+
+      // Profile
+      .addCase(updateProfile.fulfilled, (state, action) => {
+        state.user = { ...action.payload, staffMemberships: state.user?.staffMemberships };
+      })
+      .addCase(changeEmail.fulfilled, (state, action) => {
+        if (state.user) {
+          state.user.pendingEmail = action.payload.pendingEmail;
+        }
+      })
+
+      // Manager Application - an approval promotes the account, so pick up the new role without signing in again
+      .addCase(getManagerApplication.fulfilled, (state, action) => {
+        state.managerApplication = action.payload;
+        if (action.payload?.status === 'approved' && state.user?.role === 'customer') {
+          state.user.role = 'manager';
+        }
+      })
+      .addCase(applyForManager.fulfilled, (state, action) => {
+        state.managerApplication = action.payload;
       });
   }
 });
 
-export const { clearError, logout } = authSlice.actions;
+export const { clearError, logout, cancelTwoFactorLogin } = authSlice.actions;
 export default authSlice.reducer;
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import api from '../api';
+import openEventStream from '../eventStream';
 
 // Async thunks
 export const createBooking = createAsyncThunk(
@@ -38,6 +39,18 @@ export const getRestaurantBookings = createAsyncThunk(
   }
 );
 
+export const modifyBooking = createAsyncThunk(
+  'bookings/modify',
+  async ({ bookingId, changes }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/bookings/${bookingId}`, changes);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
 export const cancelBooking = createAsyncThunk(
   'bookings/cancel',
   async (bookingId, { rejectWithValue }) => {
@@ -50,6 +63,42 @@ export const cancelBooking = createAsyncThunk(
   }
 );
 
+export const updateBookingStatus = createAsyncThunk(
+  'bookings/updateStatus',
+  async ({ bookingId, status, note }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/bookings/${bookingId}/status`, { status, note });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+export const acceptBooking = createAsyncThunk(
+  'bookings/accept',
+  async ({ bookingId, note }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/bookings/${bookingId}/accept`, { note });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+export const declineBooking = createAsyncThunk(
+  'bookings/decline',
+  async ({ bookingId, reason }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/bookings/${bookingId}/decline`, { reason });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
 export const getBookingAnalytics = createAsyncThunk(
   'bookings/analytics',
   async (_, { rejectWithValue }) => {
@@ -65,6 +114,10 @@ export const getBookingAnalytics = createAsyncThunk(
 const initialState = {
   userBookings: [],
   restaurantBookings: [],
+  restaurantBookingsId: null, // Restaurant whose bookings restaurantBookings holds
+  newBookingCounts: {}, // restaurantId -> bookings that arrived on the live feed since the manager last looked
+  arrivals: 0, // Bookings that arrived on the live feed this session; the dashboard chimes when it goes up
+  liveFeed: false, // Whether the manager's booking feed is connected
   analytics: [],
   loading: false,
   error: null
@@ -79,7 +132,32 @@ const bookingSlice = createSlice({
     },
     clearRestaurantBookings: (state) => {
       state.restaurantBookings = [];
+      state.restaurantBookingsId = null;
       state.error = null; // Also clear error when clearing bookings for a fresh view
+    },
+    // Pushed by the manager's booking feed: { action: 'created' | 'updated' | 'cancelled', booking }
+    bookingFeedReceived: (state, action) => {
+      const { action: change, booking } = action.payload;
+      if (booking.restaurantId === state.restaurantBookingsId) {
+        const index = state.restaurantBookings.findIndex(existing => existing._id === booking._id);
+        if (index === -1) {
+          state.restaurantBookings.unshift(booking);
+        } else {
+          state.restaurantBookings[index] = booking;
+        }
+      }
+      if (change === 'created') {
+        state.arrivals += 1;
+        if (booking.restaurantId !== state.restaurantBookingsId) {
+          state.newBookingCounts[booking.restaurantId] = (state.newBookingCounts[booking.restaurantId] || 0) + 1;
+        }
+      }
+    },
+    clearNewBookings: (state, action) => {
+      delete state.newBookingCounts[action.payload];
+    },
+    bookingFeedStatusChanged: (state, action) => {
+      state.liveFeed = action.payload;
     }
   },
   extraReducers: (builder) => {
@@ -111,9 +189,10 @@ const bookingSlice = createSlice({
         state.error = action.payload?.error || 'Failed to fetch user bookings';
       })
       // Get Restaurant Bookings
-      .addCase(getRestaurantBookings.pending, (state) => {
+      .addCase(getRestaurantBookings.pending, (state, action) => {
         state.loading = true;
         state.error = null;
+        state.restaurantBookingsId = action.meta.arg;
       })
       .addCase(getRestaurantBookings.fulfilled, (state, action) => {
         state.loading = false;
@@ -124,6 +203,12 @@ const bookingSlice = createSlice({
         state.error = action.payload?.error || 'Failed to fetch restaurant bookings';
       })
       // Cancel Booking
+      // Modify Booking - the dialog shows its own errors, so a failed change doesn't blank the dashboard
+      .addCase(modifyBooking.fulfilled, (state, action) => {
+        state.userBookings = state.userBookings.map(booking =>
+          booking._id === action.payload._id ? action.payload : booking
+        );
+      })
       .addCase(cancelBooking.pending, (state) => {
         state.loading = true;
         state.error = null;
@@ -138,6 +223,32 @@ const bookingSlice = createSlice({
         state.loading = false;
         state.error = action.payload?.error || 'Failed to cancel booking';
       })
+      // Update Booking Status (manager lifecycle actions)
+      .addCase(updateBookingStatus.fulfilled, (state, action) => {
+        state.restaurantBookings = state.restaurantBookings.map(booking =>
+          booking._id === action.payload._id ? action.payload : booking
+        );
+      })
+      .addCase(updateBookingStatus.rejected, (state, action) => {
+        state.error = action.payload?.error || 'Failed to update booking status';
+      })
+      // Accept / Decline booking requests (restaurants that approve bookings manually)
+      .addCase(acceptBooking.fulfilled, (state, action) => {
+        state.restaurantBookings = state.restaurantBookings.map(booking =>
+          booking._id === action.payload._id ? action.payload : booking
+        );
+      })
+      .addCase(acceptBooking.rejected, (state, action) => {
+        state.error = action.payload?.error || 'Failed to accept booking request';
+      })
+      .addCase(declineBooking.fulfilled, (state, action) => {
+        state.restaurantBookings = state.restaurantBookings.map(booking =>
+          booking._id === action.payload._id ? action.payload : booking
+        );
+      })
+      .addCase(declineBooking.rejected, (state, action) => {
+        state.error = action.payload?.error || 'Failed to decline booking request';
+      })
       // Get Booking Analytics
       .addCase(getBookingAnalytics.pending, (state) => {
         state.loading = true;
@@ -154,5 +265,32 @@ const bookingSlice = createSlice({
   }
 });
 
-export const { clearError, clearRestaurantBookings } = bookingSlice.actions;
+export const {
+  clearError,
+  clearRestaurantBookings,
+  bookingFeedReceived,
+  clearNewBookings,
+  bookingFeedStatusChanged
+} = bookingSlice.actions;
+
+// The manager's open booking feed, kept outside the store because it isn't serializable
+let bookingFeed = null;
+
+// Streams new, changed and cancelled bookings for the manager's restaurants into the store
+export const subscribeToBookingFeed = () => (dispatch) => {
+  if (bookingFeed) return;
+  bookingFeed = openEventStream('/bookings/manager/stream', {
+    open: () => dispatch(bookingFeedStatusChanged(true)),
+    error: () => dispatch(bookingFeedStatusChanged(false)),
+    booking: (data) => dispatch(bookingFeedReceived(data)),
+  });
+};
+
+export const unsubscribeFromBookingFeed = () => (dispatch) => {
+  if (!bookingFeed) return;
+  bookingFeed.close();
+  bookingFeed = null;
+  dispatch(bookingFeedStatusChanged(false));
+};
+
 export default bookingSlice.reducer;
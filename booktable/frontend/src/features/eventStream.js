@@ -0,0 +1,56 @@
+import api, { refreshAccessToken } from './api';
+
+// Wait before reopening a stream the server refused, so a failing endpoint isn't hammered
+const REOPEN_DELAY_MS = 5000;
+
+/**
+ * Opens a Server-Sent Events stream on the API, authenticated with the stored access token.
+ * EventSource reconnects by itself after a dropped connection, but gives up when the server answers with an
+ * error (typically an expired access token); the stream then refreshes the token and reopens itself.
+ * @param {string} path - API path, e.g. '/notifications/stream'.
+ * @param {object} listeners - Event name -> handler receiving the parsed data. 'open' and 'error' get no data.
+ * @returns {{ close: Function }|null} null when there is no token or the browser lacks EventSource.
+ */
+const openEventStream = (path, listeners) => {
+  if (!localStorage.getItem('token') || typeof EventSource === 'undefined') return null;
+
+  let source = null;
+  let reopenTimer = null;
+  let closed = false;
+
+  const open = () => {
+    const token = localStorage.getItem('token');
+    source = new EventSource(`${api.defaults.baseURL}${path}?token=${encodeURIComponent(token)}`);
+
+    Object.entries(listeners).forEach(([event, handler]) => {
+      if (event === 'open' || event === 'error') return;
+      source.addEventListener(event, (message) => handler(JSON.parse(message.data)));
+    });
+    source.addEventListener('open', () => listeners.open?.());
+    source.addEventListener('error', () => {
+      listeners.error?.();
+      if (source.readyState !== EventSource.CLOSED || closed) return;
+      reopenTimer = setTimeout(() => {
+        refreshAccessToken()
+          .then(() => {
+            if (!closed) open();
+          })
+          .catch(() => {
+            // The session is over; the next API call sends the user to the login page
+          });
+      }, REOPEN_DELAY_MS);
+    });
+  };
+
+  open();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(reopenTimer);
+      source.close();
+    },
+  };
+};
+
+export default openEventStream;
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import api from '../api'; // Assuming 'api' is your preconfigured axios instance
+import openEventStream from '../eventStream';
 
 // Async Thunks
 export const fetchUserNotifications = createAsyncThunk(
@@ -38,9 +39,35 @@ export const markAllNotificationsAsRead = createAsyncThunk(
   }
 );
 
+export const fetchNotificationPreferences = createAsyncThunk(
+  'notifications/fetchNotificationPreferences',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/notifications/preferences');
+      return response.data; // Expected: { bookingReminders: true }
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+export const updateNotificationPreferences = createAsyncThunk(
+  'notifications/updateNotificationPreferences',
+  async (preferences, { rejectWithValue }) => {
+    try {
+      const response = await api.patch('/notifications/preferences', preferences);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
 const initialState = {
   items: [],
   unreadCount: 0,
+  preferences: null,
+  live: false, // Whether the notification stream is connected
   loading: false,
   error: null,
 };
@@ -59,6 +86,20 @@ const notificationSlice = createSlice({
       if (state.unreadCount > 0) {
         state.unreadCount--;
       }
+    },
+    // Pushed by the notification stream: { notification, unreadCount }
+    notificationReceived: (state, action) => {
+      const { notification, unreadCount } = action.payload;
+      if (!state.items.some(item => item._id === notification._id)) {
+        state.items.unshift(notification);
+      }
+      state.unreadCount = unreadCount;
+    },
+    unreadCountUpdated: (state, action) => {
+      state.unreadCount = action.payload;
+    },
+    streamStatusChanged: (state, action) => {
+      state.live = action.payload;
     }
   },
   extraReducers: (builder) => {
@@ -107,9 +148,48 @@ const notificationSlice = createSlice({
       .addCase(markAllNotificationsAsRead.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload?.error || 'Failed to mark all notifications as read';
+      })
+      // Notification Preferences
+      .addCase(fetchNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.rejected, (state, action) => {
+        state.error = action.payload?.error || 'Failed to update notification preferences';
       });
   },
 });
 
-export const { clearNotificationError, decrementUnreadCount } = notificationSlice.actions;
+export const {
+  clearNotificationError,
+  decrementUnreadCount,
+  notificationReceived,
+  unreadCountUpdated,
+  streamStatusChanged
+} = notificationSlice.actions;
+
+// The open stream, kept outside the store because it isn't serializable
+let notificationStream = null;
+
+// Opens the live notification stream; new notifications and unread counts arrive without reloading.
+// The server resends the unread count on every (re)connect, so nothing missed while offline is lost from the badge.
+export const subscribeToNotifications = () => (dispatch) => {
+  if (notificationStream) return;
+  notificationStream = openEventStream('/notifications/stream', {
+    open: () => dispatch(streamStatusChanged(true)),
+    error: () => dispatch(streamStatusChanged(false)),
+    notification: (data) => dispatch(notificationReceived(data)),
+    unread: (data) => dispatch(unreadCountUpdated(data.unreadCount)),
+  });
+};
+
+export const unsubscribeFromNotifications = () => (dispatch) => {
+  if (!notificationStream) return;
+  notificationStream.close();
+  notificationStream = null;
+  dispatch(streamStatusChanged(false));
+};
+
 export default notificationSlice.reducer;
@@ -180,13 +180,69 @@ export const setRestaurantOnHold = createAsyncThunk(
   }
 );
 
+export const fetchClosures = createAsyncThunk(
+  'restaurants/fetchClosures',
+  async (restaurantId, { getState, rejectWithValue }) => {
+    try {
+      const { token } = getState().auth;
+      const response = await api.get(`/restaurants/${restaurantId}/closures`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { error: 'Failed to fetch closures' });
+    }
+  }
+);
+
+export const saveClosure = createAsyncThunk(
+  'restaurants/saveClosure',
+  async ({ restaurantId, closure }, { getState, rejectWithValue }) => {
+    try {
+      const { token } = getState().auth;
+      const response = await api.post(`/restaurants/${restaurantId}/closures`, closure, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data; // { closures, affectedBookings }
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { error: 'Failed to save closure' });
+    }
+  }
+);
+
+export const deleteClosure = createAsyncThunk(
+  'restaurants/deleteClosure',
+  async ({ restaurantId, closureId }, { getState, rejectWithValue }) => {
+    try {
+      const { token } = getState().auth;
+      const response = await api.delete(`/restaurants/${restaurantId}/closures/${closureId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data; // { closures }
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { error: 'Failed to delete closure' });
+    }
+  }
+);
+
 const initialState = {
   restaurants: [],
   currentRestaurant: null,
+  closures: [],
+  closuresLoading: false,
+  closuresError: null,
   loading: false,
   error: null
 };
 
+// Closures come back unsorted and may include past dates after a save
+const upcomingClosures = (closures) => {
+  const today = new Date().toISOString().slice(0, 10);
+  return closures
+    .filter(closure => closure.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
 const restaurantSlice = createSlice({
   name: 'restaurants',
   initialState,
@@ -350,6 +406,44 @@ const restaurantSlice = createSlice({
       .addCase(deleteRestaurant.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload?.message || 'Failed to delete restaurant';
+      })
+
+      // Closures
+      .addCase(fetchClosures.pending, (state) => {
+        state.closuresLoading = true;
+        state.closuresError = null;
+      })
+      .addCase(fetchClosures.fulfilled, (state, action) => {
+        state.closuresLoading = false;
+        state.closures = action.payload;
+      })
+      .addCase(fetchClosures.rejected, (state, action) => {
+        state.closuresLoading = false;
+        state.closuresError = action.payload?.error || 'Failed to fetch closures';
+      })
+      .addCase(saveClosure.pending, (state) => {
+        state.closuresLoading = true;
+        state.closuresError = null;
+      })
+      .addCase(saveClosure.fulfilled, (state, action) => {
+        state.closuresLoading = false;
+        state.closures = upcomingClosures(action.payload.closures);
+      })
+      .addCase(saveClosure.rejected, (state, action) => {
+        state.closuresLoading = false;
+        state.closuresError = action.payload?.error || 'Failed to save closure';
+      })
+      .addCase(deleteClosure.pending, (state) => {
+        state.closuresLoading = true;
+        state.closuresError = null;
+      })
+      .addCase(deleteClosure.fulfilled, (state, action) => {
+        state.closuresLoading = false;
+        state.closures = upcomingClosures(action.payload.closures);
+      })
+      .addCase(deleteClosure.rejected, (state, action) => {
+        state.closuresLoading = false;
+        state.closuresError = action.payload?.error || 'Failed to delete closure';
       });
   }
 });
@@ -0,0 +1,138 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../api';
+
+const initialState = {
+  restaurantId: null, // Whose staff is loaded
+  yourRole: null, // 'owner' | 'manager' | 'host'
+  owner: null,
+  members: [],
+  invitations: [],
+  status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  error: null,
+};
+
+// Async thunk to fetch a restaurant's owner, staff and open invitations
+export const fetchStaff = createAsyncThunk(
+  'staff/fetchStaff',
+  async (restaurantId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/restaurants/${restaurantId}/staff`);
+      return { restaurantId, ...response.data };
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to email someone an invitation to join as a manager or host
+export const inviteStaffMember = createAsyncThunk(
+  'staff/inviteStaffMember',
+  async ({ restaurantId, email, role }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/restaurants/${restaurantId}/staff/invitations`, { email, role });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to withdraw an invitation that hasn't been accepted yet
+export const revokeStaffInvitation = createAsyncThunk(
+  'staff/revokeStaffInvitation',
+  async ({ restaurantId, invitationId }, { rejectWithValue }) => {
+    try {
+      await api.delete(`/restaurants/${restaurantId}/staff/invitations/${invitationId}`);
+      return invitationId;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to make a staff member a manager or a host (owner only)
+export const updateStaffRole = createAsyncThunk(
+  'staff/updateStaffRole',
+  async ({ restaurantId, userId, role }, { rejectWithValue }) => {
+    try {
+      await api.patch(`/restaurants/${restaurantId}/staff/${userId}`, { role });
+      return { userId, role };
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to remove someone from the staff, or leave it yourself
+export const removeStaffMember = createAsyncThunk(
+  'staff/removeStaffMember',
+  async ({ restaurantId, userId }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/restaurants/${restaurantId}/staff/${userId}`);
+      return { userId, message: response.data.message };
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+// Async thunk to accept the invitation in an emailed link
+export const acceptStaffInvitation = createAsyncThunk(
+  'staff/acceptStaffInvitation',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/restaurants/staff-invitations/accept', { token });
+      return response.data;
+    } catch (err) {
+      return rejectWithValue(err.response ? err.response.data : err.message);
+    }
+  }
+);
+
+const staffSlice = createSlice({
+  name: 'staff',
+  initialState,
+  reducers: {
+    clearStaff: () => initialState
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchStaff.pending, (state) => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(fetchStaff.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        state.restaurantId = action.payload.restaurantId;
+        state.yourRole = action.payload.yourRole;
+        state.owner = action.payload.owner;
+        state.members = action.payload.staff;
+        state.invitations = action.payload.invitations;
+      })
+      .addCase(fetchStaff.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload || 'Failed to fetch staff';
+      })
+      .addCase(inviteStaffMember.fulfilled, (state, action) => {
+        // Inviting an address again replaces its open invitation
+        state.invitations = [
+          action.payload,
+          ...state.invitations.filter(invitation => invitation.email !== action.payload.email)
+        ];
+      })
+      .addCase(revokeStaffInvitation.fulfilled, (state, action) => {
+        state.invitations = state.invitations.filter(invitation => invitation._id !== action.payload);
+      })
+      .addCase(updateStaffRole.fulfilled, (state, action) => {
+        const member = state.members.find(entry => entry.userId._id === action.payload.userId);
+        if (member) member.role = action.payload.role;
+      })
+      .addCase(removeStaffMember.fulfilled, (state, action) => {
+        state.members = state.members.filter(entry => entry.userId._id !== action.payload.userId);
+      });
+  }
+});
+
+export const { clearStaff } = staffSlice.actions;
+
+export default staffSlice.reducer;
@@ -0,0 +1,103 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../api';
+
+export const joinWaitlist = createAsyncThunk(
+  'waitlist/join',
+  async (entryData, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/waitlist', entryData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+export const getUserWaitlist = createAsyncThunk(
+  'waitlist/getUserWaitlist',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/waitlist/user');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+export const claimWaitlistOffer = createAsyncThunk(
+  'waitlist/claim',
+  async (entryId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/waitlist/${entryId}/claim`);
+      return { entryId, booking: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+export const leaveWaitlist = createAsyncThunk(
+  'waitlist/leave',
+  async (entryId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/waitlist/${entryId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  }
+);
+
+const initialState = {
+  entries: [],
+  loading: false,
+  error: null
+};
+
+const waitlistSlice = createSlice({
+  name: 'waitlist',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Join Waitlist - the caller shows its own error, e.g. when tables are available after all
+      .addCase(joinWaitlist.fulfilled, (state, action) => {
+        state.entries.push(action.payload);
+      })
+      // Get User Waitlist
+      .addCase(getUserWaitlist.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getUserWaitlist.fulfilled, (state, action) => {
+        state.loading = false;
+        state.entries = action.payload;
+      })
+      .addCase(getUserWaitlist.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error || 'Failed to fetch waitlist';
+      })
+      // Claim Offer
+      .addCase(claimWaitlistOffer.fulfilled, (state, action) => {
+        state.entries = state.entries.filter(entry => entry._id !== action.payload.entryId);
+      })
+      .addCase(claimWaitlistOffer.rejected, (state, action) => {
+        state.error = action.payload?.error || 'Failed to claim table';
+      })
+      // Leave Waitlist
+      .addCase(leaveWaitlist.fulfilled, (state, action) => {
+        state.entries = state.entries.filter(entry => entry._id !== action.payload._id);
+      })
+      .addCase(leaveWaitlist.rejected, (state, action) => {
+        state.error = action.payload?.error || 'Failed to leave waitlist';
+      });
+  }
+});
+
+export const { clearError } = waitlistSlice.actions;
+export default waitlistSlice.reducer;